@@ -0,0 +1,212 @@
+/**
+ * Cristal Minas - Alarm & Journal Panels
+ * Annunciated alarms with acknowledge/shelve, the alarm limit table, and the
+ * event journal with CSV export.
+ */
+
+const ALARM_PRIORITY_LABELS = {
+    high: { label: 'ALTA', color: 'var(--neon-red)' },
+    medium: { label: 'MÉDIA', color: 'var(--neon-orange)' },
+    low: { label: 'BAIXA', color: 'var(--neon-cyan)' }
+};
+const ALARM_SHELVE_HOURS = 8;
+
+const JOURNAL_TYPE_LABELS = {
+    alarm: 'ALARME',
+    rtn: 'NORMAL',
+    ack: 'RECONHEC.',
+    shelve: 'SUPRESSÃO',
+    unshelve: 'SUPRESSÃO',
+    control: 'OPERADOR',
+    system: 'SISTEMA',
+    training: 'TREINAMENTO'
+};
+const JOURNAL_ROWS = 50;
+const ALARM_LIMIT_KEYS = ['LOW', 'HIGH', 'DEADBAND']; // Edited in the tag's unit on display
+
+class AlarmPanel {
+    constructor(container, plant) {
+        this.container = container;
+        this.plant = plant;
+        this.signature = null; // Rows are rebuilt only when this changes, so buttons stay clickable
+        this.render();
+    }
+
+    get alarms() {
+        return this.plant.alarms;
+    }
+
+    get now() {
+        return this.plant.chem.simTimeMs;
+    }
+
+    render() {
+        const priorities = ALARM_PRIORITIES.map(p => `<option value="${p}">${labelOf('priority', p, ALARM_PRIORITY_LABELS[p].label)}</option>`).join('');
+        const tagLabel = (tag) => {
+            const { name, unit } = ALARM_TAGS[tag];
+            return `${labelOf('alarmTag', tag, name)}${unit ? ` (${unitOf(unit)})` : ''}`;
+        };
+        this.signature = null;
+        this.container.innerHTML = `
+            <div class="alarm-header">
+                <span class="sensor-name" data-field="summary">---</span>
+                <button class="btn-primary alarm-ack-all">${t('alarm.ackAll')}</button>
+            </div>
+            <div class="alarm-list"></div>
+            <details style="margin-top: 0.5rem;">
+                <summary class="sensor-name">${t('alarm.limits')}</summary>
+                <table class="event-log alarm-limits">
+                    <thead><tr><th>${t('alarm.tag')}</th><th>${t('alarm.low')}</th><th>${t('alarm.high')}</th><th>${t('alarm.deadband')}</th><th>${t('alarm.delay')}</th><th>${t('alarm.priority')}</th><th>${t('alarm.enabled')}</th></tr></thead>
+                    <tbody>${Object.keys(ALARM_TAGS).map(tag => `
+                        <tr>
+                            <td>${tagLabel(tag)}</td>
+                            <td><input type="number" data-alarm="${tag}.LOW" placeholder="—"></td>
+                            <td><input type="number" data-alarm="${tag}.HIGH" placeholder="—"></td>
+                            <td><input type="number" data-alarm="${tag}.DEADBAND" min="0"></td>
+                            <td><input type="number" data-alarm="${tag}.DELAY_S" min="0" step="60"></td>
+                            <td><select data-alarm="${tag}.PRIORITY">${priorities}</select></td>
+                            <td><input type="checkbox" data-alarm="${tag}.ENABLED"></td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </details>`;
+
+        this.container.querySelector('.alarm-ack-all').onclick = () => {
+            this.alarms.acknowledgeAll(this.now);
+            this.update();
+        };
+        this.container.querySelector('.alarm-list').onclick = (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'ack') this.alarms.acknowledge(button.dataset.tag, this.now);
+            else this.alarms.shelve(button.dataset.tag, ALARM_SHELVE_HOURS, this.now);
+            this.update();
+        };
+
+        // Limits write straight into CONFIG.ALARMS; an empty limit field disables that side
+        this.container.querySelectorAll('[data-alarm]').forEach((el) => {
+            el.onchange = () => {
+                const [tag, key] = el.dataset.alarm.split('.');
+                let value;
+                if (el.type === 'checkbox') value = el.checked;
+                else if (el.tagName === 'SELECT') value = el.value;
+                else if (el.value === '') value = null;
+                else value = ALARM_LIMIT_KEYS.includes(key) ? fromUnit(parseFloat(el.value), ALARM_TAGS[tag].unit) : parseFloat(el.value);
+                const error = checkField(`ALARMS.${tag}.${key}`, value, SCENARIO_SCHEMA.config.ALARMS[tag][key]);
+                el.style.borderColor = error ? 'var(--neon-red)' : '';
+                el.title = error || '';
+                if (error) return;
+                CONFIG.ALARMS[tag][key] = value;
+                this.plant.logEvent('control', { key: 'alarmSetting', vars: {
+                    tag: this.alarms.get(tag).label, field: key, value: ALARM_LIMIT_KEYS.includes(key) && value !== null ? { value, unit: ALARM_TAGS[tag].unit } : value
+                } });
+            };
+        });
+        this.syncLimits();
+    }
+
+    /**
+     * Reflects CONFIG.ALARMS in the limit table (after a scenario load).
+     */
+    syncLimits() {
+        this.container.querySelectorAll('[data-alarm]').forEach((el) => {
+            if (document.activeElement === el) return;
+            const [tag, key] = el.dataset.alarm.split('.');
+            const value = CONFIG.ALARMS[tag][key];
+            if (el.type === 'checkbox') el.checked = value;
+            else el.value = (ALARM_LIMIT_KEYS.includes(key) ? inputValue(value, ALARM_TAGS[tag].unit) : value) ?? '';
+        });
+    }
+
+    /**
+     * Text of the active condition in the dashboard language and units.
+     */
+    describe(alarm) {
+        const { unit, digits } = alarm.meta;
+        const name = labelOf('alarmTag', alarm.tag, alarm.meta.name);
+        if (alarm.condition === 'bad') return t('alarm.badSignal', { name });
+        const limit = alarm.condition === 'high' ? alarm.spec.HIGH : alarm.spec.LOW;
+        return t('alarm.describe', {
+            name,
+            word: t(alarm.condition === 'high' ? 'alarm.highWord' : 'alarm.lowWord'),
+            value: formatUnit(alarm.value, unit, digits),
+            limit: formatNumber(inputValue(limit, unit), digits)
+        });
+    }
+
+    update() {
+        const list = this.alarms.list();
+        const now = this.now;
+        const shelved = this.alarms.alarms.filter(a => a.isShelved(now)).length;
+        const summary = this.container.querySelector('[data-field="summary"]');
+        summary.innerText = t('alarm.summary', { active: list.length, unacked: this.alarms.countUnacked(), shelved });
+
+        const signature = list.map(a => `${a.tag}:${a.condition}:${a.active}:${a.acked}:${a.activeSinceMs}`).join('|');
+        if (signature === this.signature) return;
+        this.signature = signature;
+
+        this.container.querySelector('.alarm-list').innerHTML = list.map((a) => {
+            const priority = ALARM_PRIORITY_LABELS[a.spec.PRIORITY];
+            const state = a.active ? t(a.acked ? 'alarm.active' : 'alarm.new') : t('alarm.cleared');
+            return `
+                <div class="alarm-row${a.acked ? '' : ' unacked'}" style="border-left-color: ${priority.color};">
+                    <span class="alarm-priority" style="color: ${priority.color};">${labelOf('priority', a.spec.PRIORITY, priority.label)}</span>
+                    <span class="sensor-offset">${formatSimTime(a.activeSinceMs)}</span>
+                    <span>${this.describe(a)}</span>
+                    <span class="sensor-name">${state}</span>
+                    <span>
+                        ${a.acked ? '' : `<button class="btn-primary" data-action="ack" data-tag="${a.tag}">${t('alarm.ack')}</button>`}
+                        <button class="btn-primary" data-action="shelve" data-tag="${a.tag}">${t('alarm.shelve', { hours: ALARM_SHELVE_HOURS })}</button>
+                    </span>
+                </div>`;
+        }).join('') || `<div class="sensor-offset">${t('alarm.none')}</div>`;
+    }
+}
+
+class JournalPanel {
+    constructor(container, journal) {
+        this.container = container;
+        this.journal = journal;
+        this.shown = null; // Last entry rendered
+        this.render();
+    }
+
+    render() {
+        this.shown = null;
+        this.container.innerHTML = `
+            <div class="alarm-header">
+                <span class="sensor-name" data-field="count">---</span>
+                <button class="btn-primary journal-export">${t('journal.export')}</button>
+            </div>
+            <div class="journal-scroll">
+                <table class="event-log">
+                    <thead><tr><th>${t('journal.run')}</th><th>${t('journal.time')}</th><th>${t('journal.type')}</th><th>${t('journal.event')}</th></tr></thead>
+                    <tbody></tbody>
+                </table>
+            </div>`;
+        this.container.querySelector('.journal-export').onclick = () => this.exportCsv();
+    }
+
+    exportCsv() {
+        downloadFile('diario-eventos.csv', this.journal.toCsv(), 'text/csv');
+    }
+
+    update() {
+        const entries = this.journal.entries;
+        const last = entries[entries.length - 1] || null;
+        if (last === this.shown) return;
+        this.shown = last;
+
+        this.container.querySelector('[data-field="count"]').innerText = t('journal.count', { count: entries.length });
+        this.container.querySelector('tbody').innerHTML = entries.slice(-JOURNAL_ROWS).reverse().map((e) => {
+            const color = e.type === 'alarm' && e.priority ? ALARM_PRIORITY_LABELS[e.priority].color : '';
+            return `
+                <tr${color ? ` style="color: ${color};"` : ''}>
+                    <td>${e.run}</td>
+                    <td>${formatSimTime(e.timeMs)}</td>
+                    <td>${labelOf('journalType', e.type, JOURNAL_TYPE_LABELS[e.type] || e.type)}</td>
+                    <td>${journalText(e)}</td>
+                </tr>`;
+        }).join('') || `<tr><td colspan="4">${t('journal.none')}</td></tr>`;
+    }
+}
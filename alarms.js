@@ -0,0 +1,317 @@
+/**
+ * Cristal Minas - Alarms & Event Journal
+ * Limit alarms with deadband, on-delay, priorities, acknowledge and shelve,
+ * plus a journal of everything that happened in simulated time (alarms,
+ * operator actions, start/stop/reset). Settings come from CONFIG.ALARMS.
+ */
+
+const ALARM_PRIORITIES = ['high', 'medium', 'low'];
+const JOURNAL_MAX_ENTRIES = 2000;
+
+/**
+ * Alarm tags: display name, unit, digits, and where the value comes from on the plant.
+ * Instrument tags alarm on what the operator sees (sensor readings, null = no signal).
+ */
+const ALARM_TAGS = {
+    PH: { name: 'pH do reator', unit: '', digits: 2, read: p => p.sensors.get('PH').reading },
+    RESIDUAL_F: { name: 'F dissolvido (ISE saída)', unit: 'mg/L', digits: 2, read: p => p.sensors.get('FLUORIDE_OUT').reading },
+    EFFLUENT_F: { name: 'F total no efluente', unit: 'mg/L', digits: 2, read: p => p.effluent.totalF },
+    FLUORIDE_IN: { name: 'F na entrada (ISE)', unit: 'mg/L', digits: 0, read: p => p.sensors.get('FLUORIDE_IN').reading },
+    FLOW: { name: 'Vazão de entrada', unit: 'm³/h', digits: 0, read: p => p.sensors.get('FLOW').reading },
+    TURBIDITY: { name: 'Turbidez do efluente', unit: 'NTU', digits: 1, read: p => p.sensors.get('TURBIDITY').reading },
+    BED_HEIGHT: { name: 'Altura do leito (maior skid)', unit: 'm', digits: 2, read: p => Math.max(...p.train.skids.map(s => s.hydro.bedHeight)) },
+    DOSING: { name: 'Bomba de CaCl2', unit: 'g/s', digits: 0, read: p => p.controller.output },
+    SILO_LEVEL: { name: 'Silo mais cheio', unit: '%', digits: 0, read: p => Math.max(...PRODUCT_GRADES.map(g => p.storage.siloLevel(g))) * 100 },
+    CACL2_LEVEL: { name: 'Tanque de CaCl2', unit: '%', digits: 0, read: p => p.reagent.level * 100 }
+};
+
+/**
+ * Portuguese templates of the journal messages, by the `key` of a { key, vars } message.
+ * The record (CSV export, training matches) is written from these; the dashboard redraws
+ * the entry from the same key and vars in its own language (see journalText in i18n.js).
+ */
+const JOURNAL_MESSAGES = {
+    restarted: 'Simulação reiniciada',
+    started: 'Sistema iniciado',
+    stopped: 'Sistema parado',
+    dispatch: 'Expedição: {tons} {grade} ({revenue})',
+    tripped: 'Parada: silos e caçamba cheios, alimentação interrompida, efluente em bypass',
+    tripCleared: 'Estoque liberado, alimentação retomada',
+    reagentOrder: 'Pedido de CaCl2: {tons} a {price}, entrega em {hours}',
+    reagentDelivery: 'Entrega de CaCl2: {tons} descarregadas',
+    reagentDeliveryReturned: 'Entrega de CaCl2: {tons} descarregadas ({returned} devolvidas, tanque cheio)',
+    reagentOut: 'Tanque de CaCl2 vazio: dosagem interrompida',
+    reagentRestored: 'Dosagem de CaCl2 restabelecida',
+    failure: 'Falha: {equipment}, reparo previsto em {hours} ({cost})',
+    repaired: 'Reparo concluído: {equipment}',
+    pmStart: 'Manutenção preventiva iniciada: trem parado por {hours}, efluente em bypass',
+    pmDone: 'Manutenção preventiva concluída ({cost})',
+    alarmHigh: '{tag} ALTO: {value} (limite {limit})',
+    alarmLow: '{tag} BAIXO: {value} (limite {limit})',
+    alarmBad: '{tag}: sem sinal',
+    alarmCleared: '{tag}: normalizado',
+    alarmAcked: '{tag}: reconhecido',
+    alarmShelved: '{tag}: suprimido por {hours}',
+    alarmUnshelved: '{tag}: fim da supressão',
+    alarmSetting: 'Alarme {tag}: {field} = {value}',
+    setting: '{field}: {value}',
+    equipmentSetting: '{equipment} {field} (h): {value}',
+    price: 'Preço {product}: {price}',
+    autoReorderOn: 'Reposição automática de CaCl2 ativada',
+    autoReorderOff: 'Reposição automática de CaCl2 desativada',
+    manualOrder: 'Pedido manual de CaCl2: {tons} a {price}',
+    failuresOn: 'Falhas de equipamento ativadas',
+    failuresOff: 'Falhas de equipamento desativadas',
+    pmEarly: 'Manutenção preventiva antecipada pelo operador: trem parado por {hours}',
+    sensorFault: '{sensor}: falha {fault}',
+    sensorRecalibrated: '{sensor}: recalibrado',
+    skidsSeries: 'Arranjo dos skids: série',
+    skidsParallel: 'Arranjo dos skids: paralelo',
+    splitWeight: 'Divisor de vazão: skid {id} com peso {weight}',
+    skidOnline: 'Skid {id} de volta à operação',
+    skidOffline: 'Skid {id} em manutenção',
+    dispatchOn: 'Expedição de caminhões retomada',
+    dispatchOff: 'Expedição de caminhões suspensa',
+    acidSlug: 'Golfada ácida da flotação simulada',
+    startDate: 'Início da operação: {date}',
+    seed: 'Semente aleatória: {seed} (ao reiniciar)',
+    fastForwardDay: 'Avanço rápido até o dia {value} ({date})',
+    fastForwardMonth: 'Avanço rápido até o mês {value} ({date})',
+    dosingAuto: 'Dosagem em AUTO',
+    dosingManual: 'Dosagem em MANUAL',
+    manualOutput: 'Saída manual da bomba: {output}',
+    tuning: 'Sintonia {key} = {value}',
+    profileResumed: 'Perfil do efluente retomado',
+    profileMode: 'Perfil do efluente: {mode}',
+    optimumApplied: 'Ponto ótimo aplicado: {flow} para o reator, correção {correction} (pH médio {ph}), excesso FF {ratio}',
+    scenarioLoaded: 'Cenário carregado ({name})',
+    exerciseStarted: 'Exercício iniciado: {name}',
+    exerciseFinished: 'Exercício concluído: {name}, nota {score}'
+};
+
+/**
+ * A message value as recorded: strings and numbers as they are, { value, unit?, digits? }
+ * quantities in model units (a null value is unset), { money } BRL amounts, { price } BRL per tonne,
+ * { date, withTime? } simulated times and { label: group, key, name } constant names
+ * (the Portuguese `name`; the group names its English labels).
+ */
+function journalValue(v) {
+    if (v === null || v === undefined) return '—';
+    if (typeof v !== 'object') return String(v);
+    if ('money' in v) return `R$ ${v.money.toFixed(0)}`;
+    if ('price' in v) return `R$ ${v.price.toFixed(0)}/t`;
+    if ('date' in v) return formatSimDate(v.date, v.withTime ?? true);
+    if ('label' in v) return v.name;
+    if (v.value === null) return '—';
+    const text = v.digits === undefined ? String(v.value) : v.value.toFixed(v.digits);
+    return v.unit ? `${text} ${v.unit}` : text;
+}
+
+function journalMessage({ key, vars = {} }) {
+    return JOURNAL_MESSAGES[key].replace(/\{(\w+)\}/g, (match, name) => journalValue(vars[name]));
+}
+
+/**
+ * Timestamped log in simulated time. Survives resets; `run` numbers each restart.
+ */
+class EventJournal {
+    constructor() {
+        this.entries = []; // [{ run, timeMs, type, priority, tag, message, text }]
+        this.run = 1;
+    }
+
+    /**
+     * type: 'alarm' | 'rtn' | 'ack' | 'shelve' | 'unshelve' | 'control' | 'system' | 'training'
+     * `message` is either free text (kept as written) or { key, vars } of JOURNAL_MESSAGES,
+     * stored as `text` next to its Portuguese rendering.
+     */
+    log(timeMs, type, message, { priority = null, tag = null } = {}) {
+        const text = typeof message === 'string' ? null : message;
+        const entry = { run: this.run, timeMs, type, priority, tag, message: text ? journalMessage(text) : message, text };
+        this.entries.push(entry);
+        if (this.entries.length > JOURNAL_MAX_ENTRIES) this.entries.shift();
+        return entry;
+    }
+
+    nextRun() {
+        this.run++;
+    }
+
+    /**
+     * Semicolon-separated export (opens directly in pt-BR spreadsheets).
+     */
+    toCsv() {
+        const quote = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
+        const rows = this.entries.map(e => [e.run, (e.timeMs / MS_PER_HOUR).toFixed(3), e.type, e.priority, e.tag, e.message].map(quote).join(';'));
+        return ['corrida;hora_sim;tipo;prioridade;tag;mensagem', ...rows].join('\n');
+    }
+}
+
+/**
+ * State of one tag. Limits are read from CONFIG.ALARMS[tag] on every update so edits apply live.
+ */
+class Alarm {
+    constructor(tag) {
+        this.tag = tag;
+        this.reset();
+    }
+
+    reset() {
+        this.condition = null;     // 'high' | 'low' | 'bad' while active
+        this.active = false;
+        this.acked = true;
+        this.value = null;
+        this.pending = null;       // Condition waiting out the on-delay
+        this.pendingSinceMs = 0;
+        this.activeSinceMs = 0;
+        this.shelvedUntilMs = 0;
+    }
+
+    get spec() {
+        return CONFIG.ALARMS[this.tag];
+    }
+
+    get meta() {
+        return ALARM_TAGS[this.tag];
+    }
+
+    /**
+     * Shown to the operator: active, or cleared but not yet acknowledged.
+     */
+    get annunciated() {
+        return this.active || !this.acked;
+    }
+
+    isShelved(simTimeMs) {
+        return simTimeMs < this.shelvedUntilMs;
+    }
+
+    /**
+     * Raw condition with the deadband applied against the currently active one.
+     */
+    evaluate(value) {
+        const spec = this.spec;
+        if (value === null) return 'bad';
+        const band = (cond) => (this.active && this.condition === cond ? spec.DEADBAND : 0);
+        if (spec.HIGH !== null && value > spec.HIGH - band('high')) return 'high';
+        if (spec.LOW !== null && value < spec.LOW + band('low')) return 'low';
+        return null;
+    }
+
+    /**
+     * The tag as a journal message value.
+     */
+    get label() {
+        return { label: 'alarmTag', key: this.tag, name: this.meta.name };
+    }
+
+    /**
+     * Journal message of the active condition.
+     */
+    describe() {
+        const { unit, digits } = this.meta;
+        if (this.condition === 'bad') return { key: 'alarmBad', vars: { tag: this.label } };
+        const limit = this.condition === 'high' ? this.spec.HIGH : this.spec.LOW;
+        return {
+            key: this.condition === 'high' ? 'alarmHigh' : 'alarmLow',
+            vars: { tag: this.label, value: { value: this.value, unit, digits }, limit: { value: limit, unit, digits } }
+        };
+    }
+}
+
+/**
+ * Evaluates every tag each step and writes transitions to the journal.
+ */
+class AlarmManager {
+    constructor(journal) {
+        this.journal = journal;
+        this.alarms = Object.keys(ALARM_TAGS).map(tag => new Alarm(tag));
+    }
+
+    reset() {
+        this.alarms.forEach(a => a.reset());
+    }
+
+    get(tag) {
+        return this.alarms.find(a => a.tag === tag);
+    }
+
+    update(plant, simTimeMs) {
+        this.alarms.forEach((alarm) => {
+            const spec = alarm.spec;
+            alarm.value = alarm.meta.read(plant);
+
+            if (alarm.shelvedUntilMs > 0 && !alarm.isShelved(simTimeMs)) {
+                alarm.shelvedUntilMs = 0;
+                this.journal.log(simTimeMs, 'unshelve', { key: 'alarmUnshelved', vars: { tag: alarm.label } }, { tag: alarm.tag });
+            }
+            if (!spec.ENABLED || alarm.isShelved(simTimeMs)) {
+                alarm.pending = null;
+                alarm.active = false;
+                alarm.acked = true;
+                return;
+            }
+
+            const condition = alarm.evaluate(alarm.value);
+            if (condition && !alarm.active) {
+                // On-delay: the condition must persist before it is annunciated
+                if (alarm.pending !== condition) {
+                    alarm.pending = condition;
+                    alarm.pendingSinceMs = simTimeMs;
+                }
+                if (simTimeMs - alarm.pendingSinceMs >= spec.DELAY_S * 1000) this.activate(alarm, condition, simTimeMs);
+            } else if (condition && condition !== alarm.condition) {
+                this.activate(alarm, condition, simTimeMs);
+            } else if (!condition) {
+                alarm.pending = null;
+                if (alarm.active) {
+                    alarm.active = false;
+                    this.journal.log(simTimeMs, 'rtn', { key: 'alarmCleared', vars: { tag: alarm.label } }, { priority: spec.PRIORITY, tag: alarm.tag });
+                }
+            }
+        });
+    }
+
+    activate(alarm, condition, simTimeMs) {
+        alarm.condition = condition;
+        alarm.active = true;
+        alarm.acked = false;
+        alarm.pending = null;
+        alarm.activeSinceMs = simTimeMs;
+        this.journal.log(simTimeMs, 'alarm', alarm.describe(), { priority: alarm.spec.PRIORITY, tag: alarm.tag });
+    }
+
+    acknowledge(tag, simTimeMs) {
+        const alarm = this.get(tag);
+        if (alarm.acked) return;
+        alarm.acked = true;
+        this.journal.log(simTimeMs, 'ack', { key: 'alarmAcked', vars: { tag: alarm.label } }, { priority: alarm.spec.PRIORITY, tag });
+    }
+
+    acknowledgeAll(simTimeMs) {
+        this.alarms.filter(a => !a.acked).forEach(a => this.acknowledge(a.tag, simTimeMs));
+    }
+
+    /**
+     * Suppresses a tag for `hours` of simulated time (e.g. a known bad instrument awaiting repair).
+     */
+    shelve(tag, hours, simTimeMs) {
+        const alarm = this.get(tag);
+        alarm.shelvedUntilMs = simTimeMs + hours * MS_PER_HOUR;
+        this.journal.log(simTimeMs, 'shelve', { key: 'alarmShelved', vars: { tag: alarm.label, hours: { value: hours, unit: 'h' } } }, { tag });
+    }
+
+    /**
+     * Annunciated alarms, highest priority first, then newest first.
+     */
+    list() {
+        return this.alarms
+            .filter(a => a.annunciated)
+            .sort((a, b) => ALARM_PRIORITIES.indexOf(a.spec.PRIORITY) - ALARM_PRIORITIES.indexOf(b.spec.PRIORITY)
+                || b.activeSinceMs - a.activeSinceMs);
+    }
+
+    countUnacked() {
+        return this.alarms.filter(a => !a.acked).length;
+    }
+}
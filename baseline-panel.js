@@ -0,0 +1,132 @@
+/**
+ * Cristal Minas - Lime Baseline Panel
+ * Side-by-side view of lime treatment and the RCLF on the same influent: reagent,
+ * sludge, dam volume and cost, with the sludge avoided and the dam life gained.
+ */
+
+const BASELINE_FIELDS = [
+    { key: 'COST_LIME', label: 'Cal hidratada', step: 50, unit: 'R$/t' },
+    { key: 'DREDGED_SHARE', label: 'Lodo dragado (%)', step: 5, percent: true },
+    { key: 'LANDFILL_COST_T', label: 'Aterro, lodo úmido', step: 10, unit: 'R$/t' },
+    { key: 'DAM_REMAINING_M3', label: 'Volume livre da barragem', step: 1000, unit: 'm³' }
+];
+const DAM_LIFE_DISPLAY_MAX = 100; // Years; beyond this the dam is not the limit
+
+/**
+ * Years as text, or "> 100 anos" / "sem assoreamento" when the dam does not bind.
+ */
+function formatDamLife(years) {
+    if (years === null) return t('baseline.noSilting');
+    return years > DAM_LIFE_DISPLAY_MAX ? t('baseline.beyond', { max: DAM_LIFE_DISPLAY_MAX }) : t('common.years', { value: formatNumber(years, 1) });
+}
+
+class BaselinePanel {
+    constructor(container, plant) {
+        this.container = container;
+        this.plant = plant;
+        this.render();
+    }
+
+    render() {
+        const row = (field, label) => `<tr><td>${label}</td><td data-lime="${field}">---</td><td data-rclf="${field}">---</td></tr>`;
+        this.container.innerHTML = `
+            <table class="event-log">
+                <thead><tr><th></th><th>${t('baseline.lime')}</th><th>${t('baseline.rclf')}</th></tr></thead>
+                <tbody>
+                    ${row('reagent', t('baseline.reagent'))}
+                    ${row('drySludge', t('baseline.drySludge'))}
+                    ${row('sludge', t('baseline.sludge'))}
+                    ${row('effluentF', t('baseline.effluentF'))}
+                    ${row('cost', t('baseline.cost'))}
+                    ${row('netCost', t('baseline.netCost'))}
+                    ${row('damLife', t('baseline.damLife'))}
+                </tbody>
+            </table>
+            <div class="bed-stats" style="margin-top: 0.5rem;">
+                <div class="bed-stat"><span class="sensor-name">${t('baseline.avoided')}</span><span class="sensor-reading" data-field="avoided">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('baseline.extension')}</span><span class="sensor-reading" data-field="extension">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('baseline.difference')}</span><span class="sensor-reading" data-field="difference">---</span></div>
+            </div>
+            <div class="sensor-name" style="margin-top: 0.5rem;">${t('baseline.chart')}</div>
+            <canvas class="baseline-chart" style="width: 100%; height: 110px;"></canvas>
+            <div class="tuning-grid" style="margin-top: 0.5rem;">${BASELINE_FIELDS.map(f => `
+                <label>${fieldLabel('baseline', f)}<input type="number" data-baseline="${f.key}" step="${inputValue(f.step, f.unit)}"></label>`).join('')}
+            </div>`;
+        this.chart = new LineChart(this.container.querySelector('.baseline-chart'));
+
+        // Parameters write straight into CONFIG.LIME, validated with the scenario ranges
+        this.container.querySelectorAll('[data-baseline]').forEach((el) => {
+            el.onchange = () => {
+                const field = BASELINE_FIELDS.find(f => f.key === el.dataset.baseline);
+                const value = field.percent ? parseFloat(el.value) / 100 : fromUnit(parseFloat(el.value), field.unit);
+                const error = checkField(`LIME.${field.key}`, value, SCENARIO_SCHEMA.config.LIME[field.key]);
+                el.style.borderColor = error ? 'var(--neon-red)' : '';
+                el.title = error || '';
+                if (!error) CONFIG.LIME[field.key] = value;
+            };
+        });
+        this.syncParams();
+    }
+
+    /**
+     * Reflects CONFIG.LIME in the parameter fields (after a scenario load).
+     */
+    syncParams() {
+        this.container.querySelectorAll('[data-baseline]').forEach((el) => {
+            const field = BASELINE_FIELDS.find(f => f.key === el.dataset.baseline);
+            if (document.activeElement !== el) el.value = field.percent ? +(CONFIG.LIME[field.key] * 100).toFixed(4) : inputValue(CONFIG.LIME[field.key], field.unit);
+        });
+    }
+
+    update() {
+        const c = this.plant.lime.compare(this.plant.chem, this.plant.effluent.totalF);
+        const cells = {
+            reagent: s => formatNumber(toUnit(s.reagentKg / 1000, 't'), 1),
+            drySludge: s => formatNumber(toUnit(s.drySludgeKg / 1000, 't'), 1),
+            sludge: s => formatNumber(toUnit(s.damM3, 'm³'), 1),
+            effluentF: s => formatNumber(s.effluentF, 1),
+            cost: s => formatMoneyShort(s.cost),
+            netCost: s => formatMoneyShort(s.netCost),
+            damLife: s => formatDamLife(s.damLifeYears)
+        };
+        Object.keys(cells).forEach((field) => {
+            this.container.querySelector(`[data-lime="${field}"]`).innerText = cells[field](c.lime);
+            this.container.querySelector(`[data-rclf="${field}"]`).innerText = cells[field](c.rclf);
+        });
+
+        const set = (field, text, color) => {
+            const el = this.container.querySelector(`[data-field="${field}"]`);
+            el.innerText = text;
+            el.style.color = color;
+        };
+        set('avoided', formatUnit(c.sludgeAvoidedM3, 'm³', 1), 'var(--neon-green)');
+        let extension = '---';
+        if (c.lime.damLifeYears !== null && c.rclf.damLifeYears === null) extension = t('baseline.stopsFilling');
+        else if (c.damLifeExtensionYears !== null) {
+            extension = c.damLifeExtensionYears > DAM_LIFE_DISPLAY_MAX
+                ? t('baseline.extensionBeyond', { max: DAM_LIFE_DISPLAY_MAX })
+                : t('baseline.extensionYears', { value: formatNumber(c.damLifeExtensionYears, 1) });
+        }
+        set('extension', extension, 'var(--neon-cyan)');
+        set('difference', formatMoneyShort(c.costDifference), c.costDifference >= 0 ? 'var(--neon-green)' : 'var(--neon-red)');
+    }
+
+    draw() {
+        const history = this.plant.lime.history;
+        if (history.length < 2) {
+            this.chart.draw({ series: [], xRange: [0, 1] });
+            return;
+        }
+        const points = (key, unit) => history.map(h => ({ x: h.day, y: toUnit(h[key], unit) }));
+        this.chart.draw({
+            series: [
+                { points: points('limeM3', 'm³'), color: '#ff9f1c', dashed: true },
+                { points: points('rclfM3', 'm³'), color: '#ff9f1c' },
+                { points: points('limeCost', 'R$'), color: '#00f2ff', axis: 'right', dashed: true },
+                { points: points('rclfCost', 'R$'), color: '#00f2ff', axis: 'right' }
+            ],
+            xRange: [history[0].day, history[history.length - 1].day],
+            xLabel: (d) => d.toFixed(0) + ' d'
+        });
+    }
+}
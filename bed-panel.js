@@ -0,0 +1,54 @@
+/**
+ * Cristal Minas - Crystal Bed Panel
+ * Particle size distribution of the fluidized bed and the rates that shape it:
+ * growth, fines nucleation and washout, and pellet harvest.
+ */
+
+const BED_STATS = [
+    { key: 'massKg', label: 'Massa do leito', format: v => formatUnit(v / 1000, 't', 2) },
+    { key: 'd50', label: 'd50 (massa)', format: v => formatNumber(v, 2) + ' mm' },
+    { key: 'growthRate', label: 'Crescimento', format: v => t('bed.mmPerDay', { value: formatNumber(v, 2) }) },
+    { key: 'supersaturation', label: 'Supersaturação S', format: v => formatNumber(v, 1) },
+    { key: 'finesFraction', label: 'Nucleação de finos', format: v => formatNumber(v * 100, 1) + '%' },
+    { key: 'cutSize', label: 'Corte de arraste', format: v => formatNumber(v, 2) + ' mm' },
+    { key: 'harvestRate', label: 'Colheita de pellets', format: v => t('bed.kgPerDay', { value: formatNumber(v) }) },
+    { key: 'washoutRate', label: 'Finos perdidos', format: v => t('bed.kgPerDay', { value: formatNumber(v) }) }
+];
+
+class BedPanel {
+    constructor(container, bed) {
+        this.container = container;
+        this.bed = bed;
+        this.render();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <canvas class="bed-psd" style="width: 100%; height: 110px;"></canvas>
+            <div class="bed-stats">${BED_STATS.map(s => `
+                <div class="bed-stat" data-stat="${s.key}">
+                    <span class="sensor-name">${labelOf('bed', s.key, s.label)}</span>
+                    <span class="sensor-reading">---</span>
+                </div>`).join('')}
+            </div>`;
+        this.chart = new BarChart(this.container.querySelector('.bed-psd'));
+    }
+
+    update() {
+        this.container.querySelectorAll('.bed-stat').forEach((row) => {
+            const stat = BED_STATS.find(s => s.key === row.dataset.stat);
+            row.querySelector('.sensor-reading').innerText = stat.format(this.bed[stat.key]);
+        });
+    }
+
+    /**
+     * Mass per size class (kg) with the washout cut size marked.
+     */
+    draw() {
+        this.chart.drawBars({
+            bars: this.bed.distribution().map(c => ({ x: c.size, y: c.kg })),
+            xLabel: (x) => x.toFixed(1) + ' mm',
+            marker: this.bed.cutSize
+        });
+    }
+}
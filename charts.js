@@ -0,0 +1,414 @@
+/**
+ * Cristal Minas - Canvas Charts
+ * Small dependency-free line charts in the dashboard's neon style.
+ */
+
+/**
+ * Multi-series line chart with an independent left and right Y axis.
+ */
+class LineChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.padding = { top: 8, right: 34, bottom: 16, left: 34 };
+    }
+
+    resize() {
+        const bounds = this.canvas.getBoundingClientRect();
+        if (this.canvas.width !== bounds.width || this.canvas.height !== bounds.height) {
+            this.canvas.width = bounds.width;
+            this.canvas.height = bounds.height;
+        }
+    }
+
+    /**
+     * series: [{ points: [{ x, y }], color, axis: 'left' | 'right', dashed }]
+     * xRange: [min, max]; xLabel formats tick values on the X axis.
+     */
+    draw({ series, xRange, xLabel = (x) => x.toFixed(0) }) {
+        this.resize();
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const pad = this.padding;
+        const plotW = width - pad.left - pad.right;
+        const plotH = height - pad.top - pad.bottom;
+        ctx.clearRect(0, 0, width, height);
+        if (plotW <= 0 || plotH <= 0) return;
+
+        const yRanges = { left: this.axisRange(series, 'left'), right: this.axisRange(series, 'right') };
+        const toX = (x) => pad.left + ((x - xRange[0]) / (xRange[1] - xRange[0] || 1)) * plotW;
+        const toY = (y, axis) => {
+            const [min, max] = yRanges[axis];
+            return pad.top + plotH - ((y - min) / (max - min || 1)) * plotH;
+        };
+
+        // Frame and tick labels
+        ctx.strokeStyle = 'rgba(0, 242, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(pad.left, pad.top, plotW, plotH);
+        ctx.font = '10px Rajdhani, sans-serif';
+        ctx.fillStyle = '#94a3b8';
+        ctx.textAlign = 'center';
+        ctx.fillText(xLabel(xRange[0]), pad.left, height - 3);
+        ctx.fillText(xLabel(xRange[1]), pad.left + plotW, height - 3);
+
+        ['left', 'right'].forEach((axis) => {
+            const owner = series.find(s => (s.axis || 'left') === axis);
+            if (!owner) return;
+            const [min, max] = yRanges[axis];
+            ctx.fillStyle = owner.color;
+            ctx.textAlign = axis === 'left' ? 'right' : 'left';
+            const x = axis === 'left' ? pad.left - 3 : pad.left + plotW + 3;
+            ctx.fillText(this.formatTick(max), x, pad.top + 8);
+            ctx.fillText(this.formatTick(min), x, pad.top + plotH);
+        });
+
+        // Series
+        series.forEach((s) => {
+            const axis = s.axis || 'left';
+            if (s.points.length < 2) return;
+            ctx.save();
+            ctx.strokeStyle = s.color;
+            ctx.lineWidth = 1.5;
+            if (s.dashed) ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            s.points.forEach((p, i) => {
+                const px = toX(p.x);
+                const py = toY(p.y, axis);
+                if (i === 0) ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+            });
+            ctx.stroke();
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Vertical line at `x`, e.g. the current simulated time.
+     */
+    drawMarker(x, xRange, color = 'rgba(255, 255, 255, 0.3)') {
+        const pad = this.padding;
+        const plotW = this.canvas.width - pad.left - pad.right;
+        const px = pad.left + ((x - xRange[0]) / (xRange[1] - xRange[0] || 1)) * plotW;
+        this.ctx.strokeStyle = color;
+        this.ctx.beginPath();
+        this.ctx.moveTo(px, pad.top);
+        this.ctx.lineTo(px, this.canvas.height - pad.bottom);
+        this.ctx.stroke();
+    }
+
+    axisRange(series, axis) {
+        let min = 0;
+        let max = -Infinity;
+        series.filter(s => (s.axis || 'left') === axis).forEach(s => s.points.forEach((p) => {
+            min = Math.min(min, p.y);
+            max = Math.max(max, p.y);
+        }));
+        if (max === -Infinity) return [0, 1];
+        return [min, max === min ? min + 1 : max * 1.1];
+    }
+
+    formatTick(v) {
+        if (Math.abs(v) >= 1e6) return (v / 1e6).toFixed(1) + 'M';
+        if (Math.abs(v) >= 1000) return (v / 1000).toFixed(1) + 'k';
+        return v.toFixed(Math.abs(v) < 10 ? 1 : 0);
+    }
+}
+
+/**
+ * Single-series bar chart, e.g. a particle size distribution.
+ */
+class BarChart extends LineChart {
+    /**
+     * bars: [{ x, y }] in ascending x; marker: optional x of a reference line (e.g. a cut size).
+     */
+    drawBars({ bars, color = '#00f2ff', xLabel = (x) => x.toFixed(1), marker = null }) {
+        this.resize();
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const pad = this.padding;
+        const plotW = width - pad.left - pad.right;
+        const plotH = height - pad.top - pad.bottom;
+        ctx.clearRect(0, 0, width, height);
+        if (plotW <= 0 || plotH <= 0 || bars.length === 0) return;
+
+        const [, max] = this.axisRange([{ points: bars }], 'left');
+        const barW = plotW / bars.length;
+        const step = bars.length > 1 ? bars[1].x - bars[0].x : 1;
+        const xRange = [bars[0].x - step / 2, bars[bars.length - 1].x + step / 2];
+
+        ctx.strokeStyle = 'rgba(0, 242, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(pad.left, pad.top, plotW, plotH);
+        ctx.fillStyle = color;
+        bars.forEach((b, i) => {
+            const h = (b.y / max) * plotH;
+            ctx.fillRect(pad.left + i * barW + 1, pad.top + plotH - h, Math.max(1, barW - 2), h);
+        });
+
+        ctx.font = '10px Rajdhani, sans-serif';
+        ctx.fillStyle = '#94a3b8';
+        ctx.textAlign = 'center';
+        ctx.fillText(xLabel(xRange[0]), pad.left, height - 3);
+        ctx.fillText(xLabel(xRange[1]), pad.left + plotW, height - 3);
+        ctx.textAlign = 'right';
+        ctx.fillStyle = color;
+        ctx.fillText(this.formatTick(max), pad.left - 3, pad.top + 8);
+
+        if (marker !== null) this.drawMarker(marker, xRange, '#ff9f1c');
+    }
+}
+
+/**
+ * Horizontal sensitivity bars around a base value, widest swing on top.
+ */
+class TornadoChart extends LineChart {
+    /**
+     * bars: [{ label, low, high }] (output at the input's low and high value); base: output of the base case.
+     */
+    drawTornado({ bars, base, lowColor = '#ff4d4d', highColor = '#39ff14', format = (v) => this.formatTick(v) }) {
+        this.resize();
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const pad = { top: 4, right: 10, bottom: 16, left: 110 };
+        const plotW = width - pad.left - pad.right;
+        const plotH = height - pad.top - pad.bottom;
+        ctx.clearRect(0, 0, width, height);
+        if (plotW <= 0 || plotH <= 0 || bars.length === 0) return;
+
+        let min = base;
+        let max = base;
+        bars.forEach((b) => {
+            min = Math.min(min, b.low, b.high);
+            max = Math.max(max, b.low, b.high);
+        });
+        const toX = (v) => pad.left + ((v - min) / (max - min || 1)) * plotW;
+        const rowH = plotH / bars.length;
+
+        ctx.font = '10px Rajdhani, sans-serif';
+        bars.forEach((b, i) => {
+            const y = pad.top + i * rowH + rowH * 0.15;
+            const h = rowH * 0.7;
+            ctx.fillStyle = lowColor;
+            ctx.fillRect(Math.min(toX(base), toX(b.low)), y, Math.abs(toX(b.low) - toX(base)), h);
+            ctx.fillStyle = highColor;
+            ctx.fillRect(Math.min(toX(base), toX(b.high)), y, Math.abs(toX(b.high) - toX(base)), h);
+            ctx.fillStyle = '#94a3b8';
+            ctx.textAlign = 'right';
+            ctx.fillText(b.label, pad.left - 4, y + h / 2 + 3);
+        });
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.beginPath();
+        ctx.moveTo(toX(base), pad.top);
+        ctx.lineTo(toX(base), pad.top + plotH);
+        ctx.stroke();
+        ctx.fillStyle = '#94a3b8';
+        ctx.textAlign = 'center';
+        ctx.fillText(format(min), pad.left, height - 3);
+        ctx.fillText(format(max), pad.left + plotW, height - 3);
+    }
+}
+
+/**
+ * Zoomable line chart with one Y axis per unit, alternating left and right.
+ * Wheel zooms the X axis around the cursor, dragging pans, double-click shows everything again.
+ */
+class TrendChart extends LineChart {
+    constructor(canvas) {
+        super(canvas);
+        this.view = null;          // [xMin, xMax] while zoomed, null = follow the full range
+        this.fullRange = [0, 1];
+        this.onViewChange = () => {};
+        this.bindZoom();
+    }
+
+    bindZoom() {
+        const canvas = this.canvas;
+        const plotX = (e) => {
+            const bounds = canvas.getBoundingClientRect();
+            const pad = this.padding;
+            const plotW = bounds.width - pad.left - pad.right;
+            return Math.min(1, Math.max(0, (e.clientX - bounds.left - pad.left) / (plotW || 1)));
+        };
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const [min, max] = this.view || this.fullRange;
+            const at = min + plotX(e) * (max - min);
+            const factor = e.deltaY < 0 ? 0.8 : 1.25;
+            this.setView([at - (at - min) * factor, at + (max - at) * factor]);
+        });
+        let drag = null;
+        canvas.addEventListener('mousedown', (e) => {
+            drag = { x: plotX(e), view: this.view || this.fullRange };
+        });
+        window.addEventListener('mouseup', () => { drag = null; });
+        canvas.addEventListener('mousemove', (e) => {
+            if (!drag) return;
+            const [min, max] = drag.view;
+            const shift = (drag.x - plotX(e)) * (max - min);
+            this.setView([min + shift, max + shift]);
+        });
+        canvas.addEventListener('dblclick', () => this.setView(null));
+    }
+
+    /**
+     * Clamps a view to the data; a view covering all of it goes back to following the full range.
+     */
+    setView(view) {
+        const [lo, hi] = this.fullRange;
+        if (view) {
+            const span = Math.min(hi - lo, Math.max(view[1] - view[0], (hi - lo) / 1000));
+            const min = Math.min(hi - span, Math.max(lo, view[0]));
+            view = span >= hi - lo ? null : [min, min + span];
+        }
+        this.view = view;
+        this.onViewChange(view);
+    }
+
+    /**
+     * series: [{ points: [{ x, y }], color, unit, dashed }]; series sharing a unit share an axis.
+     * xRange is the full data range; the chart shows its zoomed part of it.
+     */
+    draw({ series, xRange, xLabel = (x) => x.toFixed(1) }) {
+        this.fullRange = xRange;
+        if (this.view && (this.view[0] < xRange[0] || this.view[1] > xRange[1])) this.setView(this.view);
+        const [x0, x1] = this.view || xRange;
+        const units = [...new Set(series.map(s => s.unit))];
+        const sides = { left: units.filter((u, i) => i % 2 === 0), right: units.filter((u, i) => i % 2 === 1) };
+        this.padding = { top: 8, right: 10 + 34 * sides.right.length, bottom: 16, left: 10 + 34 * Math.max(1, sides.left.length) };
+
+        this.resize();
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const pad = this.padding;
+        const plotW = width - pad.left - pad.right;
+        const plotH = height - pad.top - pad.bottom;
+        ctx.clearRect(0, 0, width, height);
+        if (plotW <= 0 || plotH <= 0) return;
+
+        const visible = series.map(s => ({ ...s, points: s.points.filter(p => p.x >= x0 && p.x <= x1) }));
+        const ranges = {};
+        units.forEach((unit) => {
+            ranges[unit] = this.unitRange(visible.filter(s => s.unit === unit));
+        });
+        const toX = (x) => pad.left + ((x - x0) / (x1 - x0 || 1)) * plotW;
+        const toY = (y, unit) => {
+            const [min, max] = ranges[unit];
+            return pad.top + plotH - ((y - min) / (max - min || 1)) * plotH;
+        };
+
+        ctx.strokeStyle = 'rgba(0, 242, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(pad.left, pad.top, plotW, plotH);
+        ctx.font = '10px Rajdhani, sans-serif';
+        ctx.fillStyle = '#94a3b8';
+        ctx.textAlign = 'center';
+        ctx.fillText(xLabel(x0), pad.left, height - 3);
+        ctx.fillText(xLabel(x1), pad.left + plotW, height - 3);
+
+        // One axis per unit, coloured like its first series, stacked outwards from the plot
+        ['left', 'right'].forEach((side) => {
+            sides[side].forEach((unit, i) => {
+                const owner = series.find(s => s.unit === unit);
+                const [min, max] = ranges[unit];
+                const x = side === 'left' ? pad.left - 3 - i * 34 : pad.left + plotW + 3 + i * 34;
+                ctx.fillStyle = owner.color;
+                ctx.textAlign = side === 'left' ? 'right' : 'left';
+                ctx.fillText(this.formatTick(max), x, pad.top + 8);
+                ctx.fillText(unit, x, pad.top + plotH / 2);
+                ctx.fillText(this.formatTick(min), x, pad.top + plotH);
+            });
+        });
+
+        visible.forEach((s) => {
+            if (s.points.length < 2) return;
+            ctx.save();
+            ctx.strokeStyle = s.color;
+            ctx.lineWidth = 1.5;
+            if (s.dashed) ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            s.points.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(toX(p.x), toY(p.y, s.unit));
+                else ctx.lineTo(toX(p.x), toY(p.y, s.unit));
+            });
+            ctx.stroke();
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Y range of the visible points of one unit, with headroom; negative values (cash) are kept.
+     */
+    unitRange(series) {
+        let min = Infinity;
+        let max = -Infinity;
+        series.forEach(s => s.points.forEach((p) => {
+            min = Math.min(min, p.y);
+            max = Math.max(max, p.y);
+        }));
+        if (max === -Infinity) return [0, 1];
+        min = Math.min(0, min);
+        const span = max - min || Math.abs(max) || 1;
+        return [min < 0 ? min - span * 0.05 : min, max + span * 0.1];
+    }
+}
+
+/**
+ * Points on two free axes, with an optional line through some of them (e.g. a Pareto front).
+ */
+class ScatterChart extends LineChart {
+    /**
+     * points: [{ x, y, color, size }]; line: [{ x, y }] drawn in `lineColor` under the points.
+     */
+    drawScatter({ points, line = [], lineColor = '#39ff14', xLabel = (x) => this.formatTick(x) }) {
+        this.resize();
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const pad = this.padding;
+        const plotW = width - pad.left - pad.right;
+        const plotH = height - pad.top - pad.bottom;
+        ctx.clearRect(0, 0, width, height);
+        if (plotW <= 0 || plotH <= 0 || points.length === 0) return;
+
+        const range = (values) => {
+            const min = Math.min(...values);
+            const max = Math.max(...values);
+            const margin = (max - min) * 0.05 || Math.abs(max) * 0.05 || 1;
+            return [min - margin, max + margin];
+        };
+        const [x0, x1] = range(points.map(p => p.x));
+        const [y0, y1] = range(points.map(p => p.y));
+        const toX = (x) => pad.left + ((x - x0) / (x1 - x0)) * plotW;
+        const toY = (y) => pad.top + plotH - ((y - y0) / (y1 - y0)) * plotH;
+
+        ctx.strokeStyle = 'rgba(0, 242, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(pad.left, pad.top, plotW, plotH);
+        ctx.font = '10px Rajdhani, sans-serif';
+        ctx.fillStyle = '#94a3b8';
+        ctx.textAlign = 'center';
+        ctx.fillText(xLabel(x0), pad.left, height - 3);
+        ctx.fillText(xLabel(x1), pad.left + plotW, height - 3);
+        ctx.textAlign = 'right';
+        ctx.fillText(this.formatTick(y1), pad.left - 3, pad.top + 8);
+        ctx.fillText(this.formatTick(y0), pad.left - 3, pad.top + plotH);
+
+        if (line.length > 1) {
+            ctx.strokeStyle = lineColor;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            line.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(toX(p.x), toY(p.y));
+                else ctx.lineTo(toX(p.x), toY(p.y));
+            });
+            ctx.stroke();
+        }
+        points.forEach((p) => {
+            ctx.fillStyle = p.color;
+            ctx.beginPath();
+            ctx.arc(toX(p.x), toY(p.y), p.size || 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+}
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Cristal Minas - Headless Check (Node)
+ * Runs the engine twice on the same seed and fails unless both runs agree exactly, then
+ * compares a few economic figures of that run with the values pinned below. Re-pin them,
+ * with the reason in the commit, when a change is meant to move the plant's economics.
+ *
+ * Usage: node check-headless.js
+ */
+const assert = require('assert');
+const { loadEngine } = require('./run-headless.js');
+
+const SEED = 42;
+const DAYS = 30;
+
+// Default CONFIG, 450 m³/h at 50 mg/L, no pH correction
+const PINNED = {
+    revenue: 151800,              // BRL, pellets shipped
+    cacl2Tons: 64.4505,           // t CaCl2 dosed
+    variableCost: 71545.06,       // BRL, the CaCl2 bill (no correction reagent) plus repairs
+    percentInSpec: 100            // % of the time the discharge met the fluoride limit
+};
+const TOLERANCE = 1e-4; // Relative, for floating-point differences between Node versions
+
+/**
+ * One run in a fresh engine context, so nothing carries over from the other. The result goes
+ * through JSON: objects built in another vm context fail deepStrictEqual on their prototype.
+ */
+function run() {
+    const { HeadlessRunner } = loadEngine();
+    return JSON.parse(JSON.stringify(new HeadlessRunner({ seed: SEED }).runDays(DAYS)));
+}
+
+function assertClose(name, actual, expected) {
+    const error = Math.abs(actual - expected) / Math.max(Math.abs(expected), 1);
+    assert.ok(error <= TOLERANCE, `${name}: expected ${expected}, got ${actual}`);
+}
+
+if (require.main === module) {
+    const first = run();
+    const second = run();
+    assert.deepStrictEqual(second.totals, first.totals, 'Two runs on the same seed gave different totals');
+    assert.deepStrictEqual(second.phTrace, first.phTrace, 'Two runs on the same seed gave different pH traces');
+
+    assert.strictEqual(first.totals.correctionUsed, 0);
+    assertClose('revenue', first.totals.revenue, PINNED.revenue);
+    assertClose('cacl2Tons', first.totals.cacl2Used / 1e6, PINNED.cacl2Tons);
+    assertClose('variableCost', first.totals.variableCost, PINNED.variableCost);
+    assertClose('percentInSpec', first.effluent.percentInSpec, PINNED.percentInSpec);
+    console.log(`OK: seed ${SEED}, ${DAYS} days, deterministic and on the pinned economics`);
+}
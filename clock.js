@@ -0,0 +1,68 @@
+/**
+ * Cristal Minas - Simulation Clock
+ * Fixed-step time base shared by the browser loop and the headless runner: the process
+ * always integrates in steps of CONFIG.CLOCK.STEP_MS, whatever the monitor refresh rate,
+ * and simulated time maps onto a calendar starting at CONFIG.CLOCK.START_DATE.
+ * DOM-free: loaded by simulator.html, montecarlo-worker.js and run-headless.js.
+ */
+
+/**
+ * Hands out steps of a fixed length. Headless runs `tick()` once per step; the browser
+ * feeds real frame times to `advance()` and runs as many steps as have come due.
+ */
+class FixedStepClock {
+    constructor(stepMs) {
+        this.stepMs = stepMs;
+        this.timeMs = 0;
+        this.pendingMs = 0; // Real time (scaled by speed) not yet covered by a whole step
+    }
+
+    reset() {
+        this.timeMs = 0;
+        this.pendingMs = 0;
+    }
+
+    now() {
+        return this.timeMs;
+    }
+
+    tick() {
+        this.timeMs += this.stepMs;
+        return this.stepMs;
+    }
+
+    /**
+     * Number of steps due after a real frame of `frameMs` at `speed`. The remainder carries
+     * to the next frame, so 0.1x still advances; gaps beyond CONFIG.CLOCK.MAX_FRAME_MS are clamped.
+     */
+    advance(frameMs, speed) {
+        this.pendingMs += this.clampFrame(frameMs) * speed;
+        const steps = Math.floor(this.pendingMs / this.stepMs);
+        this.pendingMs -= steps * this.stepMs;
+        return steps;
+    }
+
+    /**
+     * A frame gap as the simulation sees it: never negative, never longer than MAX_FRAME_MS.
+     */
+    clampFrame(frameMs) {
+        return Math.max(0, Math.min(CONFIG.CLOCK.MAX_FRAME_MS, frameMs));
+    }
+}
+
+/**
+ * Calendar date (UTC) reached after `simTimeMs` of simulated operation.
+ */
+function simDate(simTimeMs) {
+    return new Date(Date.parse(`${CONFIG.CLOCK.START_DATE}T00:00:00Z`) + simTimeMs);
+}
+
+/**
+ * "dd/mm/aaaa hh:mm" of a simulated time; `withTime: false` drops the hour.
+ */
+function formatSimDate(simTimeMs, withTime = true) {
+    const d = simDate(simTimeMs);
+    const pad = n => String(n).padStart(2, '0');
+    const day = `${pad(d.getUTCDate())}/${pad(d.getUTCMonth() + 1)}/${d.getUTCFullYear()}`;
+    return withTime ? `${day} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}` : day;
+}
@@ -0,0 +1,95 @@
+/**
+ * Cristal Minas - Effluent Compliance Panel
+ * Discharged fluoride against the CONAMA 430 limit, time in spec and the
+ * exceedance log (most recent first).
+ */
+
+const COMPLIANCE_STATUS = {
+    ok: { label: 'CONFORME', color: 'var(--neon-green)' },
+    warning: { label: 'ALERTA', color: 'var(--neon-orange)' },
+    exceeded: { label: 'FORA DO LIMITE', color: 'var(--neon-red)' }
+};
+const COMPLIANCE_LOG_ROWS = 8;
+
+class CompliancePanel {
+    constructor(container, effluent) {
+        this.container = container;
+        this.effluent = effluent;
+        this.render();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="bed-stats">
+                <div class="bed-stat"><span class="sensor-name">${t('compliance.totalF')}</span><span class="sensor-reading" data-field="totalF">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('common.status')}</span><span class="sensor-reading" data-field="status">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('compliance.dissolvedF')}</span><span class="sensor-reading" data-field="dissolvedF">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('compliance.finesF')}</span><span class="sensor-reading" data-field="finesF">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('compliance.inSpec')}</span><span class="sensor-reading" data-field="inSpec">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('compliance.outSpec')}</span><span class="sensor-reading" data-field="outSpec">---</span></div>
+            </div>
+            <div class="tuning-grid" style="margin-top: 0.5rem;">
+                <label>${t('compliance.limit')}<input type="number" data-effluent="LIMIT_F" step="0.5"></label>
+                <label>${t('compliance.warning')}<input type="number" data-effluent="WARNING_F" step="0.5"></label>
+            </div>
+            <table class="event-log">
+                <thead><tr><th>${t('compliance.start')}</th><th>${t('compliance.duration')}</th><th>${t('compliance.peak')}</th></tr></thead>
+                <tbody></tbody>
+            </table>`;
+
+        // Limits write straight into CONFIG.EFFLUENT, validated with the scenario ranges
+        this.container.querySelectorAll('[data-effluent]').forEach((el) => {
+            el.onchange = () => {
+                const key = el.dataset.effluent;
+                const value = parseFloat(el.value);
+                const error = checkField(`EFFLUENT.${key}`, value, SCENARIO_SCHEMA.config.EFFLUENT[key]);
+                el.style.borderColor = error ? 'var(--neon-red)' : '';
+                el.title = error || '';
+                if (!error) CONFIG.EFFLUENT[key] = value;
+            };
+        });
+        this.syncLimits();
+    }
+
+    /**
+     * Reflects CONFIG.EFFLUENT in the limit fields (after a scenario load).
+     */
+    syncLimits() {
+        this.container.querySelectorAll('[data-effluent]').forEach((el) => {
+            if (document.activeElement !== el) el.value = CONFIG.EFFLUENT[el.dataset.effluent];
+        });
+    }
+
+    update() {
+        const e = this.effluent;
+        const set = (field, text, color) => {
+            const el = this.container.querySelector(`[data-field="${field}"]`);
+            el.innerText = text;
+            if (color) el.style.color = color;
+        };
+        const status = COMPLIANCE_STATUS[e.status];
+        set('totalF', `${formatNumber(e.totalF, 2)} / ${formatNumber(e.limit, 1)} mg/L`, status.color);
+        set('status', labelOf('compliance', e.status, status.label), status.color);
+        set('dissolvedF', formatNumber(e.dissolvedF, 2) + ' mg/L');
+        set('finesF', formatNumber(e.finesF, 2) + ' mg/L');
+        set('inSpec', formatNumber(e.percentInSpec, 1) + '%');
+        set('outSpec', `${formatNumber(e.exceedanceMs / MS_PER_HOUR, 1)} h / ${e.events.length}`);
+
+        this.container.querySelector('.event-log tbody').innerHTML = e.events.slice(-COMPLIANCE_LOG_ROWS).reverse().map(ev => `
+            <tr${ev.endMs === null ? ' class="open"' : ''}>
+                <td>${formatSimTime(ev.startMs)}</td>
+                <td>${formatNumber(ev.durationMs / MS_PER_HOUR, 1)} h${ev.endMs === null ? t('compliance.ongoing') : ''}</td>
+                <td>${formatNumber(ev.peakF, 1)} mg/L</td>
+            </tr>`).join('') || `<tr><td colspan="3">${t('compliance.none')}</td></tr>`;
+    }
+}
+
+/**
+ * Simulated time as "Xd HHh MMmin".
+ */
+function formatSimTime(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    return `${days}d ${String(hours).padStart(2, '0')}h ${String(minutes % 60).padStart(2, '0')}min`;
+}
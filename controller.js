@@ -0,0 +1,141 @@
+/**
+ * Cristal Minas - CaCl2 Dosing Controller
+ * PID on reactor residual fluoride with optional feed-forward from measured
+ * flow × ppm, pump saturation, rate limiting, anti-windup and bumpless
+ * manual/auto transfer. Time is simulated time.
+ */
+
+const CONTROL_MODES = ['auto', 'manual'];
+
+class DosingController {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.integral = 0;
+        this.prevMeasurement = null;
+        this.output = 0;
+        this.terms = { feedForward: 0, p: 0, i: 0, d: 0 };
+        this.saturated = false;
+        this.badInput = false;  // A required measurement has no signal
+        this.elapsedSeconds = 0;
+        this.metrics = { overshoot: 0, settlingMinutes: null, episodeStart: null, settledSince: null, peak: 0 };
+    }
+
+    get mode() {
+        return CONFIG.CONTROL.MODE;
+    }
+
+    /**
+     * Stoichiometric CaCl2 demand (g/s) from measured flow (m³/h) and fluoride (mg/L).
+     */
+    feedForward(measurement) {
+        const cfg = CONFIG.CONTROL;
+        if (!cfg.FEED_FORWARD) return 0;
+        const litresPerSecond = measurement.flowRate / 3.6;
+        return (litresPerSecond * measurement.ppmF * CONFIG.STOICHIOMETRY.F_TO_CACL2 * cfg.FF_RATIO) / 1000;
+    }
+
+    /**
+     * Switches mode without bumping the pump: on auto, the integral absorbs the current output.
+     */
+    setMode(mode, measurement) {
+        if (mode === this.mode) return;
+        if (mode === 'auto' && measurement && measurement.residualF !== null) {
+            const error = measurement.residualF - CONFIG.CONTROL.SETPOINT_F;
+            this.integral = this.output - this.feedForward(measurement) - CONFIG.CONTROL.KP * error;
+            this.prevMeasurement = measurement.residualF;
+        } else {
+            CONFIG.CONTROL.MANUAL_OUTPUT = this.output;
+        }
+        CONFIG.CONTROL.MODE = mode;
+    }
+
+    /**
+     * Applies pump limits to a requested output. Returns the achievable value.
+     */
+    limit(requested, dtSeconds) {
+        const cfg = CONFIG.CONTROL;
+        const maxStep = cfg.RATE_LIMIT * (dtSeconds / 60);
+        const rateLimited = Math.min(this.output + maxStep, Math.max(this.output - maxStep, requested));
+        return Math.min(cfg.PUMP_MAX, Math.max(cfg.PUMP_MIN, rateLimited));
+    }
+
+    /**
+     * measurement: { flowRate, ppmF, residualF } as seen by the instruments (null = no signal).
+     * Returns the CaCl2 pump command in g/s.
+     */
+    update(measurement, dtSeconds) {
+        if (dtSeconds <= 0) return this.output;
+        const cfg = CONFIG.CONTROL;
+        const dtHours = dtSeconds / 3600;
+        this.elapsedSeconds += dtSeconds;
+
+        // Bad input: hold the last output rather than act on a missing signal
+        const needed = cfg.FEED_FORWARD ? ['residualF', 'flowRate', 'ppmF'] : ['residualF'];
+        this.badInput = this.mode === 'auto' && needed.some(k => measurement[k] === null);
+        if (this.badInput) return this.output;
+
+        if (this.mode === 'manual') {
+            this.output = this.limit(cfg.MANUAL_OUTPUT, dtSeconds);
+            this.saturated = this.output !== cfg.MANUAL_OUTPUT;
+            this.terms = { feedForward: 0, p: 0, i: 0, d: 0 };
+            if (measurement.residualF !== null) this.trackPerformance(measurement.residualF);
+            return this.output;
+        }
+
+        // Direct acting: fluoride above setpoint calls for more calcium
+        const error = measurement.residualF - cfg.SETPOINT_F;
+        const feedForward = this.feedForward(measurement);
+        const p = cfg.KP * error;
+        const candidateIntegral = this.integral + cfg.KI * error * dtHours;
+        // Derivative on measurement avoids a kick when the setpoint is edited
+        const d = this.prevMeasurement === null ? 0 : cfg.KD * (measurement.residualF - this.prevMeasurement) / dtHours;
+        this.prevMeasurement = measurement.residualF;
+
+        const requested = feedForward + p + candidateIntegral + d;
+        const achieved = this.limit(requested, dtSeconds);
+        this.saturated = Math.abs(achieved - requested) > 1e-9;
+
+        // Anti-windup: only integrate when it does not push further into the limit
+        const pushingHigh = requested > achieved && error > 0;
+        const pushingLow = requested < achieved && error < 0;
+        if (!(this.saturated && (pushingHigh || pushingLow))) {
+            this.integral = candidateIntegral;
+        }
+
+        this.output = achieved;
+        this.terms = { feedForward, p, i: this.integral, d };
+        this.trackPerformance(measurement.residualF);
+        return this.output;
+    }
+
+    /**
+     * Overshoot and settling time of the latest excursion outside the settling band.
+     */
+    trackPerformance(residualF) {
+        const cfg = CONFIG.CONTROL;
+        const m = this.metrics;
+        const deviation = residualF - cfg.SETPOINT_F;
+        const band = cfg.SETTLING_BAND * Math.max(cfg.SETPOINT_F, 1e-6);
+
+        if (Math.abs(deviation) > band) {
+            if (m.episodeStart === null) {
+                m.episodeStart = this.elapsedSeconds;
+                m.peak = 0;
+            }
+            m.peak = Math.max(m.peak, Math.abs(deviation));
+            m.settledSince = null;
+            return;
+        }
+
+        if (m.episodeStart === null) return;
+        if (m.settledSince === null) m.settledSince = this.elapsedSeconds;
+        if (this.elapsedSeconds - m.settledSince >= cfg.SETTLING_HOLD_MINUTES * 60) {
+            m.overshoot = (m.peak / Math.max(cfg.SETPOINT_F, 1e-6)) * 100;
+            m.settlingMinutes = (m.settledSince - m.episodeStart) / 60;
+            m.episodeStart = null;
+        }
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * Cristal Minas - Crystal Bed Model
+ * Population balance of the fluidized bed by the method of characteristics:
+ * the bed is a list of cohorts (particles born together that grow together).
+ * Precipitated CaF2 either grows existing pellets or nucleates fines; pellets
+ * that reach the harvest size settle out, fines lighter than the upflow wash out
+ * (settling velocities come from hydrodynamics.js).
+ */
+
+/**
+ * Mass (kg) of one CaF2 sphere of diameter `sizeMm`.
+ */
+function pelletMass(sizeMm) {
+    const d = sizeMm / 1000;
+    return CONFIG.CRYSTAL.DENSITY * (Math.PI / 6) * d * d * d;
+}
+
+/**
+ * CaF2 supersaturation ratio S = (IAP / Ksp)^(1/3) of the feed after CaCl2 dosing.
+ */
+function caf2Supersaturation(cacl2MgL, freeFluorideMgL) {
+    const ca = cacl2MgL / MOLAR_MASS_CACL2;
+    const f = freeFluorideMgL / 19000;
+    return Math.cbrt((ca * f * f) / CONFIG.CRYSTAL.KSP);
+}
+
+class CrystalBed {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.cohorts = []; // [{ count, size, core, nucleus }]
+        this.growthRate = 0;      // mm/day
+        this.supersaturation = 1;
+        this.finesFraction = 0;
+        this.cutSize = 0;
+        this.cutKey = null;       // Inputs the cached cut size was computed for
+        this.harvestRate = 0;     // kg/day of net product
+        this.washoutRate = 0;     // kg/day of CaF2 fines lost
+        this.seedMassFed = 0;     // kg
+        if (CONFIG.CRYSTAL.INITIAL_BED_KG > 0) this.loadMatureBed(CONFIG.CRYSTAL.INITIAL_BED_KG);
+    }
+
+    /**
+     * Start-up bed with a uniform number density from seed to harvest size (steady-state shape).
+     */
+    loadMatureBed(totalKg) {
+        const cfg = CONFIG.CRYSTAL;
+        const classes = 40;
+        const step = (cfg.HARVEST_SIZE_MM - cfg.SEED_SIZE_MM) / classes;
+        let massPerParticleSet = 0;
+        for (let i = 0; i < classes; i++) massPerParticleSet += pelletMass(cfg.SEED_SIZE_MM + (i + 0.5) * step);
+        const countPerClass = totalKg / massPerParticleSet;
+        for (let i = 0; i < classes; i++) {
+            this.cohorts.push({ count: countPerClass, size: cfg.SEED_SIZE_MM + (i + 0.5) * step, core: cfg.SEED_SIZE_MM, nucleus: false });
+        }
+    }
+
+    /**
+     * Adds particles, merging into the newest cohort of the same kind while sizes are close.
+     */
+    addParticles(count, size, nucleus) {
+        if (count <= 0) return;
+        const last = [...this.cohorts].reverse().find(c => c.nucleus === nucleus);
+        if (last && Math.abs(last.size - size) < CONFIG.CRYSTAL.MERGE_TOLERANCE_MM) {
+            last.size = (last.size * last.count + size * count) / (last.count + count);
+            last.count += count;
+            return;
+        }
+        this.cohorts.push({ count, size, core: nucleus ? 0 : size, nucleus });
+    }
+
+    /**
+     * CaF2 mass (kg) deposited if every particle grows by `deltaMm`.
+     */
+    depositedMass(deltaMm) {
+        return this.cohorts.reduce((sum, c) => sum + c.count * (pelletMass(c.size + deltaMm) - pelletMass(c.size)), 0);
+    }
+
+    /**
+     * Size increment (mm) that deposits exactly `kg` on the bed, by Newton's method.
+     * depositedMass is convex and increasing, so after the first step the iterates fall monotonically.
+     */
+    growthFor(kg) {
+        if (kg <= 0 || this.cohorts.length === 0) return 0;
+        const kgPerMm3 = pelletMass(1); // Sphere mass = kgPerMm3 · d³, d in mm
+        let delta = 0;
+        for (let i = 0; i < 30; i++) {
+            let volume = 0;
+            let slope = 0;
+            this.cohorts.forEach((c) => {
+                const d = c.size + delta;
+                volume += c.count * (d * d * d - c.size * c.size * c.size);
+                slope += c.count * 3 * d * d;
+            });
+            const step = (kgPerMm3 * volume - kg) / (kgPerMm3 * slope);
+            delta -= step;
+            if (Math.abs(step) <= 1e-7) break;
+        }
+        return Math.max(0, delta);
+    }
+
+    /**
+     * Advances the bed by `dtSeconds`.
+     * precipitateKg: CaF2 formed this step; supersaturation: S of the feed; flowRate: m³/h.
+     * Returns { harvestedKg, washedOutKg } of F-derived CaF2 leaving the bed this step.
+     */
+    update({ precipitateKg, supersaturation, flowRate, dtSeconds }) {
+        const cfg = CONFIG.CRYSTAL;
+        const dtDays = dtSeconds / 86400;
+        this.supersaturation = supersaturation;
+
+        // Seeds (recycled screen fines) enter at seed size
+        const seedKg = cfg.SEED_RATE_KG_DAY * dtDays;
+        this.addParticles(seedKg / pelletMass(cfg.SEED_SIZE_MM), cfg.SEED_SIZE_MM, false);
+        this.seedMassFed += seedKg;
+
+        // Nucleation share grows steeply with supersaturation
+        const sigma = Math.max(0, supersaturation - 1);
+        const n = cfg.NUCLEATION_ORDER;
+        const sigmaN = Math.pow(sigma, n);
+        let growthKg = precipitateKg * (1 - sigmaN / (sigmaN + Math.pow(cfg.CRITICAL_SUPERSATURATION, n)));
+
+        // Size-independent linear growth (McCabe ΔL law), capped by growth kinetics:
+        // whatever too little seed surface cannot take up nucleates as fines
+        let deltaMm = this.growthFor(growthKg);
+        const maxDeltaMm = cfg.GROWTH_RATE_CONSTANT * sigma * dtDays;
+        if (deltaMm > maxDeltaMm) {
+            deltaMm = maxDeltaMm;
+            growthKg = this.depositedMass(deltaMm);
+        }
+        const nucleiKg = Math.max(0, precipitateKg - growthKg);
+        this.finesFraction = precipitateKg > 0 ? nucleiKg / precipitateKg : 0;
+        this.cohorts.forEach((c) => { c.size += deltaMm; });
+        this.growthRate = dtDays > 0 ? deltaMm / dtDays : 0;
+        this.addParticles(nucleiKg / pelletMass(cfg.NUCLEI_SIZE_MM), cfg.NUCLEI_SIZE_MM, true);
+
+        // Classification: big pellets settle to the rotary valve, light fines leave with the water
+        const cutKey = `${flowRate}|${CONFIG.REACTOR.DIAMETER}|${CONFIG.REACTOR.WATER_TEMP}|${CONFIG.CRYSTAL.DENSITY}`;
+        if (cutKey !== this.cutKey) {
+            this.cutSize = washoutCutSize(flowRate);
+            this.cutKey = cutKey;
+        }
+        let harvestedKg = 0;
+        let washedOutKg = 0;
+        this.cohorts = this.cohorts.filter((c) => {
+            const netKg = c.count * (pelletMass(c.size) - pelletMass(c.core));
+            if (c.size >= cfg.HARVEST_SIZE_MM) {
+                harvestedKg += netKg;
+                return false;
+            }
+            if (flowRate > 0 && c.size < this.cutSize) {
+                washedOutKg += netKg;
+                return false;
+            }
+            return true;
+        });
+
+        const smoothing = Math.min(1, dtDays / 0.25);
+        this.harvestRate += ((dtDays > 0 ? harvestedKg / dtDays : 0) - this.harvestRate) * smoothing;
+        this.washoutRate += ((dtDays > 0 ? washedOutKg / dtDays : 0) - this.washoutRate) * smoothing;
+        return { harvestedKg, washedOutKg };
+    }
+
+    get massKg() {
+        return this.cohorts.reduce((sum, c) => sum + c.count * pelletMass(c.size), 0);
+    }
+
+    /**
+     * Mass-weighted size distribution in `bins` classes from 0 to the harvest size.
+     */
+    distribution(bins = 20) {
+        const width = CONFIG.CRYSTAL.HARVEST_SIZE_MM / bins;
+        const mass = new Array(bins).fill(0);
+        this.cohorts.forEach((c) => {
+            const i = Math.min(bins - 1, Math.floor(c.size / width));
+            mass[i] += c.count * pelletMass(c.size);
+        });
+        return mass.map((kg, i) => ({ size: (i + 0.5) * width, kg }));
+    }
+
+    /**
+     * Mass median diameter (mm).
+     */
+    get d50() {
+        const sorted = [...this.cohorts].sort((a, b) => a.size - b.size);
+        const half = this.massKg / 2;
+        let acc = 0;
+        for (const c of sorted) {
+            acc += c.count * pelletMass(c.size);
+            if (acc >= half) return c.size;
+        }
+        return 0;
+    }
+}
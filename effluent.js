@@ -0,0 +1,100 @@
+/**
+ * Cristal Minas - Effluent Quality
+ * Residual fluoride from CaF2 solubility (pH, excess calcium) plus the fluoride
+ * carried out in fines, checked against the CONAMA 430/2011 discharge limit.
+ * Keeps a compliance log of exceedance events and the share of time in spec.
+ */
+
+const MOLAR_MASS_F = 19000; // mg/mol
+const MOLAR_MASS_CA = 40080; // mg/mol
+const COMPLIANCE_MAX_EVENTS = 200;
+
+/**
+ * Equilibrium CaF2 precipitation for a feed, in mol/L of CaF2.
+ * Solves (Ca - x)·(α·(F - 2x))² = Ksp, where α is the free F- share (the rest is HF).
+ * caMol: calcium available to fluorite; fMol: total fluoride.
+ */
+function caf2Precipitation(caMol, fMol, alpha) {
+    const ksp = CONFIG.CRYSTAL.KSP;
+    const excess = (x) => (caMol - x) * Math.pow(alpha * (fMol - 2 * x), 2) - ksp;
+    if (caMol <= 0 || fMol <= 0 || excess(0) <= 0) return 0; // Undersaturated
+
+    let lo = 0;
+    let hi = Math.min(caMol, fMol / 2);
+    for (let i = 0; i < 60; i++) {
+        const mid = (lo + hi) / 2;
+        if (excess(mid) > 0) lo = mid;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * Tracks discharged fluoride against CONFIG.EFFLUENT and logs exceedances.
+ * Compliance uses the true (lab) concentration, not the outlet ISE reading.
+ */
+class EffluentQuality {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.dissolvedF = 0;   // mg/L
+        this.finesF = 0;       // mg/L of F in suspended CaF2 fines
+        this.totalF = 0;       // mg/L, what the discharge permit measures
+        this.events = [];      // [{ startMs, endMs, durationMs, peakF }], endMs null while open
+        this.current = null;   // Open exceedance event
+        this.dischargeMs = 0;  // Simulated time with flow to the discharge point
+        this.inSpecMs = 0;
+    }
+
+    get limit() {
+        return CONFIG.EFFLUENT.LIMIT_F;
+    }
+
+    /**
+     * 'ok', 'warning' (above the internal alert level) or 'exceeded'.
+     */
+    get status() {
+        if (this.totalF > CONFIG.EFFLUENT.LIMIT_F) return 'exceeded';
+        if (this.totalF > CONFIG.EFFLUENT.WARNING_F) return 'warning';
+        return 'ok';
+    }
+
+    get percentInSpec() {
+        return this.dischargeMs > 0 ? (this.inSpecMs / this.dischargeMs) * 100 : 100;
+    }
+
+    get exceedanceMs() {
+        return this.dischargeMs - this.inSpecMs;
+    }
+
+    /**
+     * `simTimeMs` is the end of a step of `dtSeconds`. Time without flow is not discharge time.
+     */
+    update({ dissolvedF, finesF, flowRate, simTimeMs, dtSeconds }) {
+        this.dissolvedF = dissolvedF;
+        this.finesF = finesF;
+        this.totalF = dissolvedF + finesF;
+        if (flowRate <= 0 || dtSeconds <= 0) return;
+
+        const dtMs = dtSeconds * 1000;
+        const exceeded = this.status === 'exceeded';
+        this.dischargeMs += dtMs;
+        if (!exceeded) this.inSpecMs += dtMs;
+
+        if (exceeded && !this.current) {
+            this.current = { startMs: simTimeMs - dtMs, endMs: null, durationMs: 0, peakF: this.totalF };
+            this.events.push(this.current);
+            if (this.events.length > COMPLIANCE_MAX_EVENTS) this.events.shift();
+        }
+        if (!this.current) return;
+        if (exceeded) {
+            this.current.durationMs = simTimeMs - this.current.startMs;
+            this.current.peakF = Math.max(this.current.peakF, this.totalF);
+        } else {
+            this.current.endMs = simTimeMs - dtMs;
+            this.current = null;
+        }
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * Cristal Minas - Cash Flow Panel
+ * Investment metrics (NPV, IRR, payback), the cumulative cash-flow curve,
+ * an annual roll-up of the monthly statement and its CSV export.
+ */
+
+const FINANCE_FIELDS = [
+    { key: 'HORIZON_YEARS', label: 'Horizonte (anos)', step: 1 },
+    { key: 'DISCOUNT_RATE', label: 'Taxa de desconto (% a.a.)', step: 0.25, percent: true },
+    { key: 'DEPRECIATION_YEARS', label: 'Depreciação (anos)', step: 1 },
+    { key: 'IRPJ_RATE', label: 'IRPJ (%)', step: 0.5, percent: true },
+    { key: 'IRPJ_SURCHARGE_RATE', label: 'Adicional IRPJ (%)', step: 0.5, percent: true },
+    { key: 'CSLL_RATE', label: 'CSLL (%)', step: 0.5, percent: true }
+];
+const MARKET_FIELDS = [
+    { key: 'PRICE_ACIDSPAR', label: 'Acidspar', step: 100, unit: 'R$/t' },
+    { key: 'PRICE_METALSPAR', label: 'Metalspar', step: 100, unit: 'R$/t' },
+    { key: 'PRICE_OFFSPEC', label: 'Fora de espec.', step: 100, unit: 'R$/t' },
+    { key: 'COST_CACL2', label: 'CaCl2', step: 50, unit: 'R$/t' },
+    { key: 'COST_NAOH', label: 'NaOH', step: 50, unit: 'R$/t' },
+    { key: 'COST_H2SO4', label: 'H2SO4', step: 50, unit: 'R$/t' }
+];
+
+class FinancePanel {
+    constructor(container, plant) {
+        this.container = container;
+        this.plant = plant;
+        this.statement = null;
+        this.render();
+    }
+
+    render() {
+        const stat = (field, label) => `<div class="bed-stat"><span class="sensor-name">${label}</span><span class="sensor-reading" data-field="${field}">---</span></div>`;
+        this.container.innerHTML = `
+            <div class="bed-stats">
+                ${stat('npv', t('finance.npv'))}
+                ${stat('irr', t('finance.irr'))}
+                ${stat('payback', t('finance.payback'))}
+                ${stat('discountedPayback', t('finance.discountedPayback'))}
+                ${stat('netIncome', t('finance.netIncome'))}
+                ${stat('taxes', t('finance.taxes'))}
+                ${stat('esgNpv', t('finance.esgNpv'))}
+                ${stat('basis', t('finance.basis'))}
+            </div>
+            <canvas class="finance-chart" style="width: 100%; height: 120px; margin-top: 0.5rem;"></canvas>
+            <div class="tuning-grid" style="margin-top: 0.5rem;">${FINANCE_FIELDS.map(f => `
+                <label>${labelOf('finance', f.key, f.label)}<input type="number" data-finance="${f.key}" step="${f.step}"></label>`).join('')}
+            </div>
+            <details style="margin-top: 0.5rem;">
+                <summary class="sensor-name">${t('finance.market', { price: unitOf('R$/t') })}</summary>
+                <div class="tuning-grid">${MARKET_FIELDS.map(f => `
+                    <label>${labelOf('market', f.key, f.label)}<input type="number" data-market="${f.key}" step="${inputValue(f.step, f.unit)}"></label>`).join('')}
+                </div>
+            </details>
+            <table class="event-log">
+                <thead><tr><th>${t('finance.year')}</th><th>${t('finance.revenue')}</th><th>${t('finance.ebitda')}</th><th>${t('finance.tax')}</th><th>${t('finance.cashFlow')}</th><th>${t('finance.esg')}</th></tr></thead>
+                <tbody></tbody>
+            </table>
+            <button class="btn-primary finance-export" style="margin-top: 0.5rem; padding: 0.3rem 0.6rem; font-size: 0.7rem;">${t('finance.export')}</button>`;
+        this.chart = new LineChart(this.container.querySelector('.finance-chart'));
+
+        // Parameters write straight into CONFIG.FINANCIAL; rates are edited in percent
+        this.container.querySelectorAll('[data-finance]').forEach((el) => {
+            el.onchange = () => {
+                const field = FINANCE_FIELDS.find(f => f.key === el.dataset.finance);
+                const value = parseFloat(el.value) / (field.percent ? 100 : 1);
+                const error = checkField(`FINANCIAL.${field.key}`, value, SCENARIO_SCHEMA.config.FINANCIAL[field.key]);
+                el.style.borderColor = error ? 'var(--neon-red)' : '';
+                el.title = error || '';
+                if (error) return;
+                CONFIG.FINANCIAL[field.key] = value;
+                this.draw();
+            };
+        });
+        // Prices are typed in the currency and units on display and stored in BRL per metric ton
+        this.container.querySelectorAll('[data-market]').forEach((el) => {
+            el.onchange = () => {
+                const field = MARKET_FIELDS.find(f => f.key === el.dataset.market);
+                const value = fromUnit(parseFloat(el.value), field.unit);
+                const error = checkField(`MARKET.${field.key}`, value, SCENARIO_SCHEMA.config.MARKET[field.key]);
+                el.style.borderColor = error ? 'var(--neon-red)' : '';
+                el.title = error || '';
+                if (error) return;
+                CONFIG.MARKET[field.key] = value;
+                this.plant.logEvent('control', { key: 'price', vars: { product: { label: 'market', key: field.key, name: field.label }, price: { price: value } } });
+                this.draw();
+            };
+        });
+        this.container.querySelector('.finance-export').onclick = () => this.exportCsv();
+        this.syncParams();
+    }
+
+    /**
+     * Reflects CONFIG.FINANCIAL in the parameter fields (after a scenario load).
+     */
+    syncParams() {
+        this.container.querySelectorAll('[data-finance]').forEach((el) => {
+            const field = FINANCE_FIELDS.find(f => f.key === el.dataset.finance);
+            if (document.activeElement !== el) el.value = +(CONFIG.FINANCIAL[field.key] * (field.percent ? 100 : 1)).toFixed(4);
+        });
+        this.container.querySelectorAll('[data-market]').forEach((el) => {
+            const field = MARKET_FIELDS.find(f => f.key === el.dataset.market);
+            if (document.activeElement !== el) el.value = inputValue(CONFIG.MARKET[field.key], field.unit);
+        });
+    }
+
+    exportCsv() {
+        const statement = this.plant.finance.statement(this.plant.chem);
+        downloadFile('fluxo-caixa-mensal.csv', cashFlowToCsv(statement.rows), 'text/csv');
+    }
+
+    /**
+     * Recomputes the statement; throttled with the other charts since it walks the whole horizon.
+     */
+    draw() {
+        const s = this.plant.finance.statement(this.plant.chem);
+        this.statement = s;
+        const years = (v) => (v === null ? t('finance.notReached') : t('common.years', { value: formatNumber(v, 1) }));
+        const set = (field, text, color) => {
+            const el = this.container.querySelector(`[data-field="${field}"]`);
+            el.innerText = text;
+            if (color) el.style.color = color;
+        };
+        set('npv', formatMoneyShort(s.npv), s.npv >= 0 ? 'var(--neon-green)' : 'var(--neon-red)');
+        set('irr', s.irr === null ? '—' : formatNumber(s.irr * 100, 1) + '%');
+        set('payback', years(s.paybackYears));
+        set('discountedPayback', years(s.discountedPaybackYears));
+        set('netIncome', formatMoneyShort(s.totals.netIncome));
+        set('taxes', formatMoneyShort(s.totals.taxes));
+        set('esgNpv', formatMoneyShort(s.esgNpv), 'var(--neon-cyan)');
+        set('basis', `${s.actualMonths} / ${s.rows.length - 1 - s.actualMonths}`);
+
+        const horizon = s.rows.length - 1;
+        this.chart.draw({
+            series: [
+                { points: s.rows.map(r => ({ x: r.month, y: toUnit(r.cumulative, 'R$') })), color: '#39ff14' },
+                { points: s.rows.map(r => ({ x: r.month, y: toUnit(r.cumulativeDiscounted, 'R$') })), color: '#00f2ff', dashed: true }
+            ],
+            xRange: [0, horizon],
+            xLabel: (m) => t('common.yearAxis', { value: formatNumber(m / 12, 0) })
+        });
+        this.chart.drawMarker(s.actualMonths, [0, horizon]);
+
+        const annual = [];
+        s.rows.slice(1).forEach((r) => {
+            const year = Math.ceil(r.month / 12);
+            const row = annual[year - 1] || (annual[year - 1] = { year, revenue: 0, ebitda: 0, taxes: 0, cashFlow: 0, esg: 0 });
+            row.revenue += r.revenue;
+            row.ebitda += r.ebitda;
+            row.taxes += r.irpj + r.csll;
+            row.cashFlow += r.cashFlow;
+            row.esg += r.esg;
+        });
+        this.container.querySelector('.event-log tbody').innerHTML = `
+            <tr><td>0</td><td>—</td><td>—</td><td>—</td><td>${formatMoneyShort(s.rows[0].cashFlow)}</td><td>—</td></tr>` +
+            annual.map(a => `
+            <tr>
+                <td>${a.year}</td>
+                <td>${formatMoneyShort(a.revenue)}</td>
+                <td>${formatMoneyShort(a.ebitda)}</td>
+                <td>${formatMoneyShort(a.taxes)}</td>
+                <td>${formatMoneyShort(a.cashFlow)}</td>
+                <td>${formatMoneyShort(a.esg)}</td>
+            </tr>`).join('');
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * Cristal Minas - Financial Model
+ * Monthly cash-flow statement over the investment horizon: simulated months are
+ * actuals, later months repeat the latest run rate. Straight-line depreciation,
+ * IRPJ/CSLL under Lucro Real, NPV, IRR and payback. ESG avoided costs are
+ * reported alongside but never enter the project cash flow.
+ */
+
+const MONTH_DAYS = 30;
+const MS_PER_MONTH = MONTH_DAYS * MS_PER_DAY;
+
+/**
+ * Compound monthly equivalent of an annual rate.
+ */
+function monthlyRate(annualRate) {
+    return Math.pow(1 + annualRate, 1 / 12) - 1;
+}
+
+/**
+ * Net present value of `cashFlows` (index = period) at `rate` per period.
+ */
+function netPresentValue(cashFlows, rate) {
+    return cashFlows.reduce((sum, cf, t) => sum + cf / Math.pow(1 + rate, t), 0);
+}
+
+/**
+ * Internal rate of return per period, by bisection. Null when NPV does not change sign.
+ */
+function internalRateOfReturn(cashFlows) {
+    let lo = -0.99;
+    let hi = 1;
+    if (netPresentValue(cashFlows, lo) * netPresentValue(cashFlows, hi) > 0) return null;
+    for (let i = 0; i < 100; i++) {
+        const mid = (lo + hi) / 2;
+        if (netPresentValue(cashFlows, mid) > 0) lo = mid;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * Periods until `cumulative` turns non-negative, interpolated inside the period. Null if never.
+ */
+function paybackPeriod(cumulative) {
+    for (let t = 1; t < cumulative.length; t++) {
+        if (cumulative[t] >= 0 && cumulative[t - 1] < 0) {
+            return t - 1 + (-cumulative[t - 1]) / (cumulative[t] - cumulative[t - 1]);
+        }
+    }
+    return null;
+}
+
+/**
+ * Closes a month every MS_PER_MONTH of simulated time and projects the statement from CONFIG.FINANCIAL.
+ */
+class FinancialModel {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.months = [];      // Closed simulated months [{ revenue, variableCost, fixedCost, esg }]
+        this.opening = { revenue: 0, variableCost: 0, fixedCost: 0, esg: 0, timeMs: 0 };
+    }
+
+    totalsOf(chem) {
+        return {
+            revenue: chem.totalRevenue,
+            variableCost: chem.totalVariableCost,
+            fixedCost: chem.totalFixedCost,
+            esg: chem.totalSavings,
+            timeMs: chem.simTimeMs
+        };
+    }
+
+    /**
+     * Movement since the opening of the current month, scaled by `scale`.
+     */
+    sinceOpening(totals, scale = 1) {
+        return {
+            revenue: (totals.revenue - this.opening.revenue) * scale,
+            variableCost: (totals.variableCost - this.opening.variableCost) * scale,
+            fixedCost: (totals.fixedCost - this.opening.fixedCost) * scale,
+            esg: (totals.esg - this.opening.esg) * scale
+        };
+    }
+
+    update(chem) {
+        if (chem.simTimeMs < (this.months.length + 1) * MS_PER_MONTH) return;
+        const totals = this.totalsOf(chem);
+        this.months.push(this.sinceOpening(totals));
+        this.opening = totals;
+    }
+
+    /**
+     * Monthly figures assumed for the rest of the horizon: the last closed month,
+     * or the month in progress scaled to a full month.
+     */
+    runRate(chem) {
+        if (this.months.length > 0) return this.months[this.months.length - 1];
+        const elapsedMs = chem.simTimeMs - this.opening.timeMs;
+        if (elapsedMs <= 0) return { revenue: 0, variableCost: 0, fixedCost: 0, esg: 0 };
+        return this.sinceOpening(this.totalsOf(chem), MS_PER_MONTH / elapsedMs);
+    }
+
+    /**
+     * Full statement and the investment metrics. Month 0 is the CAPEX outlay.
+     */
+    statement(chem) {
+        const cfg = CONFIG.FINANCIAL;
+        const horizon = Math.round(cfg.HORIZON_YEARS * 12);
+        const rate = monthlyRate(cfg.DISCOUNT_RATE);
+        const depreciationMonths = Math.round(cfg.DEPRECIATION_YEARS * 12);
+        const runRate = this.runRate(chem);
+
+        const rows = [{
+            month: 0, projected: false, revenue: 0, variableCost: 0, fixedCost: 0, ebitda: 0,
+            depreciation: 0, ebit: 0, irpj: 0, csll: 0, netIncome: 0, capex: plantCapex(),
+            cashFlow: -plantCapex(), esg: 0
+        }];
+        let lossCarryforward = 0;
+        for (let month = 1; month <= horizon; month++) {
+            const projected = month > this.months.length;
+            const src = projected ? runRate : this.months[month - 1];
+            // Projected months pay today's fixed OPEX so edits apply to the forecast
+            const fixedCost = projected ? plantFixedOpexDay() * MONTH_DAYS : src.fixedCost;
+            const revenue = src.revenue;
+            const variableCost = src.variableCost;
+            const ebitda = revenue - variableCost - fixedCost;
+            const depreciation = month <= depreciationMonths ? plantCapex() / depreciationMonths : 0;
+            const ebit = ebitda - depreciation;
+
+            // Lucro Real: losses carried forward offset at most LOSS_OFFSET_CAP of a month's profit
+            let taxable = 0;
+            if (ebit > 0) {
+                const offset = Math.min(lossCarryforward, ebit * cfg.LOSS_OFFSET_CAP);
+                lossCarryforward -= offset;
+                taxable = ebit - offset;
+            } else {
+                lossCarryforward -= ebit;
+            }
+            const irpj = taxable * cfg.IRPJ_RATE + Math.max(0, taxable - cfg.IRPJ_SURCHARGE_THRESHOLD) * cfg.IRPJ_SURCHARGE_RATE;
+            const csll = taxable * cfg.CSLL_RATE;
+            const netIncome = ebit - irpj - csll;
+
+            rows.push({
+                month, projected,
+                revenue, variableCost, fixedCost, ebitda,
+                depreciation, ebit, irpj, csll, netIncome, capex: 0,
+                cashFlow: netIncome + depreciation,
+                esg: src.esg
+            });
+        }
+
+        let cumulative = 0;
+        let cumulativeDiscounted = 0;
+        rows.forEach((row) => {
+            row.discounted = row.cashFlow / Math.pow(1 + rate, row.month);
+            cumulative += row.cashFlow;
+            cumulativeDiscounted += row.discounted;
+            row.cumulative = cumulative;
+            row.cumulativeDiscounted = cumulativeDiscounted;
+        });
+
+        const cashFlows = rows.map(r => r.cashFlow);
+        const irrMonthly = internalRateOfReturn(cashFlows);
+        const payback = paybackPeriod(rows.map(r => r.cumulative));
+        const discountedPayback = paybackPeriod(rows.map(r => r.cumulativeDiscounted));
+        const sum = (key) => rows.reduce((total, r) => total + r[key], 0);
+
+        return {
+            rows,
+            actualMonths: Math.min(this.months.length, horizon),
+            npv: cumulativeDiscounted,
+            irr: irrMonthly === null ? null : Math.pow(1 + irrMonthly, 12) - 1, // Annual
+            paybackYears: payback === null ? null : payback / 12,
+            discountedPaybackYears: discountedPayback === null ? null : discountedPayback / 12,
+            esgNpv: netPresentValue(rows.map(r => r.esg), rate),
+            totals: {
+                revenue: sum('revenue'),
+                ebitda: sum('ebitda'),
+                depreciation: sum('depreciation'),
+                taxes: sum('irpj') + sum('csll'),
+                netIncome: sum('netIncome'),
+                esg: sum('esg')
+            }
+        };
+    }
+}
+
+/**
+ * Semicolon-separated monthly statement (opens directly in pt-BR spreadsheets).
+ */
+function cashFlowToCsv(rows) {
+    const header = 'mes;projetado;receita;custo_variavel;custo_fixo;ebitda;depreciacao;ebit;irpj;csll;lucro_liquido;capex;fluxo_caixa;fluxo_descontado;acumulado;acumulado_descontado;esg_custos_evitados';
+    const lines = rows.map(r => [
+        r.month, r.projected ? 1 : 0, r.revenue, r.variableCost, r.fixedCost, r.ebitda, r.depreciation, r.ebit,
+        r.irpj, r.csll, r.netIncome, r.capex, r.cashFlow, r.discounted, r.cumulative, r.cumulativeDiscounted, r.esg
+    ].map(v => (typeof v === 'number' && !Number.isInteger(v) ? v.toFixed(2) : v)).join(';'));
+    return [header, ...lines].join('\n');
+}
@@ -0,0 +1,219 @@
+/**
+ * Cristal Minas - Headless Runner
+ * Advances the simulation core with a fixed timestep, a seeded RNG and a
+ * simulated clock. Same seed + same inputs = same totals, history and pH trace.
+ */
+
+/**
+ * Runs ProcessPlant + PhysicsEngine without a browser.
+ */
+class HeadlessRunner {
+    constructor(options = {}) {
+        this.options = {
+            seed: null,             // Defaults to CONFIG.CLOCK.SEED, the browser's seed
+            stepMs: null,           // Defaults to CONFIG.CLOCK.STEP_MS, the browser's step
+            speed: 1,               // Fixed steps per step() call; the physics always runs at speed 1
+            flowRate: 450,
+            ppmF: 50,
+            phCorrection: 0,
+            purityMix: 0,
+            acidSlugHours: [],      // Simulated hours at which an acidic slug arrives
+            exercise: null,         // Training exercise run on the plant, with its scenario
+            width: 800,             // Virtual canvas used by the particle model
+            height: 600,
+            phSampleHours: 1,
+            ...options
+        };
+
+        // A scenario overwrites CONFIG and supplies the operator inputs; an exercise brings its own
+        if (this.options.exercise) {
+            Object.assign(this.options, applyScenario(exerciseScenario(this.options.exercise)));
+        } else if (this.options.scenario) {
+            Object.assign(this.options, applyScenario(this.options.scenario));
+        }
+
+        this.options.seed = this.options.seed ?? CONFIG.CLOCK.SEED;
+        this.rng = this.options.rng || createSeededRandom(this.options.seed);
+        this.clock = this.options.clock || new FixedStepClock(this.options.stepMs || CONFIG.CLOCK.STEP_MS);
+
+        this.plant = new ProcessPlant(this.rng);
+        this.chem = this.plant.chem;
+        this.phys = new PhysicsEngine(createSeededRandom(seedStream(this.options.seed, 1)));
+
+        this.state = {
+            running: true,
+            speed: 1,               // As in the browser's stepProcess: playback speed never reaches the plant
+            flowRate: this.options.flowRate,
+            ppmF: this.options.ppmF
+        };
+        this.chem.purityMix = this.options.purityMix;
+        this.chem.phCorrection = this.options.phCorrection;
+        this.options.acidSlugHours.forEach(h => this.plant.train.addAcidSlug(h * MS_PER_HOUR));
+        if (this.options.exercise) this.plant.training = new TrainingSession(this.options.exercise);
+
+        this.phTrace = [];
+        this.nextPhSampleMs = 0;
+    }
+
+    /**
+     * Advances `speed` fixed steps, the headless counterpart of a browser frame at that speed.
+     */
+    step() {
+        let results;
+        for (let i = 0; i < Math.max(1, Math.round(this.options.speed)); i++) {
+            results = this.fixedStep();
+        }
+        return results;
+    }
+
+    fixedStep() {
+        const dt = this.clock.tick();
+        const centerX = this.options.width / 2;
+        const centerY = this.options.height / 2;
+
+        const results = this.plant.step(this.state, dt);
+        this.phys.updateParticles(dt, this.state.speed, this.plant.hydro, this.chem.bed, centerX, centerY);
+        this.samplePH();
+
+        return results;
+    }
+
+    samplePH() {
+        if (this.chem.simTimeMs < this.nextPhSampleMs) return;
+        this.phTrace.push({
+            hour: this.chem.simTimeMs / MS_PER_HOUR,
+            ph: this.chem.currentPH,
+            phMeasured: this.plant.sensors.get('PH').reading,
+            alkalinity: this.chem.ph.alkalinityMgL,
+            efficiency: this.chem.efficiency,
+            residualF: this.plant.train.outlet.residualF,
+            effluentF: this.plant.effluent.totalF,
+            dosingRate: this.chem.dosingRate,
+            d50: this.chem.bed.d50,
+            harvestRate: this.chem.bed.harvestRate,
+            bedHeight: this.plant.hydro.bedHeight,
+            purity: this.chem.quality.purity
+        });
+        this.nextPhSampleMs += this.options.phSampleHours * MS_PER_HOUR;
+    }
+
+    /**
+     * Steps until the simulated clock reaches `days`, then returns the result. Stops on the
+     * first step past the target whatever the speed, so the result does not depend on it.
+     */
+    runDays(days) {
+        const targetMs = days * MS_PER_DAY;
+        while (this.chem.simTimeMs < targetMs) {
+            this.fixedStep();
+        }
+        return this.getResult();
+    }
+
+    getResult() {
+        const chem = this.chem;
+        return {
+            seed: this.options.seed,
+            simDays: chem.simTimeMs / MS_PER_DAY,
+            totals: {
+                fInput: chem.totalFInput,
+                fRemoved: chem.totalFRemoved,
+                fluoriteOutput: chem.totalFluoriteOutput,
+                finesLost: chem.totalFinesLost,
+                cacl2Used: chem.totalCaCl2Used,
+                correctionUsed: chem.totalCorrectionUsed,
+                revenue: chem.totalRevenue,
+                variableCost: chem.totalVariableCost,
+                fixedCost: chem.totalFixedCost,
+                savings: chem.totalSavings
+            },
+            financial: chem.getFinancialSummary(),
+            cashFlow: this.plant.finance.statement(chem),
+            bed: {
+                massKg: chem.bed.massKg,
+                d50: chem.bed.d50,
+                harvestRate: chem.bed.harvestRate,
+                washoutRate: chem.bed.washoutRate,
+                distribution: chem.bed.distribution()
+            },
+            quality: {
+                purity: chem.quality.purity,
+                grade: chem.quality.grade,
+                gradeKg: { ...chem.quality.gradeKg },
+                acidsparShare: chem.quality.acidsparShare,
+                target: chem.purityMix / 100,
+                targetMet: chem.quality.acidsparShare * 100 >= chem.purityMix,
+                batches: chem.quality.batches.map(b => ({ ...b }))
+            },
+            storage: {
+                stockKg: { ...this.plant.storage.stock },
+                soldKg: { ...this.plant.storage.soldKg },
+                hopperKg: this.plant.storage.hopperKg,
+                binKg: this.plant.storage.binKg,
+                pendingKg: this.plant.storage.pendingKg,
+                waterRemovedKg: this.plant.storage.waterRemovedKg,
+                tripped: this.plant.storage.tripped,
+                dispatches: this.plant.storage.dispatches.map(d => ({ ...d }))
+            },
+            train: {
+                layout: CONFIG.PLANT.LAYOUT,
+                bypassFlow: this.plant.train.bypassFlow,
+                skids: this.plant.train.skids.map(s => ({
+                    id: s.id,
+                    online: s.online,
+                    flowRate: s.flowRate,
+                    inletPpm: s.inletPpm,
+                    residualF: s.chem.residualF,
+                    bedHeight: s.hydro.bedHeight,
+                    dosingRate: s.dosingRate,
+                    fRemovedKg: s.fRemovedKg,
+                    fluoriteKg: s.fluoriteKg,
+                    cacl2Kg: s.cacl2Kg,
+                    purity: s.chem.quality.purity
+                }))
+            },
+            reliability: {
+                ...this.plant.reliability.metrics(chem),
+                pmCount: this.plant.reliability.pmCount,
+                equipment: Object.values(this.plant.reliability.items).map(item => ({ ...item })),
+                events: this.plant.reliability.events.map(e => ({ ...e }))
+            },
+            trends: {
+                intervalMs: this.plant.trends.intervalMs,
+                times: [...this.plant.trends.times],
+                series: Object.fromEntries(Object.keys(this.plant.trends.series).map(k => [k, [...this.plant.trends.series[k]]]))
+            },
+            baseline: this.plant.lime.compare(chem, this.plant.effluent.totalF),
+            reagent: {
+                stockKg: this.plant.reagent.stockKg,
+                level: this.plant.reagent.level,
+                unitCost: this.plant.reagent.unitCost,
+                rateKgDay: this.plant.reagent.rateKgDay,
+                shortfallKg: this.plant.reagent.shortfallKg,
+                purchases: this.plant.reagent.purchases.map(p => ({ ...p }))
+            },
+            ions: {
+                water: { ...this.plant.ions.water },
+                balance: this.plant.ions.table(this.plant.train),
+                criteria: this.plant.ions.criteria()
+            },
+            effluent: {
+                totalF: this.plant.effluent.totalF,
+                percentInSpec: this.plant.effluent.percentInSpec,
+                exceedanceHours: this.plant.effluent.exceedanceMs / MS_PER_HOUR,
+                events: this.plant.effluent.events.map(e => ({ ...e }))
+            },
+            hydro: {
+                velocity: this.plant.hydro.velocity,
+                bedHeight: this.plant.hydro.bedHeight,
+                expansion: this.plant.hydro.expansion,
+                minFlow: this.plant.hydro.minFlow,
+                washoutFlow: this.plant.hydro.washoutFlow,
+                warnings: this.plant.hydro.warnings.map(w => w.code)
+            },
+            history: chem.history.map(h => ({ ...h })),
+            influentTrace: this.plant.influent.trace.slice(),
+            phTrace: this.phTrace.slice(),
+            training: this.plant.training ? this.plant.training.finish(this.plant, this.state) : null
+        };
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * Cristal Minas - Fluidization Hydrodynamics
+ * Superficial velocity, minimum fluidization (Wen & Yu), terminal settling
+ * (Schiller–Naumann) and Richardson–Zaki expansion of the classified pellet bed.
+ * Defines the safe flow window between a slumped bed and seed washout.
+ */
+
+const GRAVITY_ACCEL = 9.81; // m/s²
+
+/**
+ * Dynamic viscosity of water (Pa·s) at `tempC`, Vogel equation.
+ */
+function waterViscosity(tempC) {
+    return 2.414e-5 * Math.pow(10, 247.8 / (tempC + 273.15 - 140));
+}
+
+/**
+ * Density of water (kg/m³) at `tempC`.
+ */
+function waterDensity(tempC) {
+    return 1000 * (1 - ((tempC + 288.9414) * Math.pow(tempC - 3.9863, 2)) / (508929.2 * (tempC + 68.12963)));
+}
+
+function reactorArea() {
+    const radius = CONFIG.REACTOR.DIAMETER / 2;
+    return Math.PI * radius * radius;
+}
+
+/**
+ * Superficial (empty-column) upflow velocity in m/s for a flow in m³/h.
+ */
+function superficialVelocity(flowRate) {
+    return (flowRate / 3600) / reactorArea();
+}
+
+/**
+ * Flow in m³/h that produces superficial velocity `u` (m/s).
+ */
+function flowForVelocity(u) {
+    return u * reactorArea() * 3600;
+}
+
+/**
+ * Particle Reynolds number for diameter `sizeMm` moving at `u` m/s.
+ */
+function particleReynolds(sizeMm, u) {
+    const temp = CONFIG.REACTOR.WATER_TEMP;
+    return (waterDensity(temp) * u * sizeMm / 1000) / waterViscosity(temp);
+}
+
+/**
+ * Terminal settling velocity (m/s) of a single CaF2 sphere, Schiller–Naumann drag.
+ */
+function terminalVelocity(sizeMm) {
+    const temp = CONFIG.REACTOR.WATER_TEMP;
+    const rho = waterDensity(temp);
+    const mu = waterViscosity(temp);
+    const d = sizeMm / 1000;
+    const deltaRho = CONFIG.CRYSTAL.DENSITY - rho;
+    let u = (GRAVITY_ACCEL * deltaRho * d * d) / (18 * mu); // Stokes start
+    for (let i = 0; i < 50; i++) {
+        const re = Math.max((rho * u * d) / mu, 1e-9);
+        const cd = re < 1000 ? (24 / re) * (1 + 0.15 * Math.pow(re, 0.687)) : 0.44;
+        const next = Math.sqrt((4 * GRAVITY_ACCEL * d * deltaRho) / (3 * cd * rho));
+        if (Math.abs(next - u) <= 1e-6 * next) return next;
+        u = next;
+    }
+    return u;
+}
+
+/**
+ * Minimum fluidization velocity (m/s), Wen & Yu correlation.
+ */
+function minFluidizationVelocity(sizeMm) {
+    const temp = CONFIG.REACTOR.WATER_TEMP;
+    const rho = waterDensity(temp);
+    const mu = waterViscosity(temp);
+    const d = sizeMm / 1000;
+    const archimedes = (d * d * d * rho * (CONFIG.CRYSTAL.DENSITY - rho) * GRAVITY_ACCEL) / (mu * mu);
+    const reMf = Math.sqrt(33.7 * 33.7 + 0.0408 * archimedes) - 33.7;
+    return (reMf * mu) / (rho * d);
+}
+
+/**
+ * Richardson–Zaki exponent n for particles of `sizeMm` (Rowe's fit, wall effect neglected).
+ */
+function richardsonZakiExponent(sizeMm, ut = terminalVelocity(sizeMm)) {
+    const reT = Math.pow(particleReynolds(sizeMm, ut), 0.75);
+    return (4.7 + 0.41 * reT) / (1 + 0.175 * reT);
+}
+
+/**
+ * Voidage of a layer of `sizeMm` particles at superficial velocity `u`: u = ut·ε^n.
+ * Returns VOIDAGE_MF for a packed layer and 1 when the particles are carried out.
+ */
+function layerVoidage(sizeMm, u) {
+    if (u < minFluidizationVelocity(sizeMm)) return CONFIG.REACTOR.VOIDAGE_MF;
+    const ut = terminalVelocity(sizeMm);
+    const eps = Math.pow(u / ut, 1 / richardsonZakiExponent(sizeMm, ut));
+    return Math.min(1, Math.max(CONFIG.REACTOR.VOIDAGE_MF, eps));
+}
+
+/**
+ * Largest particle size (mm) the upflow still carries out of the reactor.
+ */
+function washoutCutSize(flowRate) {
+    const u = superficialVelocity(flowRate);
+    let lo = 0;
+    let hi = 10;
+    for (let i = 0; i < 24; i++) {
+        const mid = (lo + hi) / 2;
+        if (terminalVelocity(mid) < u) lo = mid;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * Column state for the current flow and bed: velocities, expanded height and the safe flow window.
+ */
+class Hydrodynamics {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.velocity = 0;        // Superficial, m/s
+        this.minFluidVelocity = 0; // Umf of the bed d50, m/s
+        this.settlingVelocity = 0; // ut of the bed d50, m/s
+        this.packedHeight = 0;    // m
+        this.bedHeight = 0;       // Expanded, m
+        this.voidage = CONFIG.REACTOR.VOIDAGE_MF;
+        this.minFlow = 0;         // m³/h to fluidize the d50
+        this.washoutFlow = 0;     // m³/h at which seeds are carried out
+        this.warnings = [];       // [{ code, message }]
+        this.voidageKey = null;   // Inputs the cached class voidages were computed for
+        this.voidages = [];
+    }
+
+    get expansion() {
+        return this.packedHeight > 0 ? this.bedHeight / this.packedHeight - 1 : 0;
+    }
+
+    /**
+     * Recomputes the column for `flowRate` (m³/h) over the CrystalBed `bed`.
+     * The bed is classified: each size class expands to its own Richardson–Zaki voidage.
+     */
+    update(flowRate, bed) {
+        const cfg = CONFIG.REACTOR;
+        const area = reactorArea();
+        const d50 = bed.d50 || CONFIG.CRYSTAL.SEED_SIZE_MM;
+        const u = superficialVelocity(flowRate);
+
+        const classes = bed.distribution(40);
+        const key = [flowRate, cfg.DIAMETER, cfg.WATER_TEMP, cfg.VOIDAGE_MF, CONFIG.CRYSTAL.DENSITY, CONFIG.CRYSTAL.HARVEST_SIZE_MM].join('|');
+        if (key !== this.voidageKey) {
+            this.voidages = classes.map(c => layerVoidage(c.size, u));
+            this.voidageKey = key;
+        }
+
+        let solids = 0;
+        let packed = 0;
+        let expanded = 0;
+        classes.forEach(({ kg }, i) => {
+            if (kg <= 0) return;
+            const volume = kg / CONFIG.CRYSTAL.DENSITY;
+            const eps = this.voidages[i];
+            solids += volume;
+            packed += volume / (area * (1 - cfg.VOIDAGE_MF));
+            if (eps < 1) expanded += volume / (area * (1 - eps));
+        });
+
+        this.velocity = u;
+        this.minFluidVelocity = minFluidizationVelocity(d50);
+        this.settlingVelocity = terminalVelocity(d50);
+        this.packedHeight = packed;
+        this.bedHeight = expanded;
+        this.voidage = expanded > 0 ? 1 - solids / (area * expanded) : cfg.VOIDAGE_MF;
+        this.minFlow = flowForVelocity(this.minFluidVelocity);
+        this.washoutFlow = flowForVelocity(terminalVelocity(CONFIG.CRYSTAL.SEED_SIZE_MM));
+        this.warnings = this.checkWindow(flowRate);
+        return this;
+    }
+
+    /**
+     * A stopped plant (zero flow) is not a warning: the bed simply slumps.
+     */
+    checkWindow(flowRate) {
+        const warnings = [];
+        if (flowRate <= 0) return warnings;
+        if (flowRate < this.minFlow) {
+            warnings.push({ code: 'underFluidized', message: `Vazão abaixo da fluidização mínima (${this.minFlow.toFixed(0)} m³/h): leito compactado` });
+        }
+        if (flowRate > this.washoutFlow) {
+            warnings.push({ code: 'seedWashout', message: `Vazão acima do arraste de sementes (${this.washoutFlow.toFixed(0)} m³/h)` });
+        }
+        if (this.bedHeight > CONFIG.REACTOR.HEIGHT * CONFIG.REACTOR.MAX_BED_FRACTION) {
+            warnings.push({ code: 'bedOverflow', message: `Leito expandido (${this.bedHeight.toFixed(1)} m) acima de ${(CONFIG.REACTOR.MAX_BED_FRACTION * 100).toFixed(0)}% da coluna` });
+        }
+        return warnings;
+    }
+}
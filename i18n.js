@@ -0,0 +1,1370 @@
+/**
+ * Cristal Minas - Interface Language & Units
+ * Portuguese and English string catalogs for the dashboard, switched at runtime through
+ * CONFIG.LOCALE, with locale-aware numbers and dates, metric or US units and BRL or USD.
+ * The model always runs in metric units and BRL: conversion happens only where a value is
+ * shown or typed in. The event journal and engine messages (warnings, validation errors,
+ * optimizer violations) stay in Portuguese: they are the plant record.
+ */
+
+const UI_LANGUAGES = { pt: 'Português', en: 'English' };
+const CURRENCY_SYMBOLS = { BRL: 'R$', USD: 'US$' };
+
+/**
+ * Display unit and factor from the model's unit, per system. Prices and rates written
+ * as "R$/t" combine the parts (see unitFactor).
+ */
+const UNIT_SYSTEMS = {
+    metric: {
+        t: { unit: 't', factor: 1 },
+        'm³/h': { unit: 'm³/h', factor: 1 },
+        'm³': { unit: 'm³', factor: 1 },
+        'm/h': { unit: 'm/h', factor: 1 }
+    },
+    us: {
+        t: { unit: 'sh tn', factor: 1.102311 },    // US short tons per metric ton
+        'm³/h': { unit: 'gpm', factor: 4.402868 }, // US gallons per minute per m³/h
+        'm³': { unit: 'gal', factor: 264.1721 },   // US gallons per m³
+        'm/h': { unit: 'ft/h', factor: 3.28084 }   // Feet per metre (bed superficial velocity)
+    }
+};
+
+const UI_TEXT = {
+    pt: {
+        locale: 'pt-BR',
+        common: {
+            noSignal: 'SEM SINAL',
+            none: 'nenhum',
+            ready: 'Pronto.',
+            starting: 'Iniciando...',
+            cancelled: 'Cancelado.',
+            cancel: 'CANCELAR',
+            workerUnavailable: 'Web Worker indisponível ({error}). Abra o simulador via servidor HTTP.',
+            workerError: 'Erro no worker: {error}',
+            round: 'Rodada {done} de {total} ({pct}%)',
+            variable: 'Variável',
+            parameter: 'Parâmetro',
+            min: 'Mín.',
+            max: 'Máx.',
+            status: 'Situação',
+            state: 'Estado',
+            operating: 'OPERANDO',
+            days: '{value} dias',
+            years: '{value} anos',
+            yearAxis: '{value} a',
+            perDay: '{value}/dia',
+            elapsedHours: '{hours}h',
+            elapsedDays: '{days}d',
+            elapsedMonths: '{months}m {days}d',
+            samples: '{count} pontos a cada {min} min',
+            millions: '{value} mi',
+            thousands: '{value} mil'
+        },
+        header: {
+            standby: 'SISTEMA EM ESPERA',
+            online: 'SISTEMA ONLINE - AUTOMATIZADO',
+            paused: 'SIMULAÇÃO PAUSADA',
+            fastForward: 'AVANÇO RÁPIDO',
+            back: 'VOLTAR PARA O INÍCIO',
+            language: 'Idioma',
+            units: 'Unidades',
+            metric: 'Métricas (t, m³/h)',
+            us: 'EUA (sh tn, gpm)',
+            currency: 'Moeda',
+            rate: 'R$ por US$'
+        },
+        controls: {
+            title: 'PAINEL OPERACIONAL - RCLF',
+            speed: 'Velocidade Operacional',
+            flow: 'Vazão de Entrada ({flow})',
+            conc: 'Concentração de Flúor (mg/L)',
+            influent: 'Perfil do Efluente',
+            modeManual: 'Manual (sliders)',
+            modeStep: 'Degrau (parada de planta)',
+            modeRamp: 'Rampa (evento de chuva)',
+            modeSinusoid: 'Senoide diária (turnos)',
+            modeRandomWalk: 'Passeio aleatório',
+            modeCsv: 'Série temporal (CSV)',
+            resumeProfile: 'RETOMAR PERFIL',
+            influentManual: 'Controle pelos sliders.',
+            influentOverride: 'OVERRIDE MANUAL ATIVO',
+            influentProfile: 'Perfil no controle da entrada.',
+            hydroWindow: 'Janela segura {min}–{max} {flow}{perSkid} · u = {velocity}',
+            perSkid: ' por skid',
+            hydroBypass: ' · bypass {value}',
+            dosing: 'Dosagem Cloreto de Cálcio (Smart)',
+            toManual: 'MUDAR P/ MANUAL',
+            toAuto: 'MUDAR P/ AUTO',
+            auto: 'AUTO',
+            manual: 'MANUAL',
+            badInput: ' (SINAL RUIM)',
+            saturated: ' (LIM)',
+            loopMetrics: 'Sobressinal: {overshoot} | Acomodação: {settling}{status}',
+            outOfBand: ' (fora da banda)',
+            tuning: 'Sintonia PID',
+            setpointF: 'Setpoint F (mg/L)',
+            ffRatio: 'Excesso FF',
+            pumpMax: 'Bomba máx. (g/s)',
+            rateLimit: 'Rampa (g/s/min)',
+            feedForward: 'Feed-forward (vazão × ppm)',
+            phCorrection: 'Correção de pH (NaOH + / H2SO4 −)',
+            noCorrection: 'sem correção',
+            acidSlug: 'GOLFADA ÁCIDA',
+            purity: 'Meta Comercial (Acidspar %)',
+            purityValue: '{value}% Acidspar',
+            purityCurrent: 'Produção atual: {grade} ({purity}% CaF2)',
+            purityRealized: 'Realizado: {share}% acidspar {verdict}',
+            targetMet: '(meta atendida)',
+            targetMissed: '(abaixo da meta)',
+            start: 'INICIAR PROCESSO',
+            stop: 'PARAR PROCESSO',
+            reset: 'REINICIAR',
+            clock: 'Relógio da Simulação',
+            pause: 'PAUSAR',
+            resume: 'CONTINUAR',
+            step: 'PASSO',
+            stepTitle: 'Avança um passo de integração ({min} min simulados)',
+            runUntilValue: 'Avançar até',
+            runUntilUnit: 'Unidade',
+            day: 'Dia',
+            month: 'Mês (30 dias)',
+            startDate: 'Início da operação',
+            seed: 'Semente (ao reiniciar)',
+            runUntil: 'AVANÇAR',
+            clockIdle: 'Passo fixo de integração.',
+            fastForwardCancelled: 'Avanço rápido cancelado.',
+            stepNeedsRun: 'Inicie o processo para avançar passo a passo.',
+            stepAt: 'Passo: {date}',
+            badTarget: 'Informe um dia ou mês maior que zero.',
+            targetPassed: 'A simulação já passou do {target}.',
+            dayN: 'dia {n}',
+            monthN: 'mês {n}',
+            arrived: 'Chegou ao {target} ({date}). Pausado.',
+            exerciseEnded: 'Exercício concluído ({date}). Pausado.',
+            advancing: 'Avançando até o {target}: {pct}%',
+            scenario: 'Cenário',
+            export: 'EXPORTAR',
+            import: 'IMPORTAR',
+            link: 'LINK',
+            scenarioExported: 'Cenário exportado.',
+            linkCopied: 'Link copiado para a área de transferência.',
+            scenarioLoaded: 'Cenário carregado ({name}).',
+            scenarioMigrated: 'Cenário carregado ({name}) de uma versão anterior; campos ignorados: {fields}.',
+            info: 'Massa de Cloreto de Cálcio calculada via balanço estequiométrico em tempo real.',
+            pinTitle: 'Clique para fixar no gráfico de tendências'
+        },
+        manual: {
+            title: 'MANUAL DE OPERAÇÃO:',
+            step1: '1. <strong style="color: var(--neon-green);">Entrada</strong>: O efluente tóxico é dividido entre os skids e injetado na base de cada coluna.',
+            step2: '2. <strong style="color: var(--neon-green);">Reação</strong>: Íons Ca<sup>2+</sup> ligam-se aos íons F-.',
+            step3: '3. <strong style="color: var(--neon-green);">Crescimento</strong>: Cristais fluoretados crescem no leito.',
+            step4: '4. <strong style="color: var(--neon-green);">Coleta</strong>: Partículas densas decantam no cone, saem pela válvula rotativa, são desaguadas na peneira vibratória e seguem para o silo do seu grau até a expedição.'
+        },
+        stats: {
+            technical: 'MONITORAMENTO TÉCNICO',
+            time: 'Tempo de Operação',
+            ph: 'pH',
+            alkalinity: 'Alcalinidade (lab)',
+            fInput: 'Consumo de Flúor',
+            fluorite: 'Produção de Fluorita',
+            cacl2: 'Consumo de CaCl2',
+            residualF: 'Flúor Residual',
+            turbidity: 'Turbidez',
+            efficiency: 'Eficiência (%)',
+            stock: 'Estoque em Silos',
+            economic: 'PERFORMANCE ECONÔMICA',
+            capex: 'Investimento Inicial (CAPEX)',
+            opex: 'Custo Operacional (OPEX) Total',
+            revenue30d: 'Faturamento (30d)',
+            profit30d: 'EBITDA (30d)',
+            revenue: 'Faturamento Total',
+            profit: 'EBITDA Total',
+            savings: 'Custos Evitados vs. Cal (ESG, fora do EBITDA)',
+            roi: 'Retorno sobre Investimento',
+            availability: 'Disponibilidade / OEE',
+            lostRevenue: 'Receita Perdida em Paradas',
+            cacl2Stock: 'Estoque de CaCl2 (autonomia)',
+            cacl2Forecast: 'Compra de CaCl2 Prevista (30d)'
+        },
+        panels: {
+            trends: 'TENDÊNCIAS',
+            sensors: 'INSTRUMENTAÇÃO',
+            skids: 'TREM DE REATORES',
+            bed: 'LEITO DE CRISTAIS',
+            quality: 'QUALIDADE DO PRODUTO',
+            storage: 'COLHEITA E ESTOCAGEM',
+            compliance: 'CONFORMIDADE DO EFLUENTE (CONAMA 430)',
+            water: 'ÁGUA TRATADA E BALANÇO IÔNICO',
+            baseline: 'LINHA DE BASE: CAL × RCLF',
+            finance: 'FLUXO DE CAIXA DO PROJETO',
+            reagent: 'SUPRIMENTO DE CaCl2',
+            reliability: 'CONFIABILIDADE E MANUTENÇÃO',
+            monteCarlo: 'ANÁLISE DE RISCO (MONTE CARLO)',
+            optimizer: 'OTIMIZADOR DO PONTO DE OPERAÇÃO',
+            alarms: 'ALARMES',
+            journal: 'DIÁRIO DE EVENTOS',
+            report: 'RELATÓRIO E EXPORTAÇÃO',
+            training: 'TREINAMENTO DE OPERADORES'
+        },
+        canvas: {
+            preventive: 'MANUTENÇÃO PREVENTIVA: TREM EM BYPASS',
+            failure: 'FALHA: {equipment}',
+            bypass: 'BYPASS {flow} → barragem',
+            skid: 'SKID {id}',
+            maintenance: 'MANUTENÇÃO',
+            bed: 'Leito {height} m (+{expansion}%)',
+            siloFull: 'PARADA: ESTOQUE CHEIO'
+        },
+        trend: {
+            pin: '+ fixar variável',
+            resolution: 'Resolução (min, ao reiniciar)',
+            maxPoints: 'Pontos antes de reamostrar',
+            unpin: 'Clique para desafixar',
+            empty: 'Clique em um indicador do painel para fixá-lo aqui.',
+            zoomed: ' · ZOOM (duplo clique para ver tudo)',
+            hint: ' · roda do mouse: zoom, arrastar: deslocar'
+        },
+        sensor: {
+            calibrate: 'CALIBRAR',
+            offset: 'desvio cal. {value}'
+        },
+        skid: {
+            online: 'Skids em operação',
+            treated: 'Vazão tratada',
+            bypass: 'Bypass sem tratamento',
+            capex: 'CAPEX instalado',
+            skid: 'Skid',
+            flow: 'Vazão',
+            ppm: 'F ent. → saída',
+            bed: 'Leito',
+            dose: 'Dose',
+            removed: 'F rem.',
+            purity: 'Pureza',
+            weight: 'Peso',
+            layout: 'Arranjo',
+            parallel: 'Paralelo (divisor de vazão)',
+            series: 'Série (polimento)',
+            parallelShort: 'paralelo',
+            seriesShort: 'série',
+            alert: 'ALERTA',
+            running: 'ONLINE',
+            maintenance: 'MANUTENÇÃO',
+            return: 'RETORNAR',
+            weightError: 'Peso deve ser ≥ 0',
+            allInfluent: 'todo o afluente'
+        },
+        bed: {
+            mmPerDay: '{value} mm/dia',
+            kgPerDay: '{value} kg/dia'
+        },
+        quality: {
+            purity: 'Pureza na colheita',
+            grade: 'Grau atual',
+            target: 'Acidspar produzido / meta',
+            tons: 'Acid. / Metal. / Fora ({mass})',
+            batch: 'Lote',
+            mass: 'Massa',
+            purityColumn: 'Pureza',
+            gradeColumn: 'Grau',
+            meanPH: 'pH médio',
+            noBatches: 'Nenhum lote fechado.'
+        },
+        storage: {
+            silo: 'Silo {grade}',
+            hopper: 'Cone / válvula rotativa',
+            bin: 'Caçamba da peneira',
+            turns: 'Giros da válvula',
+            water: 'Água drenada na peneira',
+            sold: 'Vendido A / M / F ({mass})',
+            dispatch: 'Expedição',
+            grade: 'Grau',
+            load: 'Carga',
+            revenue: 'Receita',
+            tripped: 'PARADA: ESTOQUE CHEIO',
+            blocked: 'VÁLVULA BLOQUEADA',
+            suspend: 'SUSPENDER EXPEDIÇÃO',
+            resume: 'RETOMAR EXPEDIÇÃO',
+            noTrucks: 'Nenhum caminhão expedido.'
+        },
+        compliance: {
+            totalF: 'F total efluente',
+            dissolvedF: 'F dissolvido',
+            finesF: 'F em finos',
+            inSpec: 'Tempo em conformidade',
+            outSpec: 'Tempo fora / eventos',
+            limit: 'Limite F (mg/L)',
+            warning: 'Alerta F (mg/L)',
+            start: 'Início',
+            duration: 'Duração',
+            peak: 'Pico F',
+            ongoing: ' (em curso)',
+            none: 'Nenhuma ultrapassagem registrada.'
+        },
+        water: {
+            chloride: 'Cloreto',
+            hardness: 'Dureza total',
+            tds: 'SDT (soma dos íons)',
+            cations: 'Cálcio / sódio',
+            treated: 'Tratada',
+            reuse: 'Reúso',
+            discharge: 'Descarte',
+            settings: 'Afluente e critérios (vazio = não exigido)',
+            tolerance: 'Tolerância do balanço (fração)',
+            balance: 'Balanço iônico (kg): entrada = saídas + variação de estoque',
+            ion: 'Íon',
+            input: 'Entrada',
+            product: 'Produto',
+            fines: 'Finos',
+            effluent: 'Efluente',
+            stock: 'Δ estoque',
+            deviation: 'Desvio',
+            ok: 'OK',
+            above: 'ACIMA',
+            noFlow: 'Sem vazão processada.',
+            unbalanced: 'Desbalanço acima de {tolerance}%: {ions}',
+            closed: 'Balanço fechado (maior desvio {worst}%).'
+        },
+        reagent: {
+            tank: 'Tanque de solução',
+            stock: 'Estoque (CaCl2 / solução)',
+            rate: 'Consumo médio',
+            autonomy: 'Autonomia',
+            unitCost: 'Custo médio em tanque',
+            forecast: 'Previsão de compra (30d)',
+            pending: 'Pedido em trânsito',
+            shortfall: 'Dosagem não atendida',
+            tiers: 'Faixas de preço',
+            orderNow: 'PEDIR AGORA',
+            order: 'Pedido',
+            delivery: 'Entrega',
+            quantity: 'Qtd.',
+            total: 'Total',
+            autoOn: 'REPOSIÇÃO AUTOMÁTICA: ON',
+            autoOff: 'REPOSIÇÃO AUTOMÁTICA: OFF',
+            arrives: '{amount}, chega {time}',
+            empty: 'TANQUE VAZIO',
+            expected: 'prev. {time}',
+            noPurchases: 'Nenhuma compra.'
+        },
+        baseline: {
+            lime: 'Cal (atual)',
+            rclf: 'RCLF',
+            reagent: 'Reagente ({mass})',
+            drySludge: 'Sólidos gerados ({mass} secas)',
+            sludge: 'Lodo / finos na barragem ({volume})',
+            effluentF: 'F no efluente (mg/L)',
+            cost: 'Custo operacional',
+            netCost: 'Custo líquido (− vendas)',
+            damLife: 'Vida útil da barragem',
+            avoided: 'Lodo evitado',
+            extension: 'Extensão da vida da barragem',
+            difference: 'Diferença de custo (cal − RCLF)',
+            chart: 'Volume na barragem ({volume}, esq.) e custo líquido acumulado (dir.): cal tracejado, RCLF contínuo',
+            noSilting: 'sem assoreamento',
+            beyond: '> {max} anos',
+            stopsFilling: 'barragem deixa de encher',
+            extensionBeyond: '+ {max} anos ou mais',
+            extensionYears: '+ {value} anos'
+        },
+        finance: {
+            npv: 'VPL',
+            irr: 'TIR (a.a.)',
+            payback: 'Payback simples',
+            discountedPayback: 'Payback descontado',
+            netIncome: 'Lucro líquido no horizonte',
+            taxes: 'IRPJ + CSLL no horizonte',
+            esgNpv: 'VP custos evitados (ESG)',
+            basis: 'Meses simulados / projetados',
+            year: 'Ano',
+            revenue: 'Receita',
+            ebitda: 'EBITDA',
+            tax: 'IR/CSLL',
+            cashFlow: 'Fluxo de caixa',
+            esg: 'ESG',
+            export: 'EXPORTAR FLUXO MENSAL (CSV)',
+            notReached: 'não atinge',
+            market: 'Preços de mercado ({price})'
+        },
+        reliability: {
+            availability: 'Disponibilidade',
+            performance: 'Desempenho (F capturado em operação)',
+            quality: 'Qualidade (produto em espec.)',
+            oee: 'OEE',
+            stopped: 'Paradas (não planejadas / preventivas)',
+            failures: 'Falhas / MTBF observado',
+            cost: 'Reparos / preventivas (OPEX)',
+            lost: 'Produção perdida',
+            nextPm: 'Próxima preventiva',
+            equipment: 'Equipamento',
+            age: 'Idade (h)',
+            failuresColumn: 'Falhas',
+            down: 'Parado',
+            pmNow: 'PREVENTIVA AGORA',
+            pmRunning: 'EM ANDAMENTO até {time}',
+            notScheduled: 'não programada',
+            repair: 'REPARO até {time}',
+            preventive: 'PREVENTIVA',
+            failuresOn: 'FALHAS ALEATÓRIAS: ON',
+            failuresOff: 'FALHAS ALEATÓRIAS: OFF'
+        },
+        alarm: {
+            summary: '{active} ativos · {unacked} não reconhecidos · {shelved} suprimidos',
+            ackAll: 'RECONHECER TODOS',
+            limits: 'Limites de alarme',
+            tag: 'Tag',
+            low: 'Baixo',
+            high: 'Alto',
+            deadband: 'Banda',
+            delay: 'Atraso (s)',
+            priority: 'Prioridade',
+            enabled: 'Ativo',
+            active: 'ATIVO',
+            new: 'NOVO',
+            cleared: 'NORMALIZADO',
+            ack: 'RECONHECER',
+            shelve: 'SUPRIMIR {hours}h',
+            none: 'Nenhum alarme ativo.',
+            badSignal: '{name}: sem sinal',
+            highWord: 'ALTO',
+            lowWord: 'BAIXO',
+            describe: '{name} {word}: {value} (limite {limit})'
+        },
+        journal: {
+            count: '{count} registros',
+            export: 'EXPORTAR CSV',
+            run: 'Corrida',
+            time: 'Hora sim.',
+            type: 'Tipo',
+            event: 'Evento',
+            none: 'Nenhum evento registrado.'
+        },
+        monteCarlo: {
+            distributions: 'Distribuições de entrada',
+            input: 'Entrada',
+            distribution: 'Distribuição',
+            mode: 'Moda',
+            runs: 'Simulações',
+            days: 'Dias simulados por rodada',
+            run: 'EXECUTAR MONTE CARLO',
+            npv: 'VPL P10 / P50 / P90',
+            probability: 'Prob. VPL ≥ 0',
+            bands: 'Fluxo de caixa acumulado P10 / P50 / P90',
+            payback: 'Probabilidade de payback',
+            tornado: 'Tornado: VPL com cada entrada no mín. e no máx.',
+            done: '{runs} simulações concluídas.'
+        },
+        optimizer: {
+            settings: 'Objetivo, faixas e restrições',
+            maximize: 'Maximizar',
+            run: 'OTIMIZAR',
+            objective: 'Objetivo: atual → recomendado',
+            constraints: 'Restrições no recomendado',
+            current: 'Atual',
+            recommended: 'Recomendado',
+            runFirst: 'Execute a otimização.',
+            purityNote: 'A meta comercial de acidspar fica fora da busca: é um compromisso de venda e não muda nenhuma métrica simulada. Ajuste-a no controle de meta comercial.',
+            pareto: 'Compromisso: flúor removido ({mass}) × {economic}',
+            feasible: '● viável',
+            infeasible: '● viola restrição',
+            frontier: '— fronteira de Pareto',
+            recommendedPoint: '● recomendado',
+            currentPoint: '● atual',
+            applyHint: 'Vazão para o reator, correção de pH e excesso FF',
+            apply: 'APLICAR NA SIMULAÇÃO',
+            inverted: '{variable}: mínimo acima do máximo.',
+            summary: '{count} pontos simulados, {feasible} viáveis.',
+            constraintsOk: 'OK · F P95 {effluent} mg/L · finos {washout}% · CaCl2 {reagent}/mês',
+            correction: 'Correção de pH (mg/L; + NaOH, − H2SO4)',
+            meanPH: 'pH médio obtido',
+            fRemoved: 'Flúor removido ({mass})'
+        },
+        report: {
+            time: 'Tempo simulado',
+            points: 'Pontos de tendência',
+            events: 'Registros no diário',
+            series: 'SÉRIES CSV',
+            journal: 'DIÁRIO CSV',
+            json: 'DADOS JSON',
+            hint: 'O relatório abre em nova aba pronto para imprimir em PDF.',
+            blocked: 'Pop-up bloqueado: relatório baixado como HTML (abra e imprima em PDF).',
+            opened: 'Relatório aberto em nova aba.'
+        },
+        training: {
+            exercise: 'Exercício',
+            start: 'INICIAR',
+            stop: 'ENCERRAR',
+            import: 'CARREGAR ARQUIVO',
+            template: 'BAIXAR JSON',
+            summary: '{hours} h simuladas · {events} evento(s) programado(s)',
+            idle: 'Ao iniciar, a planta reinicia com o cenário do exercício e o processo entra em operação.',
+            loaded: 'Exercício carregado: {name}',
+            progress: 'Em andamento: {elapsed} de {duration} h',
+            messages: 'Mensagens recebidas',
+            noMessages: 'Nenhuma mensagem até agora.',
+            actions: '{count} ação(ões) registrada(s)',
+            total: 'Nota final',
+            compliance: 'Conformidade',
+            product: 'Produto',
+            reaction: 'Reação',
+            complianceDetail: '{percent}% do lançamento dentro do limite ({hours} h acima)',
+            productDetail: '{captured} {mass} de CaF2 retidos · perdidos {fines} {mass} em finos e {stopped} {mass} em {hours} h parada',
+            weights: 'Pesos: conformidade {compliance} · produto {product} · reação {reaction}',
+            incidents: 'Incidentes',
+            time: 'Hora',
+            incident: 'Evento',
+            reactionTime: 'Reação',
+            action: 'Ação',
+            score: 'Nota',
+            noReaction: 'sem reação',
+            minutes: '{value} min',
+            atHours: '+{value} h',
+            traineeActions: 'Ações do treinando',
+            noActions: 'Nenhuma ação registrada.',
+            export: 'EXPORTAR DEBRIEF',
+            repeat: 'REPETIR',
+            events: {
+                influent: 'Afluente: {change} por {hours} h',
+                influentOpen: 'Afluente: {change} até o fim',
+                ppm: 'F ×{factor}',
+                flow: 'vazão ×{factor}',
+                equipmentFailure: 'Falha: {equipment}',
+                sensorFault: '{sensor}: {fault}',
+                siloFull: 'Silo {grade} cheio, expedição suspensa',
+                siloCurrent: 'do produto em curso',
+                message: 'Mensagem'
+            }
+        }
+    },
+    en: {
+        locale: 'en-US',
+        common: {
+            noSignal: 'NO SIGNAL',
+            none: 'none',
+            ready: 'Ready.',
+            starting: 'Starting...',
+            cancelled: 'Cancelled.',
+            cancel: 'CANCEL',
+            workerUnavailable: 'Web Worker unavailable ({error}). Open the simulator through an HTTP server.',
+            workerError: 'Worker error: {error}',
+            round: 'Round {done} of {total} ({pct}%)',
+            variable: 'Variable',
+            parameter: 'Parameter',
+            min: 'Min.',
+            max: 'Max.',
+            status: 'Status',
+            state: 'State',
+            operating: 'RUNNING',
+            days: '{value} days',
+            years: '{value} years',
+            yearAxis: '{value} y',
+            perDay: '{value}/day',
+            elapsedHours: '{hours}h',
+            elapsedDays: '{days}d',
+            elapsedMonths: '{months}mo {days}d',
+            samples: '{count} points every {min} min',
+            millions: '{value}M',
+            thousands: '{value}k'
+        },
+        header: {
+            standby: 'SYSTEM ON STANDBY',
+            online: 'SYSTEM ONLINE - AUTOMATED',
+            paused: 'SIMULATION PAUSED',
+            fastForward: 'FAST FORWARD',
+            back: 'BACK TO HOME',
+            language: 'Language',
+            units: 'Units',
+            metric: 'Metric (t, m³/h)',
+            us: 'US (sh tn, gpm)',
+            currency: 'Currency',
+            rate: 'BRL per USD'
+        },
+        controls: {
+            title: 'OPERATOR PANEL - RCLF',
+            speed: 'Playback Speed',
+            flow: 'Inlet Flow ({flow})',
+            conc: 'Fluoride Concentration (mg/L)',
+            influent: 'Effluent Profile',
+            modeManual: 'Manual (sliders)',
+            modeStep: 'Step (plant shutdown)',
+            modeRamp: 'Ramp (rain event)',
+            modeSinusoid: 'Daily sinusoid (shifts)',
+            modeRandomWalk: 'Random walk',
+            modeCsv: 'Time series (CSV)',
+            resumeProfile: 'RESUME PROFILE',
+            influentManual: 'Driven by the sliders.',
+            influentOverride: 'MANUAL OVERRIDE ACTIVE',
+            influentProfile: 'Profile driving the inlet.',
+            hydroWindow: 'Safe window {min}–{max} {flow}{perSkid} · u = {velocity}',
+            perSkid: ' per skid',
+            hydroBypass: ' · bypass {value}',
+            dosing: 'Calcium Chloride Dosing (Smart)',
+            toManual: 'SWITCH TO MANUAL',
+            toAuto: 'SWITCH TO AUTO',
+            auto: 'AUTO',
+            manual: 'MANUAL',
+            badInput: ' (BAD SIGNAL)',
+            saturated: ' (LIM)',
+            loopMetrics: 'Overshoot: {overshoot} | Settling: {settling}{status}',
+            outOfBand: ' (outside the band)',
+            tuning: 'PID Tuning',
+            setpointF: 'F setpoint (mg/L)',
+            ffRatio: 'FF excess',
+            pumpMax: 'Pump max. (g/s)',
+            rateLimit: 'Ramp (g/s/min)',
+            feedForward: 'Feed-forward (flow × ppm)',
+            phCorrection: 'pH Correction (NaOH + / H2SO4 −)',
+            noCorrection: 'no correction',
+            acidSlug: 'ACID SLUG',
+            purity: 'Sales Target (Acidspar %)',
+            purityValue: '{value}% Acidspar',
+            purityCurrent: 'Current production: {grade} ({purity}% CaF2)',
+            purityRealized: 'Achieved: {share}% acidspar {verdict}',
+            targetMet: '(target met)',
+            targetMissed: '(below target)',
+            start: 'START PROCESS',
+            stop: 'STOP PROCESS',
+            reset: 'RESET',
+            clock: 'Simulation Clock',
+            pause: 'PAUSE',
+            resume: 'RESUME',
+            step: 'STEP',
+            stepTitle: 'Advances one integration step ({min} simulated min)',
+            runUntilValue: 'Run until',
+            runUntilUnit: 'Unit',
+            day: 'Day',
+            month: 'Month (30 days)',
+            startDate: 'Operation start',
+            seed: 'Seed (on reset)',
+            runUntil: 'RUN',
+            clockIdle: 'Fixed integration step.',
+            fastForwardCancelled: 'Fast forward cancelled.',
+            stepNeedsRun: 'Start the process to step through it.',
+            stepAt: 'Step: {date}',
+            badTarget: 'Enter a day or month greater than zero.',
+            targetPassed: 'The simulation is already past {target}.',
+            dayN: 'day {n}',
+            monthN: 'month {n}',
+            arrived: 'Reached {target} ({date}). Paused.',
+            exerciseEnded: 'Exercise ended ({date}). Paused.',
+            advancing: 'Running to {target}: {pct}%',
+            scenario: 'Scenario',
+            export: 'EXPORT',
+            import: 'IMPORT',
+            link: 'LINK',
+            scenarioExported: 'Scenario exported.',
+            linkCopied: 'Link copied to the clipboard.',
+            scenarioLoaded: 'Scenario loaded ({name}).',
+            scenarioMigrated: 'Scenario loaded ({name}) from an older version; fields ignored: {fields}.',
+            info: 'Calcium chloride mass computed from a real-time stoichiometric balance.',
+            pinTitle: 'Click to pin to the trend chart'
+        },
+        manual: {
+            title: 'OPERATING MANUAL:',
+            step1: '1. <strong style="color: var(--neon-green);">Inlet</strong>: The toxic effluent is split between the skids and injected at the base of each column.',
+            step2: '2. <strong style="color: var(--neon-green);">Reaction</strong>: Ca<sup>2+</sup> ions bind to F- ions.',
+            step3: '3. <strong style="color: var(--neon-green);">Growth</strong>: Fluoride crystals grow in the bed.',
+            step4: '4. <strong style="color: var(--neon-green);">Harvest</strong>: Dense particles settle in the cone, leave through the rotary valve, are dewatered on the vibrating screen and go to the silo of their grade until dispatch.'
+        },
+        stats: {
+            technical: 'TECHNICAL MONITORING',
+            time: 'Operating Time',
+            ph: 'pH',
+            alkalinity: 'Alkalinity (lab)',
+            fInput: 'Fluoride Received',
+            fluorite: 'Fluorite Produced',
+            cacl2: 'CaCl2 Consumed',
+            residualF: 'Residual Fluoride',
+            turbidity: 'Turbidity',
+            efficiency: 'Efficiency (%)',
+            stock: 'Silo Stock',
+            economic: 'ECONOMIC PERFORMANCE',
+            capex: 'Initial Investment (CAPEX)',
+            opex: 'Total Operating Cost (OPEX)',
+            revenue30d: 'Revenue (30d)',
+            profit30d: 'EBITDA (30d)',
+            revenue: 'Total Revenue',
+            profit: 'Total EBITDA',
+            savings: 'Avoided Costs vs. Lime (ESG, outside EBITDA)',
+            roi: 'Return on Investment',
+            availability: 'Availability / OEE',
+            lostRevenue: 'Revenue Lost to Stoppages',
+            cacl2Stock: 'CaCl2 Stock (autonomy)',
+            cacl2Forecast: 'Forecast CaCl2 Purchases (30d)'
+        },
+        panels: {
+            trends: 'TRENDS',
+            sensors: 'INSTRUMENTATION',
+            skids: 'REACTOR TRAIN',
+            bed: 'CRYSTAL BED',
+            quality: 'PRODUCT QUALITY',
+            storage: 'HARVEST AND STORAGE',
+            compliance: 'EFFLUENT COMPLIANCE (CONAMA 430)',
+            water: 'TREATED WATER AND ION BALANCE',
+            baseline: 'BASELINE: LIME × RCLF',
+            finance: 'PROJECT CASH FLOW',
+            reagent: 'CaCl2 SUPPLY',
+            reliability: 'RELIABILITY AND MAINTENANCE',
+            monteCarlo: 'RISK ANALYSIS (MONTE CARLO)',
+            optimizer: 'OPERATING POINT OPTIMIZER',
+            alarms: 'ALARMS',
+            journal: 'EVENT JOURNAL',
+            report: 'REPORT AND EXPORT',
+            training: 'OPERATOR TRAINING'
+        },
+        canvas: {
+            preventive: 'PREVENTIVE MAINTENANCE: TRAIN IN BYPASS',
+            failure: 'FAILURE: {equipment}',
+            bypass: 'BYPASS {flow} → dam',
+            skid: 'SKID {id}',
+            maintenance: 'MAINTENANCE',
+            bed: 'Bed {height} m (+{expansion}%)',
+            siloFull: 'STOPPED: STOCK FULL'
+        },
+        trend: {
+            pin: '+ pin variable',
+            resolution: 'Resolution (min, on reset)',
+            maxPoints: 'Points before resampling',
+            unpin: 'Click to unpin',
+            empty: 'Click a dashboard indicator to pin it here.',
+            zoomed: ' · ZOOM (double-click to see all)',
+            hint: ' · mouse wheel: zoom, drag: pan'
+        },
+        sensor: {
+            calibrate: 'CALIBRATE',
+            offset: 'cal. offset {value}'
+        },
+        skid: {
+            online: 'Skids running',
+            treated: 'Treated flow',
+            bypass: 'Untreated bypass',
+            capex: 'Installed CAPEX',
+            skid: 'Skid',
+            flow: 'Flow',
+            ppm: 'F in → out',
+            bed: 'Bed',
+            dose: 'Dose',
+            removed: 'F rem.',
+            purity: 'Purity',
+            weight: 'Weight',
+            layout: 'Layout',
+            parallel: 'Parallel (flow splitter)',
+            series: 'Series (polishing)',
+            parallelShort: 'parallel',
+            seriesShort: 'series',
+            alert: 'ALERT',
+            running: 'ONLINE',
+            maintenance: 'MAINTENANCE',
+            return: 'RETURN',
+            weightError: 'Weight must be ≥ 0',
+            allInfluent: 'all of the influent'
+        },
+        bed: {
+            mmPerDay: '{value} mm/day',
+            kgPerDay: '{value} kg/day'
+        },
+        quality: {
+            purity: 'Purity at harvest',
+            grade: 'Current grade',
+            target: 'Acidspar produced / target',
+            tons: 'Acid. / Metal. / Off ({mass})',
+            batch: 'Batch',
+            mass: 'Mass',
+            purityColumn: 'Purity',
+            gradeColumn: 'Grade',
+            meanPH: 'Mean pH',
+            noBatches: 'No batch closed yet.'
+        },
+        storage: {
+            silo: '{grade} silo',
+            hopper: 'Cone / rotary valve',
+            bin: 'Screen bin',
+            turns: 'Valve turns',
+            water: 'Water drained on the screen',
+            sold: 'Sold A / M / O ({mass})',
+            dispatch: 'Dispatch',
+            grade: 'Grade',
+            load: 'Load',
+            revenue: 'Revenue',
+            tripped: 'STOPPED: STOCK FULL',
+            blocked: 'VALVE BLOCKED',
+            suspend: 'SUSPEND DISPATCH',
+            resume: 'RESUME DISPATCH',
+            noTrucks: 'No truck dispatched.'
+        },
+        compliance: {
+            totalF: 'Total effluent F',
+            dissolvedF: 'Dissolved F',
+            finesF: 'F in fines',
+            inSpec: 'Time in compliance',
+            outSpec: 'Time out / events',
+            limit: 'F limit (mg/L)',
+            warning: 'F warning (mg/L)',
+            start: 'Start',
+            duration: 'Duration',
+            peak: 'Peak F',
+            ongoing: ' (ongoing)',
+            none: 'No exceedance recorded.'
+        },
+        water: {
+            chloride: 'Chloride',
+            hardness: 'Total hardness',
+            tds: 'TDS (sum of ions)',
+            cations: 'Calcium / sodium',
+            treated: 'Treated',
+            reuse: 'Reuse',
+            discharge: 'Discharge',
+            settings: 'Influent and criteria (empty = not required)',
+            tolerance: 'Balance tolerance (fraction)',
+            balance: 'Ion balance (kg): input = outputs + change in inventory',
+            ion: 'Ion',
+            input: 'Input',
+            product: 'Product',
+            fines: 'Fines',
+            effluent: 'Effluent',
+            stock: 'Δ inventory',
+            deviation: 'Deviation',
+            ok: 'OK',
+            above: 'ABOVE',
+            noFlow: 'No flow treated yet.',
+            unbalanced: 'Imbalance above {tolerance}%: {ions}',
+            closed: 'Balance closed (largest deviation {worst}%).'
+        },
+        reagent: {
+            tank: 'Solution tank',
+            stock: 'Stock (CaCl2 / solution)',
+            rate: 'Average consumption',
+            autonomy: 'Autonomy',
+            unitCost: 'Average cost in tank',
+            forecast: 'Purchase forecast (30d)',
+            pending: 'Order in transit',
+            shortfall: 'Dosing not delivered',
+            tiers: 'Price tiers',
+            orderNow: 'ORDER NOW',
+            order: 'Order',
+            delivery: 'Delivery',
+            quantity: 'Qty.',
+            total: 'Total',
+            autoOn: 'AUTOMATIC REORDER: ON',
+            autoOff: 'AUTOMATIC REORDER: OFF',
+            arrives: '{amount}, arrives {time}',
+            empty: 'TANK EMPTY',
+            expected: 'exp. {time}',
+            noPurchases: 'No purchases.'
+        },
+        baseline: {
+            lime: 'Lime (current)',
+            rclf: 'RCLF',
+            reagent: 'Reagent ({mass})',
+            drySludge: 'Solids generated ({mass} dry)',
+            sludge: 'Sludge / fines in the dam ({volume})',
+            effluentF: 'Effluent F (mg/L)',
+            cost: 'Operating cost',
+            netCost: 'Net cost (− sales)',
+            damLife: 'Dam service life',
+            avoided: 'Sludge avoided',
+            extension: 'Dam life extension',
+            difference: 'Cost difference (lime − RCLF)',
+            chart: 'Dam volume ({volume}, left) and cumulative net cost (right): lime dashed, RCLF solid',
+            noSilting: 'no silting',
+            beyond: '> {max} years',
+            stopsFilling: 'dam no longer fills',
+            extensionBeyond: '+ {max} years or more',
+            extensionYears: '+ {value} years'
+        },
+        finance: {
+            npv: 'NPV',
+            irr: 'IRR (p.a.)',
+            payback: 'Simple payback',
+            discountedPayback: 'Discounted payback',
+            netIncome: 'Net income over the horizon',
+            taxes: 'IRPJ + CSLL over the horizon',
+            esgNpv: 'PV of avoided costs (ESG)',
+            basis: 'Months simulated / projected',
+            year: 'Year',
+            revenue: 'Revenue',
+            ebitda: 'EBITDA',
+            tax: 'IR/CSLL',
+            cashFlow: 'Cash flow',
+            esg: 'ESG',
+            export: 'EXPORT MONTHLY CASH FLOW (CSV)',
+            notReached: 'not reached',
+            market: 'Market prices ({price})'
+        },
+        reliability: {
+            availability: 'Availability',
+            performance: 'Performance (F captured while running)',
+            quality: 'Quality (product in spec)',
+            oee: 'OEE',
+            stopped: 'Downtime (unplanned / preventive)',
+            failures: 'Failures / observed MTBF',
+            cost: 'Repairs / preventive (OPEX)',
+            lost: 'Production lost',
+            nextPm: 'Next preventive',
+            equipment: 'Equipment',
+            age: 'Age (h)',
+            failuresColumn: 'Failures',
+            down: 'Down',
+            pmNow: 'PREVENTIVE NOW',
+            pmRunning: 'IN PROGRESS until {time}',
+            notScheduled: 'not scheduled',
+            repair: 'REPAIR until {time}',
+            preventive: 'PREVENTIVE',
+            failuresOn: 'RANDOM FAILURES: ON',
+            failuresOff: 'RANDOM FAILURES: OFF'
+        },
+        alarm: {
+            summary: '{active} active · {unacked} unacknowledged · {shelved} shelved',
+            ackAll: 'ACKNOWLEDGE ALL',
+            limits: 'Alarm limits',
+            tag: 'Tag',
+            low: 'Low',
+            high: 'High',
+            deadband: 'Deadband',
+            delay: 'Delay (s)',
+            priority: 'Priority',
+            enabled: 'Enabled',
+            active: 'ACTIVE',
+            new: 'NEW',
+            cleared: 'CLEARED',
+            ack: 'ACKNOWLEDGE',
+            shelve: 'SHELVE {hours}h',
+            none: 'No active alarm.',
+            badSignal: '{name}: no signal',
+            highWord: 'HIGH',
+            lowWord: 'LOW',
+            describe: '{name} {word}: {value} (limit {limit})'
+        },
+        journal: {
+            count: '{count} entries',
+            export: 'EXPORT CSV',
+            run: 'Run',
+            time: 'Sim. time',
+            type: 'Type',
+            event: 'Event',
+            none: 'No event recorded.'
+        },
+        monteCarlo: {
+            distributions: 'Input distributions',
+            input: 'Input',
+            distribution: 'Distribution',
+            mode: 'Mode',
+            runs: 'Simulations',
+            days: 'Simulated days per run',
+            run: 'RUN MONTE CARLO',
+            npv: 'NPV P10 / P50 / P90',
+            probability: 'Prob. NPV ≥ 0',
+            bands: 'Cumulative cash flow P10 / P50 / P90',
+            payback: 'Payback probability',
+            tornado: 'Tornado: NPV with each input at its min. and max.',
+            done: '{runs} simulations completed.'
+        },
+        optimizer: {
+            settings: 'Objective, ranges and constraints',
+            maximize: 'Maximize',
+            run: 'OPTIMIZE',
+            objective: 'Objective: current → recommended',
+            constraints: 'Constraints at the recommended point',
+            current: 'Current',
+            recommended: 'Recommended',
+            runFirst: 'Run the optimization.',
+            purityNote: 'The acidspar sales target is not searched: it is a commercial commitment and changes no simulated metric. Set it with the commercial target control.',
+            pareto: 'Trade-off: fluoride removed ({mass}) × {economic}',
+            feasible: '● feasible',
+            infeasible: '● violates a constraint',
+            frontier: '— Pareto frontier',
+            recommendedPoint: '● recommended',
+            currentPoint: '● current',
+            applyHint: 'Reactor flow, pH correction and FF excess',
+            apply: 'APPLY TO THE SIMULATION',
+            inverted: '{variable}: minimum above maximum.',
+            summary: '{count} points simulated, {feasible} feasible.',
+            constraintsOk: 'OK · F P95 {effluent} mg/L · fines {washout}% · CaCl2 {reagent}/month',
+            correction: 'pH correction (mg/L; + NaOH, − H2SO4)',
+            meanPH: 'Mean pH achieved',
+            fRemoved: 'Fluoride removed ({mass})'
+        },
+        report: {
+            time: 'Simulated time',
+            points: 'Trend points',
+            events: 'Journal entries',
+            series: 'SERIES CSV',
+            journal: 'JOURNAL CSV',
+            json: 'JSON DATA',
+            hint: 'The report opens in a new tab, ready to print to PDF.',
+            blocked: 'Pop-up blocked: report downloaded as HTML (open it and print to PDF).',
+            opened: 'Report opened in a new tab.'
+        },
+        training: {
+            exercise: 'Exercise',
+            start: 'START',
+            stop: 'END',
+            import: 'LOAD FILE',
+            template: 'DOWNLOAD JSON',
+            summary: '{hours} simulated h · {events} scheduled event(s)',
+            idle: 'Starting resets the plant to the exercise scenario and puts the process online.',
+            loaded: 'Exercise loaded: {name}',
+            progress: 'In progress: {elapsed} of {duration} h',
+            messages: 'Messages received',
+            noMessages: 'No messages so far.',
+            actions: '{count} action(s) logged',
+            total: 'Final score',
+            compliance: 'Compliance',
+            product: 'Product',
+            reaction: 'Reaction',
+            complianceDetail: '{percent}% of the discharge within the limit ({hours} h above)',
+            productDetail: '{captured} {mass} of CaF2 retained · lost {fines} {mass} as fines and {stopped} {mass} over {hours} h stopped',
+            weights: 'Weights: compliance {compliance} · product {product} · reaction {reaction}',
+            incidents: 'Incidents',
+            time: 'Time',
+            incident: 'Event',
+            reactionTime: 'Reaction',
+            action: 'Action',
+            score: 'Score',
+            noReaction: 'no reaction',
+            minutes: '{value} min',
+            atHours: '+{value} h',
+            traineeActions: 'Trainee actions',
+            noActions: 'No actions logged.',
+            export: 'EXPORT DEBRIEF',
+            repeat: 'REPEAT',
+            events: {
+                influent: 'Influent: {change} for {hours} h',
+                influentOpen: 'Influent: {change} to the end',
+                ppm: 'F ×{factor}',
+                flow: 'flow ×{factor}',
+                equipmentFailure: 'Failure: {equipment}',
+                sensorFault: '{sensor}: {fault}',
+                siloFull: '{grade} silo full, shipping on hold',
+                siloCurrent: 'current product',
+                message: 'Message'
+            }
+        },
+        // English names of labels defined next to the model and panel constants (Portuguese there)
+        labels: {
+            trend: {
+                ph: 'pH', alkalinity: 'Alkalinity', flowRate: 'Inlet flow', ppmF: 'Inlet F', residualF: 'F at train outlet',
+                effluentF: 'Effluent F', chloride: 'Treated-water chloride', tds: 'Treated-water TDS', turbidity: 'Turbidity',
+                capture: 'F capture', dosingRate: 'CaCl2 dosing', bedHeight: 'Bed height', fInput: 'Fluoride processed',
+                fluoriteOutput: 'Fluorite produced', cacl2Used: 'CaCl2 consumed', stockOnHand: 'Silo stock', cacl2Stock: 'CaCl2 stock',
+                revenue: 'Cumulative revenue', opex: 'Cumulative OPEX', cash: 'Cumulative EBITDA', revenue30d: 'Revenue (30d)',
+                profit30d: 'EBITDA (30d)', savings: 'Avoided costs (ESG)', roi: 'ROI', availability: 'Availability',
+                lostRevenue: 'Revenue lost', cacl2Forecast: 'Forecast CaCl2 purchases (30d)'
+            },
+            trendView: {
+                process: 'Process: pH, flow and fluoride', production: 'Production and stocks',
+                economics: 'Cumulative cash and ROI', pinned: 'Pinned variables'
+            },
+            sensor: {
+                FLOW: 'Flow meter', FLUORIDE_IN: 'Fluoride ISE (inlet)', FLUORIDE_OUT: 'Fluoride ISE (outlet)',
+                PH: 'pH probe', TURBIDITY: 'Turbidimeter'
+            },
+            fault: { none: 'Normal', stuck: 'Stuck', spike: 'Spike', offline: 'No signal', drift: 'Fast drift' },
+            grade: { acidspar: 'ACIDSPAR', metalspar: 'METALSPAR', offspec: 'OFF-SPEC' },
+            impurity: { lattice: 'Lattice inclusions', calcite: 'Calcite / pH instab.', silica: 'Silica', phosphate: 'Calcium phosphate' },
+            bed: {
+                massKg: 'Bed mass', d50: 'd50 (mass)', growthRate: 'Growth', supersaturation: 'Supersaturation S',
+                finesFraction: 'Fines nucleation', cutSize: 'Washout cut size', harvestRate: 'Pellet harvest', washoutRate: 'Fines lost'
+            },
+            compliance: { ok: 'COMPLIANT', warning: 'WARNING', exceeded: 'ABOVE LIMIT' },
+            quality: { WASH_EFFICIENCY: 'Wash efficiency (%)', SILICA_MG_L: 'Effluent silica (mg/L)', PHOSPHATE_MG_L: 'Effluent phosphate (mg/L)' },
+            storage: {
+                SILO_CAPACITY_T: 'Capacity per silo', TRUCK_CAPACITY_T: 'Load per truck',
+                MAX_TRUCKS_PER_DAY: 'Trucks per day', VALVE_INTERVAL_MIN: 'Valve interval (min)'
+            },
+            plant: {
+                SKIDS: 'Skids installed (on reset)', FEED_FLOW: 'Flow to the reactor', SKID_MAX_FLOW: 'Max. flow per skid',
+                POLISH_RATIO: 'Polishing excess (×)', EXTRA_SKID_CAPEX: 'CAPEX per extra skid'
+            },
+            reagent: {
+                TANK_CAPACITY_M3: 'Tank volume', REORDER_LEVEL: 'Reorder point (%)',
+                ORDER_T: 'CaCl2 order size', LEAD_TIME_HOURS: 'Lead time (h)'
+            },
+            baseline: {
+                COST_LIME: 'Hydrated lime', DREDGED_SHARE: 'Sludge dredged (%)',
+                LANDFILL_COST_T: 'Landfill, wet sludge', DAM_REMAINING_M3: 'Free dam volume'
+            },
+            finance: {
+                HORIZON_YEARS: 'Horizon (years)', DISCOUNT_RATE: 'Discount rate (% p.a.)', DEPRECIATION_YEARS: 'Depreciation (years)',
+                IRPJ_RATE: 'IRPJ (%)', IRPJ_SURCHARGE_RATE: 'IRPJ surcharge (%)', CSLL_RATE: 'CSLL (%)'
+            },
+            market: {
+                PRICE_ACIDSPAR: 'Acidspar', PRICE_METALSPAR: 'Metalspar', PRICE_OFFSPEC: 'Off-spec',
+                COST_CACL2: 'CaCl2', COST_NAOH: 'NaOH', COST_H2SO4: 'H2SO4'
+            },
+            reliability: {
+                PM_INTERVAL_DAYS: 'Preventive every (days)', PM_DURATION_H: 'Preventive duration (h)',
+                PM_COST: 'Preventive cost', WEIBULL_SHAPE: 'Weibull shape (wear-out)'
+            },
+            equipment: {
+                FEED_PUMP: 'Feed pump', DOSING_PUMP: 'CaCl2 dosing pump', ROTARY_VALVE: 'Rotary valve',
+                SCREEN: 'Vibrating screen', F_ANALYSER: 'F analyser (outlet)'
+            },
+            alarmTag: {
+                PH: 'Reactor pH', RESIDUAL_F: 'Dissolved F (outlet ISE)', EFFLUENT_F: 'Total effluent F',
+                FLUORIDE_IN: 'Inlet F (ISE)', FLOW: 'Inlet flow', TURBIDITY: 'Effluent turbidity',
+                BED_HEIGHT: 'Bed height (highest skid)', DOSING: 'CaCl2 pump', SILO_LEVEL: 'Fullest silo', CACL2_LEVEL: 'CaCl2 tank'
+            },
+            priority: { high: 'HIGH', medium: 'MEDIUM', low: 'LOW' },
+            journalType: {
+                alarm: 'ALARM', rtn: 'NORMAL', ack: 'ACK.', shelve: 'SHELVE', unshelve: 'SHELVE', control: 'OPERATOR', system: 'SYSTEM',
+                training: 'TRAINING'
+            },
+            // Journal message templates, keyed as JOURNAL_MESSAGES
+            journalMessage: {
+                restarted: 'Simulation restarted',
+                started: 'System started',
+                stopped: 'System stopped',
+                dispatch: 'Dispatch: {tons} {grade} ({revenue})',
+                tripped: 'Trip: silos and hopper full, feed stopped, effluent bypassed',
+                tripCleared: 'Storage cleared, feed resumed',
+                reagentOrder: 'CaCl2 order: {tons} at {price}, delivery in {hours}',
+                reagentDelivery: 'CaCl2 delivery: {tons} unloaded',
+                reagentDeliveryReturned: 'CaCl2 delivery: {tons} unloaded ({returned} returned, tank full)',
+                reagentOut: 'CaCl2 tank empty: dosing stopped',
+                reagentRestored: 'CaCl2 dosing restored',
+                failure: 'Failure: {equipment}, repair expected in {hours} ({cost})',
+                repaired: 'Repair complete: {equipment}',
+                pmStart: 'Preventive maintenance started: train stopped for {hours}, effluent bypassed',
+                pmDone: 'Preventive maintenance complete ({cost})',
+                alarmHigh: '{tag} HIGH: {value} (limit {limit})',
+                alarmLow: '{tag} LOW: {value} (limit {limit})',
+                alarmBad: '{tag}: no signal',
+                alarmCleared: '{tag}: back to normal',
+                alarmAcked: '{tag}: acknowledged',
+                alarmShelved: '{tag}: shelved for {hours}',
+                alarmUnshelved: '{tag}: shelving ended',
+                alarmSetting: 'Alarm {tag}: {field} = {value}',
+                setting: '{field}: {value}',
+                equipmentSetting: '{equipment} {field} (h): {value}',
+                price: '{product} price: {price}',
+                autoReorderOn: 'CaCl2 automatic reorder on',
+                autoReorderOff: 'CaCl2 automatic reorder off',
+                manualOrder: 'Manual CaCl2 order: {tons} at {price}',
+                failuresOn: 'Equipment failures on',
+                failuresOff: 'Equipment failures off',
+                pmEarly: 'Preventive maintenance brought forward by the operator: train stopped for {hours}',
+                sensorFault: '{sensor}: {fault} fault',
+                sensorRecalibrated: '{sensor}: recalibrated',
+                skidsSeries: 'Skid layout: series',
+                skidsParallel: 'Skid layout: parallel',
+                splitWeight: 'Flow splitter: skid {id} weight {weight}',
+                skidOnline: 'Skid {id} back in operation',
+                skidOffline: 'Skid {id} under maintenance',
+                dispatchOn: 'Truck dispatch resumed',
+                dispatchOff: 'Truck dispatch suspended',
+                acidSlug: 'Acid slug from flotation simulated',
+                startDate: 'Operation start: {date}',
+                seed: 'Random seed: {seed} (on reset)',
+                fastForwardDay: 'Fast forward to day {value} ({date})',
+                fastForwardMonth: 'Fast forward to month {value} ({date})',
+                dosingAuto: 'Dosing in AUTO',
+                dosingManual: 'Dosing in MANUAL',
+                manualOutput: 'Manual pump output: {output}',
+                tuning: 'Tuning {key} = {value}',
+                profileResumed: 'Influent profile resumed',
+                profileMode: 'Influent profile: {mode}',
+                optimumApplied: 'Optimum applied: {flow} to the reactor, correction {correction} (mean pH {ph}), FF excess {ratio}',
+                scenarioLoaded: 'Scenario loaded ({name})',
+                exerciseStarted: 'Exercise started: {name}',
+                exerciseFinished: 'Exercise complete: {name}, score {score}'
+            },
+            // Operator sliders as journalled
+            control: {
+                speed: 'Operating speed', flowRate: 'Inflow', ppmF: 'Fluoride concentration',
+                phCorrection: 'pH correction (NaOH + / H2SO4 −)', purityMix: 'Commercial target (Acidspar)'
+            },
+            // Built-in exercises, keyed by their Portuguese name
+            exercise: {
+                'Pico de flúor na flotação': 'Fluoride spike from flotation',
+                'Desarme da bomba dosadora': 'Dosing pump trip',
+                'Deriva da sonda de pH': 'pH probe drift',
+                'Silo de produto cheio': 'Product silo full'
+            },
+            exerciseBriefing: {
+                'Pico de flúor na flotação': 'Normal operation at 450 m³/h. Watch the outlet fluoride and keep the effluent within the 10 mg/L limit.',
+                'Desarme da bomba dosadora': 'Normal operation. Without CaCl2 the fluoride goes straight to the effluent: respond to the alarms.',
+                'Deriva da sonda de pH': 'Normal operation. Be suspicious of readings that change with no cause in the process.',
+                'Silo de produto cheio': 'The silo of the current product is at its limit and the hopper is already holding batches. Avoid stopping the feed.'
+            },
+            distribution: { uniform: 'Uniform', triangular: 'Triangular', normal: 'Normal' },
+            mcInput: {
+                PRICE_ACIDSPAR: 'Acidspar price', PRICE_METALSPAR: 'Metalspar price', COST_CACL2: 'CaCl2 cost',
+                PPM_F: 'Effluent fluoride', FLOW_RATE: 'Flow', MTBF_FACTOR: 'Reliability (× MTBF)'
+            },
+            optVariable: { FLOW_RATE: 'Reactor flow', PH_SETPOINT: 'pH setpoint', FF_RATIO: 'CaCl2 excess' },
+            optObjective: { profit30d: 'EBITDA (30d)', npv: 'NPV', fRemoved: 'Fluoride removed' },
+            optimizer: {
+                MAX_EFFLUENT_F: 'Max. effluent F P95 (mg/L)', MAX_WASHOUT_PCT: 'Max. fines washout (% of F)',
+                REAGENT_BUDGET_MONTH: 'Monthly CaCl2 budget', SAMPLES: 'Points sampled', REFINE_ROUNDS: 'Refinement rounds',
+                DAYS: 'Simulated days per round'
+            },
+            ion: { F: 'Fluoride', Ca: 'Calcium', Mg: 'Magnesium', Na: 'Sodium', Cl: 'Chloride', SO4: 'Sulphate', PO4: 'Phosphate' },
+            criteria: { CL: 'Chloride', HARDNESS: 'Total hardness', SO4: 'Sulphate', TDS: 'Total dissolved solids (TDS)' },
+            waterInfluent: {
+                CA_IN: 'Influent Ca²⁺ (mg/L)', MG_IN: 'Influent Mg²⁺ (mg/L)', NA_IN: 'Influent Na⁺ (mg/L)',
+                CL_IN: 'Influent Cl⁻ (mg/L)', SO4_IN: 'Influent SO4²⁻ (mg/L)', PO4_IN: 'Influent PO4³⁻ (mg/L)'
+            }
+        }
+    }
+};
+
+function uiText(lang = CONFIG.LOCALE.LANGUAGE) {
+    return UI_TEXT[lang] || UI_TEXT.pt;
+}
+
+/**
+ * Catalog string at a dotted `key` ("water.closed"), with {name} placeholders filled from
+ * `vars`. {flow}, {mass}, {volume} and {money} default to the units on display. Falls back
+ * to Portuguese, then to the key itself.
+ */
+function t(key, vars = {}) {
+    const lookup = catalog => key.split('.').reduce((node, k) => (node == null ? undefined : node[k]), catalog);
+    const text = lookup(uiText()) ?? lookup(UI_TEXT.pt) ?? key;
+    const values = { flow: unitOf('m³/h'), mass: unitOf('t'), volume: unitOf('m³'), money: unitOf('R$'), ...vars };
+    return text.replace(/\{(\w+)\}/g, (match, name) => (values[name] === undefined ? match : values[name]));
+}
+
+/**
+ * Label of a model or panel constant: the English name in `labels.<group>.<key>` when the
+ * dashboard is in English, otherwise the Portuguese `fallback` defined with the constant.
+ */
+function labelOf(group, key, fallback) {
+    return uiText().labels?.[group]?.[key] ?? fallback;
+}
+
+/**
+ * "Label (unit)" of a panel field { key, label, unit? } in the units on display.
+ */
+function fieldLabel(group, field) {
+    const label = labelOf(group, field.key, field.label);
+    return field.unit ? `${label} (${unitOf(field.unit)})` : label;
+}
+
+function uiLocale() {
+    return uiText().locale;
+}
+
+function formatNumber(value, digits = 0) {
+    return value.toLocaleString(uiLocale(), { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/**
+ * Multiplier from a model unit ('t', 'm³/h', 'm³', 'm/h', 'R$', or a ratio such as 'R$/t') to the
+ * unit on display. Units the systems do not list (mg/L, g/s, %) are shown as they are.
+ */
+function unitFactor(unit) {
+    const known = UNIT_SYSTEMS[CONFIG.LOCALE.UNITS][unit];
+    if (known) return known.factor;
+    if (unit === 'R$') return CONFIG.LOCALE.CURRENCY === 'USD' ? 1 / CONFIG.LOCALE.USD_BRL : 1;
+    const parts = unit.split('/');
+    return parts.length === 2 ? unitFactor(parts[0]) / unitFactor(parts[1]) : 1;
+}
+
+function unitOf(unit) {
+    const known = UNIT_SYSTEMS[CONFIG.LOCALE.UNITS][unit];
+    if (known) return known.unit;
+    if (unit === 'R$') return CURRENCY_SYMBOLS[CONFIG.LOCALE.CURRENCY];
+    const parts = unit.split('/');
+    return parts.length === 2 ? `${unitOf(parts[0])}/${unitOf(parts[1])}` : unit;
+}
+
+function toUnit(value, unit) {
+    return unit ? value * unitFactor(unit) : value;
+}
+
+function fromUnit(value, unit) {
+    return unit ? value / unitFactor(unit) : value;
+}
+
+/**
+ * A model value as it goes into a number input: converted, and trimmed to 6 significant
+ * digits when the conversion is not exact. null (an empty optional field) passes through.
+ */
+function inputValue(value, unit) {
+    if (value === null || !unit || unitFactor(unit) === 1) return value;
+    return parseFloat(toUnit(value, unit).toPrecision(6));
+}
+
+/**
+ * "1.234,5 t" / "1,360.9 sh tn": a model value in the units and number format on display.
+ */
+function formatUnit(value, unit, digits = 0) {
+    const text = formatNumber(toUnit(value, unit), digits);
+    return unit ? `${text} ${unitOf(unit)}` : text;
+}
+
+/**
+ * A BRL amount in the currency on display, "R$ 1.234,56" / "US$ 228.62".
+ */
+function formatMoney(value, digits = 2) {
+    return `${unitOf('R$')} ${formatNumber(toUnit(value, 'R$'), digits)}`;
+}
+
+/**
+ * A BRL-per-tonne price as "R$ 1.200/t" / "US$ 201/sh tn".
+ */
+function formatPrice(value, digits = 0) {
+    return `${unitOf('R$')} ${formatNumber(toUnit(value, 'R$/t'), digits)}/${unitOf('t')}`;
+}
+
+/**
+ * "R$ 1,23 mi" / "US$ 45.6k" for tables where full amounts do not fit.
+ */
+function formatMoneyShort(value) {
+    const converted = toUnit(value, 'R$');
+    const abs = Math.abs(converted);
+    const sign = converted < 0 ? '-' : '';
+    const symbol = unitOf('R$');
+    if (abs >= 1e6) return `${sign}${symbol} ${t('common.millions', { value: formatNumber(abs / 1e6, 2) })}`;
+    if (abs >= 1e3) return `${sign}${symbol} ${t('common.thousands', { value: formatNumber(abs / 1e3, 1) })}`;
+    return `${sign}${symbol} ${formatNumber(abs, 0)}`;
+}
+
+/**
+ * A journal entry in the dashboard language: the template of its `text` (see JOURNAL_MESSAGES)
+ * with the values in the units, currency and number format on display. Free-text entries
+ * show their message as written.
+ */
+function journalText(entry) {
+    if (!entry.text) return entry.message;
+    const { key, vars = {} } = entry.text;
+    const show = (v) => {
+        if (v === null || v === undefined) return '—';
+        if (typeof v === 'number') return v.toLocaleString(uiLocale());
+        if (typeof v !== 'object') return String(v);
+        if ('money' in v) return formatMoney(v.money, 0);
+        if ('price' in v) return formatPrice(v.price);
+        if ('date' in v) return formatUIDate(v.date, v.withTime ?? true);
+        if ('label' in v) return labelOf(v.label, v.key, v.name);
+        if (v.value === null) return '—';
+        if (v.digits !== undefined) return formatUnit(v.value, v.unit, v.digits);
+        const text = inputValue(v.value, v.unit).toLocaleString(uiLocale());
+        return v.unit ? `${text} ${unitOf(v.unit)}` : text;
+    };
+    return labelOf('journalMessage', key, JOURNAL_MESSAGES[key]).replace(/\{(\w+)\}/g, (match, name) => show(vars[name]));
+}
+
+/**
+ * Calendar date of a simulated time in the dashboard locale ("01/02/2026 06:00", "02/01/2026, 06:00 AM").
+ */
+function formatUIDate(simTimeMs, withTime = true) {
+    const options = { timeZone: 'UTC', day: '2-digit', month: '2-digit', year: 'numeric' };
+    if (withTime) Object.assign(options, { hour: '2-digit', minute: '2-digit' });
+    return simDate(simTimeMs).toLocaleString(uiLocale(), options);
+}
+
+/**
+ * Fills the static page: [data-i18n] text, [data-i18n-html] markup and [data-i18n-title] tooltips.
+ */
+function applyStaticText(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach((el) => {
+        el.innerHTML = t(el.dataset.i18nHtml);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach((el) => {
+        el.title = t(el.dataset.i18nTitle);
+    });
+    document.documentElement.lang = uiLocale().toLowerCase();
+}
@@ -0,0 +1,181 @@
+/**
+ * Cristal Minas - Influent Profiles
+ * Drives flowRate and ppmF over simulated time (shifts, rain events, stoppages).
+ * Operator slider moves act as a manual override until the profile is resumed.
+ */
+
+const INFLUENT_MODES = ['manual', 'step', 'ramp', 'sinusoid', 'randomWalk', 'csv'];
+const INFLUENT_TRACE_HOURS = 14 * 24;
+
+/**
+ * Parses "hour,flow,ppm" rows (comma or semicolon, optional header) into a sorted series.
+ */
+function parseInfluentCsv(text) {
+    const series = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+        const cells = line.trim().split(/[;,\t]/).map(c => c.trim());
+        if (cells.length === 1 && cells[0] === '') return;
+        const values = cells.map(Number);
+        if (values.length < 3 || values.slice(0, 3).some(v => !Number.isFinite(v))) {
+            if (i === 0) return; // Header
+            throw new Error(`CSV linha ${i + 1}: esperado "hora,vazão,ppm", recebido "${line.trim()}"`);
+        }
+        const [hour, flowRate, ppmF] = values;
+        if (hour < 0 || flowRate < 0 || ppmF < 0) {
+            throw new Error(`CSV linha ${i + 1}: valores negativos não são permitidos`);
+        }
+        series.push({ hour, flowRate, ppmF });
+    });
+    if (series.length === 0) throw new Error('CSV sem linhas de dados');
+    return series.sort((a, b) => a.hour - b.hour);
+}
+
+/**
+ * Linear interpolation in a time-sorted series, holding the end values outside its range.
+ */
+function interpolateSeries(series, hour) {
+    if (hour <= series[0].hour) return series[0];
+    const last = series[series.length - 1];
+    if (hour >= last.hour) return last;
+
+    const i = series.findIndex(p => p.hour > hour);
+    const a = series[i - 1];
+    const b = series[i];
+    const t = (hour - a.hour) / (b.hour - a.hour);
+    return {
+        flowRate: a.flowRate + (b.flowRate - a.flowRate) * t,
+        ppmF: a.ppmF + (b.ppmF - a.ppmF) * t
+    };
+}
+
+/**
+ * Evaluates CONFIG.INFLUENT at simulated time and records an hourly trace for charting.
+ */
+class InfluentProfile {
+    constructor(rng = Math.random) {
+        this.rng = rng;
+        this.reset();
+    }
+
+    reset() {
+        this.walk = { flowRate: 0, ppmF: 0 }; // Log-deviations from base
+        this.lastHour = 0;
+        this.override = {};
+        this.trace = [];
+    }
+
+    get mode() {
+        return CONFIG.INFLUENT.MODE;
+    }
+
+    /**
+     * Engages manual override for one variable ('flowRate' or 'ppmF').
+     */
+    setOverride(prop, value) {
+        this.override[prop] = value;
+    }
+
+    /**
+     * Releases the override of `prop`, or of both variables when none is given.
+     */
+    clearOverride(prop = null) {
+        if (prop) delete this.override[prop];
+        else this.override = {};
+    }
+
+    /**
+     * Operator flow and concentration behind the live values, for scenario inputs: the sliders
+     * in manual mode, the profile base otherwise (the live values follow the profile every step).
+     */
+    baseInputs(manual) {
+        if (this.mode === 'manual') return { flowRate: manual.flowRate, ppmF: manual.ppmF };
+        return { flowRate: CONFIG.INFLUENT.BASE_FLOW, ppmF: CONFIG.INFLUENT.BASE_PPM };
+    }
+
+    isOverridden() {
+        return this.mode !== 'manual' && Object.keys(this.override).length > 0;
+    }
+
+    /**
+     * Profile value at `hour` for the deterministic modes. Returns null for manual and randomWalk.
+     */
+    evaluate(hour) {
+        const cfg = CONFIG.INFLUENT;
+        const base = { flowRate: cfg.BASE_FLOW, ppmF: cfg.BASE_PPM };
+
+        switch (cfg.MODE) {
+            case 'step': {
+                const after = hour >= cfg.STEP_AT_HOURS;
+                return {
+                    flowRate: base.flowRate * (after ? cfg.STEP_FLOW_FACTOR : 1),
+                    ppmF: base.ppmF * (after ? cfg.STEP_PPM_FACTOR : 1)
+                };
+            }
+            case 'ramp': {
+                const t = Math.min(1, Math.max(0, (hour - cfg.RAMP_START_HOURS) / Math.max(cfg.RAMP_HOURS, 1e-6)));
+                return {
+                    flowRate: base.flowRate * (1 + (cfg.RAMP_FLOW_FACTOR - 1) * t),
+                    ppmF: base.ppmF * (1 + (cfg.RAMP_PPM_FACTOR - 1) * t)
+                };
+            }
+            case 'sinusoid': {
+                const phase = Math.cos(2 * Math.PI * (hour - cfg.SINE_PEAK_HOUR) / 24);
+                return {
+                    flowRate: base.flowRate * (1 + cfg.SINE_FLOW_AMPLITUDE * phase),
+                    ppmF: base.ppmF * (1 + cfg.SINE_PPM_AMPLITUDE * phase)
+                };
+            }
+            case 'csv':
+                return cfg.SERIES.length ? interpolateSeries(cfg.SERIES, hour) : base;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Mean-reverting random walk in log space, integrated up to `hour`.
+     */
+    advanceWalk(hour) {
+        const cfg = CONFIG.INFLUENT;
+        const dtHours = hour - this.lastHour;
+        if (dtHours > 0) {
+            Object.keys(this.walk).forEach((prop) => {
+                const x = this.walk[prop];
+                this.walk[prop] = x - cfg.WALK_REVERSION * x * dtHours
+                    + cfg.WALK_VOLATILITY * Math.sqrt(dtHours) * sampleNormal(this.rng);
+            });
+        }
+        return {
+            flowRate: cfg.BASE_FLOW * Math.exp(this.walk.flowRate),
+            ppmF: cfg.BASE_PPM * Math.exp(this.walk.ppmF)
+        };
+    }
+
+    /**
+     * Influent at `simTimeMs`. `manual` holds the slider values used in manual mode.
+     */
+    sample(simTimeMs, manual) {
+        const hour = simTimeMs / MS_PER_HOUR;
+        let value = manual;
+        if (this.mode === 'randomWalk') {
+            value = this.advanceWalk(hour);
+        } else if (this.mode !== 'manual') {
+            value = this.evaluate(hour);
+        }
+        this.lastHour = hour;
+
+        const result = {
+            flowRate: Math.max(0, this.override.flowRate ?? value.flowRate),
+            ppmF: Math.max(0, this.override.ppmF ?? value.ppmF)
+        };
+        this.record(hour, result);
+        return result;
+    }
+
+    record(hour, value) {
+        const last = this.trace[this.trace.length - 1];
+        if (last && Math.floor(last.hour) === Math.floor(hour)) return;
+        this.trace.push({ hour, ...value });
+        if (this.trace.length > INFLUENT_TRACE_HOURS) this.trace.shift();
+    }
+}
@@ -0,0 +1,250 @@
+/**
+ * Cristal Minas - Ion Balance
+ * Follows every ion that enters the plant, from the influent and from the reagents
+ * (CaCl2 brings Ca²⁺ and Cl⁻, NaOH brings Na⁺, H2SO4 brings SO4²⁻), to where it
+ * leaves: in the pellets, as calcite, in the fines or dissolved in the treated water.
+ * What is still in the beds and in the reactors' liquid is the accumulation, so each
+ * species closes as in = out + accumulated; a residual beyond BALANCE_TOLERANCE
+ * flags a model inconsistency. The treated water's chloride, hardness and TDS are
+ * checked against the reuse and discharge criteria in CONFIG.IONS.
+ */
+
+const MOLAR_MASS_CL = 35450;  // mg/mol
+const MOLAR_MASS_NA = 22990;  // mg/mol
+const MOLAR_MASS_SO4 = 96060; // mg/mol
+const HARDNESS_PER_CA = 100090 / MOLAR_MASS_CA; // mg/L as CaCO3 per mg/L Ca
+const HARDNESS_PER_MG = 100090 / 24305;
+const HCO3_PER_ALKALINITY = 61020 / MG_CACO3_PER_EQ; // mg/L HCO3- per mg/L alkalinity as CaCO3
+
+/**
+ * Tracked species. `influent` is the CONFIG.IONS key of its background concentration; dosed
+ * species also come from a reagent. Background ions do not react and pass straight through.
+ */
+const ION_SPECIES = {
+    F: { label: 'Fluoreto', symbol: 'F⁻' },
+    Ca: { label: 'Cálcio', symbol: 'Ca²⁺', influent: 'CA_IN' },
+    Mg: { label: 'Magnésio', symbol: 'Mg²⁺', influent: 'MG_IN' },
+    Na: { label: 'Sódio', symbol: 'Na⁺', influent: 'NA_IN' },
+    Cl: { label: 'Cloreto', symbol: 'Cl⁻', influent: 'CL_IN' },
+    SO4: { label: 'Sulfato', symbol: 'SO4²⁻', influent: 'SO4_IN' },
+    PO4: { label: 'Fosfato', symbol: 'PO4³⁻', influent: 'PO4_IN' }
+};
+
+/**
+ * Treated-water parameters with reuse/discharge criteria; `read` takes IonBalance.water.
+ */
+const WATER_CRITERIA = {
+    CL: { label: 'Cloreto', unit: 'mg/L', read: w => w.Cl },
+    HARDNESS: { label: 'Dureza total', unit: 'mg/L CaCO3', read: w => w.hardness },
+    SO4: { label: 'Sulfato', unit: 'mg/L', read: w => w.SO4 },
+    TDS: { label: 'Sólidos dissolvidos (SDT)', unit: 'mg/L', read: w => w.tds }
+};
+
+// Species a reagent dose adds to the water (mg of ion per mg of reagent)
+const CACL2_CA = MOLAR_MASS_CA / MOLAR_MASS_CACL2;
+const CACL2_CL = (2 * MOLAR_MASS_CL) / MOLAR_MASS_CACL2;
+const NAOH_NA = MOLAR_MASS_NA / EQ_MASS_NAOH;
+const H2SO4_SO4 = MOLAR_MASS_SO4 / (2 * EQ_MASS_H2SO4);
+const CA_PER_F = MOLAR_MASS_CA / (2 * MOLAR_MASS_F); // Ca bound with each mg of F in CaF2
+
+// Conservative reagent ions, followed through each reactor's liquid
+const DOSED_IONS = ['Na', 'Cl', 'SO4'];
+
+class IonBalance {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        const zero = () => Object.fromEntries(Object.keys(ION_SPECIES).map(k => [k, 0]));
+        this.inKg = zero();        // Influent + reagents
+        this.reagentKg = zero();   // Share of inKg that came from reagents
+        this.productKg = zero();   // Harvested pellets (F, Ca) and calcite (Ca)
+        this.finesKg = zero();     // CaF2 fines washed out with the effluent
+        this.effluentKg = zero();  // Dissolved in the treated water
+        this.liquid = [];          // Per skid: reagent ions above background in the reactor, mg/L
+        this.water = this.emptyWater();
+        this.lastOutlet = null;    // Dosed and reacting species at the outlet last step, mg/L
+    }
+
+    emptyWater() {
+        const w = {};
+        Object.keys(ION_SPECIES).forEach((k) => {
+            w[k] = ION_SPECIES[k].influent ? CONFIG.IONS[ION_SPECIES[k].influent] : 0;
+        });
+        w.hardness = w.Ca * HARDNESS_PER_CA + w.Mg * HARDNESS_PER_MG;
+        w.tds = 0;
+        return w;
+    }
+
+    /**
+     * One step after the train. `flowRate`/`ppmF` is the feed the train saw, `results` what
+     * ReactorTrain.step returned, `correctionMgL` the NaOH (+) or H2SO4 (-) dose on each skid.
+     */
+    update({ train, flowRate, ppmF, results, correctionMgL, dtSeconds }) {
+        const cfg = CONFIG.IONS;
+        const volumeL = (flowRate / 3.6) * dtSeconds;
+        const kg = (mgL, liters) => (mgL * liters) / 1e6;
+        const series = CONFIG.PLANT.LAYOUT === 'series';
+        const online = train.online.filter(s => s.flowRate > 0);
+        while (this.liquid.length < train.skids.length) {
+            this.liquid.push(Object.fromEntries(DOSED_IONS.map(k => [k, 0])));
+        }
+
+        // Influent: fluoride plus the background ions
+        this.inKg.F += kg(ppmF, volumeL);
+        Object.keys(ION_SPECIES).forEach((k) => {
+            const key = ION_SPECIES[k].influent;
+            if (key) this.inKg[k] += kg(cfg[key], volumeL);
+        });
+
+        // Reagents, skid by skid, and each skid's liquid for the ions that do not react
+        let upstream = null;
+        train.skids.forEach((s, i) => {
+            const liquid = this.liquid[i];
+            const skidL = (s.flowRate / 3.6) * dtSeconds;
+            const cacl2Kg = (s.dosingRate * dtSeconds) / 1000;
+            const dosed = {
+                Cl: cacl2Kg * CACL2_CL,
+                Na: correctionMgL > 0 ? kg(correctionMgL, skidL) * NAOH_NA : 0,
+                SO4: correctionMgL < 0 ? kg(-correctionMgL, skidL) * H2SO4_SO4 : 0
+            };
+            const calciteKg = cacl2Kg * CACL2_CA * (1 - s.chem.ph.calciumAvailability());
+            this.inKg.Ca += cacl2Kg * CACL2_CA;
+            this.reagentKg.Ca += cacl2Kg * CACL2_CA;
+            this.productKg.Ca += calciteKg;
+            const mix = cstrMixFraction(s.flowRate, dtSeconds);
+            DOSED_IONS.forEach((k) => {
+                this.inKg[k] += dosed[k];
+                this.reagentKg[k] += dosed[k];
+                const feedMgL = (series && upstream ? upstream[k] : 0) + (skidL > 0 ? (dosed[k] * 1e6) / skidL : 0);
+                liquid[k] += (feedMgL - liquid[k]) * mix;
+            });
+            if (online.includes(s)) upstream = liquid;
+        });
+
+        // Pellets and fines carry Ca with their F
+        const perCaF2 = CONFIG.STOICHIOMETRY.F_TO_CAF2;
+        const harvestedF = results.massFluorite / perCaF2 / 1000;
+        const finesF = results.massFinesLost / perCaF2 / 1000;
+        this.productKg.F += harvestedF;
+        this.productKg.Ca += harvestedF * CA_PER_F;
+        this.finesKg.F += finesF;
+        this.finesKg.Ca += finesF * CA_PER_F;
+
+        // Plant outlet: the treated stream (last stage in series, flow-weighted in parallel) and the bypass
+        const treatedFlow = series ? (online[0]?.flowRate || 0) : online.reduce((sum, s) => sum + s.flowRate, 0);
+        const stream = (pick) => {
+            if (treatedFlow <= 0) return 0;
+            if (series) return pick(online[online.length - 1]);
+            return online.reduce((sum, s) => sum + pick(s) * s.flowRate, 0) / treatedFlow;
+        };
+        const share = flowRate > 0 ? treatedFlow / flowRate : 0;
+        // Calcium left unreacted by an upstream stage is not consumed downstream: in series it adds up
+        const dosedCa = series ? online.reduce((sum, s) => sum + s.chem.residualCa, 0) : stream(s => s.chem.residualCa);
+        const outlet = {
+            F: train.outlet.residualF,
+            Ca: dosedCa * share
+        };
+        DOSED_IONS.forEach((k) => {
+            outlet[k] = stream(s => this.liquid[train.skids.indexOf(s)][k]) * share;
+        });
+        // Trapezoid over the step: outlet concentrations move with the reactors' mixing
+        const previous = this.lastOutlet || outlet;
+        Object.keys(outlet).forEach((k) => {
+            this.effluentKg[k] += kg((outlet[k] + previous[k]) / 2, volumeL);
+        });
+        Object.keys(ION_SPECIES).forEach((k) => {
+            const key = ION_SPECIES[k].influent;
+            if (key) this.effluentKg[k] += kg(cfg[key], volumeL);
+        });
+        if (flowRate > 0) this.lastOutlet = outlet;
+
+        this.updateWater(train, outlet, share);
+    }
+
+    /**
+     * Treated-water composition at the plant outlet, mg/L.
+     */
+    updateWater(train, outlet, share) {
+        const cfg = CONFIG.IONS;
+        const w = {};
+        Object.keys(ION_SPECIES).forEach((k) => {
+            w[k] = (ION_SPECIES[k].influent ? cfg[ION_SPECIES[k].influent] : 0) + (outlet[k] || 0);
+        });
+        w.F = outlet.F;
+        w.hardness = w.Ca * HARDNESS_PER_CA + w.Mg * HARDNESS_PER_MG;
+        // Bicarbonate from the reactor alkalinity (CaCl2 acidity consumes some), mixed with the bypass
+        const alkalinity = train.lead.chem.ph.alkalinityMgL * share + CONFIG.PH.ALK_IN * (1 - share);
+        w.tds = Object.keys(ION_SPECIES).reduce((sum, k) => sum + w[k], 0) + alkalinity * HCO3_PER_ALKALINITY;
+        this.water = w;
+    }
+
+    /**
+     * In the beds and in the reactors' liquid now, kg per species. Bed CaF2 is what was captured
+     * and not yet harvested.
+     */
+    accumulated(train) {
+        const acc = Object.fromEntries(Object.keys(ION_SPECIES).map(k => [k, 0]));
+        const chem = train.lead.chem;
+        const bedF = (chem.totalFRemoved - chem.totalFluoriteOutput / CONFIG.STOICHIOMETRY.F_TO_CAF2) / 1000;
+        acc.F += bedF;
+        acc.Ca += bedF * CA_PER_F;
+        const reactorL = CONFIG.PH.REACTOR_VOLUME * 1000;
+        train.skids.forEach((s, i) => {
+            acc.F += (s.chem.residualF * reactorL) / 1e6;
+            acc.Ca += (s.chem.residualCa * reactorL) / 1e6;
+            DOSED_IONS.forEach((k) => {
+                acc[k] += ((this.liquid[i]?.[k] || 0) * reactorL) / 1e6;
+            });
+        });
+        return acc;
+    }
+
+    /**
+     * The closed balance, one row per species with any input: in = product + fines + effluent
+     * + accumulated + imbalance, kg. `flagged` when the imbalance exceeds BALANCE_TOLERANCE of the input.
+     */
+    table(train) {
+        const acc = this.accumulated(train);
+        return Object.keys(ION_SPECIES).filter(k => this.inKg[k] > 0).map((k) => {
+            const outKg = this.productKg[k] + this.finesKg[k] + this.effluentKg[k];
+            const imbalanceKg = this.inKg[k] - outKg - acc[k];
+            return {
+                key: k,
+                label: `${ION_SPECIES[k].label} (${ION_SPECIES[k].symbol})`,
+                symbol: ION_SPECIES[k].symbol,
+                inKg: this.inKg[k],
+                reagentKg: this.reagentKg[k],
+                productKg: this.productKg[k],
+                finesKg: this.finesKg[k],
+                effluentKg: this.effluentKg[k],
+                accumulatedKg: acc[k],
+                imbalanceKg,
+                flagged: Math.abs(imbalanceKg) > CONFIG.IONS.BALANCE_TOLERANCE * this.inKg[k]
+            };
+        });
+    }
+
+    /**
+     * Each treated-water parameter against the reuse and discharge limits (null limit = not required).
+     */
+    criteria() {
+        const cfg = CONFIG.IONS;
+        return Object.keys(WATER_CRITERIA).map((key) => {
+            const c = WATER_CRITERIA[key];
+            const value = c.read(this.water);
+            const check = limit => (limit === null ? null : value <= limit);
+            return {
+                key,
+                label: c.label,
+                unit: c.unit,
+                value,
+                reuseLimit: cfg.REUSE[key],
+                dischargeLimit: cfg.DISCHARGE[key],
+                reuseOk: check(cfg.REUSE[key]),
+                dischargeOk: check(cfg.DISCHARGE[key])
+            };
+        });
+    }
+}
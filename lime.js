@@ -0,0 +1,138 @@
+/**
+ * Cristal Minas - Lime Treatment Baseline
+ * Today's process run on the same influent as the RCLF: hydrated lime precipitates
+ * CaF2 down to a residual, the unreacted excess carbonates, and the sludge settles
+ * in the tailings dam at its solids content. Part of it is dredged and landfilled.
+ * The RCLF is compared against it instead of against a fixed avoided cost.
+ */
+
+const CA_OH_2_PER_F = 74.09 / (2 * 19.0);  // g Ca(OH)2 per g F precipitated as CaF2
+const CACO3_PER_CA_OH_2 = 100.09 / 74.09;  // Unreacted lime ends up as calcite in the dam
+const LIME_MAX_HISTORY = 400;              // Daily points kept for the comparison chart
+
+class LimeBaseline {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.limeKg = 0;          // Hydrated lime as delivered
+        this.fRemovedKg = 0;
+        this.drySludgeKg = 0;
+        this.sludgeM3 = 0;        // Wet sludge generated
+        this.damM3 = 0;           // Left in the dam (the rest is dredged)
+        this.dredgedM3 = 0;
+        this.limeCost = 0;
+        this.disposalCost = 0;    // Dredging and landfill
+        this.fixedCost = 0;
+        this.history = [];        // [{ day, limeM3, rclfM3, limeCost, rclfCost }]
+    }
+
+    get totalCost() {
+        return this.limeCost + this.disposalCost + this.fixedCost;
+    }
+
+    /**
+     * Wet sludge volume, m³, of `dryKg` settled solids at the dam solids content.
+     */
+    sludgeVolume(dryKg) {
+        const cfg = CONFIG.LIME;
+        return dryKg / cfg.SLUDGE_SOLIDS / cfg.SLUDGE_DENSITY;
+    }
+
+    /**
+     * Years until the dam's remaining volume fills at `m3PerYear` (null when nothing settles).
+     */
+    damLifeYears(m3PerYear) {
+        return m3PerYear > 0 ? CONFIG.LIME.DAM_REMAINING_M3 / m3PerYear : null;
+    }
+
+    /**
+     * Treats `flowRate` m³/h at `ppmF` mg/L for `dtSeconds`. Returns the F removed (kg) and
+     * what the step cost, so the RCLF can be credited for the share of it that it avoids.
+     */
+    update({ flowRate, ppmF, dtSeconds }) {
+        const cfg = CONFIG.LIME;
+        const waterM3 = (flowRate / 3600) * dtSeconds;
+        const fRemovedKg = (waterM3 * Math.max(0, ppmF - cfg.RESIDUAL_F)) / 1000;
+
+        // Stoichiometric lime with excess, plus the neutralisation demand of the water itself
+        const reactiveKg = fRemovedKg * CA_OH_2_PER_F * cfg.EXCESS_RATIO + (waterM3 * cfg.BASE_DEMAND_MG_L) / 1000;
+        const limeKg = reactiveKg / cfg.PURITY;
+        const caf2Kg = fRemovedKg * CONFIG.STOICHIOMETRY.F_TO_CAF2;
+        const unreactedKg = (reactiveKg - fRemovedKg * CA_OH_2_PER_F) * CACO3_PER_CA_OH_2;
+        const dryKg = caf2Kg + unreactedKg + (limeKg - reactiveKg);
+        const sludgeM3 = this.sludgeVolume(dryKg);
+        const dredgedM3 = sludgeM3 * cfg.DREDGED_SHARE;
+
+        const limeCost = (limeKg / 1000) * cfg.COST_LIME;
+        const disposalCost = dredgedM3 * cfg.DREDGING_COST_M3
+            + ((dredgedM3 * cfg.SLUDGE_DENSITY) / 1000) * cfg.LANDFILL_COST_T;
+        const fixedCost = (dtSeconds / 86400) * cfg.OPEX_FIXED_DAY;
+
+        this.limeKg += limeKg;
+        this.fRemovedKg += fRemovedKg;
+        this.drySludgeKg += dryKg;
+        this.sludgeM3 += sludgeM3;
+        this.dredgedM3 += dredgedM3;
+        this.damM3 += sludgeM3 - dredgedM3;
+        this.limeCost += limeCost;
+        this.disposalCost += disposalCost;
+        this.fixedCost += fixedCost;
+        return { fRemovedKg, cost: limeCost + disposalCost + fixedCost };
+    }
+
+    /**
+     * Side-by-side figures for the same elapsed time. The RCLF sends only its washed-out fines to the dam;
+     * `effluentF` is its total F at the plant outlet.
+     */
+    compare(chem, effluentF) {
+        const years = chem.simTimeMs / (365 * MS_PER_DAY);
+        const rclfM3 = this.sludgeVolume(chem.totalFinesLost / 1000);
+        const rclfCost = chem.totalVariableCost + chem.totalFixedCost;
+        const limeLife = years > 0 ? this.damLifeYears(this.damM3 / years) : null;
+        const rclfLife = years > 0 ? this.damLifeYears(rclfM3 / years) : null;
+        return {
+            lime: {
+                reagentKg: this.limeKg,
+                drySludgeKg: this.drySludgeKg,
+                sludgeM3: this.sludgeM3,
+                damM3: this.damM3,
+                cost: this.totalCost,
+                netCost: this.totalCost,
+                damLifeYears: limeLife,
+                effluentF: CONFIG.LIME.RESIDUAL_F
+            },
+            rclf: {
+                reagentKg: chem.totalCaCl2Used / 1000,
+                drySludgeKg: chem.totalFinesLost / 1000,
+                sludgeM3: rclfM3,
+                damM3: rclfM3,
+                cost: rclfCost,
+                netCost: rclfCost - chem.totalRevenue,
+                damLifeYears: rclfLife,
+                effluentF
+            },
+            sludgeAvoidedM3: this.damM3 - rclfM3,
+            damLifeExtensionYears: limeLife !== null && rclfLife !== null ? rclfLife - limeLife : null,
+            costDifference: this.totalCost - (rclfCost - chem.totalRevenue)
+        };
+    }
+
+    /**
+     * Records one point per simulated day for the cumulative comparison chart.
+     */
+    snapshot(chem) {
+        const day = Math.floor(chem.simTimeMs / MS_PER_DAY);
+        const last = this.history[this.history.length - 1];
+        if (last && last.day === day) return;
+        this.history.push({
+            day,
+            limeM3: this.damM3,
+            rclfM3: this.sludgeVolume(chem.totalFinesLost / 1000),
+            limeCost: this.totalCost,
+            rclfCost: chem.totalVariableCost + chem.totalFixedCost - chem.totalRevenue
+        });
+        if (this.history.length > LIME_MAX_HISTORY) this.history.shift();
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * Cristal Minas - Risk Analysis Panel
+ * Input distributions for the Monte Carlo study, launched in montecarlo-worker.js,
+ * and its results: cumulative cash-flow bands, payback probability and tornado.
+ */
+
+const MC_FIELDS = ['MIN', 'MODE', 'MAX'];
+const MC_DISTRIBUTION_LABELS = { uniform: 'Uniforme', triangular: 'Triangular', normal: 'Normal' };
+
+class MonteCarloPanel {
+    /**
+     * `getScenario` returns the live dashboard as a scenario, sent to the worker as its starting point.
+     */
+    constructor(container, getScenario) {
+        this.container = container;
+        this.getScenario = getScenario;
+        this.worker = null;
+        this.result = null;
+        this.render();
+    }
+
+    render() {
+        const dists = MC_DISTRIBUTIONS.map(d => `<option value="${d}">${labelOf('distribution', d, MC_DISTRIBUTION_LABELS[d])}</option>`).join('');
+        this.container.innerHTML = `
+            <details>
+                <summary class="sensor-name">${t('monteCarlo.distributions')}</summary>
+                <table class="event-log alarm-limits">
+                    <thead><tr><th>${t('monteCarlo.input')}</th><th>${t('monteCarlo.distribution')}</th><th>${t('common.min')}</th><th>${t('monteCarlo.mode')}</th><th>${t('common.max')}</th></tr></thead>
+                    <tbody>${Object.keys(MC_INPUTS).map(key => `
+                        <tr>
+                            <td>${fieldLabel('mcInput', { key, ...MC_INPUTS[key] })}</td>
+                            <td><select data-mc-input="${key}.DIST">${dists}</select></td>
+                            ${MC_FIELDS.map(f => `<td><input type="number" data-mc-input="${key}.${f}"></td>`).join('')}
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+                <div class="tuning-grid" style="margin-top: 0.5rem;">
+                    <label>${t('monteCarlo.runs')}<input type="number" data-mc="RUNS" step="10"></label>
+                    <label>${t('monteCarlo.days')}<input type="number" data-mc="DAYS" step="5"></label>
+                </div>
+            </details>
+            <div class="alarm-header" style="margin-top: 0.5rem;">
+                <span class="sensor-name" data-field="status">${this.result ? t('monteCarlo.done', { runs: this.result.runs }) : t('common.ready')}</span>
+                <button class="btn-primary mc-run">${t(this.worker ? 'common.cancel' : 'monteCarlo.run')}</button>
+            </div>
+            <div class="bed-stats">
+                <div class="bed-stat"><span class="sensor-name">${t('monteCarlo.npv')}</span><span class="sensor-reading" data-field="npv">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('monteCarlo.probability')}</span><span class="sensor-reading" data-field="probability">---</span></div>
+            </div>
+            <div class="sensor-name" style="margin-top: 0.5rem;">${t('monteCarlo.bands')}</div>
+            <canvas class="mc-bands" style="width: 100%; height: 110px;"></canvas>
+            <div class="sensor-name">${t('monteCarlo.payback')}</div>
+            <canvas class="mc-payback" style="width: 100%; height: 90px;"></canvas>
+            <div class="sensor-name">${t('monteCarlo.tornado')}</div>
+            <canvas class="mc-tornado" style="width: 100%; height: 130px;"></canvas>`;
+        this.bandsChart = new LineChart(this.container.querySelector('.mc-bands'));
+        this.paybackChart = new LineChart(this.container.querySelector('.mc-payback'));
+        this.tornadoChart = new TornadoChart(this.container.querySelector('.mc-tornado'));
+
+        const bindField = (el, path, spec, write, unit) => {
+            el.onchange = () => {
+                const value = el.tagName === 'SELECT' ? el.value : fromUnit(parseFloat(el.value), unit);
+                const error = checkField(path, value, spec);
+                el.style.borderColor = error ? 'var(--neon-red)' : '';
+                el.title = error || '';
+                if (!error) write(value);
+            };
+        };
+        const schema = SCENARIO_SCHEMA.config.MONTE_CARLO;
+        this.container.querySelectorAll('[data-mc-input]').forEach((el) => {
+            const [key, field] = el.dataset.mcInput.split('.');
+            bindField(el, `MONTE_CARLO.INPUTS.${key}.${field}`, schema.INPUTS[key][field], (v) => {
+                CONFIG.MONTE_CARLO.INPUTS[key][field] = v;
+            }, MC_INPUTS[key].unit);
+        });
+        this.container.querySelectorAll('[data-mc]').forEach((el) => {
+            const key = el.dataset.mc;
+            bindField(el, `MONTE_CARLO.${key}`, schema[key], (v) => {
+                CONFIG.MONTE_CARLO[key] = v;
+            });
+        });
+        this.container.querySelector('.mc-run').onclick = () => (this.worker ? this.cancel() : this.start());
+        this.syncParams();
+        this.draw();
+    }
+
+    /**
+     * Reflects CONFIG.MONTE_CARLO in the fields (after a scenario load).
+     */
+    syncParams() {
+        this.container.querySelectorAll('[data-mc-input]').forEach((el) => {
+            const [key, field] = el.dataset.mcInput.split('.');
+            if (document.activeElement !== el) {
+                const value = CONFIG.MONTE_CARLO.INPUTS[key][field];
+                el.value = field === 'DIST' ? value : inputValue(value, MC_INPUTS[key].unit);
+            }
+        });
+        this.container.querySelectorAll('[data-mc]').forEach((el) => {
+            if (document.activeElement !== el) el.value = CONFIG.MONTE_CARLO[el.dataset.mc];
+        });
+    }
+
+    setStatus(text, color = '') {
+        const el = this.container.querySelector('[data-field="status"]');
+        el.innerText = text;
+        el.style.color = color;
+    }
+
+    start() {
+        try {
+            this.worker = new Worker('montecarlo-worker.js');
+        } catch (e) {
+            // Browsers refuse workers from file:// pages; the simulator has to be served over HTTP
+            this.setStatus(t('common.workerUnavailable', { error: e.message }), 'var(--neon-red)');
+            return;
+        }
+        this.worker.onmessage = (e) => this.onMessage(e.data);
+        this.worker.onerror = (e) => {
+            this.setStatus(t('common.workerError', { error: e.message }), 'var(--neon-red)');
+            this.stopWorker();
+        };
+        this.worker.postMessage({ scenario: this.getScenario() });
+        this.container.querySelector('.mc-run').innerText = t('common.cancel');
+        this.setStatus(t('common.starting'));
+    }
+
+    cancel() {
+        this.stopWorker();
+        this.setStatus(t('common.cancelled'));
+    }
+
+    stopWorker() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.container.querySelector('.mc-run').innerText = t('monteCarlo.run');
+    }
+
+    onMessage(msg) {
+        if (msg.type === 'progress') {
+            this.setStatus(t('common.round', { done: msg.done, total: msg.total, pct: Math.round((msg.done / msg.total) * 100) }));
+        } else if (msg.type === 'result') {
+            this.stopWorker();
+            this.result = msg.result;
+            this.setStatus(t('monteCarlo.done', { runs: msg.result.runs }), 'var(--neon-green)');
+            this.draw();
+        } else if (msg.type === 'error') {
+            this.stopWorker();
+            this.setStatus(msg.message, 'var(--neon-red)');
+        }
+    }
+
+    draw() {
+        const r = this.result;
+        if (!r) return;
+        const set = (field, text) => {
+            this.container.querySelector(`[data-field="${field}"]`).innerText = text;
+        };
+        set('npv', `${formatMoneyShort(r.npv.p10)} / ${formatMoneyShort(r.npv.p50)} / ${formatMoneyShort(r.npv.p90)}`);
+        set('probability', formatNumber(r.probabilityPositiveNpv * 100) + '%');
+
+        const months = r.bands.p50.length - 1;
+        const toPoints = (values) => values.map((y, x) => ({ x, y: toUnit(y, 'R$') }));
+        const yearLabel = (m) => t('common.yearAxis', { value: (m / 12).toFixed(0) });
+        this.bandsChart.draw({
+            series: [
+                { points: toPoints(r.bands.p10), color: '#ff4d4d', dashed: true },
+                { points: toPoints(r.bands.p50), color: '#00f2ff' },
+                { points: toPoints(r.bands.p90), color: '#39ff14', dashed: true }
+            ],
+            xRange: [0, months],
+            xLabel: yearLabel
+        });
+        this.paybackChart.draw({
+            series: [{ points: r.paybackCurve.map((p, x) => ({ x, y: p.probability * 100 })), color: '#ff9f1c' }],
+            xRange: [0, months],
+            xLabel: yearLabel
+        });
+        this.tornadoChart.drawTornado({
+            bars: r.tornado.map(b => ({ ...b, label: labelOf('mcInput', b.key, b.label) })),
+            base: r.base.npv,
+            format: formatMoneyShort
+        });
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * Cristal Minas - Monte Carlo Worker
+ * Runs the batch studies (risk analysis, operating point optimizer) off the UI thread so
+ * the animated reactor keeps running. In: { scenario, job: 'montecarlo' | 'optimizer', start }
+ * built from the live dashboard; both studies run on the operating inputs the scenario carries. Out: { type: 'progress', done, total },
+ * { type: 'result', result } or { type: 'error', message }.
+ */
+
+// Same engine files, in the same order, as ENGINE_SCRIPTS in run-headless.js
+importScripts(
+    'simulation-core.js',
+    'clock.js',
+    'ph-model.js',
+    'hydrodynamics.js',
+    'crystal.js',
+    'quality.js',
+    'effluent.js',
+    'ions.js',
+    'influent.js',
+    'controller.js',
+    'sensors.js',
+    'alarms.js',
+    'storage.js',
+    'reagent.js',
+    'lime.js',
+    'train.js',
+    'reliability.js',
+    'trends.js',
+    'finance.js',
+    'montecarlo.js',
+    'optimizer.js',
+    'plant.js',
+    'scenario.js',
+    'training.js',
+    'report.js',
+    'headless.js'
+);
+
+self.onmessage = (e) => {
+    try {
+        const inputs = applyScenario(e.data.scenario);
+        const onProgress = (done, total) => self.postMessage({ type: 'progress', done, total });
+        const result = e.data.job === 'optimizer'
+            ? runOptimizer({ start: e.data.start, inputs, onProgress })
+            : runMonteCarlo({ inputs, onProgress });
+        self.postMessage({ type: 'result', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
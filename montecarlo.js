@@ -0,0 +1,178 @@
+/**
+ * Cristal Minas - Monte Carlo Risk Analysis
+ * Repeats headless runs with market prices, influent and equipment reliability sampled
+ * from CONFIG.MONTE_CARLO.INPUTS. Produces P10/P50/P90 bands of the cumulative
+ * cash flow, the probability of payback over time and a tornado of one-at-a-time
+ * swings. DOM-free: runs in montecarlo-worker.js or under Node.
+ */
+
+/**
+ * Sampled inputs and how each one is applied to a run; `range` bounds MIN/MODE/MAX in scenarios.
+ * `market` inputs overwrite CONFIG.MARKET for the run; influent inputs set the base profile;
+ * MTBF_FACTOR scales every equipment MTBF, so downtime comes from the simulated failures.
+ */
+const MC_INPUTS = {
+    PRICE_ACIDSPAR: { label: 'Preço acidspar', unit: 'R$/t', market: 'PRICE_ACIDSPAR', range: { min: 0, max: 1e6 } },
+    PRICE_METALSPAR: { label: 'Preço metalspar', unit: 'R$/t', market: 'PRICE_METALSPAR', range: { min: 0, max: 1e6 } },
+    COST_CACL2: { label: 'Custo CaCl2', unit: 'R$/t', market: 'COST_CACL2', range: { min: 0, max: 1e6 } },
+    PPM_F: { label: 'Flúor no efluente', unit: 'mg/L', range: { min: 0, max: 1000 } },
+    FLOW_RATE: { label: 'Vazão', unit: 'm³/h', range: { min: 0, max: 1000 } },
+    MTBF_FACTOR: { label: 'Confiabilidade (× MTBF)', unit: '', range: { min: 0.01, max: 100 } }
+};
+const MC_DISTRIBUTIONS = ['uniform', 'triangular', 'normal'];
+
+/**
+ * One draw from { DIST, MIN, MODE, MAX }. Normal uses MODE as mean and (MAX - MIN)/6 as
+ * standard deviation, truncated to [MIN, MAX].
+ */
+function sampleDistribution(spec, rng) {
+    const { DIST, MIN, MODE, MAX } = spec;
+    if (MAX <= MIN) return MODE;
+    if (DIST === 'uniform') return MIN + rng() * (MAX - MIN);
+    if (DIST === 'normal') return Math.min(MAX, Math.max(MIN, MODE + sampleNormal(rng) * (MAX - MIN) / 6));
+    // Triangular, inverse CDF
+    const u = rng();
+    const split = (MODE - MIN) / (MAX - MIN);
+    if (u < split) return MIN + Math.sqrt(u * (MAX - MIN) * (MODE - MIN));
+    return MAX - Math.sqrt((1 - u) * (MAX - MIN) * (MAX - MODE));
+}
+
+/**
+ * `p`-th percentile (0..1) of an unsorted array, linear interpolation.
+ */
+function percentile(values, p) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const idx = (sorted.length - 1) * p;
+    const lo = Math.floor(idx);
+    const hi = Math.ceil(idx);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+/**
+ * Base case: every input at its MODE.
+ */
+function monteCarloBaseInputs() {
+    const inputs = {};
+    Object.keys(MC_INPUTS).forEach((key) => {
+        inputs[key] = CONFIG.MONTE_CARLO.INPUTS[key].MODE;
+    });
+    return inputs;
+}
+
+/**
+ * One headless run with the sampled `inputs` on the live `operating` inputs: flow and fluoride
+ * come from the sample, pH correction and product mix (% acidspar) from the operator. CONFIG is
+ * restored afterwards. Returns the investment metrics and the monthly cumulative cash flow.
+ */
+function monteCarloRun(inputs, seed, operating) {
+    const cfg = CONFIG.MONTE_CARLO;
+    const savedMarket = { ...CONFIG.MARKET };
+    const savedInfluent = { BASE_FLOW: CONFIG.INFLUENT.BASE_FLOW, BASE_PPM: CONFIG.INFLUENT.BASE_PPM };
+    const savedEquipment = JSON.parse(JSON.stringify(CONFIG.RELIABILITY.EQUIPMENT));
+    try {
+        Object.keys(MC_INPUTS).forEach((key) => {
+            if (MC_INPUTS[key].market) CONFIG.MARKET[MC_INPUTS[key].market] = inputs[key];
+        });
+        CONFIG.INFLUENT.BASE_FLOW = inputs.FLOW_RATE;
+        CONFIG.INFLUENT.BASE_PPM = inputs.PPM_F;
+        Object.values(CONFIG.RELIABILITY.EQUIPMENT).forEach((item) => {
+            item.MTBF_H *= inputs.MTBF_FACTOR;
+        });
+
+        const runner = new HeadlessRunner({
+            seed,
+            stepMs: cfg.STEP_MS,
+            flowRate: inputs.FLOW_RATE,
+            ppmF: inputs.PPM_F,
+            phCorrection: operating.phCorrection,
+            purityMix: operating.purityMix
+        });
+        runner.runDays(cfg.DAYS);
+        const statement = runner.plant.finance.statement(runner.chem);
+        return {
+            inputs,
+            npv: statement.npv,
+            irr: statement.irr,
+            paybackYears: statement.paybackYears,
+            cumulative: statement.rows.map(r => r.cumulative)
+        };
+    } finally {
+        Object.assign(CONFIG.MARKET, savedMarket);
+        Object.assign(CONFIG.INFLUENT, savedInfluent);
+        Object.keys(savedEquipment).forEach((key) => {
+            Object.assign(CONFIG.RELIABILITY.EQUIPMENT[key], savedEquipment[key]);
+        });
+    }
+}
+
+/**
+ * Full analysis on the live operating `inputs` { phCorrection, purityMix } (see monteCarloRun):
+ * CONFIG.MONTE_CARLO.RUNS sampled runs plus two tornado runs per input (that input at MIN and at
+ * MAX, the others at MODE). `onProgress(done, total)` after each run.
+ */
+function runMonteCarlo({ inputs = { phCorrection: 0, purityMix: 0 }, onProgress = () => {} } = {}) {
+    const cfg = CONFIG.MONTE_CARLO;
+    const rng = createSeededRandom(cfg.SEED);
+    const keys = Object.keys(MC_INPUTS);
+    const total = cfg.RUNS + 1 + keys.length * 2;
+    let done = 0;
+    const tick = () => onProgress(++done, total);
+
+    // Every run shares the process seed so the spread comes from the inputs, not sensor noise
+    const runs = [];
+    for (let i = 0; i < cfg.RUNS; i++) {
+        const sample = {};
+        keys.forEach((key) => {
+            sample[key] = sampleDistribution(cfg.INPUTS[key], rng);
+        });
+        runs.push(monteCarloRun(sample, cfg.SEED, inputs));
+        tick();
+    }
+
+    const base = monteCarloRun(monteCarloBaseInputs(), cfg.SEED, inputs);
+    tick();
+    const tornado = keys.map((key) => {
+        const swing = (value) => {
+            const result = monteCarloRun({ ...monteCarloBaseInputs(), [key]: value }, cfg.SEED, inputs);
+            tick();
+            return result.npv;
+        };
+        const spec = cfg.INPUTS[key];
+        return { key, label: MC_INPUTS[key].label, lowValue: spec.MIN, highValue: spec.MAX, low: swing(spec.MIN), high: swing(spec.MAX) };
+    }).sort((a, b) => Math.abs(b.high - b.low) - Math.abs(a.high - a.low));
+
+    return summarizeMonteCarlo(runs, base, tornado);
+}
+
+/**
+ * Percentile bands per month, payback probability per year and the NPV distribution.
+ */
+function summarizeMonteCarlo(runs, base, tornado) {
+    const months = base.cumulative.length;
+    const bands = { p10: [], p50: [], p90: [] };
+    for (let m = 0; m < months; m++) {
+        const values = runs.map(r => r.cumulative[m]);
+        bands.p10.push(percentile(values, 0.1));
+        bands.p50.push(percentile(values, 0.5));
+        bands.p90.push(percentile(values, 0.9));
+    }
+
+    const paybackCurve = [];
+    for (let m = 0; m < months; m++) {
+        const years = m / 12;
+        const paid = runs.filter(r => r.paybackYears !== null && r.paybackYears <= years).length;
+        paybackCurve.push({ years, probability: paid / runs.length });
+    }
+
+    const npvs = runs.map(r => r.npv);
+    return {
+        runs: runs.length,
+        base: { npv: base.npv, irr: base.irr, paybackYears: base.paybackYears },
+        npv: { p10: percentile(npvs, 0.1), p50: percentile(npvs, 0.5), p90: percentile(npvs, 0.9) },
+        probabilityPositiveNpv: npvs.filter(v => v >= 0).length / runs.length,
+        bands,
+        paybackCurve,
+        tornado,
+        samples: runs.map(r => ({ inputs: r.inputs, npv: r.npv, paybackYears: r.paybackYears }))
+    };
+}
@@ -0,0 +1,224 @@
+/**
+ * Cristal Minas - Optimizer Panel
+ * Objective, decision ranges and constraints of the operating point search, launched in
+ * montecarlo-worker.js, and its result: the recommended point against the current one,
+ * the trade-off between fluoride removed and economics, and a button to apply it live.
+ */
+
+const OPTIMIZER_FIELDS = [
+    { key: 'MAX_EFFLUENT_F', label: 'F no efluente P95 máx. (mg/L)', step: 0.5 },
+    { key: 'MAX_WASHOUT_PCT', label: 'Arraste de finos máx. (% do F)', step: 0.5 },
+    { key: 'REAGENT_BUDGET_MONTH', label: 'Orçamento mensal de CaCl2', unit: 'R$', step: 5000 },
+    { key: 'SAMPLES', label: 'Pontos amostrados', step: 5 },
+    { key: 'REFINE_ROUNDS', label: 'Rodadas de refino', step: 1 },
+    { key: 'DAYS', label: 'Dias simulados por rodada', step: 5 }
+];
+
+class OptimizerPanel {
+    /**
+     * `getScenario()` returns the live dashboard as a scenario; `getStart()` the live operating point
+     * { FLOW_RATE, FF_RATIO, phCorrection }; `onApply(evaluation)` applies a result live.
+     */
+    constructor(container, getScenario, getStart, onApply) {
+        this.container = container;
+        this.getScenario = getScenario;
+        this.getStart = getStart;
+        this.onApply = onApply;
+        this.worker = null;
+        this.result = null;
+        this.render();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <details>
+                <summary class="sensor-name">${t('optimizer.settings')}</summary>
+                <div class="tuning-grid" style="margin-top: 0.5rem;">
+                    <label>${t('optimizer.maximize')}<select data-opt="OBJECTIVE">${Object.keys(OPT_OBJECTIVES).map(k => `
+                        <option value="${k}">${labelOf('optObjective', k, OPT_OBJECTIVES[k].label)}</option>`).join('')}
+                    </select></label>${OPTIMIZER_FIELDS.map(f => `
+                    <label>${fieldLabel('optimizer', f)}<input type="number" data-opt="${f.key}" step="${f.step}"></label>`).join('')}
+                </div>
+                <table class="event-log alarm-limits" style="margin-top: 0.5rem;">
+                    <thead><tr><th>${t('common.variable')}</th><th>${t('common.min')}</th><th>${t('common.max')}</th></tr></thead>
+                    <tbody>${Object.keys(OPT_VARIABLES).map(key => `
+                        <tr>
+                            <td>${fieldLabel('optVariable', { key, ...OPT_VARIABLES[key] })}</td>
+                            <td><input type="number" data-opt-variable="${key}.MIN"></td>
+                            <td><input type="number" data-opt-variable="${key}.MAX"></td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </details>
+            <div class="alarm-header" style="margin-top: 0.5rem;">
+                <span class="sensor-name" data-field="status">${this.result ? t('optimizer.summary', { count: this.result.evaluations.length, feasible: this.result.evaluations.filter(e => e.feasible).length }) : t('common.ready')}</span>
+                <button class="btn-primary opt-run">${t(this.worker ? 'common.cancel' : 'optimizer.run')}</button>
+            </div>
+            <div class="bed-stats">
+                <div class="bed-stat"><span class="sensor-name">${t('optimizer.objective')}</span><span class="sensor-reading" data-field="objective">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('optimizer.constraints')}</span><span class="sensor-reading" data-field="constraints">---</span></div>
+            </div>
+            <table class="event-log" style="margin-top: 0.5rem;">
+                <thead><tr><th>${t('common.variable')}</th><th>${t('optimizer.current')}</th><th>${t('optimizer.recommended')}</th></tr></thead>
+                <tbody class="opt-point"><tr><td colspan="3">${t('optimizer.runFirst')}</td></tr></tbody>
+            </table>
+            <div class="sensor-name" style="margin-top: 0.3rem; font-size: 0.7rem;">${t('optimizer.purityNote')}</div>
+            <div class="sensor-name" style="margin-top: 0.5rem;" data-field="paretoLabel">${t('optimizer.pareto', { economic: labelOf('optObjective', 'profit30d', OPT_OBJECTIVES.profit30d.label) })}</div>
+            <canvas class="opt-pareto" style="width: 100%; height: 130px;"></canvas>
+            <div class="sensor-name" style="font-size: 0.7rem;">
+                <span style="color: #00f2ff;">${t('optimizer.feasible')}</span> <span style="color: #ff4d4d;">${t('optimizer.infeasible')}</span>
+                <span style="color: #39ff14;">${t('optimizer.frontier')}</span> <span style="color: #ff9f1c;">${t('optimizer.recommendedPoint')}</span>
+                <span style="color: #ffffff;">${t('optimizer.currentPoint')}</span>
+            </div>
+            <div class="alarm-header" style="margin-top: 0.5rem;">
+                <span class="sensor-name">${t('optimizer.applyHint')}</span>
+                <button class="btn-primary opt-apply" style="padding: 0.3rem 0.6rem; font-size: 0.7rem;"${this.result && !this.worker ? '' : ' disabled'}>${t('optimizer.apply')}</button>
+            </div>`;
+        this.paretoChart = new ScatterChart(this.container.querySelector('.opt-pareto'));
+
+        const bindField = (el, path, spec, write, unit) => {
+            el.onchange = () => {
+                const value = el.tagName === 'SELECT' ? el.value : fromUnit(parseFloat(el.value), unit);
+                const error = checkField(path, value, spec);
+                el.style.borderColor = error ? 'var(--neon-red)' : '';
+                el.title = error || '';
+                if (!error) write(value);
+            };
+        };
+        const schema = SCENARIO_SCHEMA.config.OPTIMIZER;
+        this.container.querySelectorAll('[data-opt]').forEach((el) => {
+            const key = el.dataset.opt;
+            bindField(el, `OPTIMIZER.${key}`, schema[key], (v) => {
+                CONFIG.OPTIMIZER[key] = v;
+            }, OPTIMIZER_FIELDS.find(f => f.key === key)?.unit);
+        });
+        this.container.querySelectorAll('[data-opt-variable]').forEach((el) => {
+            const [key, field] = el.dataset.optVariable.split('.');
+            bindField(el, `OPTIMIZER.VARIABLES.${key}.${field}`, schema.VARIABLES[key][field], (v) => {
+                CONFIG.OPTIMIZER.VARIABLES[key][field] = v;
+            }, OPT_VARIABLES[key].unit);
+        });
+        this.container.querySelector('.opt-run').onclick = () => (this.worker ? this.cancel() : this.start());
+        this.container.querySelector('.opt-apply').onclick = () => {
+            if (this.result) this.onApply(this.result.best);
+        };
+        this.syncParams();
+        this.draw();
+    }
+
+    /**
+     * Reflects CONFIG.OPTIMIZER in the fields (after a scenario load).
+     */
+    syncParams() {
+        this.container.querySelectorAll('[data-opt]').forEach((el) => {
+            const key = el.dataset.opt;
+            if (document.activeElement !== el) el.value = inputValue(CONFIG.OPTIMIZER[key], OPTIMIZER_FIELDS.find(f => f.key === key)?.unit);
+        });
+        this.container.querySelectorAll('[data-opt-variable]').forEach((el) => {
+            const [key, field] = el.dataset.optVariable.split('.');
+            if (document.activeElement !== el) el.value = inputValue(CONFIG.OPTIMIZER.VARIABLES[key][field], OPT_VARIABLES[key].unit);
+        });
+    }
+
+    setStatus(text, color = '') {
+        const el = this.container.querySelector('[data-field="status"]');
+        el.innerText = text;
+        el.style.color = color;
+    }
+
+    start() {
+        const { VARIABLES } = CONFIG.OPTIMIZER;
+        const inverted = Object.keys(VARIABLES).find(key => VARIABLES[key].MIN > VARIABLES[key].MAX);
+        if (inverted) {
+            this.setStatus(t('optimizer.inverted', { variable: labelOf('optVariable', inverted, OPT_VARIABLES[inverted].label) }), 'var(--neon-red)');
+            return;
+        }
+        try {
+            this.worker = new Worker('montecarlo-worker.js');
+        } catch (e) {
+            // Browsers refuse workers from file:// pages; the simulator has to be served over HTTP
+            this.setStatus(t('common.workerUnavailable', { error: e.message }), 'var(--neon-red)');
+            return;
+        }
+        this.worker.onmessage = (e) => this.onMessage(e.data);
+        this.worker.onerror = (e) => {
+            this.setStatus(t('common.workerError', { error: e.message }), 'var(--neon-red)');
+            this.stopWorker();
+        };
+        this.worker.postMessage({ job: 'optimizer', scenario: this.getScenario(), start: this.getStart() });
+        this.container.querySelector('.opt-run').innerText = t('common.cancel');
+        this.container.querySelector('.opt-apply').disabled = true;
+        this.setStatus(t('common.starting'));
+    }
+
+    cancel() {
+        this.stopWorker();
+        this.setStatus(t('common.cancelled'));
+        this.container.querySelector('.opt-apply').disabled = !this.result;
+    }
+
+    stopWorker() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.container.querySelector('.opt-run').innerText = t('optimizer.run');
+    }
+
+    onMessage(msg) {
+        if (msg.type === 'progress') {
+            this.setStatus(t('common.round', { done: msg.done, total: msg.total, pct: Math.round((msg.done / msg.total) * 100) }));
+        } else if (msg.type === 'result') {
+            this.stopWorker();
+            this.result = msg.result;
+            const feasible = msg.result.evaluations.filter(e => e.feasible).length;
+            this.setStatus(t('optimizer.summary', { count: msg.result.evaluations.length, feasible }),
+                msg.result.best.feasible ? 'var(--neon-green)' : 'var(--neon-orange)');
+            this.container.querySelector('.opt-apply').disabled = false;
+            this.draw();
+        } else if (msg.type === 'error') {
+            this.stopWorker();
+            this.setStatus(msg.message, 'var(--neon-red)');
+        }
+    }
+
+    draw() {
+        const r = this.result;
+        if (!r) return;
+        const objective = OPT_OBJECTIVES[r.objective];
+        const format = v => (objective.unit === 'R$' ? formatMoneyShort(v) : formatUnit(v, objective.unit, 2));
+        const set = (field, text, color) => {
+            const el = this.container.querySelector(`[data-field="${field}"]`);
+            el.innerText = text;
+            el.style.color = color || '';
+        };
+        set('objective', `${format(r.current.score)} → ${format(r.best.score)}`, r.best.score > r.current.score ? 'var(--neon-green)' : '');
+        const m = r.best.metrics;
+        set('constraints', r.best.feasible
+            ? t('optimizer.constraintsOk', { effluent: formatNumber(m.effluentP95, 1), washout: formatNumber(m.washoutPct, 1), reagent: formatMoneyShort(m.reagentMonth) })
+            : r.best.violations.join('; '), r.best.feasible ? 'var(--neon-green)' : 'var(--neon-red)');
+
+        const value = (e, key) => formatNumber(toUnit(e.point[key], OPT_VARIABLES[key].unit), OPT_VARIABLES[key].digits);
+        // The setpoint only fixed the dose of each run; the pH reached is the mean pH row
+        const rows = Object.keys(OPT_VARIABLES).filter(key => key !== 'PH_SETPOINT').map(key => `
+            <tr><td>${fieldLabel('optVariable', { key, ...OPT_VARIABLES[key] })}</td><td>${value(r.current, key)}</td><td>${value(r.best, key)}</td></tr>`);
+        rows.push(`
+            <tr><td>${t('optimizer.correction')}</td><td>${r.current.metrics.phCorrection}</td><td>${m.phCorrection}</td></tr>
+            <tr><td>${t('optimizer.meanPH')}</td><td>${formatNumber(r.current.metrics.meanPH, 2)}</td><td>${formatNumber(m.meanPH, 2)}</td></tr>
+            <tr><td>${t('optimizer.fRemoved')}</td><td>${formatNumber(toUnit(r.current.metrics.fRemovedT, 't'), 2)}</td><td>${formatNumber(toUnit(m.fRemovedT, 't'), 2)}</td></tr>`);
+        this.container.querySelector('.opt-point').innerHTML = rows.join('');
+
+        const economicKey = r.objective === 'fRemoved' ? 'profit30d' : r.objective;
+        const economic = OPT_OBJECTIVES[economicKey];
+        set('paretoLabel', t('optimizer.pareto', { economic: labelOf('optObjective', economicKey, economic.label) }));
+        const convert = (x, y) => ({ x: toUnit(x, 't'), y: toUnit(y, economic.unit) });
+        const toPoint = (e, color, size) => ({ ...convert(e.metrics.fRemovedT, economic.read(e.metrics)), color, size });
+        this.paretoChart.drawScatter({
+            points: [
+                ...r.evaluations.map(e => toPoint(e, e.feasible ? '#00f2ff' : '#ff4d4d')),
+                toPoint(r.current, '#ffffff', 4),
+                toPoint(r.best, '#ff9f1c', 4)
+            ],
+            line: r.pareto.map(p => ({ ...p, ...convert(p.x, p.y) })),
+            xLabel: x => `${formatNumber(x, 1)} ${unitOf('t')}`
+        });
+    }
+}
@@ -0,0 +1,212 @@
+/**
+ * Cristal Minas - Operating Point Optimizer
+ * Searches the controllable inputs (flow sent to the reactor, pH setpoint and CaCl2
+ * excess) with headless runs on the live influent: a Latin hypercube over the ranges in
+ * CONFIG.OPTIMIZER.VARIABLES, then a pattern search around the best compliant point.
+ * Points that break the effluent, washout or reagent-budget limits are infeasible.
+ * DOM-free: runs in montecarlo-worker.js or under Node.
+ */
+
+/**
+ * Decision variables; `range` bounds MIN/MAX in scenarios. The acidspar target is not one:
+ * it is a commercial commitment and changes no simulated metric.
+ */
+const OPT_VARIABLES = {
+    FLOW_RATE: { label: 'Vazão para o reator', unit: 'm³/h', digits: 0, range: { min: 0, max: 1000 } },
+    PH_SETPOINT: { label: 'Setpoint de pH', unit: '', digits: 2, range: { min: 4, max: 11 } },
+    FF_RATIO: { label: 'Excesso de CaCl2', unit: '×', digits: 2, range: { min: 0, max: 5 } }
+};
+
+/**
+ * What can be maximized, read from an evaluation's metrics.
+ */
+const OPT_OBJECTIVES = {
+    profit30d: { label: 'EBITDA (30d)', unit: 'R$', read: m => m.profit30d },
+    npv: { label: 'VPL', unit: 'R$', read: m => m.npv },
+    fRemoved: { label: 'Flúor removido', unit: 't', read: m => m.fRemovedT }
+};
+
+// pH correction is applied through the dashboard slider, which spans ±100 mg/L
+const OPT_MAX_CORRECTION = 100;
+
+/**
+ * NaOH/H2SO4 dose (mg/L) that holds the pH setpoint of `point`, within the slider range.
+ */
+function optimizerCorrection(point, ppmF) {
+    const cacl2MgL = ppmF * CONFIG.STOICHIOMETRY.F_TO_CACL2 * point.FF_RATIO;
+    const dose = correctionForPH(point.PH_SETPOINT, cacl2MgL);
+    return Math.round(Math.max(-OPT_MAX_CORRECTION, Math.min(OPT_MAX_CORRECTION, dose)));
+}
+
+/**
+ * One headless run at `point` on the live operating `inputs` { flowRate, ppmF, purityMix }:
+ * FLOW_RATE is what the feed pump draws from that influent (PLANT.FEED_FLOW), the rest bypasses
+ * and counts at the discharge. `phCorrection` defaults to the dose that holds the point's pH
+ * setpoint. CONFIG is restored afterwards. Returns the metrics the objectives and constraints
+ * are read from.
+ */
+function optimizerRun(point, inputs, phCorrection = optimizerCorrection(point, inputs.ppmF)) {
+    const cfg = CONFIG.OPTIMIZER;
+    const savedRatio = CONFIG.CONTROL.FF_RATIO;
+    const savedFeed = CONFIG.PLANT.FEED_FLOW;
+    try {
+        CONFIG.CONTROL.FF_RATIO = point.FF_RATIO;
+        CONFIG.PLANT.FEED_FLOW = point.FLOW_RATE;
+        const runner = new HeadlessRunner({
+            seed: cfg.SEED,
+            stepMs: cfg.STEP_MS,
+            flowRate: inputs.flowRate,
+            ppmF: inputs.ppmF,
+            purityMix: inputs.purityMix,
+            phCorrection
+        });
+        runner.runDays(cfg.DAYS);
+        const { plant, chem } = runner;
+        const statement = plant.finance.statement(chem);
+        const effluentF = plant.trends.series.effluentF;
+        const ph = plant.trends.series.ph;
+        return {
+            phCorrection,
+            profit30d: chem.getFinancialSummary().profit30d,
+            npv: statement.npv,
+            fRemovedT: chem.totalFRemoved / 1e6,
+            effluentP95: effluentF.length ? percentile(effluentF, 0.95) : 0,
+            washoutPct: chem.totalFInput > 0 ? (chem.totalFinesLost / CONFIG.STOICHIOMETRY.F_TO_CAF2 / chem.totalFInput) * 100 : 0,
+            reagentMonth: plant.reagent.forecast(30).cost,
+            meanPH: ph.length ? ph.reduce((sum, v) => sum + v, 0) / ph.length : chem.currentPH
+        };
+    } finally {
+        CONFIG.CONTROL.FF_RATIO = savedRatio;
+        CONFIG.PLANT.FEED_FLOW = savedFeed;
+    }
+}
+
+/**
+ * Broken constraints of a run, as operator-readable strings (empty = feasible).
+ */
+function optimizerViolations(m) {
+    const cfg = CONFIG.OPTIMIZER;
+    const out = [];
+    if (m.effluentP95 > cfg.MAX_EFFLUENT_F) out.push(`F no efluente P95 ${m.effluentP95.toFixed(1)} > ${cfg.MAX_EFFLUENT_F} mg/L`);
+    if (m.washoutPct > cfg.MAX_WASHOUT_PCT) out.push(`arraste de finos ${m.washoutPct.toFixed(1)}% > ${cfg.MAX_WASHOUT_PCT}%`);
+    if (m.reagentMonth > cfg.REAGENT_BUDGET_MONTH) out.push(`CaCl2 R$ ${m.reagentMonth.toFixed(0)}/mês acima do orçamento`);
+    return out;
+}
+
+/**
+ * Stratified random points: each variable's range is cut into `n` slices and every slice is used once.
+ */
+function latinHypercube(n, rng) {
+    const keys = Object.keys(OPT_VARIABLES);
+    const slices = {};
+    keys.forEach((key) => {
+        const order = Array.from({ length: n }, (_, i) => i);
+        for (let i = n - 1; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        slices[key] = order;
+    });
+    return Array.from({ length: n }, (_, i) => {
+        const point = {};
+        keys.forEach((key) => {
+            const { MIN, MAX } = CONFIG.OPTIMIZER.VARIABLES[key];
+            point[key] = MIN + ((slices[key][i] + rng()) / n) * (MAX - MIN);
+        });
+        return point;
+    });
+}
+
+/**
+ * Non-dominated feasible evaluations on (fluoride removed, economic objective), by fluoride removed.
+ * When fluoride removed is itself the objective, the trade-off is against 30-day EBITDA.
+ */
+function paretoFront(evaluations, objective) {
+    const economic = objective === 'fRemoved' ? OPT_OBJECTIVES.profit30d : OPT_OBJECTIVES[objective];
+    const points = evaluations.filter(e => e.feasible).map(e => ({ evaluation: e, x: e.metrics.fRemovedT, y: economic.read(e.metrics) }));
+    const front = points.filter(p => !points.some(q => q !== p && q.x >= p.x && q.y >= p.y && (q.x > p.x || q.y > p.y)));
+    // Points that tie on both axes are one point of the trade-off
+    return front
+        .filter((p, i) => front.findIndex(q => q.x === p.x && q.y === p.y) === i)
+        .sort((a, b) => a.x - b.x);
+}
+
+/**
+ * Full search on the live operating `inputs` (see optimizerRun). `start` is the live operating
+ * point { FLOW_RATE, FF_RATIO, phCorrection }, evaluated first as it is so the recommendation
+ * can be compared with it; its pH setpoint is the mean pH it reached. Elsewhere the setpoint only
+ * fixes the (open-loop) dose, so results report `metrics.meanPH`, not the setpoint.
+ * `onProgress(done, total)` after each run.
+ */
+function runOptimizer({ start, inputs, onProgress = () => {} }) {
+    const cfg = CONFIG.OPTIMIZER;
+    const objective = OPT_OBJECTIVES[cfg.OBJECTIVE];
+    const keys = Object.keys(OPT_VARIABLES);
+    const rng = createSeededRandom(cfg.SEED);
+    const total = 1 + cfg.SAMPLES + cfg.REFINE_ROUNDS * keys.length * 2;
+    let done = 0;
+
+    // Within the ranges and at the dashboard's resolution, so an applied point runs as evaluated
+    const clamp = (point) => {
+        const out = {};
+        keys.forEach((key) => {
+            const { MIN, MAX } = cfg.VARIABLES[key];
+            out[key] = +Math.max(MIN, Math.min(MAX, point[key])).toFixed(OPT_VARIABLES[key].digits);
+        });
+        return out;
+    };
+    // Clamping and rounding can land the pattern search on a point already run; it is not run again
+    const evaluations = [];
+    const seen = new Map();
+    const evaluate = (point, phCorrection) => {
+        const id = JSON.stringify(point);
+        if (seen.has(id)) {
+            onProgress(++done, total);
+            return seen.get(id);
+        }
+        const metrics = optimizerRun(point, inputs, phCorrection);
+        const violations = optimizerViolations(metrics);
+        const evaluation = { point, metrics, violations, feasible: violations.length === 0, score: objective.read(metrics) };
+        evaluations.push(evaluation);
+        seen.set(id, evaluation);
+        onProgress(++done, total);
+        return evaluation;
+    };
+    // Feasible beats infeasible; among infeasible, fewer broken limits first
+    const better = (a, b) => {
+        if (a.feasible !== b.feasible) return a.feasible;
+        if (!a.feasible && a.violations.length !== b.violations.length) return a.violations.length < b.violations.length;
+        return a.score > b.score;
+    };
+
+    const { phCorrection, ...startPoint } = start;
+    const current = evaluate({ ...startPoint, PH_SETPOINT: null }, phCorrection);
+    current.point.PH_SETPOINT = +current.metrics.meanPH.toFixed(2);
+    let best = current;
+    latinHypercube(cfg.SAMPLES, rng).forEach((point) => {
+        const e = evaluate(clamp(point));
+        if (better(e, best)) best = e;
+    });
+
+    // Pattern search: try ± a step on each variable, from 10% of its range, halving every round
+    let stepFraction = 0.1;
+    for (let round = 0; round < cfg.REFINE_ROUNDS; round++) {
+        keys.forEach((key) => {
+            const { MIN, MAX } = cfg.VARIABLES[key];
+            [-1, 1].forEach((sign) => {
+                const e = evaluate(clamp({ ...best.point, [key]: best.point[key] + sign * stepFraction * (MAX - MIN) }));
+                if (better(e, best)) best = e;
+            });
+        });
+        stepFraction /= 2;
+    }
+
+    return {
+        objective: cfg.OBJECTIVE,
+        inputs,
+        current,
+        best,
+        evaluations,
+        pareto: paretoFront(evaluations, cfg.OBJECTIVE).map(p => ({ x: p.x, y: p.y, point: p.evaluation.point }))
+    };
+}
@@ -0,0 +1,160 @@
+/**
+ * Cristal Minas - pH / Alkalinity Model
+ * Carbonate-buffered CSTR: influent alkalinity and inorganic carbon are mixed
+ * into the reactor, CaCl2 acidity and acid/base correction shift the alkalinity,
+ * and pH follows from the charge balance.
+ */
+
+// Equilibrium constants at 25 °C
+const PH_CONSTANTS = {
+    KA1: Math.pow(10, -6.35),  // H2CO3* / HCO3-
+    KA2: Math.pow(10, -10.33), // HCO3- / CO3^2-
+    KW: 1e-14,
+    KA_HF: Math.pow(10, -3.17)
+};
+
+const MG_CACO3_PER_EQ = 50000;   // Alkalinity mg/L as CaCO3 per eq/L
+const MOLAR_MASS_CACL2 = 111000; // mg/mol
+const EQ_MASS_NAOH = 40000;      // mg/eq
+const EQ_MASS_H2SO4 = 49000;     // mg/eq
+
+/**
+ * Carbonate speciation: fractions of HCO3- (a1) and CO3^2- (a2) at a given [H+].
+ */
+function carbonateFractions(h) {
+    const { KA1, KA2 } = PH_CONSTANTS;
+    const d = h * h + KA1 * h + KA1 * KA2;
+    return { a1: (KA1 * h) / d, a2: (KA1 * KA2) / d };
+}
+
+/**
+ * Alkalinity (eq/L) of water with inorganic carbon `ct` (mol/L) at a given pH.
+ */
+function alkalinityAt(ph, ct) {
+    const h = Math.pow(10, -ph);
+    const { a1, a2 } = carbonateFractions(h);
+    return ct * (a1 + 2 * a2) + PH_CONSTANTS.KW / h - h;
+}
+
+/**
+ * Inverts alkalinityAt by bisection (alkalinity is monotonic in pH).
+ */
+function solvePH(alk, ct) {
+    let lo = 0;
+    let hi = 14;
+    for (let i = 0; i < 50; i++) {
+        const mid = (lo + hi) / 2;
+        if (alkalinityAt(mid, ct) > alk) hi = mid;
+        else lo = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+/**
+ * Fraction of a CSTR's contents replaced by feed over `dtSeconds` (exact, stable for any dt).
+ */
+function cstrMixFraction(flowRate, dtSeconds) {
+    if (flowRate <= 0) return 0;
+    const tauSeconds = (CONFIG.PH.REACTOR_VOLUME / flowRate) * 3600;
+    return 1 - Math.exp(-dtSeconds / tauSeconds);
+}
+
+/**
+ * Fraction of dissolved fluoride present as free F- (the rest is HF and cannot precipitate).
+ */
+function freeFluorideFraction(ph) {
+    const h = Math.pow(10, -ph);
+    return PH_CONSTANTS.KA_HF / (PH_CONSTANTS.KA_HF + h);
+}
+
+/**
+ * NaOH (> 0) or H2SO4 (< 0) dose, mg/L of influent, that holds the reactor at `targetPH` at steady
+ * state with the nominal influent and `cacl2MgL` of CaCl2 (its acidity has to be made up too).
+ */
+function correctionForPH(targetPH, cacl2MgL) {
+    const cfg = CONFIG.PH;
+    const ct = new PhModel().influentCarbon();
+    const cacl2Acidity = (cacl2MgL / MOLAR_MASS_CACL2) * cfg.CACL2_ACIDITY;
+    const eq = alkalinityAt(targetPH, ct) - cfg.ALK_IN / MG_CACO3_PER_EQ + cacl2Acidity;
+    return eq >= 0 ? eq * EQ_MASS_NAOH : eq * EQ_MASS_H2SO4;
+}
+
+/**
+ * Reactor pH state. Alkalinity (eq/L) and total inorganic carbon (mol/L) are the state variables.
+ */
+class PhModel {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        const cfg = CONFIG.PH;
+        this.ct = this.influentCarbon();
+        this.alk = cfg.ALK_IN / MG_CACO3_PER_EQ;
+        this.ph = solvePH(this.alk, this.ct);
+        this.upsets = [];
+    }
+
+    /**
+     * Inorganic carbon implied by the nominal influent pH and alkalinity.
+     */
+    influentCarbon() {
+        const cfg = CONFIG.PH;
+        const h = Math.pow(10, -cfg.PH_IN);
+        const { a1, a2 } = carbonateFractions(h);
+        const alk = cfg.ALK_IN / MG_CACO3_PER_EQ;
+        return Math.max(1e-5, (alk - PH_CONSTANTS.KW / h + h) / (a1 + 2 * a2));
+    }
+
+    /**
+     * Schedules an acidic slug from the flotation plant (influent pH drops, same carbon load).
+     */
+    addAcidSlug(startMs, hours = CONFIG.PH.SLUG_HOURS, ph = CONFIG.PH.SLUG_PH) {
+        this.upsets.push({ startMs, endMs: startMs + hours * MS_PER_HOUR, ph });
+    }
+
+    /**
+     * Influent pH and alkalinity at `simTimeMs`, including any active upset.
+     */
+    influentAt(simTimeMs) {
+        const cfg = CONFIG.PH;
+        const ct = this.influentCarbon();
+        const upset = this.upsets.find(u => simTimeMs >= u.startMs && simTimeMs < u.endMs);
+        const ph = upset ? upset.ph : cfg.PH_IN;
+        return { ph, ct, alk: upset ? alkalinityAt(ph, ct) : cfg.ALK_IN / MG_CACO3_PER_EQ };
+    }
+
+    /**
+     * Advances the CSTR by `dtSeconds` of simulated time.
+     * cacl2MgL: CaCl2 dose; correctionMgL: > 0 NaOH, < 0 H2SO4 (both per litre of influent).
+     */
+    update({ flowRate, cacl2MgL, correctionMgL, simTimeMs, dtSeconds }) {
+        const cfg = CONFIG.PH;
+        const influent = this.influentAt(simTimeMs);
+
+        const cacl2Acidity = (cacl2MgL / MOLAR_MASS_CACL2) * cfg.CACL2_ACIDITY;
+        const correction = correctionMgL >= 0 ? correctionMgL / EQ_MASS_NAOH : correctionMgL / EQ_MASS_H2SO4;
+        const alkFeed = influent.alk - cacl2Acidity + correction;
+
+        const mix = cstrMixFraction(flowRate, dtSeconds);
+        this.alk += (alkFeed - this.alk) * mix;
+        this.ct += (influent.ct - this.ct) * mix;
+
+        this.ph = solvePH(this.alk, this.ct);
+        return this.ph;
+    }
+
+    /**
+     * Share of the dosed calcium left for CaF2 at the current pH; high pH diverts calcium to calcite.
+     * (Low pH is handled by the HF share in the CaF2 equilibrium.)
+     */
+    calciumAvailability() {
+        const h = Math.pow(10, -this.ph);
+        const carbonate = this.ct * carbonateFractions(h).a2;
+        return 1 / (1 + CONFIG.PH.CALCITE_COMPETITION * carbonate);
+    }
+
+    get alkalinityMgL() {
+        return this.alk * MG_CACO3_PER_EQ;
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * Cristal Minas - Process Plant
+ * Composes the process subsystems and advances them in a fixed order.
+ * Shared by the browser loop (simulation.js) and the headless runner.
+ */
+class ProcessPlant {
+    constructor(rng = Math.random) {
+        this.chem = new ChemistryEngine(rng);
+        this.influent = new InfluentProfile(rng);
+        this.controller = new DosingController();
+        this.sensors = new SensorArray(rng);
+        this.hydro = new Hydrodynamics();
+        this.train = new ReactorTrain(this.chem, this.hydro, rng);
+        this.effluent = new EffluentQuality();
+        this.ions = new IonBalance();
+        this.storage = new ProductStorage();
+        this.reagent = new ReagentSupply();
+        this.reliability = new EquipmentReliability(rng);
+        this.lime = new LimeBaseline();
+        this.journal = new EventJournal();
+        this.alarms = new AlarmManager(this.journal);
+        this.finance = new FinancialModel();
+        this.trends = new TrendRecorder();
+        this.training = null;      // TrainingSession of the exercise being run
+    }
+
+    reset() {
+        this.chem.reset();
+        this.influent.reset();
+        this.controller.reset();
+        this.sensors.reset();
+        this.hydro.reset();
+        this.train.reset();
+        this.effluent.reset();
+        this.ions.reset();
+        this.storage.reset();
+        this.reagent.reset();
+        this.reliability.reset();
+        this.lime.reset();
+        this.alarms.reset();
+        this.finance.reset();
+        this.trends.reset();
+        this.training = null;
+        this.journal.nextRun();
+        this.journal.log(0, 'system', { key: 'restarted' });
+    }
+
+    /**
+     * Records an operator or system action in the journal at the current simulated time;
+     * `message` is free text or { key, vars } (see EventJournal.log).
+     */
+    logEvent(type, message) {
+        return this.journal.log(this.chem.simTimeMs, type, message);
+    }
+
+    /**
+     * Moves the harvest downstream, books truck sales as revenue and journals trips and dispatches.
+     */
+    updateStorage(results) {
+        const wasTripped = this.storage.tripped;
+        const dispatches = this.storage.update({
+            harvestedKg: results.massFluorite / 1000,
+            lot: results.batch,
+            simTimeMs: this.chem.simTimeMs
+        });
+        dispatches.forEach((d) => {
+            this.chem.totalRevenue += d.revenue;
+            this.logEvent('system', { key: 'dispatch', vars: { tons: { value: d.tons, unit: 't', digits: 1 }, grade: { label: 'grade', key: d.grade, name: d.grade }, revenue: { money: d.revenue } } });
+        });
+        if (this.storage.tripped && !wasTripped) this.logEvent('system', { key: 'tripped' });
+        if (!this.storage.tripped && wasTripped) this.logEvent('system', { key: 'tripCleared' });
+    }
+
+    /**
+     * Runs the lime baseline on the same influent. The RCLF is credited with the baseline cost
+     * in proportion to the fluoride it actually captured, up to what lime would have removed.
+     */
+    updateBaseline(state, dt, results) {
+        const baseline = this.lime.update({ flowRate: state.flowRate, ppmF: state.ppmF, dtSeconds: simSecondsFor(dt, state.speed) });
+        if (baseline.fRemovedKg > 0) {
+            this.chem.totalSavings += baseline.cost * Math.min(1, results.massFRemoved / 1000 / baseline.fRemovedKg);
+        }
+        this.lime.snapshot(this.chem);
+    }
+
+    /**
+     * Draws the pump command from the CaCl2 tank and journals orders, deliveries and stock-outs.
+     * Returns what was actually dosed and its unit cost.
+     */
+    updateReagent(demandGs, dtSeconds) {
+        const wasOut = this.reagent.stockOut;
+        const supply = this.reagent.update({ demandGs, dtSeconds, simTimeMs: this.chem.simTimeMs });
+        if (supply.ordered) {
+            const o = supply.ordered;
+            this.logEvent('system', { key: 'reagentOrder', vars: {
+                tons: { value: o.tons, unit: 't', digits: 1 }, price: { price: o.price }, hours: { value: (o.dueMs - o.orderedMs) / MS_PER_HOUR, unit: 'h', digits: 0 }
+            } });
+        }
+        if (supply.delivered) {
+            const d = supply.delivered;
+            const returned = d.tons - d.deliveredTons;
+            this.logEvent('system', { key: returned > 0.05 ? 'reagentDeliveryReturned' : 'reagentDelivery', vars: {
+                tons: { value: d.deliveredTons, unit: 't', digits: 1 }, returned: { value: returned, unit: 't', digits: 1 }
+            } });
+        }
+        if (this.reagent.stockOut && !wasOut) this.logEvent('system', { key: 'reagentOut' });
+        if (!this.reagent.stockOut && wasOut) this.logEvent('system', { key: 'reagentRestored' });
+        return supply;
+    }
+
+    /**
+     * Advances failures, repairs and preventive windows, applies each outage to what it stops,
+     * books the repair and maintenance costs as OPEX and journals them.
+     */
+    updateReliability(state, dt) {
+        this.applyReliabilityEvents(this.reliability.update({
+            dtSeconds: simSecondsFor(dt, state.speed),
+            simTimeMs: this.chem.simTimeMs,
+            operating: state.flowRate > 0 && !this.storage.tripped
+        }));
+    }
+
+    /**
+     * Books, journals and applies reliability events, random or scripted by a training exercise.
+     */
+    applyReliabilityEvents(events) {
+        const analyser = this.sensors.get('FLUORIDE_OUT');
+        events.forEach((e) => {
+            const item = e.key ? RELIABILITY_EQUIPMENT[e.key] : null;
+            this.chem.totalVariableCost += e.cost;
+            if (e.type === 'failure') {
+                this.logEvent('system', { key: 'failure', vars: {
+                    equipment: { label: 'equipment', key: e.key, name: item.label }, hours: { value: (e.repairEndMs - e.timeMs) / MS_PER_HOUR, unit: 'h', digits: 1 }, cost: { money: e.cost }
+                } });
+                if (item.effect === 'analyser') analyser.injectFault('offline', e.timeMs);
+            } else if (e.type === 'repair') {
+                this.logEvent('system', { key: 'repaired', vars: { equipment: { label: 'equipment', key: e.key, name: item.label } } });
+                if (item.effect === 'analyser' && analyser.fault === 'offline') analyser.clearFault();
+            } else if (e.type === 'pm-start') {
+                this.logEvent('system', { key: 'pmStart', vars: { hours: { value: CONFIG.RELIABILITY.PM_DURATION_H, unit: 'h' } } });
+            } else {
+                if (analyser.fault === 'offline') analyser.clearFault();
+                this.logEvent('system', { key: 'pmDone', vars: { cost: { money: e.cost } } });
+            }
+        });
+        // A storage trip stops the feed pump like an outage: the influent goes to bypass, untreated
+        this.train.outage = this.reliability.trainDown || this.storage.tripped;
+        this.storage.outage = this.reliability.harvestDown;
+    }
+
+    /**
+     * What the instruments report to the controller and the dashboard.
+     */
+    measure() {
+        return this.sensors.readings();
+    }
+
+    /**
+     * Ground truth the sensors observe. Flow meter and analysers sit on the train, upstream of the bypass.
+     */
+    truth(state) {
+        const treated = this.train.treated;
+        return { flowRate: state.flowRate - this.train.bypassFlow, ppmF: state.ppmF, residualF: treated.residualF, ph: treated.ph, turbidity: treated.turbidity };
+    }
+
+    /**
+     * One frame: training exercise -> influent profile -> equipment failures -> sensors -> dosing controller -> CaCl2 tank -> reactor train
+     * (chemistry and hydrodynamics of every skid) -> effluent compliance -> ion balance -> harvest and storage -> lime baseline -> alarms -> monthly accounts -> trends.
+     * `state` holds the operator inputs and is updated in place by the influent profile.
+     */
+    step(state, dt) {
+        // Scripted incidents land before the influent is drawn, so an influent override applies to this step
+        if (this.training) this.training.update(this, state);
+        Object.assign(state, this.influent.sample(this.chem.simTimeMs, state));
+        this.updateReliability(state, dt);
+        this.sensors.update(this.truth(state), this.chem.simTimeMs);
+        // A failed dosing pump draws nothing from the tank; the controller holds its output rather than wind up
+        const pumpDown = this.reliability.isDown('DOSING_PUMP');
+        const command = pumpDown ? this.controller.output : this.controller.update(this.measure(), simSecondsFor(dt, state.speed));
+        const demand = pumpDown ? 0 : this.train.demand(command, state.flowRate);
+        const supply = this.updateReagent(demand, simSecondsFor(dt, state.speed));
+        const results = this.train.step({
+            flowRate: state.flowRate,
+            ppmF: state.ppmF,
+            dt,
+            speed: state.speed,
+            command,
+            supplyGs: supply.rateGs,
+            unitCost: supply.unitCost
+        });
+        this.effluent.update({
+            dissolvedF: this.train.outlet.residualF,
+            finesF: this.train.outlet.finesF,
+            flowRate: state.flowRate,
+            simTimeMs: this.chem.simTimeMs,
+            dtSeconds: simSecondsFor(dt, state.speed)
+        });
+        this.ions.update({
+            train: this.train,
+            flowRate: state.flowRate,
+            ppmF: state.ppmF,
+            results,
+            correctionMgL: this.chem.phCorrection,
+            dtSeconds: simSecondsFor(dt, state.speed)
+        });
+        this.reliability.recordProduction(results);
+        this.updateStorage(results);
+        this.updateBaseline(state, dt, results);
+        this.alarms.update(this, this.chem.simTimeMs);
+        this.finance.update(this.chem);
+        this.trends.update(this, state);
+        return results;
+    }
+}
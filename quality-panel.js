@@ -0,0 +1,103 @@
+/**
+ * Cristal Minas - Product Quality Panel
+ * Purity of the pellets being harvested, graded batches, and the acidspar
+ * share actually produced against the commercial target.
+ */
+
+const GRADE_LABELS = {
+    acidspar: { label: 'ACIDSPAR', color: 'var(--neon-green)' },
+    metalspar: { label: 'METALSPAR', color: 'var(--neon-orange)' },
+    offspec: { label: 'FORA DE ESPEC.', color: 'var(--neon-red)' }
+};
+const IMPURITY_LABELS = { lattice: 'Inclusões na rede', calcite: 'Calcita / instab. pH', silica: 'Sílica', phosphate: 'Fosfato de cálcio' };
+const QUALITY_FIELDS = [
+    { key: 'WASH_EFFICIENCY', label: 'Eficiência da lavagem (%)', step: 5, percent: true },
+    { key: 'SILICA_MG_L', label: 'Sílica no efluente (mg/L)', step: 1 },
+    { key: 'PHOSPHATE_MG_L', label: 'Fosfato no efluente (mg/L)', step: 0.1 }
+];
+const QUALITY_LOG_ROWS = 8;
+
+class QualityPanel {
+    constructor(container, chem) {
+        this.container = container;
+        this.chem = chem;
+        this.render();
+    }
+
+    get quality() {
+        return this.chem.quality;
+    }
+
+    render() {
+        const stat = (field, label) => `<div class="bed-stat"><span class="sensor-name">${label}</span><span class="sensor-reading" data-field="${field}">---</span></div>`;
+        this.container.innerHTML = `
+            <div class="bed-stats">
+                ${stat('purity', t('quality.purity'))}
+                ${stat('grade', t('quality.grade'))}
+                ${stat('target', t('quality.target'))}
+                ${stat('tons', t('quality.tons'))}
+                ${QUALITY_IMPURITIES.map(k => stat(k, labelOf('impurity', k, IMPURITY_LABELS[k]))).join('')}
+            </div>
+            <div class="tuning-grid" style="margin-top: 0.5rem;">${QUALITY_FIELDS.map(f => `
+                <label>${labelOf('quality', f.key, f.label)}<input type="number" data-quality="${f.key}" step="${f.step}"></label>`).join('')}
+            </div>
+            <table class="event-log">
+                <thead><tr><th>${t('quality.batch')}</th><th>${t('quality.mass')}</th><th>${t('quality.purityColumn')}</th><th>${t('quality.gradeColumn')}</th><th>${t('quality.meanPH')}</th></tr></thead>
+                <tbody></tbody>
+            </table>`;
+
+        // Parameters write straight into CONFIG.QUALITY, validated with the scenario ranges
+        this.container.querySelectorAll('[data-quality]').forEach((el) => {
+            el.onchange = () => {
+                const field = QUALITY_FIELDS.find(f => f.key === el.dataset.quality);
+                const value = parseFloat(el.value) / (field.percent ? 100 : 1);
+                const error = checkField(`QUALITY.${field.key}`, value, SCENARIO_SCHEMA.config.QUALITY[field.key]);
+                el.style.borderColor = error ? 'var(--neon-red)' : '';
+                el.title = error || '';
+                if (!error) CONFIG.QUALITY[field.key] = value;
+            };
+        });
+        this.syncParams();
+    }
+
+    /**
+     * Reflects CONFIG.QUALITY in the parameter fields (after a scenario load).
+     */
+    syncParams() {
+        this.container.querySelectorAll('[data-quality]').forEach((el) => {
+            const field = QUALITY_FIELDS.find(f => f.key === el.dataset.quality);
+            if (document.activeElement !== el) el.value = +(CONFIG.QUALITY[field.key] * (field.percent ? 100 : 1)).toFixed(4);
+        });
+    }
+
+    update() {
+        const q = this.quality;
+        const set = (field, text, color) => {
+            const el = this.container.querySelector(`[data-field="${field}"]`);
+            el.innerText = text;
+            if (color) el.style.color = color;
+        };
+        const grade = GRADE_LABELS[q.grade];
+        set('purity', formatNumber(q.purity, 2) + '% CaF2', grade.color);
+        set('grade', labelOf('grade', q.grade, grade.label), grade.color);
+
+        // The purity slider is a sales commitment: check it against what the batches actually graded
+        const graded = q.gradeKg.acidspar + q.gradeKg.metalspar + q.gradeKg.offspec;
+        const share = q.acidsparShare * 100;
+        const met = graded === 0 || share >= this.chem.purityMix;
+        set('target', graded > 0 ? `${formatNumber(share, 0)}% / ${formatNumber(this.chem.purityMix, 0)}%` : `— / ${formatNumber(this.chem.purityMix, 0)}%`,
+            met ? 'var(--neon-green)' : 'var(--neon-orange)');
+        set('tons', PRODUCT_GRADES.map(g => formatNumber(toUnit(q.gradeKg[g] / 1000, 't'), 1)).join(' / '));
+        const washed = q.washed();
+        QUALITY_IMPURITIES.forEach(k => set(k, formatNumber(washed[k] * 100, 2) + '%'));
+
+        this.container.querySelector('.event-log tbody').innerHTML = q.batches.slice(-QUALITY_LOG_ROWS).reverse().map(b => `
+            <tr style="color: ${GRADE_LABELS[b.grade].color};">
+                <td>${formatSimTime(b.endMs)}</td>
+                <td>${formatUnit(b.kg / 1000, 't', 2)}</td>
+                <td>${formatNumber(b.purity, 2)}%</td>
+                <td>${labelOf('grade', b.grade, GRADE_LABELS[b.grade].label)}</td>
+                <td>${formatNumber(b.meanPH, 2)} ± ${formatNumber(b.phStd, 2)}</td>
+            </tr>`).join('') || `<tr><td colspan="5">${t('quality.noBatches')}</td></tr>`;
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * Cristal Minas - Product Quality
+ * CaF2 purity of the harvested pellets. Each step's deposit carries impurities
+ * (calcite from high or unstable pH, silica and phosphate from the influent)
+ * that mix into the bed; pellets leave with the bed's composition, are washed,
+ * and every BATCH_HOURS the lot is graded acidspar, metalspar or off-spec.
+ */
+
+const PRODUCT_GRADES = ['acidspar', 'metalspar', 'offspec'];
+const QUALITY_MAX_BATCHES = 200;
+const QUALITY_IMPURITIES = ['lattice', 'calcite', 'silica', 'phosphate'];
+const CA3PO42_PER_PO4 = 310.18 / (2 * 94.97); // Mass of Ca3(PO4)2 formed per mass of PO4
+
+/**
+ * Grade for a purity in % CaF2, against CONFIG.QUALITY.
+ */
+function gradeForPurity(purity) {
+    if (purity >= CONFIG.QUALITY.ACIDSPAR_MIN) return 'acidspar';
+    if (purity >= CONFIG.QUALITY.METALSPAR_MIN) return 'metalspar';
+    return 'offspec';
+}
+
+/**
+ * Sale price (BRL/ton) of a grade.
+ */
+function gradePrice(grade) {
+    if (grade === 'acidspar') return CONFIG.MARKET.PRICE_ACIDSPAR;
+    if (grade === 'metalspar') return CONFIG.MARKET.PRICE_METALSPAR;
+    return CONFIG.MARKET.PRICE_OFFSPEC;
+}
+
+class ProductQuality {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        // Mass fraction of each impurity in the bed, before washing; a mature bed grew at the design point
+        this.deposit = { lattice: CONFIG.QUALITY.LATTICE_IMPURITY, calcite: 0, silica: 0, phosphate: 0 };
+        this.deposit = this.depositComposition(CONFIG.PHYSICS.TARGET_PH, CONFIG.INFLUENT.BASE_PPM); // Latest deposit
+        this.bed = { ...this.deposit };
+        this.batches = [];                // [{ startMs, endMs, kg, purity, grade, revenue, meanPH, phStd, impurities }]
+        this.gradeKg = { acidspar: 0, metalspar: 0, offspec: 0 };
+        this.openBatch(0);
+    }
+
+    openBatch(startMs) {
+        this.current = { startMs, kg: 0, phSum: 0, phSqSum: 0, phSeconds: 0, impurities: { lattice: 0, calcite: 0, silica: 0, phosphate: 0 } };
+    }
+
+    /**
+     * Impurities left after washing, as mass fractions. Washing removes surface deposits (calcite, silica).
+     */
+    washed(composition = this.bed) {
+        const wash = 1 - CONFIG.QUALITY.WASH_EFFICIENCY;
+        return {
+            lattice: composition.lattice,
+            calcite: composition.calcite * wash,
+            silica: composition.silica * wash,
+            phosphate: composition.phosphate
+        };
+    }
+
+    /**
+     * % CaF2 of the pellets being harvested now.
+     */
+    get purity() {
+        const w = this.washed();
+        return 100 * (1 - QUALITY_IMPURITIES.reduce((sum, k) => sum + w[k], 0));
+    }
+
+    get grade() {
+        return gradeForPurity(this.purity);
+    }
+
+    /**
+     * Share (0-1) of the graded mass that made acidspar.
+     */
+    get acidsparShare() {
+        const total = this.gradeKg.acidspar + this.gradeKg.metalspar + this.gradeKg.offspec;
+        return total > 0 ? this.gradeKg.acidspar / total : 0;
+    }
+
+    /**
+     * Impurity fractions co-precipitated with CaF2 at the current conditions.
+     */
+    depositComposition(ph, ppmF) {
+        const cfg = CONFIG.QUALITY;
+        const caf2MgL = ppmF * CONFIG.STOICHIOMETRY.F_TO_CAF2;
+        if (caf2MgL <= 0) return { ...this.deposit };
+        // pH away from target gives amorphous and carbonate overgrowth; above the onset calcite co-precipitates
+        const calcite = cfg.INSTABILITY_PER_PH * Math.abs(ph - CONFIG.PHYSICS.TARGET_PH)
+            + cfg.CALCITE_PER_PH * Math.max(0, ph - cfg.CALCITE_ONSET_PH);
+        return {
+            lattice: cfg.LATTICE_IMPURITY,
+            calcite,
+            silica: (cfg.SILICA_CAPTURE * cfg.SILICA_MG_L) / caf2MgL,
+            phosphate: (cfg.PHOSPHATE_CAPTURE * cfg.PHOSPHATE_MG_L * CA3PO42_PER_PO4) / caf2MgL
+        };
+    }
+
+    /**
+     * `depositKg` of new CaF2 mixes into a bed of `bedKg`; `harvestedKg` leaves into the open batch.
+     * Returns the batch closed on this step, or null. Closed batches carry their revenue.
+     */
+    update({ ph, ppmF, depositKg, bedKg, harvestedKg, simTimeMs, dtSeconds }) {
+        this.deposit = this.depositComposition(ph, ppmF);
+        if (depositKg > 0 && bedKg > 0) {
+            const share = Math.min(1, depositKg / bedKg);
+            QUALITY_IMPURITIES.forEach((k) => {
+                this.bed[k] += (this.deposit[k] - this.bed[k]) * share;
+            });
+        }
+
+        const batch = this.current;
+        if (harvestedKg > 0) {
+            const w = this.washed();
+            batch.kg += harvestedKg;
+            QUALITY_IMPURITIES.forEach((k) => {
+                batch.impurities[k] += w[k] * harvestedKg;
+            });
+        }
+        batch.phSum += ph * dtSeconds;
+        batch.phSqSum += ph * ph * dtSeconds;
+        batch.phSeconds += dtSeconds;
+
+        if (simTimeMs < batch.startMs + CONFIG.QUALITY.BATCH_HOURS * MS_PER_HOUR) return null;
+        this.openBatch(simTimeMs);
+        if (batch.kg <= 0) return null;
+        return this.closeBatch(batch, simTimeMs);
+    }
+
+    closeBatch(batch, endMs) {
+        const impurities = {};
+        QUALITY_IMPURITIES.forEach((k) => {
+            impurities[k] = (batch.impurities[k] / batch.kg) * 100;
+        });
+        const purity = 100 - QUALITY_IMPURITIES.reduce((sum, k) => sum + impurities[k], 0);
+        const grade = gradeForPurity(purity);
+        const meanPH = batch.phSum / batch.phSeconds;
+        const closed = {
+            startMs: batch.startMs,
+            endMs,
+            kg: batch.kg,
+            purity,
+            grade,
+            revenue: (batch.kg / 1000) * gradePrice(grade),
+            meanPH,
+            phStd: Math.sqrt(Math.max(0, batch.phSqSum / batch.phSeconds - meanPH * meanPH)),
+            impurities
+        };
+        this.gradeKg[grade] += batch.kg;
+        this.batches.push(closed);
+        if (this.batches.length > QUALITY_MAX_BATCHES) this.batches.shift();
+        return closed;
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * Cristal Minas - Reagent Supply Panel
+ * CaCl2 tank level, consumption forecast, reorder settings and the purchase log.
+ */
+
+const REAGENT_FIELDS = [
+    { key: 'TANK_CAPACITY_M3', label: 'Volume do tanque', step: 5, unit: 'm³' },
+    { key: 'REORDER_LEVEL', label: 'Ponto de pedido (%)', step: 5, percent: true },
+    { key: 'ORDER_T', label: 'Lote de compra de CaCl2', step: 1, unit: 't' },
+    { key: 'LEAD_TIME_HOURS', label: 'Prazo de entrega (h)', step: 6 }
+];
+const REAGENT_LOG_ROWS = 8;
+
+class ReagentPanel {
+    constructor(container, plant) {
+        this.container = container;
+        this.plant = plant;
+        this.render();
+    }
+
+    get reagent() {
+        return this.plant.reagent;
+    }
+
+    render() {
+        const stat = (field, label) => `<div class="bed-stat"><span class="sensor-name">${label}</span><span class="sensor-reading" data-field="${field}">---</span></div>`;
+        this.container.innerHTML = `
+            <div class="gauge-row">
+                <span class="sensor-name">${t('reagent.tank')}</span>
+                <div class="gauge"><div class="gauge-fill"></div></div>
+                <span class="sensor-offset" data-field="level">---</span>
+            </div>
+            <div class="bed-stats">
+                ${stat('stock', t('reagent.stock'))}
+                ${stat('rate', t('reagent.rate'))}
+                ${stat('autonomy', t('reagent.autonomy'))}
+                ${stat('unitCost', t('reagent.unitCost'))}
+                ${stat('forecast', t('reagent.forecast'))}
+                ${stat('pending', t('reagent.pending'))}
+                ${stat('shortfall', t('reagent.shortfall'))}
+                ${stat('tiers', t('reagent.tiers'))}
+            </div>
+            <div class="tuning-grid" style="margin-top: 0.5rem;">${REAGENT_FIELDS.map(f => `
+                <label>${fieldLabel('reagent', f)}<input type="number" data-reagent="${f.key}" step="${inputValue(f.step, f.unit)}"></label>`).join('')}
+            </div>
+            <div class="alarm-header" style="margin-top: 0.5rem;">
+                <button class="btn-primary reagent-auto" style="padding: 0.3rem 0.6rem; font-size: 0.7rem;"></button>
+                <button class="btn-primary reagent-order" style="padding: 0.3rem 0.6rem; font-size: 0.7rem;">${t('reagent.orderNow')}</button>
+            </div>
+            <table class="event-log">
+                <thead><tr><th>${t('reagent.order')}</th><th>${t('reagent.delivery')}</th><th>${t('reagent.quantity')}</th><th>${unitOf('R$/t')}</th><th>${t('reagent.total')}</th></tr></thead>
+                <tbody></tbody>
+            </table>`;
+
+        this.container.querySelectorAll('[data-reagent]').forEach((el) => {
+            el.onchange = () => {
+                const field = REAGENT_FIELDS.find(f => f.key === el.dataset.reagent);
+                const value = field.percent ? parseFloat(el.value) / 100 : fromUnit(parseFloat(el.value), field.unit);
+                const error = checkField(`REAGENT.${field.key}`, value, SCENARIO_SCHEMA.config.REAGENT[field.key]);
+                el.style.borderColor = error ? 'var(--neon-red)' : '';
+                el.title = error || '';
+                if (error) return;
+                CONFIG.REAGENT[field.key] = value;
+                this.plant.logEvent('control', { key: 'setting', vars: {
+                    field: { label: 'reagent', key: field.key, name: field.label }, value: field.percent ? parseFloat(el.value) : { value, unit: field.unit }
+                } });
+            };
+        });
+        this.container.querySelector('.reagent-auto').onclick = () => {
+            CONFIG.REAGENT.AUTO_REORDER = !CONFIG.REAGENT.AUTO_REORDER;
+            this.plant.logEvent('control', { key: CONFIG.REAGENT.AUTO_REORDER ? 'autoReorderOn' : 'autoReorderOff' });
+            this.update();
+        };
+        this.container.querySelector('.reagent-order').onclick = () => {
+            if (this.reagent.pending) return;
+            const o = this.reagent.order(CONFIG.REAGENT.ORDER_T, this.plant.chem.simTimeMs);
+            this.plant.logEvent('control', { key: 'manualOrder', vars: { tons: { value: o.tons, unit: 't', digits: 1 }, price: { price: o.price } } });
+            this.update();
+        };
+        this.syncParams();
+    }
+
+    /**
+     * Reflects CONFIG.REAGENT in the parameter fields (after a scenario load).
+     */
+    syncParams() {
+        this.container.querySelectorAll('[data-reagent]').forEach((el) => {
+            const field = REAGENT_FIELDS.find(f => f.key === el.dataset.reagent);
+            if (document.activeElement !== el) el.value = field.percent ? +(CONFIG.REAGENT[field.key] * 100).toFixed(4) : inputValue(CONFIG.REAGENT[field.key], field.unit);
+        });
+    }
+
+    update() {
+        const r = this.reagent;
+        const cfg = CONFIG.REAGENT;
+        const set = (field, text, color) => {
+            const el = this.container.querySelector(`[data-field="${field}"]`);
+            el.innerText = text;
+            if (color) el.style.color = color;
+        };
+        const fill = this.container.querySelector('.gauge-fill');
+        const color = r.level <= CONFIG.ALARMS.CACL2_LEVEL.LOW / 100 ? 'var(--neon-red)'
+            : r.level <= cfg.REORDER_LEVEL ? 'var(--neon-orange)' : 'var(--neon-cyan)';
+        fill.style.width = Math.min(100, r.level * 100).toFixed(1) + '%';
+        fill.style.background = color;
+        set('level', formatNumber(r.level * 100, 0) + '%');
+
+        set('stock', `${formatUnit(r.stockKg / 1000, 't', 1)} / ${formatUnit(r.solutionM3, 'm³', 1)}`);
+        set('rate', t('common.perDay', { value: formatUnit(r.rateKgDay / 1000, 't', 2) }));
+        const autonomy = r.autonomyDays;
+        set('autonomy', autonomy === null ? '---' : t('common.days', { value: formatNumber(autonomy, 1) }),
+            r.stockOut ? 'var(--neon-red)' : autonomy !== null && autonomy < cfg.LEAD_TIME_HOURS / 24 ? 'var(--neon-orange)' : 'var(--neon-green)');
+        set('unitCost', formatPrice(r.unitCost));
+        const forecast = r.forecast(30);
+        set('forecast', `${formatUnit(forecast.tons, 't', 1)} · ${formatMoneyShort(forecast.cost)}`);
+        const pending = r.pending;
+        set('pending', pending ? t('reagent.arrives', { amount: formatUnit(pending.tons, 't', 1), time: formatSimTime(pending.dueMs) }) : t('common.none'));
+        set('shortfall', r.stockOut ? t('reagent.empty') : formatUnit(r.shortfallKg / 1000, 't', 2), r.shortfallKg > 0 ? 'var(--neon-red)' : '');
+        set('tiers', [{ MIN_T: 0, DISCOUNT: 0 }, ...cfg.PRICE_TIERS].map(tier => `≥${formatUnit(tier.MIN_T, 't')}: ${formatPrice(CONFIG.MARKET.COST_CACL2 * (1 - tier.DISCOUNT))}`).join(' · '));
+
+        this.container.querySelector('.reagent-auto').innerText = t(cfg.AUTO_REORDER ? 'reagent.autoOn' : 'reagent.autoOff');
+        this.container.querySelector('.reagent-order').disabled = !!pending;
+
+        this.container.querySelector('.event-log tbody').innerHTML = r.purchases.slice(-REAGENT_LOG_ROWS).reverse().map(p => `
+            <tr style="color: ${p.status === 'pending' ? 'var(--neon-orange)' : ''};">
+                <td>${formatSimTime(p.orderedMs)}</td>
+                <td>${p.status === 'pending' ? t('reagent.expected', { time: formatSimTime(p.dueMs) }) : formatSimTime(p.deliveredMs)}</td>
+                <td>${formatUnit(p.status === 'pending' ? p.tons : p.deliveredTons, 't', 1)}</td>
+                <td>${formatNumber(toUnit(p.price, 'R$/t'))}</td>
+                <td>${formatMoneyShort((p.status === 'pending' ? p.tons : p.deliveredTons) * p.price)}</td>
+            </tr>`).join('') || `<tr><td colspan="5">${t('reagent.noPurchases')}</td></tr>`;
+    }
+}
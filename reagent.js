@@ -0,0 +1,139 @@
+/**
+ * Cristal Minas - Reagent Supply
+ * CaCl2 solution tank feeding the dosing pump: level, reorder point, deliveries
+ * after a lead time priced by order-size tier, and stock-outs that cut the dose.
+ * Consumption is costed at the weighted average price of the tank contents.
+ */
+
+const REAGENT_MAX_PURCHASES = 200;
+const REAGENT_FORECAST_HOURS = 24; // Time constant of the consumption-rate average
+
+/**
+ * Price (BRL/t CaCl2) of an order of `tons`: COST_CACL2 less the discount of the largest tier reached.
+ */
+function reagentPrice(tons) {
+    const tier = CONFIG.REAGENT.PRICE_TIERS
+        .filter(t => tons >= t.MIN_T)
+        .reduce((best, t) => (t.MIN_T >= best.MIN_T ? t : best), { MIN_T: 0, DISCOUNT: 0 });
+    return CONFIG.MARKET.COST_CACL2 * (1 - tier.DISCOUNT);
+}
+
+class ReagentSupply {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        const cfg = CONFIG.REAGENT;
+        this.stockKg = this.capacityKg * cfg.INITIAL_LEVEL; // CaCl2 in the tank, 100% basis
+        this.valueBRL = (this.stockKg / 1000) * CONFIG.MARKET.COST_CACL2;
+        this.purchases = [];       // [{ orderedMs, dueMs, tons, price, status: 'pending' | 'delivered', deliveredMs, deliveredTons }]
+        this.rateKgDay = 0;        // Smoothed consumption
+        this.rateSeconds = 0;      // Time averaged into rateKgDay, up to the forecast window
+        this.shortfallKg = 0;      // Dose demanded but not available
+        this.stockOut = false;
+    }
+
+    /**
+     * CaCl2 the tank holds when full, kg.
+     */
+    get capacityKg() {
+        const cfg = CONFIG.REAGENT;
+        return cfg.TANK_CAPACITY_M3 * cfg.SOLUTION_DENSITY * cfg.SOLUTION_CONCENTRATION;
+    }
+
+    /**
+     * Tank level, 0-1.
+     */
+    get level() {
+        return this.stockKg / this.capacityKg;
+    }
+
+    get solutionM3() {
+        return this.stockKg / (CONFIG.REAGENT.SOLUTION_DENSITY * CONFIG.REAGENT.SOLUTION_CONCENTRATION);
+    }
+
+    /**
+     * Weighted average cost of the tank contents, BRL/t.
+     */
+    get unitCost() {
+        return this.stockKg > 0 ? (this.valueBRL / this.stockKg) * 1000 : CONFIG.MARKET.COST_CACL2;
+    }
+
+    get pending() {
+        return this.purchases.find(p => p.status === 'pending') || null;
+    }
+
+    /**
+     * Days of dosing left at the current consumption (null before any consumption).
+     */
+    get autonomyDays() {
+        return this.rateKgDay > 0 ? this.stockKg / this.rateKgDay : null;
+    }
+
+    /**
+     * Tons and cost of CaCl2 needed over the next `days` at the current consumption.
+     */
+    forecast(days) {
+        const tons = (this.rateKgDay * days) / 1000;
+        return { tons, cost: tons * reagentPrice(CONFIG.REAGENT.ORDER_T) };
+    }
+
+    /**
+     * One step. The pump asks for `demandGs` g/s of CaCl2; returns what the tank could supply and
+     * its unit cost, plus the order placed and the delivery received on this step (or null).
+     */
+    update({ demandGs, dtSeconds, simTimeMs }) {
+        const cfg = CONFIG.REAGENT;
+        let delivered = null;
+        const due = this.pending;
+        if (due && simTimeMs >= due.dueMs) {
+            // The tanker unloads what fits; the rest goes back and is not paid for
+            due.deliveredTons = Math.min(due.tons, Math.max(0, this.capacityKg - this.stockKg) / 1000);
+            due.deliveredMs = simTimeMs;
+            due.status = 'delivered';
+            this.stockKg += due.deliveredTons * 1000;
+            this.valueBRL += due.deliveredTons * due.price;
+            delivered = due;
+        }
+
+        const unitCost = this.unitCost;
+        const wantedKg = (demandGs * dtSeconds) / 1000;
+        const drawnKg = Math.min(wantedKg, this.stockKg);
+        const share = this.stockKg > 0 ? drawnKg / this.stockKg : 0;
+        this.valueBRL -= this.valueBRL * share;
+        this.stockKg -= drawnKg;
+        this.shortfallKg += wantedKg - drawnKg;
+        this.stockOut = wantedKg > drawnKg;
+        if (dtSeconds > 0) {
+            // Running mean at start-up, exponential average once the window is full
+            this.rateSeconds = Math.min(REAGENT_FORECAST_HOURS * 3600, this.rateSeconds + dtSeconds);
+            const alpha = dtSeconds / this.rateSeconds;
+            this.rateKgDay += ((drawnKg / dtSeconds) * 86400 - this.rateKgDay) * alpha;
+        }
+
+        let ordered = null;
+        if (cfg.AUTO_REORDER && !this.pending && this.level <= cfg.REORDER_LEVEL) {
+            ordered = this.order(cfg.ORDER_T, simTimeMs);
+        }
+        return { rateGs: dtSeconds > 0 ? (drawnKg * 1000) / dtSeconds : 0, unitCost, ordered, delivered };
+    }
+
+    /**
+     * Places an order of `tons` CaCl2, delivered LEAD_TIME_HOURS later at its tier price.
+     */
+    order(tons, simTimeMs) {
+        const purchase = {
+            orderedMs: simTimeMs,
+            dueMs: simTimeMs + CONFIG.REAGENT.LEAD_TIME_HOURS * MS_PER_HOUR,
+            tons,
+            price: reagentPrice(tons),
+            status: 'pending',
+            deliveredMs: null,
+            deliveredTons: 0
+        };
+        this.purchases.push(purchase);
+        if (this.purchases.length > REAGENT_MAX_PURCHASES) this.purchases.shift();
+        return purchase;
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * Cristal Minas - Reliability Panel
+ * Equipment status, failures and downtime, the preventive maintenance schedule,
+ * OEE-style figures and the production lost to stoppages.
+ */
+
+const RELIABILITY_FIELDS = [
+    { key: 'PM_INTERVAL_DAYS', label: 'Preventiva a cada (dias)', step: 5 },
+    { key: 'PM_DURATION_H', label: 'Duração da preventiva (h)', step: 1 },
+    { key: 'PM_COST', label: 'Custo da preventiva', step: 1000, unit: 'R$' },
+    { key: 'WEIBULL_SHAPE', label: 'Forma de Weibull (desgaste)', step: 0.1 }
+];
+
+class ReliabilityPanel {
+    constructor(container, plant) {
+        this.container = container;
+        this.plant = plant;
+        this.render();
+    }
+
+    get reliability() {
+        return this.plant.reliability;
+    }
+
+    render() {
+        const stat = (field, label) => `<div class="bed-stat"><span class="sensor-name">${label}</span><span class="sensor-reading" data-field="${field}">---</span></div>`;
+        this.container.innerHTML = `
+            <div class="bed-stats">
+                ${stat('availability', t('reliability.availability'))}
+                ${stat('performance', t('reliability.performance'))}
+                ${stat('quality', t('reliability.quality'))}
+                ${stat('oee', t('reliability.oee'))}
+                ${stat('stopped', t('reliability.stopped'))}
+                ${stat('failures', t('reliability.failures'))}
+                ${stat('cost', t('reliability.cost'))}
+                ${stat('lost', t('reliability.lost'))}
+                ${stat('nextPm', t('reliability.nextPm'))}
+            </div>
+            <table class="event-log" style="margin-top: 0.5rem;">
+                <thead><tr><th>${t('reliability.equipment')}</th><th>${t('common.state')}</th><th>${t('reliability.age')}</th><th>MTBF (h)</th><th>MTTR (h)</th><th>${t('reliability.failuresColumn')}</th><th>${t('reliability.down')}</th></tr></thead>
+                <tbody>${Object.keys(RELIABILITY_EQUIPMENT).map(key => `
+                    <tr data-equipment="${key}">
+                        <td>${labelOf('equipment', key, RELIABILITY_EQUIPMENT[key].label)}</td>
+                        <td data-cell="status"></td>
+                        <td data-cell="age"></td>
+                        <td><input type="number" data-equipment-field="MTBF_H" step="100" style="width: 4.5rem;"></td>
+                        <td><input type="number" data-equipment-field="MTTR_H" step="1" style="width: 3.5rem;"></td>
+                        <td data-cell="failures"></td>
+                        <td data-cell="down"></td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            <div class="alarm-header" style="margin-top: 0.5rem;">
+                <button class="btn-primary reliability-enabled" style="padding: 0.3rem 0.6rem; font-size: 0.7rem;"></button>
+                <button class="btn-primary reliability-pm" style="padding: 0.3rem 0.6rem; font-size: 0.7rem;">${t('reliability.pmNow')}</button>
+            </div>
+            <div class="tuning-grid">${RELIABILITY_FIELDS.map(f => `
+                <label>${fieldLabel('reliability', f)}<input type="number" data-reliability="${f.key}" step="${inputValue(f.step, f.unit)}"></label>`).join('')}
+            </div>`;
+
+        const bind = (el, path, spec, apply, message, unit) => {
+            el.onchange = () => {
+                const value = fromUnit(parseFloat(el.value), unit);
+                const error = checkField(path, value, spec);
+                el.style.borderColor = error ? 'var(--neon-red)' : '';
+                el.title = error || '';
+                if (error) return;
+                apply(value);
+                this.plant.logEvent('control', message(value));
+            };
+        };
+        const schema = SCENARIO_SCHEMA.config.RELIABILITY;
+        this.container.querySelectorAll('[data-reliability]').forEach((el) => {
+            const field = RELIABILITY_FIELDS.find(f => f.key === el.dataset.reliability);
+            bind(el, `RELIABILITY.${field.key}`, schema[field.key], (v) => { CONFIG.RELIABILITY[field.key] = v; },
+                v => ({ key: 'setting', vars: { field: { label: 'reliability', key: field.key, name: field.label }, value: { value: v, unit: field.unit } } }), field.unit);
+        });
+        this.container.querySelectorAll('[data-equipment-field]').forEach((el) => {
+            const key = el.closest('[data-equipment]').dataset.equipment;
+            const field = el.dataset.equipmentField;
+            bind(el, `RELIABILITY.EQUIPMENT.${key}.${field}`, schema.EQUIPMENT[key][field],
+                (v) => { CONFIG.RELIABILITY.EQUIPMENT[key][field] = v; },
+                v => ({ key: 'equipmentSetting', vars: { equipment: { label: 'equipment', key, name: RELIABILITY_EQUIPMENT[key].label }, field: field === 'MTBF_H' ? 'MTBF' : 'MTTR', value: v } }));
+        });
+        this.container.querySelector('.reliability-enabled').onclick = () => {
+            CONFIG.RELIABILITY.ENABLED = !CONFIG.RELIABILITY.ENABLED;
+            this.plant.logEvent('control', { key: CONFIG.RELIABILITY.ENABLED ? 'failuresOn' : 'failuresOff' });
+            this.update();
+        };
+        this.container.querySelector('.reliability-pm').onclick = () => {
+            if (!this.reliability.startPM(this.plant.chem.simTimeMs)) return;
+            this.plant.logEvent('control', { key: 'pmEarly', vars: { hours: { value: CONFIG.RELIABILITY.PM_DURATION_H, unit: 'h' } } });
+            this.update();
+        };
+        this.syncParams();
+    }
+
+    /**
+     * Reflects CONFIG.RELIABILITY in the parameter fields (after a scenario load).
+     */
+    syncParams() {
+        this.container.querySelectorAll('[data-reliability]').forEach((el) => {
+            const field = RELIABILITY_FIELDS.find(f => f.key === el.dataset.reliability);
+            if (document.activeElement !== el) el.value = inputValue(CONFIG.RELIABILITY[field.key], field.unit);
+        });
+        this.container.querySelectorAll('[data-equipment-field]').forEach((el) => {
+            const key = el.closest('[data-equipment]').dataset.equipment;
+            if (document.activeElement !== el) el.value = CONFIG.RELIABILITY.EQUIPMENT[key][el.dataset.equipmentField];
+        });
+    }
+
+    update() {
+        const r = this.reliability;
+        const m = r.metrics(this.plant.chem);
+        const set = (field, text, color) => {
+            const el = this.container.querySelector(`[data-field="${field}"]`);
+            el.innerText = text;
+            el.style.color = color || '';
+        };
+        const pct = v => formatNumber(v * 100, 1) + '%';
+        const band = v => (v >= 0.95 ? 'var(--neon-green)' : v >= 0.85 ? 'var(--neon-orange)' : 'var(--neon-red)');
+        set('availability', pct(m.availability), band(m.availability));
+        set('performance', pct(m.performance), band(m.performance));
+        set('quality', pct(m.quality), band(m.quality));
+        set('oee', pct(m.oee), band(m.oee));
+        set('stopped', `${formatNumber(m.unplannedHours, 1)} h / ${formatNumber(m.plannedHours, 1)} h`);
+        set('failures', `${m.failures} / ${m.mtbfHours === null ? '---' : formatNumber(m.mtbfHours) + ' h'}`);
+        set('cost', `${formatMoneyShort(m.repairCost)} / ${formatMoneyShort(m.pmCost)}`);
+        set('lost', `${formatUnit(m.lostFluoriteKg / 1000, 't', 2)} · ${formatMoneyShort(m.lostRevenue)}`, m.lostRevenue > 0 ? 'var(--neon-red)' : '');
+        const nextPm = r.nextPmMs;
+        set('nextPm', r.pmActive ? t('reliability.pmRunning', { time: formatSimTime(r.pmEndMs) }) : nextPm === null ? t('reliability.notScheduled') : formatSimTime(nextPm),
+            r.pmActive ? 'var(--neon-orange)' : '');
+
+        Object.values(r.items).forEach((item) => {
+            const row = this.container.querySelector(`[data-equipment="${item.key}"]`);
+            const cell = (name, text, color) => {
+                const el = row.querySelector(`[data-cell="${name}"]`);
+                el.innerText = text;
+                el.style.color = color || '';
+            };
+            if (item.down) cell('status', t('reliability.repair', { time: formatSimTime(item.repairEndMs) }), 'var(--neon-red)');
+            else if (r.pmActive) cell('status', t('reliability.preventive'), 'var(--neon-orange)');
+            else cell('status', t('common.operating'), 'var(--neon-green)');
+            cell('age', formatNumber(item.ageH));
+            cell('failures', String(item.failures));
+            cell('down', formatNumber(item.downHours, 1) + ' h');
+        });
+
+        const toggle = this.container.querySelector('.reliability-enabled');
+        toggle.innerText = t(CONFIG.RELIABILITY.ENABLED ? 'reliability.failuresOn' : 'reliability.failuresOff');
+        this.container.querySelector('.reliability-pm').disabled = r.pmActive;
+    }
+}
@@ -0,0 +1,231 @@
+/**
+ * Cristal Minas - Equipment Reliability
+ * Random failures of the feed pump, dosing pump, rotary valve, screen and fluoride
+ * analyser, repairs after a random time to repair, and preventive maintenance windows.
+ * Times to failure are Weibull in operating hours: above shape 1 the equipment wears
+ * out, and a preventive window renews it. The plant applies each outage to the
+ * subsystem it stops and books repairs as OPEX.
+ */
+
+/**
+ * What each item is and what its outage does to the plant:
+ * train = no flow treated (all bypassed), dosing = no CaCl2, harvest = valve stops discharging,
+ * analyser = outlet fluoride sensor without signal. `stops` items halt production (availability).
+ */
+const RELIABILITY_EQUIPMENT = {
+    FEED_PUMP: { label: 'Bomba de alimentação', effect: 'train', stops: true },
+    DOSING_PUMP: { label: 'Bomba dosadora de CaCl2', effect: 'dosing', stops: true },
+    ROTARY_VALVE: { label: 'Válvula rotativa', effect: 'harvest', stops: false },
+    SCREEN: { label: 'Peneira vibratória', effect: 'harvest', stops: false },
+    F_ANALYSER: { label: 'Analisador de F (saída)', effect: 'analyser', stops: false }
+};
+const RELIABILITY_MAX_EVENTS = 200;
+
+/**
+ * ln Γ(x) for x > 0 (Lanczos, g = 7).
+ */
+function lnGamma(x) {
+    const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+    x -= 1;
+    let a = c[0];
+    const t = x + 7.5;
+    for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+class EquipmentReliability {
+    constructor(rng = Math.random) {
+        this.rng = rng;
+        this.reset();
+    }
+
+    reset() {
+        this.items = {};
+        Object.keys(RELIABILITY_EQUIPMENT).forEach((key) => {
+            this.items[key] = { key, ageH: 0, lifeH: this.sampleLife(key), down: false, repairEndMs: 0, failures: 0, downHours: 0, cost: 0 };
+        });
+        this.pmActive = false;
+        this.pmEndMs = 0;
+        this.lastPmMs = 0;
+        this.pmCount = 0;
+        this.elapsedHours = 0;
+        this.stoppedHours = 0;     // Production stopped, planned or not
+        this.plannedHours = 0;     // Of which preventive windows
+        this.repairCost = 0;
+        this.pmCost = 0;
+        this.fInputUpKg = 0;       // Fluoride received while producing
+        this.fRemovedUpKg = 0;
+        this.fluoriteUpKg = 0;
+        this.events = [];          // [{ timeMs, type: 'failure' | 'repair' | 'pm-start' | 'pm-end', key, cost }]
+    }
+
+    /**
+     * Operating hours to the next failure of `key`, Weibull with the configured MTBF as its mean.
+     */
+    sampleLife(key) {
+        const cfg = CONFIG.RELIABILITY;
+        const shape = cfg.WEIBULL_SHAPE;
+        const scale = cfg.EQUIPMENT[key].MTBF_H / Math.exp(lnGamma(1 + 1 / shape));
+        return scale * Math.pow(-Math.log(1 - this.rng()), 1 / shape);
+    }
+
+    isDown(key) {
+        return this.items[key].down;
+    }
+
+    /**
+     * Every skid is out: feed pump failed or a preventive window under way.
+     */
+    get trainDown() {
+        return this.pmActive || this.isDown('FEED_PUMP');
+    }
+
+    get harvestDown() {
+        return this.isDown('ROTARY_VALVE') || this.isDown('SCREEN');
+    }
+
+    get stopped() {
+        return this.pmActive || Object.keys(RELIABILITY_EQUIPMENT).some(k => RELIABILITY_EQUIPMENT[k].stops && this.isDown(k));
+    }
+
+    get totalCost() {
+        return this.repairCost + this.pmCost;
+    }
+
+    /**
+     * Simulated time at which the next preventive window opens (null when none is scheduled).
+     */
+    get nextPmMs() {
+        const days = CONFIG.RELIABILITY.PM_INTERVAL_DAYS;
+        return CONFIG.RELIABILITY.ENABLED && days > 0 ? this.lastPmMs + days * MS_PER_DAY : null;
+    }
+
+    /**
+     * Opens a preventive window now, whatever the schedule.
+     */
+    startPM(simTimeMs) {
+        if (this.pmActive) return null;
+        this.pmActive = true;
+        this.pmEndMs = simTimeMs + CONFIG.RELIABILITY.PM_DURATION_H * MS_PER_HOUR;
+        return this.record({ timeMs: simTimeMs, type: 'pm-start', key: null, cost: 0 });
+    }
+
+    record(event) {
+        this.events.push(event);
+        if (this.events.length > RELIABILITY_MAX_EVENTS) this.events.shift();
+        return event;
+    }
+
+    /**
+     * One step. `operating` = the plant has feed to treat; equipment only ages while it runs.
+     * Returns the failures, repairs and preventive windows that started or ended, each with its cost.
+     */
+    update({ dtSeconds, simTimeMs, operating }) {
+        const cfg = CONFIG.RELIABILITY;
+        const hours = dtSeconds / 3600;
+        const events = [];
+        this.elapsedHours += hours;
+
+        // Preventive window: everything is renewed when it closes, and pending repairs are finished
+        if (this.pmActive && simTimeMs >= this.pmEndMs) {
+            this.pmActive = false;
+            this.lastPmMs = simTimeMs;
+            this.pmCount++;
+            this.pmCost += cfg.PM_COST;
+            Object.values(this.items).forEach((item) => {
+                item.down = false;
+                item.ageH = 0;
+                item.lifeH = this.sampleLife(item.key);
+            });
+            events.push(this.record({ timeMs: simTimeMs, type: 'pm-end', key: null, cost: cfg.PM_COST }));
+        } else if (!this.pmActive && this.nextPmMs !== null && simTimeMs >= this.nextPmMs) {
+            events.push(this.startPM(simTimeMs));
+        }
+
+        Object.values(this.items).forEach((item) => {
+            const spec = cfg.EQUIPMENT[item.key];
+            if (item.down) {
+                item.downHours += hours;
+                if (simTimeMs < item.repairEndMs) return;
+                item.down = false;
+                item.ageH = 0;
+                item.lifeH = this.sampleLife(item.key);
+                events.push(this.record({ timeMs: simTimeMs, type: 'repair', key: item.key, cost: 0 }));
+                return;
+            }
+            if (!cfg.ENABLED || !operating || this.pmActive) return;
+            item.ageH += hours;
+            if (item.ageH < item.lifeH) return;
+            events.push(this.breakDown(item, simTimeMs, -spec.MTTR_H * Math.log(1 - this.rng()) * MS_PER_HOUR));
+        });
+
+        if (this.stopped) {
+            this.stoppedHours += hours;
+            if (this.pmActive) this.plannedHours += hours;
+        }
+        return events;
+    }
+
+    breakDown(item, simTimeMs, repairMs) {
+        const spec = CONFIG.RELIABILITY.EQUIPMENT[item.key];
+        item.down = true;
+        item.failures++;
+        item.repairEndMs = simTimeMs + repairMs;
+        item.cost += spec.REPAIR_COST;
+        this.repairCost += spec.REPAIR_COST;
+        return this.record({ timeMs: simTimeMs, type: 'failure', key: item.key, cost: spec.REPAIR_COST, repairEndMs: item.repairEndMs });
+    }
+
+    /**
+     * Fails `key` now whatever its age, as a scripted incident; repaired after `repairHours`
+     * (its MTTR when null). Returns the failure event, or null if it is already down.
+     */
+    fail(key, simTimeMs, repairHours = null) {
+        const item = this.items[key];
+        if (item.down) return null;
+        return this.breakDown(item, simTimeMs, (repairHours ?? CONFIG.RELIABILITY.EQUIPMENT[key].MTTR_H) * MS_PER_HOUR);
+    }
+
+    /**
+     * Books a step's production against the time the plant was producing.
+     */
+    recordProduction(results) {
+        if (this.stopped) return;
+        this.fInputUpKg += results.massF / 1000;
+        this.fRemovedUpKg += results.massFRemoved / 1000;
+        this.fluoriteUpKg += results.massFluorite / 1000;
+    }
+
+    /**
+     * OEE-style figures: availability (time producing), performance (fluoride captured of what
+     * arrived while producing) and quality (on-spec share of graded product), plus the fluorite
+     * and revenue the stopped hours cost at the uptime production rate and the current grade price.
+     */
+    metrics(chem) {
+        const upHours = this.elapsedHours - this.stoppedHours;
+        const availability = this.elapsedHours > 0 ? upHours / this.elapsedHours : 1;
+        const performance = this.fInputUpKg > 0 ? Math.min(1, this.fRemovedUpKg / this.fInputUpKg) : 1;
+        const gradeKg = chem.quality.gradeKg;
+        const gradedKg = PRODUCT_GRADES.reduce((sum, g) => sum + gradeKg[g], 0);
+        const quality = gradedKg > 0 ? 1 - gradeKg.offspec / gradedKg : 1;
+        const failures = Object.values(this.items).reduce((sum, item) => sum + item.failures, 0);
+        const lostFluoriteKg = upHours > 0 ? (this.fluoriteUpKg / upHours) * this.stoppedHours : 0;
+        return {
+            availability,
+            performance,
+            quality,
+            oee: availability * performance * quality,
+            stoppedHours: this.stoppedHours,
+            plannedHours: this.plannedHours,
+            unplannedHours: this.stoppedHours - this.plannedHours,
+            failures,
+            mtbfHours: failures > 0 ? upHours / failures : null,
+            repairCost: this.repairCost,
+            pmCost: this.pmCost,
+            lostFluoriteKg,
+            lostRevenue: (lostFluoriteKg / 1000) * gradePrice(chem.quality.grade)
+        };
+    }
+}
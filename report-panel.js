@@ -0,0 +1,93 @@
+/**
+ * Cristal Minas - Report Panel
+ * Downloads of the recorded run (trend series and event journal as CSV, everything
+ * as JSON) and the printable operating report in Portuguese or English.
+ */
+
+class ReportPanel {
+    /**
+     * `getScenario()` returns the scenario being run (createScenario of the live inputs).
+     */
+    constructor(container, plant, getScenario) {
+        this.container = container;
+        this.plant = plant;
+        this.getScenario = getScenario;
+        this.render();
+    }
+
+    render() {
+        const button = (cls, label) => `<button class="btn-primary ${cls}" style="padding: 0.3rem 0.6rem; font-size: 0.7rem;">${label}</button>`;
+        this.container.innerHTML = `
+            <div class="bed-stats">
+                <div class="bed-stat"><span class="sensor-name">${t('report.time')}</span><span class="sensor-reading" data-field="time">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('report.points')}</span><span class="sensor-reading" data-field="points">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('report.events')}</span><span class="sensor-reading" data-field="events">---</span></div>
+            </div>
+            <div class="alarm-header" style="margin-top: 0.5rem; flex-wrap: wrap; gap: 0.4rem;">
+                ${button('report-series', t('report.series'))}
+                ${button('report-events', t('report.journal'))}
+                ${button('report-json', t('report.json'))}
+            </div>
+            <div class="alarm-header" style="margin-top: 0.5rem; flex-wrap: wrap; gap: 0.4rem;">
+                ${button('report-pt', 'RELATÓRIO (PT)')}
+                ${button('report-en', 'REPORT (EN)')}
+            </div>
+            <div class="sensor-name report-status" style="margin-top: 0.3rem;">${t('report.hint')}</div>`;
+
+        const stamp = () => `${(this.plant.chem.simTimeMs / MS_PER_DAY).toFixed(1).replace('.', '-')}d`;
+        this.container.querySelector('.report-series').onclick = () => {
+            downloadFile(`series-rclf-${stamp()}.csv`, this.plant.trends.toCsv(), 'text/csv');
+        };
+        this.container.querySelector('.report-events').onclick = () => {
+            downloadFile(`diario-eventos-${stamp()}.csv`, this.plant.journal.toCsv(), 'text/csv');
+        };
+        this.container.querySelector('.report-json').onclick = () => {
+            const data = createRunExport(this.plant, this.getScenario());
+            downloadFile(`corrida-rclf-${stamp()}.json`, JSON.stringify(data, null, 2), 'application/json');
+        };
+        this.container.querySelector('.report-pt').onclick = () => this.openReport('pt');
+        this.container.querySelector('.report-en').onclick = () => this.openReport('en');
+    }
+
+    /**
+     * Opens the report in a new tab and calls the print dialog; downloads it if pop-ups are blocked.
+     */
+    openReport(lang) {
+        const html = buildReport(this.plant, this.getScenario(), { lang });
+        const status = this.container.querySelector('.report-status');
+        const win = window.open('', '_blank');
+        if (!win) {
+            downloadFile(lang === 'en' ? 'operating-report-rclf.html' : 'relatorio-operacao-rclf.html', html, 'text/html');
+            status.innerText = t('report.blocked');
+            return;
+        }
+        win.document.open();
+        win.document.write(html);
+        win.document.close();
+        win.focus();
+        win.print();
+        status.innerText = t('report.opened');
+    }
+
+    update() {
+        const set = (field, text) => {
+            this.container.querySelector(`[data-field="${field}"]`).innerText = text;
+        };
+        const trends = this.plant.trends;
+        set('time', formatSimTime(this.plant.chem.simTimeMs));
+        set('points', t('common.samples', { count: formatNumber(trends.times.length), min: (trends.intervalMs / 60000).toFixed(0) }));
+        set('events', formatNumber(this.plant.journal.entries.length));
+    }
+}
+
+/**
+ * Saves `text` as a file through a temporary object URL.
+ */
+function downloadFile(filename, text, type) {
+    const blob = new Blob([text], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
@@ -0,0 +1,431 @@
+/**
+ * Cristal Minas - Run Export & Operating Report
+ * Everything a run produced, as one JSON document (scenario, KPIs, fluoride mass
+ * balance, cash flow, trend series and event journal), and a self-contained HTML
+ * report in Portuguese or English, laid out to be printed to PDF.
+ */
+
+const RUN_EXPORT_FORMAT = 'rclf-run';
+const RUN_EXPORT_VERSION = 1;
+const REPORT_JOURNAL_ROWS = 30;
+
+// Scenario sections left out of the report table (instrumentation, analysis and display settings; they stay in the JSON)
+const REPORT_SKIPPED_SECTIONS = ['SENSORS', 'ALARMS', 'TRENDS', 'MONTE_CARLO', 'LOCALE'];
+
+const REPORT_TEXT = {
+    pt: {
+        locale: 'pt-BR',
+        title: 'Relatório de Operação - RCLF',
+        generated: 'Gerado em',
+        simulated: 'Tempo simulado',
+        days: 'dias',
+        scenario: 'Cenário',
+        unnamed: 'sem nome',
+        summary: '1. Indicadores-chave',
+        parameters: '2. Parâmetros do cenário',
+        parametersNote: 'Valores em negrito diferem do padrão de fábrica. Instrumentação, alarmes e Monte Carlo constam do JSON exportado.',
+        inputs: 'Entradas do operador',
+        section: 'Seção',
+        charts: '3. Histórico da operação',
+        balance: '4. Balanço de massa de flúor',
+        ions: 'Balanço iônico (kg) e água tratada',
+        ionsNote: 'Entrada = produto + finos + efluente + variação de estoque (leitos e reatores).',
+        finance: '5. Resumo financeiro',
+        baseline: 'Comparação com a linha de base (cal)',
+        events: '6. Conformidade e eventos',
+        lastEvents: `Últimos ${REPORT_JOURNAL_ROWS} registros do diário`,
+        noData: 'Sem dados registrados.',
+        item: 'Item', value: 'Valor', share: '% da entrada',
+        time: 'Hora sim.', type: 'Tipo', event: 'Evento',
+        kpi: {
+            fInput: 'Flúor recebido', fRemoved: 'Flúor capturado', capture: 'Captura de F',
+            fluorite: 'Fluorita produzida', acidspar: 'Parcela acidspar', cacl2: 'CaCl2 consumido',
+            specificCaCl2: 'Consumo específico de CaCl2', inSpec: 'Tempo em conformidade (efluente)',
+            exceedances: 'Ultrapassagens do limite', availability: 'Disponibilidade / OEE',
+            revenue: 'Faturamento', opex: 'OPEX total', ebitda: 'EBITDA acumulado', roi: 'ROI acumulado'
+        },
+        mass: {
+            input: 'Entrada (afluente)', captured: 'Capturado no leito', harvested: '  colhido como fluorita',
+            retained: '  retido nos leitos', fines: 'Perdido como finos de CaF2', dissolved: 'Dissolvido no efluente (por diferença)',
+            reagent: 'CaCl2 dosado', correction: 'Correção de pH (NaOH/H2SO4)'
+        },
+        water: {
+            ion: 'Íon', input: 'Entrada', product: 'Produto', fines: 'Finos', effluent: 'Efluente', stock: 'Δ estoque', deviation: 'Desvio',
+            parameter: 'Parâmetro', treated: 'Água tratada', reuse: 'Reúso', discharge: 'Descarte', ok: 'OK', above: 'ACIMA',
+            criteria: { CL: 'Cloreto', HARDNESS: 'Dureza total', SO4: 'Sulfato', TDS: 'Sólidos dissolvidos totais' }
+        },
+        fin: {
+            capex: 'CAPEX', variable: 'Custo variável', fixed: 'Custo fixo', revenue30d: 'Faturamento (30d)', profit30d: 'EBITDA (30d)',
+            npv: 'VPL', irr: 'TIR (a.a.)', payback: 'Payback (anos)', discountedPayback: 'Payback descontado (anos)',
+            horizon: 'Horizonte', esg: 'Custos evitados vs. cal (ESG, fora do EBITDA)', years: 'anos'
+        },
+        lime: {
+            sludge: 'Lodo para a barragem (m³)', avoided: 'Lodo evitado (m³)', cost: 'Custo líquido', difference: 'Diferença de custo a favor do RCLF',
+            rclf: 'RCLF', lime: 'Cal'
+        },
+        series: {
+            ph: 'pH', residualF: 'F na saída do trem', effluentF: 'F no efluente', limit: 'Limite',
+            fluoriteOutput: 'Fluorita produzida', stockOnHand: 'Estoque em silos', cash: 'EBITDA acumulado', roi: 'ROI'
+        }
+    },
+    en: {
+        locale: 'en-US',
+        title: 'Operating Report - RCLF',
+        generated: 'Generated on',
+        simulated: 'Simulated time',
+        days: 'days',
+        scenario: 'Scenario',
+        unnamed: 'unnamed',
+        summary: '1. Key performance indicators',
+        parameters: '2. Scenario parameters',
+        parametersNote: 'Values in bold differ from the factory defaults. Instrumentation, alarms and Monte Carlo settings are in the exported JSON.',
+        inputs: 'Operator inputs',
+        section: 'Section',
+        charts: '3. Operating history',
+        balance: '4. Fluoride mass balance',
+        ions: 'Ion balance (kg) and treated water',
+        ionsNote: 'Input = product + fines + effluent + change in inventory (beds and reactors).',
+        finance: '5. Financial summary',
+        baseline: 'Comparison with the lime baseline',
+        events: '6. Compliance and events',
+        lastEvents: `Last ${REPORT_JOURNAL_ROWS} journal entries`,
+        noData: 'No data recorded.',
+        item: 'Item', value: 'Value', share: '% of input',
+        time: 'Sim. time', type: 'Type', event: 'Event',
+        kpi: {
+            fInput: 'Fluoride received', fRemoved: 'Fluoride captured', capture: 'F capture',
+            fluorite: 'Fluorite produced', acidspar: 'Acidspar share', cacl2: 'CaCl2 used',
+            specificCaCl2: 'Specific CaCl2 consumption', inSpec: 'Time in compliance (effluent)',
+            exceedances: 'Limit exceedances', availability: 'Availability / OEE',
+            revenue: 'Revenue', opex: 'Total OPEX', ebitda: 'Cumulative EBITDA', roi: 'Cumulative ROI'
+        },
+        mass: {
+            input: 'Input (influent)', captured: 'Captured in the bed', harvested: '  harvested as fluorite',
+            retained: '  held in the beds', fines: 'Lost as CaF2 fines', dissolved: 'Dissolved in the effluent (by difference)',
+            reagent: 'CaCl2 dosed', correction: 'pH correction (NaOH/H2SO4)'
+        },
+        water: {
+            ion: 'Ion', input: 'Input', product: 'Product', fines: 'Fines', effluent: 'Effluent', stock: 'Δ inventory', deviation: 'Deviation',
+            parameter: 'Parameter', treated: 'Treated water', reuse: 'Reuse', discharge: 'Discharge', ok: 'OK', above: 'ABOVE',
+            criteria: { CL: 'Chloride', HARDNESS: 'Total hardness', SO4: 'Sulphate', TDS: 'Total dissolved solids' }
+        },
+        fin: {
+            capex: 'CAPEX', variable: 'Variable cost', fixed: 'Fixed cost', revenue30d: 'Revenue (30d)', profit30d: 'EBITDA (30d)',
+            npv: 'NPV', irr: 'IRR (p.a.)', payback: 'Payback (years)', discountedPayback: 'Discounted payback (years)',
+            horizon: 'Horizon', esg: 'Costs avoided vs. lime (ESG, outside EBITDA)', years: 'years'
+        },
+        lime: {
+            sludge: 'Sludge to the dam (m³)', avoided: 'Sludge avoided (m³)', cost: 'Net cost', difference: 'Cost difference in favour of the RCLF',
+            rclf: 'RCLF', lime: 'Lime'
+        },
+        series: {
+            ph: 'pH', residualF: 'F at the train outlet', effluentF: 'F in the effluent', limit: 'Limit',
+            fluoriteOutput: 'Fluorite produced', stockOnHand: 'Silo stock', cash: 'Cumulative EBITDA', roi: 'ROI'
+        }
+    }
+};
+
+/**
+ * Where the fluoride that entered went, in kg F. Captured fluoride is what deposited on the
+ * pellets; the dissolved share leaving with the effluent is what is left of the input.
+ */
+function fluorideBalance(chem) {
+    const perCaF2 = CONFIG.STOICHIOMETRY.F_TO_CAF2;
+    const inputKg = chem.totalFInput / 1000;
+    const capturedKg = chem.totalFRemoved / 1000;
+    const harvestedKg = chem.totalFluoriteOutput / perCaF2 / 1000;
+    const finesKg = chem.totalFinesLost / perCaF2 / 1000;
+    return {
+        inputKg,
+        capturedKg,
+        harvestedKg,
+        retainedKg: capturedKg - harvestedKg,
+        finesKg,
+        dissolvedKg: inputKg - capturedKg - finesKg
+    };
+}
+
+/**
+ * Headline figures of the run, in display units (t, %, R$).
+ */
+function runKpis(plant) {
+    const chem = plant.chem;
+    const summary = chem.getFinancialSummary();
+    const reliability = plant.reliability.metrics(chem);
+    return {
+        simDays: chem.simTimeMs / MS_PER_DAY,
+        fInputT: chem.totalFInput / 1e6,
+        fRemovedT: chem.totalFRemoved / 1e6,
+        capture: chem.totalFInput > 0 ? chem.totalFRemoved / chem.totalFInput : 0,
+        fluoriteT: chem.totalFluoriteOutput / 1e6,
+        acidsparShare: chem.quality.acidsparShare,
+        cacl2T: chem.totalCaCl2Used / 1e6,
+        specificCaCl2: chem.totalFRemoved > 0 ? chem.totalCaCl2Used / chem.totalFRemoved : null, // kg CaCl2 / kg F
+        percentInSpec: plant.effluent.percentInSpec,
+        exceedances: plant.effluent.events.length,
+        availability: reliability.availability,
+        oee: reliability.oee,
+        revenue: chem.totalRevenue,
+        opex: summary.totalCost,
+        ebitda: summary.netProfit,
+        revenue30d: summary.revenue30d,
+        profit30d: summary.profit30d,
+        roi: summary.roi
+    };
+}
+
+/**
+ * The whole run as one JSON-ready document. `scenario` comes from createScenario().
+ */
+function createRunExport(plant, scenario) {
+    const trends = plant.trends;
+    const statement = plant.finance.statement(plant.chem);
+    return {
+        format: RUN_EXPORT_FORMAT,
+        version: RUN_EXPORT_VERSION,
+        simTimeMs: plant.chem.simTimeMs,
+        scenario,
+        kpis: runKpis(plant),
+        fluorideBalance: fluorideBalance(plant.chem),
+        financial: {
+            npv: statement.npv,
+            irr: statement.irr,
+            paybackYears: statement.paybackYears,
+            discountedPaybackYears: statement.discountedPaybackYears,
+            esgNpv: statement.esgNpv,
+            totals: statement.totals,
+            rows: statement.rows
+        },
+        baseline: plant.lime.compare(plant.chem, plant.effluent.totalF),
+        effluentEvents: plant.effluent.events.map(e => ({ ...e })),
+        trends: {
+            intervalMs: trends.intervalMs,
+            variables: Object.fromEntries(Object.keys(TREND_VARIABLES).map(k => [k, { label: TREND_VARIABLES[k].label, unit: TREND_VARIABLES[k].unit }])),
+            times: [...trends.times],
+            series: Object.fromEntries(Object.keys(trends.series).map(k => [k, [...trends.series[k]]]))
+        },
+        journal: plant.journal.entries.map(e => ({ ...e }))
+    };
+}
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Line chart of trend series on one axis, as inline SVG so the report needs no script to print.
+ * `lines` = [{ key, label, color }]; `limit` draws a dashed horizontal line.
+ */
+function svgTrendChart(trends, lines, { unit, limit = null, locale }) {
+    const width = 520;
+    const height = 170;
+    const pad = { left: 58, right: 10, top: 10, bottom: 26 };
+    if (trends.times.length < 2) return '';
+    const x0 = trends.times[0];
+    const x1 = trends.times[trends.times.length - 1];
+    const values = lines.flatMap(l => trends.series[l.key]).concat(limit === null ? [] : [limit]);
+    let yMin = Math.min(...values);
+    let yMax = Math.max(...values);
+    if (yMax - yMin < 1e-9) { yMin -= 1; yMax += 1; }
+    const sx = t => pad.left + ((t - x0) / (x1 - x0)) * (width - pad.left - pad.right);
+    const sy = v => height - pad.bottom - ((v - yMin) / (yMax - yMin)) * (height - pad.top - pad.bottom);
+    const num = v => v.toLocaleString(locale, { maximumFractionDigits: Math.abs(yMax - yMin) < 10 ? 2 : 0 });
+    const days = (x1 - x0) / MS_PER_DAY;
+    const tick = t => (days < 2 ? `${(t / MS_PER_HOUR).toFixed(0)} h` : `${(t / MS_PER_DAY).toFixed(1)} d`);
+
+    const paths = lines.map(l => `<polyline fill="none" stroke="${l.color}" stroke-width="1.5" points="${
+        trends.times.map((t, i) => `${sx(t).toFixed(1)},${sy(trends.series[l.key][i]).toFixed(1)}`).join(' ')}"/>`).join('');
+    const limitLine = limit === null ? ''
+        : `<line x1="${pad.left}" x2="${width - pad.right}" y1="${sy(limit)}" y2="${sy(limit)}" stroke="#c00" stroke-dasharray="4 3"/>`;
+    return `
+        <svg viewBox="0 0 ${width} ${height}" width="100%" role="img">
+            <rect x="${pad.left}" y="${pad.top}" width="${width - pad.left - pad.right}" height="${height - pad.top - pad.bottom}" fill="none" stroke="#999"/>
+            <text x="${pad.left - 4}" y="${pad.top + 8}" text-anchor="end" font-size="10">${num(yMax)}</text>
+            <text x="${pad.left - 4}" y="${height - pad.bottom}" text-anchor="end" font-size="10">${num(yMin)}</text>
+            <text x="4" y="${height / 2}" font-size="10">${escapeHtml(unit)}</text>
+            <text x="${pad.left}" y="${height - 8}" font-size="10">${tick(x0)}</text>
+            <text x="${width - pad.right}" y="${height - 8}" text-anchor="end" font-size="10">${tick(x1)}</text>
+            ${limitLine}${paths}
+        </svg>
+        <div class="legend">${lines.map(l => `<span style="color: ${l.color};">■ ${escapeHtml(l.label)}</span>`).join(' ')}</div>`;
+}
+
+/**
+ * Printable operating report. `lang` is 'pt' or 'en'; `generatedAt` is stamped in the header.
+ */
+function buildReport(plant, scenario, { lang = 'pt', generatedAt = new Date() } = {}) {
+    const text = REPORT_TEXT[lang] || REPORT_TEXT.pt;
+    const locale = text.locale;
+    const chem = plant.chem;
+    const kpis = runKpis(plant);
+    const balance = fluorideBalance(chem);
+    const statement = plant.finance.statement(chem);
+    const baseline = plant.lime.compare(chem, plant.effluent.totalF);
+
+    const num = (v, digits = 2) => (v === null || v === undefined || !Number.isFinite(v) ? '---'
+        : v.toLocaleString(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+    const brl = v => (Number.isFinite(v) ? `R$ ${num(v, 0)}` : '---');
+    const pct = v => `${num(v * 100, 1)}%`;
+    const calendarDay = ms => simDate(ms).toLocaleDateString(locale, { timeZone: 'UTC' });
+    const table = (rows, head = [text.item, text.value]) => `
+        <table>
+            <thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map(r => `<tr>${r.map((c, i) => `<td${i > 0 ? ' class="num"' : ''}>${c}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>`;
+
+    const k = text.kpi;
+    const kpiRows = [
+        [k.fInput, `${num(kpis.fInputT, 3)} t`],
+        [k.fRemoved, `${num(kpis.fRemovedT, 3)} t`],
+        [k.capture, pct(kpis.capture)],
+        [k.fluorite, `${num(kpis.fluoriteT, 3)} t`],
+        [k.acidspar, pct(kpis.acidsparShare)],
+        [k.cacl2, `${num(kpis.cacl2T, 3)} t`],
+        [k.specificCaCl2, `${num(kpis.specificCaCl2)} kg CaCl2/kg F`],
+        [k.inSpec, `${num(kpis.percentInSpec, 1)}%`],
+        [k.exceedances, String(kpis.exceedances)],
+        [k.availability, `${pct(kpis.availability)} / ${pct(kpis.oee)}`],
+        [k.revenue, brl(kpis.revenue)],
+        [k.opex, brl(kpis.opex)],
+        [k.ebitda, brl(kpis.ebitda)],
+        [k.roi, `${num(kpis.roi)}%`]
+    ];
+
+    // Scenario: each section on one row, fields that differ from the factory value in bold
+    const flatten = (obj, prefix = '') => Object.keys(obj).flatMap(key => (isPlainObject(obj[key])
+        ? flatten(obj[key], `${prefix}${key}.`) : [[`${prefix}${key}`, obj[key]]]));
+    const defaults = pickBySchema(CONFIG_DEFAULTS, SCENARIO_SCHEMA.config);
+    const lookup = (obj, path) => path.split('.').reduce((o, key) => (o === undefined || o === null ? undefined : o[key]), obj);
+    const fieldText = (path, value, defaultValue) => {
+        const json = JSON.stringify(value);
+        const valueText = value === null ? json : !Array.isArray(value) ? value : json.length <= 120 ? json : `[${value.length}]`;
+        const shown = `${escapeHtml(path.split('.').slice(1).join('.'))} = ${escapeHtml(valueText)}`;
+        return json === JSON.stringify(defaultValue) ? shown : `<b>${shown}</b>`;
+    };
+    const parameterRows = Object.keys(scenario.config)
+        .filter(section => !REPORT_SKIPPED_SECTIONS.includes(section))
+        .map(section => [section, flatten(scenario.config[section], `${section}.`)
+            .map(([path, value]) => fieldText(path, value, lookup(defaults, path))).join('; ')]);
+    const inputRows = Object.keys(scenario.inputs).map(key => [key, escapeHtml(scenario.inputs[key])]);
+
+    const s = text.series;
+    const trends = plant.trends;
+    const charts = trends.times.length < 2 ? `<p>${text.noData}</p>` : [
+        svgTrendChart(trends, [{ key: 'ph', label: s.ph, color: '#2b6cb0' }], { unit: 'pH', locale }),
+        svgTrendChart(trends, [{ key: 'residualF', label: s.residualF, color: '#2f855a' }, { key: 'effluentF', label: s.effluentF, color: '#c05621' }],
+            { unit: 'mg/L', limit: CONFIG.EFFLUENT.LIMIT_F, locale }),
+        svgTrendChart(trends, [{ key: 'fluoriteOutput', label: s.fluoriteOutput, color: '#2b6cb0' }, { key: 'stockOnHand', label: s.stockOnHand, color: '#c05621' }],
+            { unit: 't', locale }),
+        svgTrendChart(trends, [{ key: 'cash', label: s.cash, color: '#2f855a' }], { unit: 'R$', locale })
+    ].map(svg => `<div class="chart">${svg}</div>`).join('');
+
+    const m = text.mass;
+    const share = kg => (balance.inputKg > 0 ? pct(kg / balance.inputKg) : '---');
+    const balanceRows = [
+        [m.input, `${num(balance.inputKg, 1)} kg F`, share(balance.inputKg)],
+        [m.captured, `${num(balance.capturedKg, 1)} kg F`, share(balance.capturedKg)],
+        [m.harvested, `${num(balance.harvestedKg, 1)} kg F`, share(balance.harvestedKg)],
+        [m.retained, `${num(balance.retainedKg, 1)} kg F`, share(balance.retainedKg)],
+        [m.fines, `${num(balance.finesKg, 1)} kg F`, share(balance.finesKg)],
+        [m.dissolved, `${num(balance.dissolvedKg, 1)} kg F`, share(balance.dissolvedKg)],
+        [m.reagent, `${num(chem.totalCaCl2Used / 1000, 1)} kg`, ''],
+        [m.correction, `${num(chem.totalCorrectionUsed / 1000, 1)} kg`, '']
+    ].map(([label, ...rest]) => [label.replace(/^ {2}/, '&nbsp;&nbsp;&nbsp;'), ...rest]);
+
+    const w = text.water;
+    const ionRows = plant.ions.table(plant.train).map(r => [
+        r.symbol, num(r.inKg, 1), num(r.productKg, 1), num(r.finesKg, 1), num(r.effluentKg, 1), num(r.accumulatedKg, 1),
+        `${num((r.imbalanceKg / r.inKg) * 100, 2)}%${r.flagged ? ' ⚠' : ''}`
+    ]);
+    const verdict = (ok, limit) => (ok === null ? '—' : `${ok ? w.ok : `<b>${w.above}</b>`} (≤ ${num(limit, 0)})`);
+    const waterRows = plant.ions.criteria().map(c => [
+        w.criteria[c.key], `${num(c.value, 0)} ${c.unit}`, verdict(c.reuseOk, c.reuseLimit), verdict(c.dischargeOk, c.dischargeLimit)
+    ]);
+
+    const f = text.fin;
+    const financeRows = [
+        [f.capex, brl(plantCapex())],
+        [text.kpi.revenue, brl(kpis.revenue)],
+        [f.variable, brl(chem.totalVariableCost)],
+        [f.fixed, brl(chem.totalFixedCost)],
+        [text.kpi.ebitda, brl(kpis.ebitda)],
+        [f.revenue30d, brl(kpis.revenue30d)],
+        [f.profit30d, brl(kpis.profit30d)],
+        [`${f.npv} (${f.horizon} ${num(CONFIG.FINANCIAL.HORIZON_YEARS, 0)} ${f.years})`, brl(statement.npv)],
+        [f.irr, statement.irr === null ? '---' : pct(statement.irr)],
+        [f.payback, num(statement.paybackYears, 1)],
+        [f.discountedPayback, num(statement.discountedPaybackYears, 1)],
+        [f.esg, brl(chem.totalSavings)]
+    ];
+    const l = text.lime;
+    const limeRows = [
+        [l.sludge, num(baseline.rclf.damM3, 1), num(baseline.lime.damM3, 1)],
+        [l.cost, brl(baseline.rclf.netCost), brl(baseline.lime.netCost)],
+        [l.avoided, num(baseline.sludgeAvoidedM3, 1), ''],
+        [l.difference, brl(baseline.costDifference), '']
+    ];
+
+    const hours = ms => `${num(ms / MS_PER_HOUR, 1)} h`;
+    const journalRows = plant.journal.entries.slice(-REPORT_JOURNAL_ROWS).map(e => [hours(e.timeMs), escapeHtml(e.type), escapeHtml(e.message)]);
+
+    return `<!DOCTYPE html>
+<html lang="${lang === 'en' ? 'en' : 'pt-br'}">
+<head>
+<meta charset="UTF-8">
+<title>${text.title}</title>
+<style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 11pt; color: #111; margin: 2cm; }
+    h1 { font-size: 16pt; margin-bottom: 0.2em; }
+    h2 { font-size: 13pt; margin-top: 1.4em; border-bottom: 1px solid #999; page-break-after: avoid; }
+    table { border-collapse: collapse; width: 100%; margin: 0.5em 0; font-size: 10pt; page-break-inside: auto; }
+    th, td { border: 1px solid #bbb; padding: 3px 6px; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    td.num { text-align: right; }
+    .params td { text-align: left; font-size: 8.5pt; }
+    .meta { color: #444; font-size: 10pt; }
+    .note { color: #444; font-size: 9pt; }
+    .chart { page-break-inside: avoid; margin-bottom: 0.8em; }
+    .legend { font-size: 9pt; }
+    @page { size: A4; margin: 2cm; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${text.title}</h1>
+<div class="meta">
+    ${text.scenario}: ${escapeHtml(scenario.name || text.unnamed)}<br>
+    ${text.simulated}: ${num(kpis.simDays, 2)} ${text.days} (${calendarDay(0)} – ${calendarDay(plant.chem.simTimeMs)})<br>
+    ${text.generated}: ${generatedAt.toLocaleString(locale)}
+</div>
+
+<h2>${text.summary}</h2>
+${table(kpiRows)}
+
+<h2>${text.parameters}</h2>
+<p class="note">${text.parametersNote}</p>
+${table(inputRows, [text.inputs, text.value])}
+<div class="params">${table(parameterRows, [text.section, text.value])}</div>
+
+<h2>${text.charts}</h2>
+${charts}
+
+<h2>${text.balance}</h2>
+${table(balanceRows, [text.item, text.value, text.share])}
+<h3>${text.ions}</h3>
+<p class="note">${text.ionsNote}</p>
+${table(ionRows, [w.ion, w.input, w.product, w.fines, w.effluent, w.stock, w.deviation])}
+${table(waterRows, [w.parameter, w.treated, w.reuse, w.discharge])}
+
+<h2>${text.finance}</h2>
+${table(financeRows)}
+<h3>${text.baseline}</h3>
+${table(limeRows, [text.item, l.rclf, l.lime])}
+
+<h2>${text.events}</h2>
+${table([[text.kpi.inSpec, `${num(kpis.percentInSpec, 1)}%`], [text.kpi.exceedances, String(kpis.exceedances)]])}
+<h3>${text.lastEvents}</h3>
+${journalRows.length ? table(journalRows, [text.time, text.type, text.event]) : `<p>${text.noData}</p>`}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Cristal Minas - Headless CLI (Node)
+ * Evaluates the browser engine scripts in a sandbox and runs a scenario.
+ *
+ * Usage: node run-headless.js --days 90 --seed 42 [--scenario case.json] [--exercise drill.json]
+ *        [--flow 450] [--ppm 50] [--purity 0] [--speed 1]
+ *        [--report report.html] [--lang pt|en] [--csv series.csv] [--events events.csv] [--export run.json]
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Same order as the <script> tags in simulator.html
+const ENGINE_SCRIPTS = [
+    'simulation-core.js',
+    'clock.js',
+    'ph-model.js',
+    'hydrodynamics.js',
+    'crystal.js',
+    'quality.js',
+    'effluent.js',
+    'ions.js',
+    'influent.js',
+    'controller.js',
+    'sensors.js',
+    'alarms.js',
+    'storage.js',
+    'reagent.js',
+    'lime.js',
+    'train.js',
+    'reliability.js',
+    'trends.js',
+    'finance.js',
+    'montecarlo.js',
+    'optimizer.js',
+    'plant.js',
+    'scenario.js',
+    'training.js',
+    'report.js',
+    'headless.js'
+];
+
+const ENGINE_EXPORTS = [
+    'CONFIG',
+    'MS_PER_DAY',
+    'createSeededRandom',
+    'createReseedableRandom',
+    'seedStream',
+    'PhModel',
+    'CrystalBed',
+    'Hydrodynamics',
+    'EffluentQuality',
+    'InfluentProfile',
+    'parseInfluentCsv',
+    'DosingController',
+    'SensorArray',
+    'EventJournal',
+    'AlarmManager',
+    'FinancialModel',
+    'ProductStorage',
+    'ReagentSupply',
+    'LimeBaseline',
+    'ReactorTrain',
+    'EquipmentReliability',
+    'TrendRecorder',
+    'runMonteCarlo',
+    'runOptimizer',
+    'ProcessPlant',
+    'ScenarioError',
+    'createScenario',
+    'parseScenario',
+    'applyScenario',
+    'parseExercise',
+    'TrainingSession',
+    'TRAINING_EXERCISES',
+    'createRunExport',
+    'buildReport',
+    'ChemistryEngine',
+    'PhysicsEngine',
+    'Particle',
+    'FixedStepClock',
+    'HeadlessRunner'
+];
+
+/**
+ * Loads the engine into an isolated context and returns its top-level bindings.
+ */
+function loadEngine() {
+    const context = vm.createContext({ console });
+    ENGINE_SCRIPTS.forEach((file) => {
+        const code = fs.readFileSync(path.join(__dirname, file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    });
+    return vm.runInContext(`({ ${ENGINE_EXPORTS.join(', ')} })`, context);
+}
+
+function parseArgs(argv) {
+    const flags = { days: 'days', seed: 'seed', flow: 'flowRate', ppm: 'ppmF', purity: 'purityMix', speed: 'speed', step: 'stepMs' };
+    const textFlags = { scenario: 'scenarioFile', exercise: 'exerciseFile', report: 'reportFile', lang: 'lang', csv: 'csvFile', events: 'eventsFile', export: 'exportFile' };
+    const options = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        const textKey = textFlags[argv[i].replace(/^--/, '')];
+        if (textKey) {
+            options[textKey] = argv[i + 1];
+            continue;
+        }
+        const key = flags[argv[i].replace(/^--/, '')];
+        if (!key) throw new Error(`Unknown flag: ${argv[i]}`);
+        options[key] = parseFloat(argv[i + 1]);
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const { days, scenarioFile, exerciseFile, reportFile, lang, csvFile, eventsFile, exportFile, ...options } = parseArgs(process.argv.slice(2));
+    const { HeadlessRunner, parseScenario, parseExercise, createScenario, createRunExport, buildReport } = loadEngine();
+    if (scenarioFile) {
+        const { scenario, dropped } = parseScenario(fs.readFileSync(scenarioFile, 'utf8'));
+        if (dropped.length) console.error(`Warning: ${scenarioFile} is from an older version; fields ignored: ${dropped.join(', ')}`);
+        options.scenario = scenario;
+    }
+    // An exercise runs untouched for its duration: the debrief is what a trainee who does nothing would get
+    if (exerciseFile) options.exercise = parseExercise(fs.readFileSync(exerciseFile, 'utf8'));
+    const runner = new HeadlessRunner(options);
+    const result = runner.runDays(days ?? (options.exercise ? options.exercise.durationHours / 24 : 30));
+
+    // The scenario as run: CONFIG after the file was applied, plus the inputs actually used
+    const { plant } = runner;
+    const inputs = { speed: runner.options.speed, ...plant.influent.baseInputs(runner.state), phCorrection: plant.chem.phCorrection, purityMix: plant.chem.purityMix };
+    const scenario = createScenario(inputs,
+        options.scenario ? options.scenario.name : '');
+    if (reportFile) fs.writeFileSync(reportFile, buildReport(plant, scenario, { lang }));
+    if (csvFile) fs.writeFileSync(csvFile, plant.trends.toCsv());
+    if (eventsFile) fs.writeFileSync(eventsFile, plant.journal.toCsv());
+    if (exportFile) fs.writeFileSync(exportFile, JSON.stringify(createRunExport(plant, scenario), null, 2));
+    process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+}
+
+module.exports = { loadEngine, ENGINE_SCRIPTS };
@@ -0,0 +1,571 @@
+/**
+ * Cristal Minas - Scenario Files
+ * Versioned JSON snapshot of CONFIG and operator inputs, with validation and
+ * URL-hash encoding so pitch cases can be shared and reloaded exactly.
+ */
+
+const SCENARIO_FORMAT = 'rclf-scenario';
+const SCENARIO_VERSION = 2;
+const SCENARIO_HASH_PREFIX = '#scenario=';
+
+/**
+ * Field specs shared by every instrument in CONFIG.SENSORS.
+ */
+const SENSOR_SCHEMA = {
+    NOISE: { min: 0, max: 1000 },
+    PERIOD_S: { min: 0, max: 86400 },
+    DEAD_TIME_S: { min: 0, max: 86400 },
+    DRIFT_PER_DAY: { min: -1000, max: 1000 },
+    FAULT_DRIFT_PER_DAY: { min: -1000, max: 1000 },
+    SPIKE: { min: -10000, max: 10000 },
+    MIN: { min: -10000, max: 10000 },
+    MAX: { min: -10000, max: 10000 }
+};
+
+/**
+ * Field specs shared by every item in CONFIG.RELIABILITY.EQUIPMENT.
+ */
+const EQUIPMENT_SCHEMA = {
+    MTBF_H: { min: 1, max: 1e6 },
+    MTTR_H: { min: 0, max: 8760 },
+    REPAIR_COST: { min: 0, max: 1e8 }
+};
+
+/**
+ * Field specs shared by every tag in CONFIG.ALARMS.
+ */
+const ALARM_SCHEMA = {
+    HIGH: { min: -1e6, max: 1e6, nullable: true },
+    LOW: { min: -1e6, max: 1e6, nullable: true },
+    DEADBAND: { min: 0, max: 1e6 },
+    DELAY_S: { min: 0, max: 86400 },
+    PRIORITY: { enum: ALARM_PRIORITIES },
+    ENABLED: { type: 'boolean' }
+};
+
+// Factory values, used for any field a scenario file leaves out.
+const CONFIG_DEFAULTS = JSON.parse(JSON.stringify(CONFIG));
+
+const INPUT_DEFAULTS = {
+    speed: 1.0,
+    flowRate: 450,
+    ppmF: 50,
+    phCorrection: 0,
+    purityMix: 0
+};
+
+/**
+ * Accepted fields and ranges. Sections not listed here (e.g. STOICHIOMETRY) are not scenario inputs.
+ */
+const SCENARIO_SCHEMA = {
+    config: {
+        MARKET: {
+            PRICE_METALSPAR: { min: 0, max: 100000 },
+            PRICE_ACIDSPAR: { min: 0, max: 100000 },
+            PRICE_OFFSPEC: { min: 0, max: 100000 },
+            COST_CACL2: { min: 0, max: 100000 },
+            COST_NAOH: { min: 0, max: 100000 },
+            COST_H2SO4: { min: 0, max: 100000 }
+        },
+        FINANCIAL: {
+            CAPEX: { min: 1, max: 1e9 },
+            OPEX_FIXED_DAY: { min: 0, max: 1e7 },
+            HORIZON_YEARS: { min: 1, max: 30 },
+            DISCOUNT_RATE: { min: 0, max: 1 },
+            DEPRECIATION_YEARS: { min: 1, max: 50 },
+            IRPJ_RATE: { min: 0, max: 1 },
+            IRPJ_SURCHARGE_RATE: { min: 0, max: 1 },
+            IRPJ_SURCHARGE_THRESHOLD: { min: 0, max: 1e7 },
+            CSLL_RATE: { min: 0, max: 1 },
+            LOSS_OFFSET_CAP: { min: 0, max: 1 }
+        },
+        PHYSICS: {
+            TARGET_PH: { min: 0, max: 14 },
+            GRAVITY: { min: 0, max: 10 },
+            DRAG_COEFFICIENT: { min: 0, max: 10 },
+            TURBIDITY_BASE: { min: 0, max: 1000 },
+            FINES_NTU_PER_MGL: { min: 0, max: 10 }
+        },
+        REACTOR: {
+            DIAMETER: { min: 0.1, max: 20 },
+            HEIGHT: { min: 0.5, max: 50 },
+            WATER_TEMP: { min: 0, max: 80 },
+            VOIDAGE_MF: { min: 0.2, max: 0.8 },
+            MAX_BED_FRACTION: { min: 0.1, max: 1 }
+        },
+        CRYSTAL: {
+            DENSITY: { min: 1000, max: 10000 },
+            KSP: { min: 1e-14, max: 1e-6 },
+            SEED_SIZE_MM: { min: 0.05, max: 2 },
+            SEED_RATE_KG_DAY: { min: 0, max: 10000 },
+            INITIAL_BED_KG: { min: 0, max: 1e6 },
+            HARVEST_SIZE_MM: { min: 2, max: 10 },
+            NUCLEI_SIZE_MM: { min: 0.001, max: 0.05 },
+            CRITICAL_SUPERSATURATION: { min: 1, max: 1000 },
+            NUCLEATION_ORDER: { min: 1, max: 10 },
+            GROWTH_RATE_CONSTANT: { min: 0, max: 10 },
+            MERGE_TOLERANCE_MM: { min: 0.001, max: 0.5 }
+        },
+        PH: {
+            PH_IN: { min: 0, max: 14 },
+            ALK_IN: { min: 0, max: 2000 },
+            REACTOR_VOLUME: { min: 1, max: 5000 },
+            CACL2_ACIDITY: { min: 0, max: 2 },
+            CALCITE_COMPETITION: { min: 0, max: 100000 },
+            MAX_EFFICIENCY: { min: 0, max: 1 },
+            SLUG_PH: { min: 0, max: 14 },
+            SLUG_HOURS: { min: 0, max: 720 }
+        },
+        PLANT: {
+            SKIDS: { min: 1, max: 8, integer: true },
+            LAYOUT: { enum: ['parallel', 'series'] },
+            SPLIT: { type: 'array', items: { min: 0, max: 1e6 } },
+            OFFLINE: { type: 'array', items: { min: 1, max: 8, integer: true } },
+            FEED_FLOW: { min: 0, max: 1e5, nullable: true },
+            SKID_MAX_FLOW: { min: 1, max: 10000 },
+            POLISH_RATIO: { min: 0, max: 5 },
+            EXTRA_SKID_CAPEX: { min: 0, max: 1e9 },
+            EXTRA_SKID_OPEX_DAY: { min: 0, max: 1e7 }
+        },
+        QUALITY: {
+            ACIDSPAR_MIN: { min: 0, max: 100 },
+            METALSPAR_MIN: { min: 0, max: 100 },
+            BATCH_HOURS: { min: 0.5, max: 720 },
+            LATTICE_IMPURITY: { min: 0, max: 1 },
+            INSTABILITY_PER_PH: { min: 0, max: 1 },
+            CALCITE_ONSET_PH: { min: 0, max: 14 },
+            CALCITE_PER_PH: { min: 0, max: 1 },
+            SILICA_MG_L: { min: 0, max: 10000 },
+            SILICA_CAPTURE: { min: 0, max: 1 },
+            PHOSPHATE_MG_L: { min: 0, max: 10000 },
+            PHOSPHATE_CAPTURE: { min: 0, max: 1 },
+            WASH_EFFICIENCY: { min: 0, max: 1 }
+        },
+        STORAGE: {
+            HOPPER_CAPACITY_KG: { min: 1, max: 1e6 },
+            VALVE_INTERVAL_MIN: { min: 1, max: 1440 },
+            VALVE_POCKET_KG: { min: 1, max: 1e5 },
+            VALVE_MOISTURE: { min: 0, max: 0.9 },
+            SCREEN_MOISTURE: { min: 0, max: 0.9 },
+            BIN_CAPACITY_KG: { min: 1, max: 1e6 },
+            SILO_CAPACITY_T: { min: 1, max: 1e5 },
+            TRUCK_CAPACITY_T: { min: 0.1, max: 100 },
+            MAX_TRUCKS_PER_DAY: { min: 0, max: 100 },
+            DISPATCH_ENABLED: { type: 'boolean' }
+        },
+        REAGENT: {
+            TANK_CAPACITY_M3: { min: 0.1, max: 10000 },
+            SOLUTION_CONCENTRATION: { min: 0.01, max: 1 },
+            SOLUTION_DENSITY: { min: 500, max: 3000 },
+            INITIAL_LEVEL: { min: 0, max: 1 },
+            AUTO_REORDER: { type: 'boolean' },
+            REORDER_LEVEL: { min: 0, max: 1 },
+            ORDER_T: { min: 0.1, max: 1000 },
+            LEAD_TIME_HOURS: { min: 0, max: 8760 },
+            PRICE_TIERS: { type: 'array', items: { MIN_T: { min: 0, max: 1e6 }, DISCOUNT: { min: 0, max: 1 } } }
+        },
+        RELIABILITY: {
+            ENABLED: { type: 'boolean' },
+            WEIBULL_SHAPE: { min: 0.5, max: 5 },
+            PM_INTERVAL_DAYS: { min: 0, max: 3650 },
+            PM_DURATION_H: { min: 0, max: 720 },
+            PM_COST: { min: 0, max: 1e8 },
+            EQUIPMENT: Object.fromEntries(Object.keys(RELIABILITY_EQUIPMENT).map(key => [key, EQUIPMENT_SCHEMA]))
+        },
+        LIME: {
+            RESIDUAL_F: { min: 0, max: 100 },
+            EXCESS_RATIO: { min: 1, max: 5 },
+            BASE_DEMAND_MG_L: { min: 0, max: 5000 },
+            PURITY: { min: 0.1, max: 1 },
+            COST_LIME: { min: 0, max: 100000 },
+            SLUDGE_SOLIDS: { min: 0.01, max: 1 },
+            SLUDGE_DENSITY: { min: 1000, max: 3000 },
+            DREDGED_SHARE: { min: 0, max: 1 },
+            DREDGING_COST_M3: { min: 0, max: 10000 },
+            LANDFILL_COST_T: { min: 0, max: 10000 },
+            DAM_REMAINING_M3: { min: 1, max: 1e9 },
+            OPEX_FIXED_DAY: { min: 0, max: 1e6 }
+        },
+        EFFLUENT: {
+            LIMIT_F: { min: 0.1, max: 100 },
+            WARNING_F: { min: 0, max: 100 }
+        },
+        IONS: {
+            CA_IN: { min: 0, max: 5000 },
+            MG_IN: { min: 0, max: 5000 },
+            NA_IN: { min: 0, max: 20000 },
+            CL_IN: { min: 0, max: 20000 },
+            SO4_IN: { min: 0, max: 20000 },
+            PO4_IN: { min: 0, max: 1000 },
+            BALANCE_TOLERANCE: { min: 0.0001, max: 1 },
+            REUSE: Object.fromEntries(Object.keys(WATER_CRITERIA).map(key => [key, { min: 0, max: 1e5, nullable: true }])),
+            DISCHARGE: Object.fromEntries(Object.keys(WATER_CRITERIA).map(key => [key, { min: 0, max: 1e5, nullable: true }]))
+        },
+        CONTROL: {
+            MODE: { enum: CONTROL_MODES },
+            SETPOINT_F: { min: 0, max: 100 },
+            KP: { min: 0, max: 1000 },
+            KI: { min: 0, max: 10000 },
+            KD: { min: 0, max: 1000 },
+            FEED_FORWARD: { type: 'boolean' },
+            FF_RATIO: { min: 0, max: 3 },
+            PUMP_MIN: { min: 0, max: 1000 },
+            PUMP_MAX: { min: 0, max: 1000 },
+            RATE_LIMIT: { min: 0, max: 10000 },
+            MANUAL_OUTPUT: { min: 0, max: 1000 },
+            SETTLING_BAND: { min: 0.01, max: 1 },
+            SETTLING_HOLD_MINUTES: { min: 0, max: 1440 }
+        },
+        SENSORS: {
+            SPIKE_SECONDS: { min: 0, max: 86400 },
+            FLOW: SENSOR_SCHEMA,
+            FLUORIDE_IN: SENSOR_SCHEMA,
+            FLUORIDE_OUT: SENSOR_SCHEMA,
+            PH: SENSOR_SCHEMA,
+            TURBIDITY: SENSOR_SCHEMA
+        },
+        ALARMS: Object.fromEntries(Object.keys(ALARM_TAGS).map(tag => [tag, ALARM_SCHEMA])),
+        CLOCK: {
+            START_DATE: { type: 'date' },
+            SEED: { min: 0, max: 4294967295, integer: true },
+            STEP_MS: { min: 1, max: 1000 },
+            MAX_FRAME_MS: { min: 10, max: 10000 },
+            FAST_FORWARD_BUDGET_MS: { min: 5, max: 1000 }
+        },
+        LOCALE: {
+            LANGUAGE: { enum: ['pt', 'en'] },
+            UNITS: { enum: ['metric', 'us'] },
+            CURRENCY: { enum: ['BRL', 'USD'] },
+            USD_BRL: { min: 0.01, max: 1000 }
+        },
+        TRENDS: {
+            RESOLUTION_MIN: { min: 0.1, max: 1440 },
+            MAX_POINTS: { min: 100, max: 100000 }
+        },
+        MONTE_CARLO: {
+            RUNS: { min: 2, max: 1000 },
+            DAYS: { min: 1, max: 365 },
+            SEED: { min: 0, max: 4294967295, integer: true },
+            STEP_MS: { min: 1, max: 1000 },
+            INPUTS: {
+                ...Object.fromEntries(Object.keys(MC_INPUTS).map(key => [key, {
+                    DIST: { enum: MC_DISTRIBUTIONS },
+                    MIN: MC_INPUTS[key].range,
+                    MODE: MC_INPUTS[key].range,
+                    MAX: MC_INPUTS[key].range
+                }]))
+            }
+        },
+        OPTIMIZER: {
+            OBJECTIVE: { enum: Object.keys(OPT_OBJECTIVES) },
+            SAMPLES: { min: 2, max: 500 },
+            REFINE_ROUNDS: { min: 0, max: 10 },
+            DAYS: { min: 1, max: 365 },
+            SEED: { min: 0, max: 4294967295, integer: true },
+            STEP_MS: { min: 1, max: 1000 },
+            MAX_EFFLUENT_F: { min: 0, max: 1000 },
+            MAX_WASHOUT_PCT: { min: 0, max: 100 },
+            REAGENT_BUDGET_MONTH: { min: 0, max: 1e9 },
+            VARIABLES: {
+                ...Object.fromEntries(Object.keys(OPT_VARIABLES).map(key => [key, {
+                    MIN: OPT_VARIABLES[key].range,
+                    MAX: OPT_VARIABLES[key].range
+                }]))
+            }
+        },
+        INFLUENT: {
+            MODE: { enum: INFLUENT_MODES },
+            BASE_FLOW: { min: 0, max: 1000 },
+            BASE_PPM: { min: 0, max: 500 },
+            STEP_AT_HOURS: { min: 0, max: 8760 },
+            STEP_FLOW_FACTOR: { min: 0, max: 5 },
+            STEP_PPM_FACTOR: { min: 0, max: 5 },
+            RAMP_START_HOURS: { min: 0, max: 8760 },
+            RAMP_HOURS: { min: 0, max: 8760 },
+            RAMP_FLOW_FACTOR: { min: 0, max: 5 },
+            RAMP_PPM_FACTOR: { min: 0, max: 5 },
+            SINE_FLOW_AMPLITUDE: { min: 0, max: 1 },
+            SINE_PPM_AMPLITUDE: { min: 0, max: 1 },
+            SINE_PEAK_HOUR: { min: 0, max: 24 },
+            WALK_VOLATILITY: { min: 0, max: 1 },
+            WALK_REVERSION: { min: 0, max: 10 },
+            SERIES: {
+                type: 'array',
+                items: { hour: { min: 0, max: 1e6 }, flowRate: { min: 0, max: 1e5 }, ppmF: { min: 0, max: 1e5 } },
+                sortedBy: 'hour'
+            }
+        }
+    },
+    inputs: {
+        speed: { min: 0.1, max: 5 },
+        flowRate: { min: 0, max: 1000 },
+        ppmF: { min: 50, max: 500 },
+        phCorrection: { min: -100, max: 100 },
+        purityMix: { min: 0, max: 100 }
+    }
+};
+
+/**
+ * Raised when a scenario file fails validation. `errors` lists every problem found.
+ */
+class ScenarioError extends Error {
+    constructor(errors) {
+        super('Cenário inválido:\n- ' + errors.join('\n- '));
+        this.name = 'ScenarioError';
+        this.errors = errors;
+    }
+}
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isFieldSpec = (spec) => 'min' in spec || Boolean(spec.enum) || Boolean(spec.type);
+
+/**
+ * Checks a single value against its field spec. Returns an error message or null.
+ */
+function checkField(path, value, spec) {
+    if (value === null && spec.nullable) return null;
+    if (spec.enum) {
+        return spec.enum.includes(value) ? null : `${path}: "${value}" não é um dos valores ${spec.enum.join(', ')}`;
+    }
+    if (spec.type === 'boolean') {
+        return typeof value === 'boolean' ? null : `${path}: esperado true/false`;
+    }
+    if (spec.type === 'array') {
+        return Array.isArray(value) ? checkItems(path, value, spec) : `${path}: esperado uma lista`;
+    }
+    if (spec.type === 'date') {
+        // Date.parse rolls 2026-02-30 over to March; formatting it back catches that
+        const ms = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? Date.parse(`${value}T00:00:00Z`) : NaN;
+        const valid = Number.isFinite(ms) && new Date(ms).toISOString().startsWith(value);
+        return valid ? null : `${path}: esperado uma data AAAA-MM-DD, recebido ${JSON.stringify(value)}`;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${path}: esperado um número, recebido ${JSON.stringify(value)}`;
+    }
+    if (value < spec.min || value > spec.max) {
+        return `${path}: ${value} fora da faixa [${spec.min}, ${spec.max}]`;
+    }
+    if (spec.integer && !Number.isInteger(value)) {
+        return `${path}: esperado um número inteiro, recebido ${value}`;
+    }
+    return null;
+}
+
+/**
+ * Checks the elements of an array field. `items` is a field spec, or an object schema whose
+ * fields are all required; `sortedBy` names a field that must not decrease along the list.
+ */
+function checkItems(path, list, spec) {
+    if (!spec.items) return null;
+    for (let i = 0; i < list.length; i++) {
+        const itemPath = `${path}[${i}]`;
+        const item = list[i];
+        if (isFieldSpec(spec.items)) {
+            const error = checkField(itemPath, item, spec.items);
+            if (error) return error;
+            continue;
+        }
+        if (!isPlainObject(item)) return `${itemPath}: esperado um objeto`;
+        const unknown = Object.keys(item).find(key => !(key in spec.items));
+        if (unknown) return `${itemPath}.${unknown}: campo desconhecido`;
+        for (const key of Object.keys(spec.items)) {
+            const error = checkField(`${itemPath}.${key}`, item[key], spec.items[key]);
+            if (error) return error;
+        }
+        if (spec.sortedBy && i > 0 && item[spec.sortedBy] < list[i - 1][spec.sortedBy]) {
+            return `${itemPath}.${spec.sortedBy}: lista fora de ordem crescente`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Recursively validates `data` against `schema`, collecting unknown and invalid fields.
+ */
+function checkSection(path, data, schema, errors) {
+    if (!isPlainObject(data)) {
+        errors.push(`${path}: esperado um objeto`);
+        return;
+    }
+    Object.keys(data).forEach((key) => {
+        const fieldPath = `${path}.${key}`;
+        const spec = schema[key];
+        if (!spec) {
+            errors.push(`${fieldPath}: campo desconhecido`);
+        } else if (!isFieldSpec(spec)) {
+            checkSection(fieldPath, data[key], spec, errors);
+        } else {
+            const error = checkField(fieldPath, data[key], spec);
+            if (error) errors.push(error);
+        }
+    });
+}
+
+/**
+ * Skids taken offline must exist in the train the scenario builds.
+ */
+function checkPlantSkids(plant, errors) {
+    const skids = plant.SKIDS ?? CONFIG_DEFAULTS.PLANT.SKIDS;
+    (plant.OFFLINE || []).forEach((id, i) => {
+        if (id > skids) errors.push(`config.PLANT.OFFLINE[${i}]: skid ${id} não existe (SKIDS = ${skids})`);
+    });
+}
+
+/**
+ * Throws ScenarioError unless `scenario` is a well-formed, in-range scenario of a supported version.
+ */
+function validateScenario(scenario) {
+    const errors = [];
+    if (!isPlainObject(scenario)) throw new ScenarioError(['o arquivo não contém um objeto JSON']);
+
+    if (scenario.format !== SCENARIO_FORMAT) errors.push(`format: esperado "${SCENARIO_FORMAT}"`);
+    if (!Number.isInteger(scenario.version) || scenario.version < 1 || scenario.version > SCENARIO_VERSION) {
+        errors.push(`version: versão ${scenario.version} não suportada (máx. ${SCENARIO_VERSION})`);
+    }
+
+    Object.keys(scenario).forEach((key) => {
+        if (!['format', 'version', 'name', 'config', 'inputs'].includes(key)) errors.push(`${key}: campo desconhecido`);
+    });
+    if ('name' in scenario && typeof scenario.name !== 'string') errors.push('name: esperado um texto');
+    if ('config' in scenario) checkSection('config', scenario.config, SCENARIO_SCHEMA.config, errors);
+    if ('inputs' in scenario) checkSection('inputs', scenario.inputs, SCENARIO_SCHEMA.inputs, errors);
+    if (errors.length === 0) checkPlantSkids(scenario.config?.PLANT || {}, errors);
+
+    if (errors.length) throw new ScenarioError(errors);
+    return scenario;
+}
+
+/**
+ * Copies the scenario-relevant part of `source` following the schema shape.
+ */
+function pickBySchema(source, schema) {
+    const out = {};
+    Object.keys(schema).forEach((key) => {
+        if (!(key in source)) return;
+        const spec = schema[key];
+        out[key] = isFieldSpec(spec) ? JSON.parse(JSON.stringify(source[key])) : pickBySchema(source[key], spec);
+    });
+    return out;
+}
+
+/**
+ * Writes `source` into `target` in place, section by section, so nested objects keep their identity.
+ */
+function assignBySchema(target, source, schema) {
+    Object.keys(source).forEach((key) => {
+        if (isFieldSpec(schema[key])) {
+            target[key] = JSON.parse(JSON.stringify(source[key]));
+        } else {
+            assignBySchema(target[key], source[key], schema[key]);
+        }
+    });
+}
+
+/**
+ * Builds a complete scenario from the live CONFIG and the given operator inputs.
+ */
+function createScenario(inputs, name = '') {
+    const config = pickBySchema(CONFIG, SCENARIO_SCHEMA.config);
+    // SKIDS applies on reset: skids past a lowered count are still running but will not be rebuilt
+    config.PLANT.OFFLINE = config.PLANT.OFFLINE.filter(id => id <= config.PLANT.SKIDS);
+    return {
+        format: SCENARIO_FORMAT,
+        version: SCENARIO_VERSION,
+        name,
+        config,
+        inputs: pickBySchema({ ...INPUT_DEFAULTS, ...inputs }, SCENARIO_SCHEMA.inputs)
+    };
+}
+
+/**
+ * Validates and writes the scenario into CONFIG (missing fields fall back to factory defaults).
+ * Returns the full set of operator inputs to apply to the simulation state.
+ */
+function applyScenario(scenario) {
+    validateScenario(scenario);
+    assignBySchema(CONFIG, pickBySchema(CONFIG_DEFAULTS, SCENARIO_SCHEMA.config), SCENARIO_SCHEMA.config);
+    assignBySchema(CONFIG, scenario.config || {}, SCENARIO_SCHEMA.config);
+
+    return { ...INPUT_DEFAULTS, ...(scenario.inputs || {}) };
+}
+
+/**
+ * Config fields each version removed from the schema. None of them drove the simulation any more:
+ * version 2 dropped the lime sludge cost (CONFIG.LIME prices the lime route), the Monte Carlo
+ * availability input (CONFIG.RELIABILITY simulates downtime) and the optimizer's acidspar target.
+ */
+const SCENARIO_REMOVED_FIELDS = {
+    2: [
+        ['MARKET', 'AVOIDED_COST_LIME_SLUDGE'],
+        ['MONTE_CARLO', 'INPUTS', 'AVAILABILITY'],
+        ['OPTIMIZER', 'VARIABLES', 'PURITY_MIX']
+    ]
+};
+
+/**
+ * Brings an older scenario up to SCENARIO_VERSION in place, deleting the fields later versions
+ * removed. Returns the paths it deleted so the caller can tell the user they were ignored.
+ */
+function migrateScenario(scenario) {
+    const dropped = [];
+    if (!isPlainObject(scenario) || !Number.isInteger(scenario.version) || scenario.version < 1) return dropped;
+    for (let version = scenario.version + 1; version <= SCENARIO_VERSION; version++) {
+        SCENARIO_REMOVED_FIELDS[version].forEach((path) => {
+            const section = path.slice(0, -1).reduce((obj, key) => (isPlainObject(obj) ? obj[key] : undefined), scenario.config);
+            const key = path[path.length - 1];
+            if (isPlainObject(section) && key in section) {
+                delete section[key];
+                dropped.push(['config', ...path].join('.'));
+            }
+        });
+        scenario.version = version;
+    }
+    return dropped;
+}
+
+/**
+ * Parses, migrates and validates a scenario file. Returns the scenario and the paths of the
+ * fields the migration dropped.
+ */
+function parseScenario(text) {
+    let scenario;
+    try {
+        scenario = JSON.parse(text);
+    } catch (e) {
+        throw new ScenarioError([`JSON inválido (${e.message})`]);
+    }
+    const dropped = migrateScenario(scenario);
+    return { scenario: validateScenario(scenario), dropped };
+}
+
+function serializeScenario(scenario) {
+    return JSON.stringify(scenario, null, 2);
+}
+
+/**
+ * URL-safe base64 of the compact JSON, prefixed for use as location.hash.
+ */
+function encodeScenarioHash(scenario) {
+    const bytes = new TextEncoder().encode(JSON.stringify(scenario));
+    let binary = '';
+    bytes.forEach((b) => { binary += String.fromCharCode(b); });
+    const base64 = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return SCENARIO_HASH_PREFIX + base64;
+}
+
+/**
+ * Returns the parseScenario result for the scenario encoded in `hash`, or null when the hash
+ * holds no scenario.
+ */
+function decodeScenarioHash(hash) {
+    if (!hash || !hash.startsWith(SCENARIO_HASH_PREFIX)) return null;
+    const base64 = hash.slice(SCENARIO_HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+    let text;
+    try {
+        const binary = atob(base64);
+        text = new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+    } catch (e) {
+        throw new ScenarioError(['link de cenário corrompido']);
+    }
+    return parseScenario(text);
+}
@@ -0,0 +1,81 @@
+/**
+ * Cristal Minas - Instrumentation Panel
+ * Live sensor readings next to their status, with fault injection and
+ * recalibration so operators can practise spotting a bad instrument.
+ */
+
+const SENSOR_LABELS = {
+    FLOW: { name: 'Medidor de Vazão', unit: 'm³/h', digits: 0 },
+    FLUORIDE_IN: { name: 'ISE Flúor (entrada)', unit: 'mg/L', digits: 1 },
+    FLUORIDE_OUT: { name: 'ISE Flúor (saída)', unit: 'mg/L', digits: 2 },
+    PH: { name: 'Sonda de pH', unit: '', digits: 2 },
+    TURBIDITY: { name: 'Turbidímetro', unit: 'NTU', digits: 1 }
+};
+
+const SENSOR_FAULT_LABELS = {
+    none: 'Normal',
+    stuck: 'Travado',
+    spike: 'Pico',
+    offline: 'Sem sinal',
+    drift: 'Deriva acelerada'
+};
+
+class SensorPanel {
+    constructor(container, plant) {
+        this.container = container;
+        this.plant = plant;
+        this.render();
+    }
+
+    render() {
+        const options = SENSOR_FAULTS.map(f => `<option value="${f}">${labelOf('fault', f, SENSOR_FAULT_LABELS[f])}</option>`).join('');
+        this.container.innerHTML = Object.keys(SENSOR_LABELS).map(key => `
+            <div class="sensor-row" data-sensor="${key}">
+                <span class="sensor-name">${labelOf('sensor', key, SENSOR_LABELS[key].name)}</span>
+                <span class="sensor-reading">---</span>
+                <span class="sensor-offset"></span>
+                <select class="sensor-fault">${options}</select>
+                <button class="btn-primary sensor-recal">${t('sensor.calibrate')}</button>
+            </div>`).join('');
+
+        this.container.querySelectorAll('.sensor-row').forEach((row) => {
+            const sensor = this.plant.sensors.get(row.dataset.sensor);
+            const select = row.querySelector('.sensor-fault');
+            select.onchange = () => {
+                if (select.value === 'none') sensor.clearFault();
+                else sensor.injectFault(select.value, this.plant.chem.simTimeMs);
+                this.plant.logEvent('control', { key: 'sensorFault', vars: {
+                    sensor: { label: 'sensor', key: sensor.key, name: SENSOR_LABELS[sensor.key].name }, fault: { label: 'fault', key: select.value, name: SENSOR_FAULT_LABELS[select.value] }
+                } });
+            };
+            row.querySelector('.sensor-recal').onclick = () => {
+                sensor.recalibrate();
+                select.value = sensor.fault;
+                this.plant.logEvent('control', { key: 'sensorRecalibrated', vars: { sensor: { label: 'sensor', key: sensor.key, name: SENSOR_LABELS[sensor.key].name } } });
+            };
+        });
+    }
+
+    update() {
+        this.container.querySelectorAll('.sensor-row').forEach((row) => {
+            const key = row.dataset.sensor;
+            const sensor = this.plant.sensors.get(key);
+            const label = SENSOR_LABELS[key];
+            const reading = row.querySelector('.sensor-reading');
+            reading.innerText = formatReading(sensor.reading, label.digits, label.unit);
+            reading.style.color = sensor.fault === 'none' ? 'var(--neon-cyan)' : 'var(--neon-orange)';
+            const offset = toUnit(sensor.offset, label.unit);
+            row.querySelector('.sensor-offset').innerText = t('sensor.offset', { value: (offset >= 0 ? '+' : '') + formatNumber(offset, label.digits) });
+            const select = row.querySelector('.sensor-fault');
+            if (document.activeElement !== select) select.value = sensor.fault;
+        });
+    }
+}
+
+/**
+ * Formats an instrument value in the units on display; null readings show as a lost signal.
+ */
+function formatReading(value, digits, unit = '') {
+    if (value === null) return t('common.noSignal');
+    return formatUnit(value, unit, digits);
+}
@@ -0,0 +1,140 @@
+/**
+ * Cristal Minas - Instrumentation
+ * Simulated field sensors with noise, sampling period, dead time, calibration
+ * drift and injectable faults. The controller and the dashboard read these,
+ * never the model's ground truth.
+ */
+
+const SENSOR_FAULTS = ['none', 'stuck', 'spike', 'offline', 'drift'];
+
+/**
+ * One instrument. Settings come from CONFIG.SENSORS[key] on every update so edits apply live.
+ */
+class Sensor {
+    constructor(key, rng = Math.random) {
+        this.key = key;
+        this.rng = rng;
+        this.reset();
+    }
+
+    reset() {
+        this.buffer = [];       // [{ t, value }] of true values awaiting the dead time
+        this.reading = null;    // Last published value (null = no signal)
+        this.lastSampleMs = -Infinity;
+        this.lastUpdateMs = 0;
+        this.offset = 0;        // Accumulated calibration drift
+        this.fault = 'none';
+        this.faultStartMs = 0;
+    }
+
+    get spec() {
+        return CONFIG.SENSORS[this.key];
+    }
+
+    injectFault(fault, simTimeMs) {
+        this.fault = fault;
+        this.faultStartMs = simTimeMs;
+    }
+
+    clearFault() {
+        this.fault = 'none';
+    }
+
+    /**
+     * Zeroes the calibration offset, as after a two-point calibration in the field.
+     */
+    recalibrate() {
+        this.offset = 0;
+        if (this.fault === 'drift') this.fault = 'none';
+    }
+
+    /**
+     * True value as it arrives at the transmitter, `DEAD_TIME_S` late.
+     */
+    delayed(trueValue, simTimeMs) {
+        this.buffer.push({ t: simTimeMs, value: trueValue });
+        const cutoff = simTimeMs - this.spec.DEAD_TIME_S * 1000;
+        while (this.buffer.length > 1 && this.buffer[1].t <= cutoff) this.buffer.shift();
+        return this.buffer[0].value;
+    }
+
+    update(trueValue, simTimeMs) {
+        const spec = this.spec;
+        const dtDays = Math.max(0, simTimeMs - this.lastUpdateMs) / MS_PER_DAY;
+        this.lastUpdateMs = simTimeMs;
+
+        this.offset += spec.DRIFT_PER_DAY * dtDays;
+        if (this.fault === 'drift') this.offset += spec.FAULT_DRIFT_PER_DAY * dtDays;
+
+        const arriving = this.delayed(trueValue, simTimeMs);
+        if (simTimeMs - this.lastSampleMs < spec.PERIOD_S * 1000) return this.reading;
+        this.lastSampleMs = simTimeMs;
+
+        if (this.fault === 'offline') {
+            this.reading = null;
+            return this.reading;
+        }
+        if (this.fault === 'stuck' && this.reading !== null) return this.reading;
+
+        let value = arriving + this.offset + spec.NOISE * sampleNormal(this.rng);
+        if (this.fault === 'spike') {
+            if (simTimeMs - this.faultStartMs <= CONFIG.SENSORS.SPIKE_SECONDS * 1000) {
+                value += spec.SPIKE;
+            } else {
+                this.fault = 'none';
+            }
+        }
+        this.reading = Math.min(spec.MAX, Math.max(spec.MIN, value));
+        return this.reading;
+    }
+}
+
+/**
+ * The plant's instrument set, keyed like CONFIG.SENSORS.
+ */
+class SensorArray {
+    constructor(rng = Math.random) {
+        this.sensors = {
+            FLOW: new Sensor('FLOW', rng),
+            FLUORIDE_IN: new Sensor('FLUORIDE_IN', rng),
+            FLUORIDE_OUT: new Sensor('FLUORIDE_OUT', rng),
+            PH: new Sensor('PH', rng),
+            TURBIDITY: new Sensor('TURBIDITY', rng)
+        };
+    }
+
+    reset() {
+        Object.values(this.sensors).forEach(s => s.reset());
+    }
+
+    get(key) {
+        return this.sensors[key];
+    }
+
+    /**
+     * truth: { flowRate, ppmF, residualF, ph, turbidity } from the process model.
+     */
+    update(truth, simTimeMs) {
+        const s = this.sensors;
+        s.FLOW.update(truth.flowRate, simTimeMs);
+        s.FLUORIDE_IN.update(truth.ppmF, simTimeMs);
+        s.FLUORIDE_OUT.update(truth.residualF, simTimeMs);
+        s.PH.update(truth.ph, simTimeMs);
+        s.TURBIDITY.update(truth.turbidity, simTimeMs);
+        return this.readings();
+    }
+
+    /**
+     * Latest published values; null means the instrument has no signal.
+     */
+    readings() {
+        const s = this.sensors;
+        return {
+            flowRate: s.FLOW.reading,
+            ppmF: s.FLUORIDE_IN.reading,
+            residualF: s.FLUORIDE_OUT.reading,
+            ph: s.PH.reading,
+            turbidity: s.TURBIDITY.reading
+        };
+    }
+}
@@ -0,0 +1,700 @@
+/**
+ * Cristal Minas - RCLF Simulation Core
+ * Pure process model: no DOM, no requestAnimationFrame, no global clock.
+ * Loaded by simulator.html and by run-headless.js (Node).
+ */
+
+// --- Constants & Config ---
+const CONFIG = {
+    STOICHIOMETRY: {
+        F_TO_CAF2: 78 / 38,
+        F_TO_CACL2: 111 / 38
+    },
+    MARKET: {
+        PRICE_METALSPAR: 3000, // BRL/ton (80% purity)
+        PRICE_ACIDSPAR: 5500,  // BRL/ton (>97% purity)
+        COST_CACL2: 1100,      // BRL/ton
+        COST_NAOH: 2800,       // BRL/ton (pH correction, base)
+        COST_H2SO4: 900,       // BRL/ton (pH correction, acid)
+        PRICE_OFFSPEC: 0       // BRL/ton, below metalspar: reprocessed, not sold
+    },
+    FINANCIAL: {
+        CAPEX: 1000000,       // Reverted to R$ 1 Million
+        OPEX_FIXED_DAY: 4500, // Updated as per user request
+        HORIZON_YEARS: 10,    // Length of the cash-flow statement
+        DISCOUNT_RATE: 0.15,  // Annual, Selic-based hurdle rate
+        DEPRECIATION_YEARS: 10, // Straight line, 10%/yr for machinery and equipment
+        IRPJ_RATE: 0.15,
+        IRPJ_SURCHARGE_RATE: 0.10,        // Adicional on taxable profit above the threshold
+        IRPJ_SURCHARGE_THRESHOLD: 20000,  // BRL/month
+        CSLL_RATE: 0.09,
+        LOSS_OFFSET_CAP: 0.30 // Tax losses offset at most 30% of a month's taxable profit
+    },
+    PHYSICS: {
+        TARGET_PH: 8.2,
+        GRAVITY: 0.5,
+        DRAG_COEFFICIENT: 0.1,
+        TURBIDITY_BASE: 1.5,     // NTU of the clarified effluent
+        FINES_NTU_PER_MGL: 0.5   // NTU per mg/L of CaF2 fines washed out
+    },
+    REACTOR: {
+        DIAMETER: 1.6,           // m, sets the upflow velocity for a given flow
+        HEIGHT: 6,               // m, cylindrical column
+        WATER_TEMP: 25,          // °C, sets water viscosity and density
+        VOIDAGE_MF: 0.42,        // Bed voidage at minimum fluidization
+        MAX_BED_FRACTION: 0.85   // Expanded bed above this share of the column risks carrying pellets over
+    },
+    PLANT: {
+        SKIDS: 1,                // Reactor skids installed (applies on reset)
+        LAYOUT: 'parallel',      // parallel | series (later skids polish the first one's effluent)
+        SPLIT: [],               // Parallel flow weight per skid, in skid order; missing = 1
+        OFFLINE: [],             // Skid numbers taken out for maintenance
+        FEED_FLOW: null,         // m³/h the feed pump sends to the train; null = all of the influent. The rest bypasses untreated
+        SKID_MAX_FLOW: 1000,     // m³/h a skid's splitter branch takes; the rest bypasses untreated
+        POLISH_RATIO: 1.2,       // Series: CaCl2 over stoichiometry on each polishing stage's inlet F
+        EXTRA_SKID_CAPEX: 800000, // BRL per skid beyond the first (shares civil works and controls)
+        EXTRA_SKID_OPEX_DAY: 2500 // BRL/day per skid beyond the first
+    },
+    CRYSTAL: {
+        DENSITY: 3180,           // kg/m³, fluorite
+        KSP: 3.45e-11,           // CaF2 solubility product at 25 °C
+        SEED_SIZE_MM: 0.6,       // Recycled screen fines fed as seed
+        SEED_RATE_KG_DAY: 4,
+        INITIAL_BED_KG: 5000,    // Mature bed at start-up (0 = empty reactor)
+        HARVEST_SIZE_MM: 4,      // Pellets this size settle to the rotary valve
+        NUCLEI_SIZE_MM: 0.01,    // Size of freshly nucleated fines
+        CRITICAL_SUPERSATURATION: 40, // σ at which half the precipitate nucleates as fines
+        NUCLEATION_ORDER: 3,
+        GROWTH_RATE_CONSTANT: 0.1, // mm/day per unit σ, kinetic limit on linear growth
+        MERGE_TOLERANCE_MM: 0.02 // Cohorts closer than this are merged
+    },
+    PH: {
+        PH_IN: 8.6,              // Nominal influent pH
+        ALK_IN: 150,             // Influent alkalinity, mg/L as CaCO3
+        REACTOR_VOLUME: 50,      // m³, sets the hydraulic residence time
+        CACL2_ACIDITY: 0.05,     // eq of acidity per mol of technical-grade CaCl2
+        CALCITE_COMPETITION: 300, // L/mol CO3^2-; Ca lost to calcite at high pH
+        MAX_EFFICIENCY: 0.998,   // Share of the equilibrium precipitate actually captured
+        SLUG_PH: 3.5,            // Acidic slug from the flotation plant
+        SLUG_HOURS: 3
+    },
+    QUALITY: {
+        ACIDSPAR_MIN: 97,        // % CaF2
+        METALSPAR_MIN: 80,       // % CaF2, below this a batch is off-spec
+        BATCH_HOURS: 8,          // One graded lot per shift
+        LATTICE_IMPURITY: 0.012, // Mass fraction occluded regardless of conditions
+        INSTABILITY_PER_PH: 0.03, // Impurity per pH unit away from PHYSICS.TARGET_PH
+        CALCITE_ONSET_PH: 8.5,   // CaCO3 co-precipitates above this pH
+        CALCITE_PER_PH: 0.04,    // Extra impurity per pH unit above the onset
+        SILICA_MG_L: 20,         // Influent SiO2
+        SILICA_CAPTURE: 0.02,    // Share of the influent silica trapped in the pellets
+        PHOSPHATE_MG_L: 0.5,     // Influent PO4
+        PHOSPHATE_CAPTURE: 0.8,  // Share precipitated as Ca3(PO4)2
+        WASH_EFFICIENCY: 0.5     // Share of the surface impurities (calcite, silica) removed by washing
+    },
+    STORAGE: {
+        HOPPER_CAPACITY_KG: 3000, // Reactor cone below the bed, dry pellets; full = feed stops
+        VALVE_INTERVAL_MIN: 30,  // Rotary valve cadence
+        VALVE_POCKET_KG: 150,    // Dry pellets per valve turn
+        VALVE_MOISTURE: 0.35,    // Water share (wet basis) discharged with the pellets
+        SCREEN_MOISTURE: 0.08,   // Water share after the vibrating screen
+        BIN_CAPACITY_KG: 3000,   // Screen discharge bin plus lots waiting for silo room, dry
+        SILO_CAPACITY_T: 60,     // Per grade, wet tons
+        TRUCK_CAPACITY_T: 10,    // Wet tons per load; sales are priced on the dry tons
+        MAX_TRUCKS_PER_DAY: 2,
+        DISPATCH_ENABLED: true   // false = no trucks (road closed, no buyer)
+    },
+    REAGENT: {
+        TANK_CAPACITY_M3: 60,    // CaCl2 solution storage tank
+        SOLUTION_CONCENTRATION: 0.35, // Mass fraction of CaCl2 in the delivered solution
+        SOLUTION_DENSITY: 1340,  // kg/m³ at that concentration
+        INITIAL_LEVEL: 0.8,      // Tank share full at start-up
+        AUTO_REORDER: true,      // false = the buyer does not reorder (stock-out drill)
+        REORDER_LEVEL: 0.4,      // Tank share at which an order is placed
+        ORDER_T: 12,             // t CaCl2 (100% basis) per order, one tanker
+        LEAD_TIME_HOURS: 48,
+        PRICE_TIERS: [           // Discount on MARKET.COST_CACL2 from an order size up, t CaCl2
+            { MIN_T: 12, DISCOUNT: 0.04 },
+            { MIN_T: 24, DISCOUNT: 0.08 }
+        ]
+    },
+    RELIABILITY: {
+        ENABLED: true,           // false = no random failures (preventive windows are not scheduled either)
+        WEIBULL_SHAPE: 1.5,      // 1 = purely random failures; above 1 wear-out, which preventive maintenance resets
+        PM_INTERVAL_DAYS: 30,    // Between preventive windows, 0 = none
+        PM_DURATION_H: 8,        // Train stopped, effluent bypassed untreated
+        PM_COST: 12000,          // BRL per window, parts and labour
+        EQUIPMENT: {             // Mean time between failures (operating hours), mean time to repair, BRL per repair
+            FEED_PUMP: { MTBF_H: 4000, MTTR_H: 10, REPAIR_COST: 9000 },
+            DOSING_PUMP: { MTBF_H: 2500, MTTR_H: 6, REPAIR_COST: 5000 },
+            ROTARY_VALVE: { MTBF_H: 3000, MTTR_H: 8, REPAIR_COST: 4000 },
+            SCREEN: { MTBF_H: 2000, MTTR_H: 12, REPAIR_COST: 7000 },
+            F_ANALYSER: { MTBF_H: 1500, MTTR_H: 4, REPAIR_COST: 2500 }
+        }
+    },
+    LIME: {
+        RESIDUAL_F: 9,           // mg/L F left by lime precipitation, just inside the permit
+        EXCESS_RATIO: 1.5,       // Lime dosed over the stoichiometric Ca(OH)2 for the F removed
+        BASE_DEMAND_MG_L: 30,    // Ca(OH)2 consumed raising the water to precipitation pH
+        PURITY: 0.9,             // Available Ca(OH)2 in the hydrated lime
+        COST_LIME: 750,          // BRL/ton delivered
+        SLUDGE_SOLIDS: 0.25,     // Dry mass fraction of the settled sludge
+        SLUDGE_DENSITY: 1200,    // kg/m³, wet sludge
+        DREDGED_SHARE: 0.5,      // Share of the sludge dredged out of the dam to landfill
+        DREDGING_COST_M3: 35,    // BRL/m³ of wet sludge
+        LANDFILL_COST_T: 180,    // BRL/ton of wet sludge, Class II landfill incl. transport
+        DAM_REMAINING_M3: 20000, // Dam volume still free for treatment sludge
+        OPEX_FIXED_DAY: 1500     // Lime slaking and dosing station, BRL/day
+    },
+    EFFLUENT: {
+        LIMIT_F: 10,             // mg/L total fluoride, CONAMA 430/2011 art. 16 (stricter state permits: lower it)
+        WARNING_F: 8             // mg/L, internal alert level below the permit
+    },
+    IONS: {
+        // Influent background, mg/L; these ions do not react and pass through (SO4/PO4: 0 = not analysed)
+        CA_IN: 30,
+        MG_IN: 8,
+        NA_IN: 25,
+        CL_IN: 15,
+        SO4_IN: 0,
+        PO4_IN: 0,
+        BALANCE_TOLERANCE: 0.01, // Residual of in = out + accumulated flagged above this share of the input
+        // Treated-water criteria, mg/L (hardness as CaCO3); null = not required
+        REUSE: { CL: 250, HARDNESS: 250, SO4: null, TDS: 1000 },        // Process water back to the flotation
+        DISCHARGE: { CL: 250, HARDNESS: null, SO4: 250, TDS: 500 }      // CONAMA 357/2005 class 2 receiving water
+    },
+    CONTROL: {
+        MODE: 'auto',            // auto | manual
+        SETPOINT_F: 5,           // Reactor residual fluoride, mg/L
+        KP: 0.3,                 // g/s per mg/L
+        KI: 3,                   // g/s per mg/L per hour
+        KD: 0,                   // g/s per mg/L/h
+        FEED_FORWARD: true,      // Stoichiometric demand from measured flow × ppm
+        FF_RATIO: 1.0,           // CaCl2 excess over stoichiometry in the feed-forward
+        PUMP_MIN: 0,             // g/s CaCl2
+        PUMP_MAX: 450,
+        RATE_LIMIT: 30,          // g/s per simulated minute
+        MANUAL_OUTPUT: 20,       // g/s, pump command in manual mode (0-PUMP_MAX)
+        SETTLING_BAND: 0.2,      // ±20% of setpoint
+        SETTLING_HOLD_MINUTES: 30
+    },
+    SENSORS: {
+        SPIKE_SECONDS: 600,      // Simulated duration of an injected spike
+        FLOW: { NOISE: 4, PERIOD_S: 1, DEAD_TIME_S: 0, DRIFT_PER_DAY: 0, FAULT_DRIFT_PER_DAY: -20, SPIKE: 300, MIN: 0, MAX: 1200 },
+        FLUORIDE_IN: { NOISE: 1.5, PERIOD_S: 60, DEAD_TIME_S: 120, DRIFT_PER_DAY: 0.1, FAULT_DRIFT_PER_DAY: -5, SPIKE: 150, MIN: 0, MAX: 1000 },
+        FLUORIDE_OUT: { NOISE: 0.15, PERIOD_S: 60, DEAD_TIME_S: 120, DRIFT_PER_DAY: 0.02, FAULT_DRIFT_PER_DAY: -1, SPIKE: 15, MIN: 0, MAX: 100 },
+        PH: { NOISE: 0.02, PERIOD_S: 1, DEAD_TIME_S: 10, DRIFT_PER_DAY: 0.005, FAULT_DRIFT_PER_DAY: 0.3, SPIKE: 3, MIN: 0, MAX: 14 },
+        TURBIDITY: { NOISE: 0.1, PERIOD_S: 10, DEAD_TIME_S: 30, DRIFT_PER_DAY: 0.01, FAULT_DRIFT_PER_DAY: 1, SPIKE: 40, MIN: 0, MAX: 1000 }
+    },
+    ALARMS: {
+        // HIGH/LOW: null disables that limit; DEADBAND in the tag's unit; DELAY_S: on-delay in simulated seconds
+        PH: { HIGH: 9.0, LOW: 7.0, DEADBAND: 0.1, DELAY_S: 300, PRIORITY: 'medium', ENABLED: true },
+        RESIDUAL_F: { HIGH: 8, LOW: null, DEADBAND: 0.5, DELAY_S: 600, PRIORITY: 'medium', ENABLED: true },
+        EFFLUENT_F: { HIGH: 10, LOW: null, DEADBAND: 0.5, DELAY_S: 0, PRIORITY: 'high', ENABLED: true },
+        FLUORIDE_IN: { HIGH: 300, LOW: null, DEADBAND: 10, DELAY_S: 600, PRIORITY: 'low', ENABLED: true },
+        FLOW: { HIGH: 850, LOW: 340, DEADBAND: 10, DELAY_S: 300, PRIORITY: 'medium', ENABLED: true },
+        TURBIDITY: { HIGH: 20, LOW: null, DEADBAND: 2, DELAY_S: 600, PRIORITY: 'low', ENABLED: true },
+        BED_HEIGHT: { HIGH: 5.1, LOW: 0.5, DEADBAND: 0.1, DELAY_S: 0, PRIORITY: 'high', ENABLED: true },
+        DOSING: { HIGH: 430, LOW: null, DEADBAND: 10, DELAY_S: 900, PRIORITY: 'medium', ENABLED: true },
+        SILO_LEVEL: { HIGH: 90, LOW: null, DEADBAND: 5, DELAY_S: 0, PRIORITY: 'medium', ENABLED: true },
+        CACL2_LEVEL: { HIGH: null, LOW: 20, DEADBAND: 2, DELAY_S: 0, PRIORITY: 'high', ENABLED: true }
+    },
+    CLOCK: {
+        START_DATE: '2026-01-01', // Calendar date of simulated time zero (UTC)
+        SEED: 1,                 // Process randomness (sensor noise, failures, random walk); applies on reset
+        STEP_MS: 1000 / 60,      // Fixed integration step: one 60 Hz frame at 1x, 4 simulated minutes
+        MAX_FRAME_MS: 250,       // Longer frame gaps (background tab, debugger) are clamped, not caught up
+        FAST_FORWARD_BUDGET_MS: 40 // Real time spent stepping per frame while running ahead to a date
+    },
+    LOCALE: {
+        LANGUAGE: 'pt',          // Dashboard language: pt | en (the journal record and CSV stay in Portuguese)
+        UNITS: 'metric',         // metric (t, m³/h, m³) | us (short tons, gpm, US gallons)
+        CURRENCY: 'BRL',         // BRL | USD; the model always prices in BRL
+        USD_BRL: 5.4             // BRL per USD, for display and for prices entered in USD
+    },
+    TRENDS: {
+        RESOLUTION_MIN: 10,      // Simulated minutes between trend samples (applies on reset)
+        MAX_POINTS: 2000         // Beyond this, samples are averaged in pairs and the interval doubles
+    },
+    MONTE_CARLO: {
+        RUNS: 40,
+        DAYS: 30,                // Simulated per run; the rest of the horizon repeats the last month
+        SEED: 1,
+        STEP_MS: 1000 / 15,      // Headless step, 4 frames: within 0.1% of the 60 Hz totals at a quarter of the cost
+        INPUTS: {                // { DIST: uniform | triangular | normal, MIN, MODE, MAX }
+            PRICE_ACIDSPAR: { DIST: 'triangular', MIN: 4500, MODE: 5500, MAX: 6500 },  // BRL/ton
+            PRICE_METALSPAR: { DIST: 'triangular', MIN: 2400, MODE: 3000, MAX: 3600 }, // BRL/ton
+            COST_CACL2: { DIST: 'triangular', MIN: 900, MODE: 1100, MAX: 1500 },       // BRL/ton
+            PPM_F: { DIST: 'normal', MIN: 30, MODE: 50, MAX: 70 },                     // mg/L F
+            FLOW_RATE: { DIST: 'normal', MIN: 380, MODE: 450, MAX: 520 },              // m³/h
+            MTBF_FACTOR: { DIST: 'triangular', MIN: 0.5, MODE: 1, MAX: 1.5 }          // Scales every RELIABILITY MTBF
+        }
+    },
+    OPTIMIZER: {
+        OBJECTIVE: 'profit30d',  // profit30d | npv | fRemoved
+        SAMPLES: 20,             // Latin hypercube points over the ranges
+        REFINE_ROUNDS: 2,        // Pattern-search rounds around the best point (8 runs each)
+        DAYS: 30,                // Simulated per run
+        SEED: 1,
+        STEP_MS: 1000 / 15,
+        MAX_EFFLUENT_F: 10,      // mg/L, 95th percentile of the effluent total F over the run
+        MAX_WASHOUT_PCT: 2,      // Fluoride washed out as fines, % of the fluoride received
+        REAGENT_BUDGET_MONTH: 120000, // BRL of CaCl2 per 30 days at the run's end rate
+        VARIABLES: {             // { MIN, MAX } searched
+            FLOW_RATE: { MIN: 300, MAX: 700 },   // m³/h
+            PH_SETPOINT: { MIN: 7.2, MAX: 8.6 },
+            FF_RATIO: { MIN: 0.8, MAX: 1.6 }
+        }
+    },
+    INFLUENT: {
+        MODE: 'manual',          // manual | step | ramp | sinusoid | randomWalk | csv
+        BASE_FLOW: 450,          // m³/h
+        BASE_PPM: 50,            // mg/L F
+        STEP_AT_HOURS: 24,
+        STEP_FLOW_FACTOR: 0,     // 0 = plant stoppage
+        STEP_PPM_FACTOR: 1,
+        RAMP_START_HOURS: 12,
+        RAMP_HOURS: 48,
+        RAMP_FLOW_FACTOR: 1.5,   // e.g. rain event
+        RAMP_PPM_FACTOR: 0.6,
+        SINE_FLOW_AMPLITUDE: 0.2, // Fraction of base, one cycle per day
+        SINE_PPM_AMPLITUDE: 0.3,
+        SINE_PEAK_HOUR: 14,
+        WALK_VOLATILITY: 0.05,   // Log-deviation per sqrt(hour)
+        WALK_REVERSION: 0.1,     // Pull back to base, per hour
+        SERIES: []               // CSV import: [{ hour, flowRate, ppmF }]
+    }
+};
+
+const MS_PER_HOUR = 1000 * 3600;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+const SIM_TIME_MULTIPLIER = 4 * 3600; // 1s real = 4h sim at 1x
+const DESIGN_GROWTH_RATE = 0.2;       // mm/day of pellet growth at design load (visual scale)
+
+/**
+ * Simulated seconds covered by a real frame of `dt` ms at the given speed.
+ */
+function simSecondsFor(dt, speed) {
+    return (dt / 1000) * speed * SIM_TIME_MULTIPLIER;
+}
+
+// --- Deterministic Randomness ---
+
+/**
+ * Mulberry32 PRNG. Returns a function with the same contract as Math.random.
+ */
+function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Seeded RNG whose sequence can be restarted with `rng.reseed(seed)`. Everything holding the
+ * function keeps drawing from it, so a reset plant replays the same run.
+ */
+function createReseedableRandom(seed) {
+    let next = createSeededRandom(seed);
+    const rng = () => next();
+    rng.reseed = (value) => {
+        next = createSeededRandom(value);
+    };
+    return rng;
+}
+
+/**
+ * Seed of the independent stream `index` derived from `seed`. The particle renderer draws on its
+ * own stream so its frame-rate-dependent draws never shift the process sequence.
+ */
+function seedStream(seed, index) {
+    return (seed + Math.imul(index, 0x9E3779B9)) >>> 0;
+}
+
+/**
+ * Standard normal sample (Box-Muller) from a uniform RNG.
+ */
+function sampleNormal(rng) {
+    const u = 1 - rng();
+    const v = rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// --- Specialized Modules ---
+
+/**
+ * Handles all chemical and stoichiometry calculations.
+ */
+class ChemistryEngine {
+    constructor(rng = Math.random) {
+        this.rng = rng;
+        this.ph = new PhModel();
+        this.bed = new CrystalBed();
+        this.quality = new ProductQuality();
+        this.currentPH = this.ph.ph;
+        this.efficiency = 0;
+        this.residualF = 0;    // Reactor outlet dissolved fluoride, mg/L
+        this.residualCa = 0;   // Excess dissolved calcium, mg/L Ca
+        this.finesF = 0;       // Fluoride carried out in CaF2 fines, mg/L
+        this.dosingRate = 0;   // CaCl2, g/s
+        this.turbidity = CONFIG.PHYSICS.TURBIDITY_BASE; // Effluent NTU
+        this.phCorrection = 0; // mg/L: > 0 NaOH, < 0 H2SO4
+        this.totalFInput = 0;
+        this.totalFRemoved = 0;
+        this.totalCorrectionUsed = 0;
+        this.totalFluoriteOutput = 0; // Harvested pellets, g CaF2 (net of seed)
+        this.totalFinesLost = 0;      // Fines washed out with the effluent, g CaF2
+        this.totalCaCl2Used = 0;
+        this.totalRevenue = 0;
+        this.totalVariableCost = 0;
+        this.totalFixedCost = 0;
+        this.totalSavings = 0; // Lime baseline cost avoided, booked by ProcessPlant
+        this.simTimeMs = 0; // Simulated time in milliseconds
+        this.history = []; // Array of daily snapshots { day, revenue, cost }
+        this.lastSnapshotDay = -1;
+        this.purityMix = 0; // Commercial target: % of production committed as acidspar (0-100)
+    }
+
+    reset() {
+        this.ph.reset();
+        this.bed.reset();
+        this.quality.reset();
+        this.currentPH = this.ph.ph;
+        this.efficiency = 0;
+        this.residualF = 0;
+        this.residualCa = 0;
+        this.finesF = 0;
+        this.dosingRate = 0;
+        this.turbidity = CONFIG.PHYSICS.TURBIDITY_BASE;
+        this.totalFInput = 0;
+        this.totalFRemoved = 0;
+        this.totalCorrectionUsed = 0;
+        this.totalFluoriteOutput = 0;
+        this.totalFinesLost = 0;
+        this.totalCaCl2Used = 0;
+        this.totalRevenue = 0;
+        this.totalVariableCost = 0;
+        this.totalSavings = 0;
+        this.simTimeMs = 0;
+        this.totalFixedCost = 0;
+        this.history = [];
+        this.lastSnapshotDay = -1;
+        this.purityMix = 0;
+    }
+
+    /**
+     * Advances the reactor by one frame. `dosingRate` is the CaCl2 pump output in g/s;
+     * when omitted the stoichiometric demand is dosed. `cacl2Price` is the BRL/t it is costed at.
+     */
+    calculateReaction(flowRate, ppmF, dt, speed, dosingRate, cacl2Price = CONFIG.MARKET.COST_CACL2) {
+        // SCALE PRODUCTION BY SIMULATION SPEED (1s real = 4h sim = 14400x)
+        const simSeconds = simSecondsFor(dt, speed);
+        const massF = (flowRate * ppmF / 3600) * simSeconds;
+
+        const stoichiometricRate = (flowRate * ppmF / 3600) * CONFIG.STOICHIOMETRY.F_TO_CACL2;
+        this.dosingRate = dosingRate === undefined ? stoichiometricRate : dosingRate;
+        const massCaCl2 = this.dosingRate * simSeconds;
+        const cacl2MgL = flowRate > 0 ? (this.dosingRate * 1000) / (flowRate / 3.6) : 0;
+        const massCorrection = Math.abs(this.phCorrection) * (flowRate / 3600) * simSeconds;
+
+        this.currentPH = this.ph.update({
+            flowRate,
+            cacl2MgL,
+            correctionMgL: this.phCorrection,
+            simTimeMs: this.simTimeMs,
+            dtSeconds: simSeconds
+        });
+        // CaF2 solubility sets the residual: HF share from pH, calcium left after calcite,
+        // and excess calcium pushing dissolved fluoride below the stoichiometric ~8 mg/L
+        const fMol = ppmF / MOLAR_MASS_F;
+        const caMol = (cacl2MgL / MOLAR_MASS_CACL2) * this.ph.calciumAvailability();
+        const precipitatedMol = caf2Precipitation(caMol, fMol, freeFluorideFraction(this.currentPH));
+        this.efficiency = fMol > 0 ? CONFIG.PH.MAX_EFFICIENCY * (2 * precipitatedMol) / fMol : 0;
+        const mix = cstrMixFraction(flowRate, simSeconds);
+        this.residualF += (ppmF * (1 - this.efficiency) - this.residualF) * mix;
+        const caLeftMgL = Math.max(0, caMol - (this.efficiency * fMol) / 2) * MOLAR_MASS_CA;
+        this.residualCa += (caLeftMgL - this.residualCa) * mix;
+
+        // Precipitate feeds the crystal bed; product is only what settles out as pellets
+        const massPrecipitated = massF * this.efficiency * CONFIG.STOICHIOMETRY.F_TO_CAF2;
+        const supersaturation = caf2Supersaturation(cacl2MgL, ppmF * freeFluorideFraction(this.currentPH));
+        const { harvestedKg, washedOutKg } = this.bed.update({
+            precipitateKg: massPrecipitated / 1000,
+            supersaturation,
+            flowRate,
+            dtSeconds: simSeconds
+        });
+        const massFluorite = harvestedKg * 1000;
+        const massFinesLost = washedOutKg * 1000;
+
+        // Fines carried over with the effluent set the turbidity
+        const waterLiters = (flowRate / 3600) * simSeconds * 1000;
+        const finesMgL = waterLiters > 0 ? (massFinesLost * 1000) / waterLiters : 0;
+        const turbidityTarget = CONFIG.PHYSICS.TURBIDITY_BASE + CONFIG.PHYSICS.FINES_NTU_PER_MGL * finesMgL;
+        this.turbidity += (turbidityTarget - this.turbidity) * mix;
+        this.finesF += (finesMgL / CONFIG.STOICHIOMETRY.F_TO_CAF2 - this.finesF) * mix;
+
+        // Stoichiometry: fluoride leaving as fines is not captured
+        const massFRemoved = Math.max(0, (massPrecipitated - massFinesLost) / CONFIG.STOICHIOMETRY.F_TO_CAF2);
+
+        this.totalFInput += massF;
+        this.totalFRemoved += massFRemoved;
+        this.totalFluoriteOutput += massFluorite;
+        this.totalFinesLost += massFinesLost;
+        this.totalCaCl2Used += massCaCl2;
+        this.totalCorrectionUsed += massCorrection;
+
+        // Pellets are graded per lot; revenue is booked when ProductStorage ships them
+        const batch = this.quality.update({
+            ph: this.currentPH,
+            ppmF,
+            depositKg: (massPrecipitated - massFinesLost) / 1000,
+            bedKg: this.bed.massKg,
+            harvestedKg,
+            simTimeMs: this.simTimeMs + simSeconds * 1000,
+            dtSeconds: simSeconds
+        });
+        const tonsCaCl2 = massCaCl2 / 1000000;
+
+        const correctionPrice = this.phCorrection >= 0 ? CONFIG.MARKET.COST_NAOH : CONFIG.MARKET.COST_H2SO4;
+        this.totalVariableCost += tonsCaCl2 * cacl2Price + (massCorrection / 1000000) * correctionPrice;
+
+        // Update Simulated Time (1 real sec = 4 hours)
+        this.simTimeMs += simSeconds * 1000;
+
+        // Deduced Fixed OPEX based on elapsed simulation days
+        const totalDays = this.simTimeMs / MS_PER_DAY;
+        this.totalFixedCost = totalDays * plantFixedOpexDay();
+
+        // Snapshots for 30-day tracking
+        const currentDay = Math.floor(this.simTimeMs / MS_PER_DAY);
+        if (currentDay > this.lastSnapshotDay) {
+            this.history.push({
+                day: currentDay,
+                revenue: this.totalRevenue,
+                savings: this.totalSavings,
+                cost: this.totalVariableCost + this.totalFixedCost
+            });
+            this.lastSnapshotDay = currentDay;
+            if (this.history.length > 40) this.history.shift();
+        }
+
+        return { massF, massFRemoved, massFluorite, massFinesLost, massCaCl2, dosingRate: this.dosingRate, efficiency: this.efficiency, batch };
+    }
+
+    /**
+     * Cumulative and 30-day rolling economics derived from the totals and history.
+     * EBITDA is product revenue minus OPEX; ESG avoided costs are reported apart (totalSavings).
+     */
+    getFinancialSummary() {
+        const totalCost = this.totalVariableCost + this.totalFixedCost;
+        const netProfit = this.totalRevenue - totalCost;
+
+        // Calculate 30-day rolling financials (Monthly Projections)
+        let revenue30d = 0;
+        let profit30d = 0;
+        const totalDays = this.simTimeMs / MS_PER_DAY;
+
+        if (this.history.length > 2) {
+            const now = this.history[this.history.length - 1];
+            const targetDay = now.day - 30;
+            const prev = this.history.find(h => h.day >= targetDay) || this.history[0];
+
+            // Delta over the window
+            const windowDays = now.day - prev.day;
+            if (windowDays > 0) {
+                // Normalize to exactly 30 days
+                revenue30d = (now.revenue - prev.revenue) * (30 / windowDays);
+                profit30d = ((now.revenue - now.cost) - (prev.revenue - prev.cost)) * (30 / windowDays);
+            }
+        } else if (totalDays > 0.01) {
+            // Extrapolate if we have at least some data
+            revenue30d = (this.totalRevenue / totalDays) * 30;
+            profit30d = (netProfit / totalDays) * 30;
+        }
+
+        // ROI Calculation (Cumulative EBITDA over CAPEX, undiscounted and pre-tax)
+        const roi = (netProfit / plantCapex()) * 100;
+
+        return { totalCost, netProfit, revenue30d, profit30d, roi };
+    }
+}
+
+// Canvas geometry of the reactor column, relative to the canvas centre
+const COLUMN_BOTTOM_PX = 200;
+const COLUMN_HEIGHT_PX = 350;  // Straight section drawn for CONFIG.REACTOR.HEIGHT
+const COLUMN_HALF_WIDTH_PX = 80;
+const SKID_SPACING_PX = 220;   // Column pitch of a multi-skid train, before it is scaled to fit
+const VISUAL_TIME_SCALE = 20;  // Particles move this much faster than the real hydraulics
+const MAX_PARTICLES = 300;     // A slumped or non-growing bed stops spawning here
+const PARTICLE_SPAWN_RATE = 18; // Particles per real second at 1x (one every ~3 frames at 60 Hz)
+
+/**
+ * Manages the fluidized bed particles and movement.
+ */
+class PhysicsEngine {
+    constructor(rng = Math.random) {
+        this.rng = rng;
+        this.particles = [];
+        this.spawnDue = 0; // Fraction of the next particle accrued so far
+    }
+
+    reset() {
+        this.particles = [];
+        this.spawnDue = 0;
+    }
+
+    /**
+     * Canvas y of the expanded bed surface for the Hydrodynamics state `hydro`.
+     */
+    bedTopY(hydro, centerY) {
+        const pxPerMeter = COLUMN_HEIGHT_PX / CONFIG.REACTOR.HEIGHT;
+        return centerY + COLUMN_BOTTOM_PX - Math.min(COLUMN_HEIGHT_PX, hydro.bedHeight * pxPerMeter);
+    }
+
+    /**
+     * Moves the on-screen particles with the column's real velocities (m/s), scaled to pixels.
+     * `hydro` is the Hydrodynamics state, `bed` the CrystalBed whose growth and fines they mirror.
+     */
+    updateParticles(dt, speed, hydro, bed, centerX, centerY) {
+        const flow = {
+            velocity: hydro.velocity,
+            minFluidVelocity: hydro.minFluidVelocity,
+            bedTopY: this.bedTopY(hydro, centerY),
+            bottomY: centerY + COLUMN_BOTTOM_PX,
+            pxPerFrame: (COLUMN_HEIGHT_PX / CONFIG.REACTOR.HEIGHT) * (dt / 1000) * VISUAL_TIME_SCALE * speed
+        };
+        const growth = Math.min(3, bed.growthRate / DESIGN_GROWTH_RATE);
+
+        this.particles.forEach((p, i) => {
+            p.update(flow, centerX, growth);
+            if (p.isOutOfBounds(centerY) || p.isDead()) {
+                this.particles.splice(i, 1);
+            }
+        });
+
+        // Spawning accrues with elapsed time, not per frame, so the bed looks the same at any refresh rate
+        this.spawnDue += PARTICLE_SPAWN_RATE * (dt / 1000) * speed;
+        while (this.spawnDue >= 1) {
+            this.spawnDue -= 1;
+            if (this.particles.length < MAX_PARTICLES) this.spawnParticle(centerX, centerY, bed.finesFraction);
+        }
+    }
+
+    spawnParticle(centerX, centerY, finesFraction = 0) {
+        const x = centerX + (this.rng() - 0.5) * 120;
+        const y = centerY + 180;
+        let type = this.rng() > 0.3 ? 'crystal' : 'fluid';
+        if (type === 'crystal' && this.rng() < finesFraction) type = 'fine';
+        const startSize = type === 'crystal' ? 1 : type === 'fine' ? 0.6 : 1 + this.rng() * 3;
+        this.particles.push(new Particle(x, y, startSize, type, this.rng));
+    }
+}
+
+/**
+ * A single unit in the fluidized bed. Crystals map their on-screen size (1-10 px)
+ * onto the seed-to-harvest diameter; fines are freshly nucleated CaF2.
+ */
+class Particle {
+    constructor(x, y, size, type, rng = Math.random) {
+        this.x = x;
+        this.y = y;
+        this.size = size;
+        this.type = type;
+        this.rng = rng;
+        this.vx = (rng() - 0.5) * 1;
+        this.vy = type === 'fluid' ? -rng() * 3 : rng() * 2;
+        this.alpha = 1;
+        this.color = type === 'crystal' ? '#00f2ff' : type === 'fine' ? '#ff9f1c' : '#39ff14';
+        this.sedimenting = false;
+        this.settlingSize = null; // Size the cached terminal velocity belongs to
+        this.settling = 0;
+    }
+
+    get diameterMm() {
+        const cfg = CONFIG.CRYSTAL;
+        if (this.type === 'fine') return cfg.NUCLEI_SIZE_MM;
+        return cfg.SEED_SIZE_MM + ((this.size - 1) / 9) * (cfg.HARVEST_SIZE_MM - cfg.SEED_SIZE_MM);
+    }
+
+    /**
+     * Terminal velocity (m/s), recomputed only once the particle has grown noticeably.
+     */
+    terminalVelocity() {
+        if (this.settlingSize === null || Math.abs(this.size - this.settlingSize) > 0.1) {
+            this.settling = terminalVelocity(this.diameterMm);
+            this.settlingSize = this.size;
+        }
+        return this.settling;
+    }
+
+    /**
+     * flow: { velocity, minFluidVelocity (m/s), bedTopY, bottomY (px), pxPerFrame (px per m/s) }
+     */
+    update(flow, centerX, growth = 1) {
+        if (this.type === 'fluid') {
+            this.y -= flow.velocity * flow.pxPerFrame * 2;
+            this.x += Math.sin(this.y * 0.05) * 2;
+            this.alpha -= 0.01;
+            return;
+        }
+
+        if (this.type === 'crystal') {
+            // Growth follows the bed's linear growth rate
+            if (!this.sedimenting && this.size < 10) {
+                this.size += 0.015 * growth;
+            }
+            // Harvest size: settles through the bed to the rotary valve
+            if (this.size >= 10) this.sedimenting = true;
+        }
+
+        if (this.sedimenting) {
+            this.vy += 0.04 * this.size * 1.5;
+            if (this.vy < 2) this.vy = 2; // Faster, more decisive fall
+        } else if (this.type === 'crystal' && this.y > flow.bedTopY) {
+            // Inside the bed: suspended, agitated in proportion to the excess over minimum fluidization
+            const excess = flow.minFluidVelocity > 0 ? flow.velocity / flow.minFluidVelocity - 1 : 0;
+            const agitation = Math.min(2, Math.max(0, excess) * 4);
+            this.vx = (this.vx + (this.rng() - 0.5) * agitation) * 0.9;
+            this.vy = (this.vy + (this.rng() - 0.5) * agitation) * 0.9;
+        } else {
+            // Above the bed (or a fine anywhere): moves at the slip velocity u - ut
+            this.vx *= 0.9;
+            this.vy = -(flow.velocity - this.terminalVelocity()) * flow.pxPerFrame;
+        }
+
+        this.x += this.vx;
+        this.y += this.vy;
+        this.x = Math.min(centerX + COLUMN_HALF_WIDTH_PX - this.size, Math.max(centerX - COLUMN_HALF_WIDTH_PX + this.size, this.x));
+        if (!this.sedimenting && this.y > flow.bottomY - this.size) {
+            this.y = flow.bottomY - this.size;
+            this.vy = -Math.abs(this.vy) * 0.5;
+        }
+    }
+
+    isOutOfBounds(centerY) {
+        return this.y > centerY + 220 || this.y < centerY - 280;
+    }
+
+    isDead() {
+        return this.alpha <= 0;
+    }
+
+    draw(ctx) {
+        ctx.save();
+        ctx.globalAlpha = this.alpha;
+        ctx.fillStyle = this.color;
+        if (this.type === 'crystal') {
+            ctx.shadowBlur = 5;
+            ctx.shadowColor = this.color;
+        }
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+}
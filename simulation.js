@@ -1,349 +1,814 @@
 /**
- * Cristal Minas - RCLF Simulation Engine
+ * Cristal Minas - RCLF Simulation (Browser)
  * Refactored for Clean Code, KISS, and DRY.
+ * Process model lives in simulation-core.js; this file owns DOM, canvas and the frame loop.
  */
 
-// --- Constants & Config ---
-const CONFIG = {
-    STOICHIOMETRY: {
-        F_TO_CAF2: 78 / 38,
-        F_TO_CACL2: 111 / 38
-    },
-    MARKET: {
-        PRICE_METALSPAR: 3000, // BRL/ton (80% purity)
-        PRICE_ACIDSPAR: 5500,  // BRL/ton (>97% purity)
-        COST_CACL2: 1100,      // BRL/ton
-        AVOIDED_COST_LIME_SLUDGE: 7237.5 // BRL/ton of F avoided
-    },
-    FINANCIAL: {
-        CAPEX: 1000000,       // Reverted to R$ 1 Million
-        OPEX_FIXED_DAY: 4500 // Updated as per user request
-    },
-    PHYSICS: {
-        TARGET_PH: 8.2,
-        GRAVITY: 0.5,
-        DRAG_COEFFICIENT: 0.1
-    }
-};
-
-// --- Specialized Modules ---
-
 /**
- * Handles all chemical and stoichiometry calculations.
+ * Main Orchestrator.
  */
-class ChemistryEngine {
-    constructor() {
-        this.currentPH = 7.0;
-        this.totalFInput = 0;
-        this.totalFluoriteOutput = 0;
-        this.totalCaCl2Used = 0;
-        this.totalRevenue = 0;
-        this.totalVariableCost = 0;
-        this.totalFixedCost = 0;
-        this.totalSavings = 0;
-        this.simTimeMs = 0; // Simulated time in milliseconds
-        this.history = []; // Array of daily snapshots { day, revenue, cost }
-        this.lastSnapshotDay = -1;
-        this.purityMix = 0; // % of Acidspar production (0-100)
+class Simulation {
+    constructor({ rng = createReseedableRandom(CONFIG.CLOCK.SEED), clock = () => performance.now() } = {}) {
+        this.canvas = document.getElementById('simCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.clock = clock;
+
+        this.plant = new ProcessPlant(rng);
+        this.chem = this.plant.chem;
+        this.influent = this.plant.influent;
+        this.controller = this.plant.controller;
+        this.rng = rng;
+        this.skidPhysics = [new PhysicsEngine(this.particleRandom(0))]; // One particle engine per skid
+        this.sensorPanel = new SensorPanel(document.getElementById('sensorList'), this.plant);
+        this.trendPanel = new TrendPanel(document.getElementById('trendPanel'), this.plant.trends);
+        this.skidPanel = new SkidPanel(document.getElementById('skidPanel'), this.plant);
+        this.bedPanel = new BedPanel(document.getElementById('bedPanel'), this.chem.bed);
+        this.compliancePanel = new CompliancePanel(document.getElementById('compliancePanel'), this.plant.effluent);
+        this.waterPanel = new WaterPanel(document.getElementById('waterPanel'), this.plant);
+        this.qualityPanel = new QualityPanel(document.getElementById('qualityPanel'), this.chem);
+        this.storagePanel = new StoragePanel(document.getElementById('storagePanel'), this.plant);
+        this.alarmPanel = new AlarmPanel(document.getElementById('alarmPanel'), this.plant);
+        this.journalPanel = new JournalPanel(document.getElementById('journalPanel'), this.plant.journal);
+        this.financePanel = new FinancePanel(document.getElementById('financePanel'), this.plant);
+        this.reagentPanel = new ReagentPanel(document.getElementById('reagentPanel'), this.plant);
+        this.baselinePanel = new BaselinePanel(document.getElementById('baselinePanel'), this.plant);
+        this.reliabilityPanel = new ReliabilityPanel(document.getElementById('reliabilityPanel'), this.plant);
+        this.monteCarloPanel = new MonteCarloPanel(document.getElementById('monteCarloPanel'), () => createScenario(this.getScenarioInputs()));
+        this.optimizerPanel = new OptimizerPanel(document.getElementById('optimizerPanel'),
+            () => createScenario(this.getScenarioInputs()),
+            () => ({ FLOW_RATE: CONFIG.PLANT.FEED_FLOW ?? this.state.flowRate, FF_RATIO: CONFIG.CONTROL.FF_RATIO, phCorrection: this.chem.phCorrection }),
+            (evaluation) => this.applyOperatingPoint(evaluation));
+        this.reportPanel = new ReportPanel(document.getElementById('reportPanel'), this.plant, () => createScenario(this.getScenarioInputs(), document.title));
+        this.trainingPanel = new TrainingPanel(document.getElementById('trainingPanel'), this.plant,
+            (exercise) => this.startExercise(exercise),
+            () => this.stopExercise(),
+            () => this.onExerciseFinished());
+        this.influentChart = new LineChart(document.getElementById('influentChart'));
+        this.lastChartDraw = 0;
+        this.simClock = new FixedStepClock(CONFIG.CLOCK.STEP_MS);
+        this.fastForward = null; // { fromMs, targetMs, value, month } while running ahead to a date
+
+        this.state = {
+            running: false,
+            paused: false,
+            speed: 1.0,
+            flowRate: 450,
+            ppmF: 50 // This matches mg/L in water simulation
+        };
+
+        this.init();
     }
 
-    reset() {
-        this.currentPH = 7.0;
-        this.totalFInput = 0;
-        this.totalFluoriteOutput = 0;
-        this.totalCaCl2Used = 0;
-        this.totalRevenue = 0;
-        this.totalVariableCost = 0;
-        this.totalSavings = 0;
-        this.simTimeMs = 0;
-        this.totalFixedCost = 0;
-        this.history = [];
-        this.lastSnapshotDay = -1;
-        this.purityMix = 0;
-    }
-
-    calculateReaction(flowRate, ppmF, dt, speed) {
-        const effectiveDt = (dt / 1000) * speed;
-        // SCALE PRODUCTION BY SIMULATION SPEED (1s real = 4h sim = 14400x)
-        const timeMultiplier = 4 * 3600;
-        const massF = (flowRate * ppmF / 3600) * effectiveDt * timeMultiplier;
-
-        // Stoichiometry
-        const massFluorite = massF * CONFIG.STOICHIOMETRY.F_TO_CAF2;
-        const massCaCl2 = massF * CONFIG.STOICHIOMETRY.F_TO_CACL2;
-
-        this.totalFInput += massF;
-        this.totalFluoriteOutput += massFluorite;
-        this.totalCaCl2Used += massCaCl2;
-
-        // Financial Calculation (Weighted Average Price based on Production Mix)
-        const tonsFluorite = massFluorite / 1000000;
-        const tonsCaCl2 = massCaCl2 / 1000000;
-
-        const acidPercent = this.purityMix / 100;
-        const metalPercent = 1 - acidPercent;
-        const weightedPrice = (acidPercent * CONFIG.MARKET.PRICE_ACIDSPAR) + (metalPercent * CONFIG.MARKET.PRICE_METALSPAR);
-
-        this.totalRevenue += tonsFluorite * weightedPrice;
-        this.totalVariableCost += tonsCaCl2 * CONFIG.MARKET.COST_CACL2;
-
-        // ESG Savings calculation (per second)
-        const tonsF = massF / 1000000;
-        this.totalSavings += tonsF * CONFIG.MARKET.AVOIDED_COST_LIME_SLUDGE;
-
-        // Update Simulated Time (1 real sec = 4 hours)
-        this.simTimeMs += effectiveDt * timeMultiplier * 1000;
-
-        // Deduced Fixed OPEX based on elapsed simulation days
-        const totalDays = this.simTimeMs / (1000 * 24 * 3600);
-        this.totalFixedCost = totalDays * CONFIG.FINANCIAL.OPEX_FIXED_DAY;
-
-        // Snapshots for 30-day tracking
-        const currentDay = Math.floor(this.simTimeMs / (1000 * 24 * 3600));
-        if (currentDay > this.lastSnapshotDay) {
-            this.history.push({
-                day: currentDay,
-                revenue: this.totalRevenue,
-                savings: this.totalSavings,
-                cost: this.totalVariableCost + this.totalFixedCost
-            });
-            this.lastSnapshotDay = currentDay;
-            if (this.history.length > 40) this.history.shift();
-        }
+    init() {
+        this.resize();
+        this.setupListeners();
+        this.setupInfluentControls();
+        this.setupControllerControls();
+        this.setupScenarioControls();
+        this.setupClockControls();
+        this.setupTrendPins();
+        this.plant.train.updateHydraulics(this.state.flowRate);
+        this.updateHydroStatus();
+        this.setupLocaleControls();
+        this.loadScenarioFromHash();
+        window.addEventListener('resize', () => this.resize());
+        this.lastTime = this.clock();
+        requestAnimationFrame((t) => this.loop(t));
+    }
 
-        // pH Stability Logic
-        const drift = (Math.random() - 0.5) * 0.02;
-        this.currentPH += (CONFIG.PHYSICS.TARGET_PH - this.currentPH) * 0.1 + drift;
+    /**
+     * Particle renderer stream of skid `index`, apart from the process RNG.
+     */
+    particleRandom(index) {
+        return createSeededRandom(seedStream(CONFIG.CLOCK.SEED, index + 1));
+    }
 
-        return { massF, massFluorite, massCaCl2 };
+    resize() {
+        const bounds = this.canvas.parentElement.getBoundingClientRect();
+        this.canvas.width = bounds.width;
+        this.canvas.height = bounds.height;
     }
-}
 
-/**
- * Manages the fluidized bed particles and movement.
- */
-class PhysicsEngine {
-    constructor() {
-        this.particles = [];
+    setupListeners() {
+        const bind = (id, prop, journalLabel, unit, callback) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.oninput = (e) => {
+                this.state[prop] = parseFloat(e.target.value);
+                if (callback) callback(this.state[prop]);
+            };
+            // Journal the setting once the operator lets go of the slider
+            el.onchange = () => this.logControl({ key: 'setting', vars: {
+                field: { label: 'control', key: prop, name: journalLabel }, value: { value: this.state[prop], unit }
+            } });
+        };
+
+        bind('speedControl', 'speed', 'Velocidade Operacional', null, (v) => document.getElementById('speedVal').innerText = formatNumber(v, 1) + 'x');
+        bind('flowControl', 'flowRate', 'Vazão de Entrada', 'm³/h', (v) => this.onInfluentSlider('flowRate', v));
+        bind('concControl', 'ppmF', 'Concentração de Flúor', 'mg/L', (v) => this.onInfluentSlider('ppmF', v));
+
+        document.getElementById('toggleSystem').onclick = () => {
+            if (this.fastForward) this.stopFastForward(t('controls.fastForwardCancelled'));
+            this.state.running = !this.state.running;
+            this.plant.logEvent('system', { key: this.state.running ? 'started' : 'stopped' });
+            this.updateSystemStatus();
+        };
+
+        document.getElementById('resetSystem').onclick = () => this.reset();
+
+        bind('phCorrectionControl', 'phCorrection', 'Correção de pH (NaOH + / H2SO4 −)', 'mg/L', (v) => {
+            this.chem.phCorrection = v;
+            this.setPhCorrectionLabel(v);
+        });
+
+        document.getElementById('acidSlug').onclick = () => {
+            this.plant.train.addAcidSlug(this.chem.simTimeMs);
+            this.logControl({ key: 'acidSlug' });
+        };
+
+        bind('purityControl', 'purityMix', 'Meta Comercial (Acidspar)', '%', (v) => {
+            this.chem.purityMix = v;
+            this.setPurityLabel(v);
+            this.updatePurityCheck();
+        });
     }
 
-    reset() {
-        this.particles = [];
+    setPhCorrectionLabel(value) {
+        const reagent = value > 0 ? 'NaOH' : value < 0 ? 'H2SO4' : t('controls.noCorrection');
+        document.getElementById('phCorrectionVal').innerText = `${Math.abs(value)} mg/L ${reagent}`;
     }
 
-    updateParticles(dt, speed, flowRate, centerX, centerY) {
-        const fluidVelocity = (flowRate / 100) * speed;
+    setPurityLabel(value) {
+        document.getElementById('purityVal').innerText = t('controls.purityValue', { value: formatNumber(value, 0) });
+    }
 
-        this.particles.forEach((p, i) => {
-            p.update(dt, fluidVelocity, centerY);
-            if (p.isOutOfBounds(centerY) || p.isDead()) {
-                this.particles.splice(i, 1);
-            }
+    /**
+     * Stat cards with a recorded variable pin it to the trend chart on click.
+     */
+    setupTrendPins() {
+        const cards = {};
+        Object.keys(TREND_VARIABLES).forEach((key) => {
+            const id = TREND_VARIABLES[key].card;
+            if (!id) return;
+            const card = document.getElementById(id).closest('.stat-card');
+            card.classList.add('pinnable');
+            card.dataset.i18nTitle = 'controls.pinTitle';
+            card.title = t('controls.pinTitle');
+            card.onclick = () => this.trendPanel.togglePin(key);
+            cards[key] = card;
         });
+        this.trendPanel.onPinsChange = (pinned) => {
+            Object.keys(cards).forEach(key => cards[key].classList.toggle('pinned', pinned.includes(key)));
+        };
+    }
 
-        if (Math.random() < 0.3 * speed) {
-            this.spawnParticle(centerX, centerY);
+    /**
+     * Commercial target vs the acidspar share the graded batches actually reached.
+     */
+    updatePurityCheck() {
+        const q = this.chem.quality;
+        const el = document.getElementById('purityCheck');
+        const graded = q.gradeKg.acidspar + q.gradeKg.metalspar + q.gradeKg.offspec;
+        if (graded === 0) {
+            el.innerText = t('controls.purityCurrent', { grade: labelOf('grade', q.grade, GRADE_LABELS[q.grade].label), purity: formatNumber(q.purity, 1) });
+            el.style.color = 'var(--text-dim)';
+            return;
         }
+        const share = q.acidsparShare * 100;
+        const met = share >= this.chem.purityMix;
+        el.innerText = t('controls.purityRealized', { share: formatNumber(share, 0), verdict: t(met ? 'controls.targetMet' : 'controls.targetMissed') });
+        el.style.color = met ? 'var(--neon-green)' : 'var(--neon-orange)';
     }
 
-    spawnParticle(centerX, centerY) {
-        const x = centerX + (Math.random() - 0.5) * 120;
-        const y = centerY + 180;
-        const type = Math.random() > 0.3 ? 'crystal' : 'fluid';
-        const startSize = type === 'crystal' ? 1 : 1 + Math.random() * 3;
-        this.particles.push(new Particle(x, y, startSize, type));
+    /**
+     * Journals an operator action at the current simulated time.
+     */
+    logControl(message) {
+        this.plant.logEvent('control', message);
     }
-}
 
-/**
- * A single unit in the fluidized bed.
- */
-class Particle {
-    constructor(x, y, size, type) {
-        this.x = x;
-        this.y = y;
-        this.size = size;
-        this.type = type;
-        this.vx = (Math.random() - 0.5) * 1;
-        this.vy = type === 'crystal' ? Math.random() * 2 : -Math.random() * 3;
-        this.alpha = 1;
-        this.color = type === 'crystal' ? '#00f2ff' : '#39ff14';
-        this.sedimenting = false;
-    }
-
-    update(dt, fluidVelocity, centerY) {
-        if (this.type === 'crystal') {
-            // Growth logic
-            if (!this.sedimenting && this.vy < 0 && this.size < 10) {
-                this.size += 0.03; // Faster growth while rising
-            }
+    // --- Simulation Clock ---
+
+    setupClockControls() {
+        document.getElementById('pauseClock').onclick = () => {
+            this.state.paused = !this.state.paused;
+            this.updateSystemStatus();
+        };
+        document.getElementById('stepClock').onclick = () => this.singleStep();
+        document.getElementById('runUntil').onclick = () => (this.fastForward
+            ? this.stopFastForward(t('controls.fastForwardCancelled'))
+            : this.startFastForward());
+
+        const startDate = document.getElementById('startDate');
+        startDate.onchange = () => {
+            const error = checkField('CLOCK.START_DATE', startDate.value, SCENARIO_SCHEMA.config.CLOCK.START_DATE);
+            startDate.style.borderColor = error ? 'var(--neon-red)' : '';
+            startDate.title = error || '';
+            if (error) return;
+            CONFIG.CLOCK.START_DATE = startDate.value;
+            this.logControl({ key: 'startDate', vars: { date: { date: 0, withTime: false } } });
+            this.updateClockReadout();
+        };
+        const seed = document.getElementById('simSeed');
+        seed.onchange = () => {
+            const value = parseFloat(seed.value);
+            const error = checkField('CLOCK.SEED', value, SCENARIO_SCHEMA.config.CLOCK.SEED);
+            seed.style.borderColor = error ? 'var(--neon-red)' : '';
+            seed.title = error || '';
+            if (error) return;
+            CONFIG.CLOCK.SEED = value;
+            this.logControl({ key: 'seed', vars: { seed: value } });
+        };
+        this.syncClockControls();
+    }
 
-            // Dynamics
-            const drag = (fluidVelocity * 0.15) * (1 / this.size);
-            const grav = 0.04 * this.size;
+    syncClockControls() {
+        document.getElementById('startDate').value = CONFIG.CLOCK.START_DATE;
+        document.getElementById('simSeed').value = CONFIG.CLOCK.SEED;
+        this.updateClockReadout();
+    }
 
-            // Forced transition at the top or when heavy
-            if (this.y < centerY - 130 || this.size >= 10) {
-                this.sedimenting = true;
-            }
+    updateClockReadout() {
+        const stepMin = simSecondsFor(CONFIG.CLOCK.STEP_MS, 1) / 60;
+        document.getElementById('stepClock').title = t('controls.stepTitle', { min: formatNumber(stepMin, 0) });
+        document.getElementById('simDateVal').innerText = formatUIDate(this.chem.simTimeMs);
+        document.getElementById('pauseClock').innerText = t(this.state.paused ? 'controls.resume' : 'controls.pause');
+        document.getElementById('runUntil').innerText = this.fastForward ? t('common.cancel') : t('controls.runUntil');
+    }
 
-            if (this.sedimenting) {
-                // When sedimenting, we ignore upward drag and force vy to be positive
-                this.vy += grav * 1.5;
-                if (this.vy < 2) this.vy = 2; // Faster, more decisive fall
-            } else {
-                this.vy += grav - drag;
+    setClockStatus(message, isError = false) {
+        const el = document.getElementById('clockStatus');
+        el.innerText = message;
+        el.style.color = isError ? 'var(--neon-red)' : '';
+    }
+
+    /**
+     * Runs `steps` fixed integration steps. Each one covers the same simulated time; playback
+     * speed only decides how many of them a frame runs, so results do not depend on it.
+     */
+    stepProcess(steps) {
+        const playback = this.state.speed;
+        this.state.speed = 1;
+        try {
+            for (let i = 0; i < steps; i++) {
+                this.plant.step(this.state, this.simClock.tick());
             }
+        } finally {
+            this.state.speed = playback;
+        }
+    }
 
-            this.x += this.vx;
-            this.y += this.vy;
-        } else {
-            this.y -= fluidVelocity * 2;
-            this.x += Math.sin(this.y * 0.05) * 2;
-            this.alpha -= 0.01;
+    /**
+     * One integration step with the clock paused, for following the controller move by move.
+     */
+    singleStep() {
+        if (!this.state.running || this.fastForward) {
+            this.setClockStatus(t('controls.stepNeedsRun'), true);
+            return;
         }
+        this.state.paused = true;
+        this.stepProcess(1);
+        this.syncInfluentSliders();
+        this.updateSystemStatus();
+        this.updateUI();
+        this.setClockStatus(t('controls.stepAt', { date: formatUIDate(this.chem.simTimeMs) }));
     }
 
-    isOutOfBounds(centerY) {
-        return this.y > centerY + 220 || this.y < centerY - 280;
+    /**
+     * Runs ahead to the day or 30-day month in the "Avançar até" fields, starting the process if needed.
+     */
+    startFastForward() {
+        const value = parseFloat(document.getElementById('runUntilValue').value);
+        const month = document.getElementById('runUntilUnit').value === 'month';
+        const targetMs = value * (month ? 30 : 1) * MS_PER_DAY;
+        if (!Number.isFinite(value) || value <= 0) {
+            this.setClockStatus(t('controls.badTarget'), true);
+            return;
+        }
+        if (targetMs <= this.chem.simTimeMs) {
+            this.setClockStatus(t('controls.targetPassed', { target: this.fastForwardTarget({ value, month }) }), true);
+            return;
+        }
+        if (!this.state.running) {
+            this.state.running = true;
+            this.plant.logEvent('system', { key: 'started' });
+        }
+        this.state.paused = false;
+        this.fastForward = { fromMs: this.chem.simTimeMs, targetMs, value, month };
+        this.plant.logEvent('system', { key: month ? 'fastForwardMonth' : 'fastForwardDay', vars: { value, date: { date: targetMs } } });
+        this.updateSystemStatus();
     }
 
-    isDead() {
-        return this.alpha <= 0;
+    /**
+     * "dia 30" / "month 2" for the clock status line.
+     */
+    fastForwardTarget({ value, month }) {
+        return t(month ? 'controls.monthN' : 'controls.dayN', { n: value });
     }
 
-    draw(ctx) {
-        ctx.save();
-        ctx.globalAlpha = this.alpha;
-        ctx.fillStyle = this.color;
-        if (this.type === 'crystal') {
-            ctx.shadowBlur = 5;
-            ctx.shadowColor = this.color;
+    /**
+     * Steps for at most FAST_FORWARD_BUDGET_MS of real time so the page keeps drawing and can cancel.
+     */
+    runFastForward() {
+        const ff = this.fastForward;
+        const deadline = this.clock() + CONFIG.CLOCK.FAST_FORWARD_BUDGET_MS;
+        while (this.chem.simTimeMs < ff.targetMs && this.clock() < deadline) {
+            this.stepProcess(1);
         }
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.restore();
+        this.syncInfluentSliders();
+        this.updateUI();
+        if (!this.fastForward) return; // An exercise ended on the way
+        if (this.chem.simTimeMs >= ff.targetMs) {
+            this.state.paused = true;
+            this.stopFastForward(t('controls.arrived', { target: this.fastForwardTarget(ff), date: formatUIDate(this.chem.simTimeMs) }));
+            return;
+        }
+        const progress = (this.chem.simTimeMs - ff.fromMs) / (ff.targetMs - ff.fromMs);
+        this.setClockStatus(t('controls.advancing', { target: this.fastForwardTarget(ff), pct: formatNumber(progress * 100, 0) }));
     }
-}
 
-/**
- * Main Orchestrator.
- */
-class Simulation {
-    constructor() {
-        this.canvas = document.getElementById('simCanvas');
-        this.ctx = this.canvas.getContext('2d');
+    stopFastForward(message) {
+        this.fastForward = null;
+        this.setClockStatus(message);
+        this.updateSystemStatus();
+    }
 
-        this.chem = new ChemistryEngine();
-        this.phys = new PhysicsEngine();
+    // --- Dosing Controller ---
 
-        this.state = {
-            running: false,
-            speed: 1.0,
-            flowRate: 450,
-            ppmF: 50 // This matches mg/L in water simulation
+    setupControllerControls() {
+        document.getElementById('dosingMode').onclick = () => {
+            const next = this.controller.mode === 'auto' ? 'manual' : 'auto';
+            this.controller.setMode(next, this.plant.measure());
+            this.logControl({ key: next === 'auto' ? 'dosingAuto' : 'dosingManual' });
+            this.updateControllerControls();
         };
 
-        this.init();
+        const manual = document.getElementById('manualDosingControl');
+        manual.oninput = () => {
+            CONFIG.CONTROL.MANUAL_OUTPUT = parseFloat(manual.value);
+            document.getElementById('manualDosingVal').innerText = formatUnit(CONFIG.CONTROL.MANUAL_OUTPUT, 'g/s');
+        };
+        manual.onchange = () => this.logControl({ key: 'manualOutput', vars: { output: { value: CONFIG.CONTROL.MANUAL_OUTPUT, unit: 'g/s' } } });
+
+        // Tuning fields write straight into CONFIG.CONTROL, validated with the scenario ranges
+        document.querySelectorAll('[data-control]').forEach((el) => {
+            el.onchange = () => {
+                const key = el.dataset.control;
+                const value = el.type === 'checkbox' ? el.checked : parseFloat(el.value);
+                const error = checkField(`CONTROL.${key}`, value, SCENARIO_SCHEMA.config.CONTROL[key]);
+                if (error) {
+                    el.style.borderColor = 'var(--neon-red)';
+                    el.title = error;
+                    return;
+                }
+                el.style.borderColor = '';
+                el.title = '';
+                CONFIG.CONTROL[key] = value;
+                this.logControl({ key: 'tuning', vars: { key, value } });
+                this.updateControllerControls();
+            };
+        });
+
+        this.updateControllerControls();
     }
 
-    init() {
-        this.resize();
-        this.setupListeners();
-        window.addEventListener('resize', () => this.resize());
-        this.lastTime = performance.now();
-        requestAnimationFrame((t) => this.loop(t));
+    /**
+     * Reflects CONFIG.CONTROL in the panel (after a mode switch or a scenario load).
+     */
+    updateControllerControls() {
+        const auto = this.controller.mode === 'auto';
+        document.getElementById('dosingMode').innerText = t(auto ? 'controls.toManual' : 'controls.toAuto');
+        document.getElementById('manualDosingGroup').style.display = auto ? 'none' : 'flex';
+
+        const manual = document.getElementById('manualDosingControl');
+        manual.max = CONFIG.CONTROL.PUMP_MAX;
+        manual.value = CONFIG.CONTROL.MANUAL_OUTPUT;
+        document.getElementById('manualDosingVal').innerText = formatUnit(CONFIG.CONTROL.MANUAL_OUTPUT, 'g/s');
+
+        document.querySelectorAll('[data-control]').forEach((el) => {
+            const value = CONFIG.CONTROL[el.dataset.control];
+            if (el.type === 'checkbox') el.checked = value;
+            else el.value = value;
+        });
     }
 
-    resize() {
-        const bounds = this.canvas.parentElement.getBoundingClientRect();
-        this.canvas.width = bounds.width;
-        this.canvas.height = bounds.height;
+    updateControllerReadout() {
+        const c = this.controller;
+        const label = t(c.mode === 'auto' ? 'controls.auto' : 'controls.manual');
+        const flag = c.badInput ? t('controls.badInput') : c.saturated ? t('controls.saturated') : '';
+        document.getElementById('dosingVal').innerText = `${label}: ${formatUnit(c.output, 'g/s', 2)}${flag}`;
+
+        const m = c.metrics;
+        const settling = m.settlingMinutes === null ? '—' : `${formatNumber(m.settlingMinutes, 0)} min`;
+        const overshoot = m.settlingMinutes === null ? '—' : `${formatNumber(m.overshoot, 0)}%`;
+        const status = m.episodeStart !== null ? t('controls.outOfBand') : '';
+        document.getElementById('controllerMetrics').innerText = t('controls.loopMetrics', { overshoot, settling, status });
     }
 
-    setupListeners() {
-        const bind = (id, prop, callback) => {
-            const el = document.getElementById(id);
-            if (!el) return;
-            el.oninput = (e) => {
-                this.state[prop] = parseFloat(e.target.value);
-                if (callback) callback(this.state[prop]);
-            };
+    /**
+     * Pushes values into the sliders and fires their handlers so state and labels stay in sync.
+     */
+    applyInputs(inputs) {
+        const controls = {
+            speed: 'speedControl',
+            flowRate: 'flowControl',
+            ppmF: 'concControl',
+            phCorrection: 'phCorrectionControl',
+            purityMix: 'purityControl'
         };
+        Object.keys(controls).forEach((prop) => {
+            const el = document.getElementById(controls[prop]);
+            if (!el || inputs[prop] === undefined) return;
+            el.value = inputs[prop];
+            el.oninput({ target: el });
+        });
+        this.influent.clearOverride();
+        this.updateInfluentStatus();
+    }
 
-        bind('speedControl', 'speed', (v) => document.getElementById('speedVal').innerText = v.toFixed(1) + 'x');
-        bind('flowControl', 'flowRate', (v) => document.getElementById('flowVal').innerText = v + ' m³/h');
-        bind('concControl', 'ppmF', (v) => document.getElementById('concVal').innerText = v + ' mg/L');
+    // --- Influent Profile ---
 
-        document.getElementById('toggleSystem').onclick = () => {
-            this.state.running = !this.state.running;
-            this.updateSystemStatus();
+    setupInfluentControls() {
+        const select = document.getElementById('influentMode');
+        const fileInput = document.getElementById('influentCsv');
+
+        select.onchange = () => {
+            if (select.value === 'csv') {
+                fileInput.click();
+                select.value = CONFIG.INFLUENT.MODE; // Switch only once a file parses
+                return;
+            }
+            this.setInfluentMode(select.value);
         };
 
-        document.getElementById('resetSystem').onclick = () => this.reset();
+        fileInput.onchange = () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            file.text().then((text) => {
+                CONFIG.INFLUENT.SERIES = parseInfluentCsv(text);
+                this.setInfluentMode('csv');
+            }).catch((e) => this.setInfluentStatus(e.message, true))
+                .finally(() => { fileInput.value = ''; });
+        };
 
-        bind('purityControl', 'purityMix', (v) => {
-            this.chem.purityMix = v;
-            document.getElementById('purityVal').innerText = v.toFixed(0) + '% Acidspar';
+        document.getElementById('resumeProfile').onclick = () => {
+            this.influent.clearOverride();
+            this.logControl({ key: 'profileResumed' });
+            this.updateInfluentStatus();
+        };
+    }
+
+    /**
+     * Profiles modulate around the slider values at the moment they are selected.
+     */
+    setInfluentMode(mode) {
+        if (mode !== 'csv' && mode !== 'manual') {
+            CONFIG.INFLUENT.BASE_FLOW = this.state.flowRate;
+            CONFIG.INFLUENT.BASE_PPM = this.state.ppmF;
+        }
+        CONFIG.INFLUENT.MODE = mode;
+        this.influent.clearOverride();
+        this.logControl({ key: 'profileMode', vars: { mode } });
+        this.updateInfluentStatus();
+        this.drawInfluentChart();
+    }
+
+    onInfluentSlider(prop, value) {
+        this.setInfluentLabel(prop, value);
+        if (prop === 'flowRate') {
+            // Check the new setting against the fluidization window right away, even while paused
+            this.plant.train.updateHydraulics(value);
+            this.updateHydroStatus();
+        }
+        if (CONFIG.INFLUENT.MODE === 'manual') return;
+        this.influent.setOverride(prop, value);
+        this.updateInfluentStatus();
+    }
+
+    setInfluentLabel(prop, value) {
+        if (prop === 'flowRate') document.getElementById('flowVal').innerText = formatUnit(value, 'm³/h');
+        else document.getElementById('concVal').innerText = Math.round(value) + ' mg/L';
+    }
+
+    /**
+     * Moves the sliders to follow the active profile without engaging the override.
+     */
+    syncInfluentSliders() {
+        if (CONFIG.INFLUENT.MODE === 'manual') return;
+        const controls = { flowRate: 'flowControl', ppmF: 'concControl' };
+        Object.keys(controls).forEach((prop) => {
+            document.getElementById(controls[prop]).value = this.state[prop];
+            this.setInfluentLabel(prop, this.state[prop]);
+        });
+    }
+
+    updateInfluentStatus() {
+        document.getElementById('influentMode').value = CONFIG.INFLUENT.MODE;
+        const overridden = this.influent.isOverridden();
+        document.getElementById('resumeProfile').style.display = overridden ? 'block' : 'none';
+        if (CONFIG.INFLUENT.MODE === 'manual') this.setInfluentStatus(t('controls.influentManual'));
+        else if (overridden) this.setInfluentStatus(t('controls.influentOverride'), true);
+        else this.setInfluentStatus(t('controls.influentProfile'));
+    }
+
+    /**
+     * Safe flow window from the hydrodynamics model, or the warnings of the skids whose flow is outside it.
+     * With several skids the window is per skid.
+     */
+    updateHydroStatus() {
+        const train = this.plant.train;
+        const hydro = this.plant.hydro;
+        const el = document.getElementById('hydroStatus');
+        const multi = train.skids.length > 1;
+        const warnings = train.online.flatMap(s => s.hydro.warnings.map(w => (multi ? `Skid ${s.id}: ` : '') + w.message));
+        if (warnings.length > 0) {
+            el.innerText = '⚠ ' + warnings.join(' · ');
+            el.style.color = 'var(--neon-orange)';
+        } else {
+            el.innerText = t('controls.hydroWindow', {
+                min: formatNumber(toUnit(hydro.minFlow, 'm³/h')),
+                max: formatNumber(toUnit(hydro.washoutFlow, 'm³/h')),
+                perSkid: multi ? t('controls.perSkid') : '',
+                velocity: formatUnit(hydro.velocity * 3600, 'm/h')
+            }) + (train.bypassFlow > 0 ? t('controls.hydroBypass', { value: formatUnit(train.bypassFlow, 'm³/h') }) : '');
+            el.style.color = train.bypassFlow > 0 ? 'var(--neon-orange)' : 'var(--text-dim)';
+        }
+    }
+
+    setInfluentStatus(message, isWarning = false) {
+        const el = document.getElementById('influentStatus');
+        el.innerText = message;
+        el.style.color = isWarning ? 'var(--neon-orange)' : 'var(--text-dim)';
+    }
+
+    /**
+     * Last 48 h as applied, plus the next 24 h of the deterministic profile (dashed).
+     */
+    drawInfluentChart() {
+        const nowHour = this.chem.simTimeMs / MS_PER_HOUR;
+        const xRange = [Math.max(0, nowHour - 48), Math.max(0, nowHour - 48) + 72];
+        const past = this.influent.trace.filter(p => p.hour >= xRange[0]);
+        const future = [];
+        if (CONFIG.INFLUENT.MODE !== 'manual' && CONFIG.INFLUENT.MODE !== 'randomWalk') {
+            for (let h = nowHour; h <= xRange[1]; h += 0.5) future.push({ hour: h, ...this.influent.evaluate(h) });
+        }
+
+        const points = (list, prop) => list.map(p => ({ x: p.hour, y: prop === 'flowRate' ? toUnit(p[prop], 'm³/h') : p[prop] }));
+        this.influentChart.draw({
+            xRange,
+            xLabel: (h) => `${Math.floor(h / 24)}d ${Math.floor(h % 24)}h`,
+            series: [
+                { points: points(past, 'flowRate'), color: '#00f2ff', axis: 'left' },
+                { points: points(past, 'ppmF'), color: '#ff9f1c', axis: 'right' },
+                { points: points(future, 'flowRate'), color: '#00f2ff', axis: 'left', dashed: true },
+                { points: points(future, 'ppmF'), color: '#ff9f1c', axis: 'right', dashed: true }
+            ]
+        });
+        this.influentChart.drawMarker(nowHour, xRange);
+    }
+
+    getScenarioInputs() {
+        return {
+            speed: this.state.speed,
+            ...this.influent.baseInputs(this.state),
+            phCorrection: this.chem.phCorrection,
+            purityMix: this.chem.purityMix
+        };
+    }
+
+    setupScenarioControls() {
+        const fileInput = document.getElementById('scenarioFile');
+
+        document.getElementById('exportScenario').onclick = () => {
+            const scenario = createScenario(this.getScenarioInputs(), document.title);
+            downloadFile('cenario-rclf.json', serializeScenario(scenario), 'application/json');
+            this.setScenarioStatus(t('controls.scenarioExported'));
+        };
+
+        document.getElementById('importScenario').onclick = () => fileInput.click();
+        fileInput.onchange = () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            file.text().then((text) => {
+                const { scenario, dropped } = parseScenario(text);
+                this.loadScenario(scenario, file.name, dropped);
+            })
+                .catch((e) => this.setScenarioStatus(e.message, true))
+                .finally(() => { fileInput.value = ''; });
+        };
+
+        document.getElementById('shareScenario').onclick = () => {
+            const hash = encodeScenarioHash(createScenario(this.getScenarioInputs()));
+            history.replaceState(null, '', hash);
+            const url = location.href;
+            if (navigator.clipboard) navigator.clipboard.writeText(url).catch(() => {});
+            this.setScenarioStatus(t('controls.linkCopied'));
+        };
+    }
+
+    loadScenarioFromHash() {
+        try {
+            const parsed = decodeScenarioHash(location.hash);
+            if (parsed) this.loadScenario(parsed.scenario, 'link', parsed.dropped);
+        } catch (e) {
+            this.setScenarioStatus(e.message, true);
+        }
+    }
+
+    /**
+     * Moves the live plant to an optimizer result: flow to the reactor into the feed pump, pH
+     * correction through its slider, CaCl2 excess into the feed-forward. The influent is left
+     * as it is, as in the search; what the reactor does not take bypasses.
+     */
+    applyOperatingPoint({ point, metrics }) {
+        CONFIG.PLANT.FEED_FLOW = point.FLOW_RATE;
+        CONFIG.CONTROL.FF_RATIO = point.FF_RATIO;
+        this.applyInputs({ phCorrection: metrics.phCorrection });
+        this.skidPanel.syncParams();
+        this.updateControllerControls();
+        this.logControl({ key: 'optimumApplied', vars: {
+            flow: { value: point.FLOW_RATE, unit: 'm³/h' },
+            correction: { value: metrics.phCorrection, unit: 'mg/L' },
+            ph: { value: metrics.meanPH, digits: 2 },
+            ratio: point.FF_RATIO
+        } });
+    }
+
+    /**
+     * Applies a validated scenario: CONFIG is overwritten and the run restarts from zero.
+     * `dropped` lists the fields an older file had that its migration ignored.
+     */
+    loadScenario(scenario, source, dropped = []) {
+        const inputs = applyScenario(scenario);
+        this.reset();
+        this.applyInputs(inputs);
+        this.applyLocale();
+        this.plant.logEvent('system', { key: 'scenarioLoaded', vars: { name: scenario.name || source } });
+        if (dropped.length) {
+            this.setScenarioStatus(t('controls.scenarioMigrated', { name: scenario.name || source, fields: dropped.join(', ') }), false, true);
+        } else {
+            this.setScenarioStatus(t('controls.scenarioLoaded', { name: scenario.name || source }));
+        }
+    }
+
+    // --- Operator Training ---
+
+    /**
+     * Restarts the plant on the exercise scenario and puts it online; the session injects the
+     * incidents from the next step on. Language, units and currency stay the trainee's unless
+     * the exercise sets them.
+     */
+    startExercise(exercise) {
+        const scenario = exerciseScenario(exercise);
+        scenario.config = { LOCALE: { ...CONFIG.LOCALE }, ...scenario.config };
+        this.loadScenario(scenario, exercise.name);
+        this.plant.training = new TrainingSession(exercise);
+        this.state.running = true;
+        this.plant.logEvent('system', { key: 'started' });
+        this.updateSystemStatus();
+        this.trainingPanel.update();
+    }
+
+    stopExercise() {
+        this.plant.training.finish(this.plant, this.state);
+        this.trainingPanel.update();
+    }
+
+    /**
+     * The process holds where the exercise ended so the debrief matches the plant on screen.
+     */
+    onExerciseFinished() {
+        const message = t('controls.exerciseEnded', { date: formatUIDate(this.chem.simTimeMs) });
+        this.state.paused = true;
+        if (this.fastForward) this.stopFastForward(message);
+        else this.setClockStatus(message);
+        this.updateSystemStatus();
+    }
+
+    // --- Language, Units & Currency ---
+
+    setupLocaleControls() {
+        const fields = { localeLanguage: 'LANGUAGE', localeUnits: 'UNITS', localeCurrency: 'CURRENCY', localeRate: 'USD_BRL' };
+        Object.keys(fields).forEach((id) => {
+            const el = document.getElementById(id);
+            const key = fields[id];
+            el.onchange = () => {
+                const value = el.type === 'number' ? parseFloat(el.value) : el.value;
+                const error = checkField(`LOCALE.${key}`, value, SCENARIO_SCHEMA.config.LOCALE[key]);
+                el.style.borderColor = error ? 'var(--neon-red)' : '';
+                el.title = error || '';
+                if (error) return;
+                CONFIG.LOCALE[key] = value;
+                this.applyLocale();
+            };
         });
+        this.applyLocale();
+    }
+
+    syncLocaleControls() {
+        document.getElementById('localeLanguage').value = CONFIG.LOCALE.LANGUAGE;
+        document.getElementById('localeUnits').value = CONFIG.LOCALE.UNITS;
+        document.getElementById('localeCurrency').value = CONFIG.LOCALE.CURRENCY;
+        document.getElementById('localeRate').value = CONFIG.LOCALE.USD_BRL;
+    }
+
+    /**
+     * Redraws the whole dashboard in the current language, units and currency. Panels rebuild
+     * their markup; the plant and its history are untouched.
+     */
+    applyLocale() {
+        this.syncLocaleControls();
+        applyStaticText();
+        [this.sensorPanel, this.trendPanel, this.skidPanel, this.bedPanel, this.compliancePanel, this.waterPanel,
+            this.qualityPanel, this.storagePanel, this.alarmPanel, this.journalPanel, this.financePanel, this.reagentPanel,
+            this.baselinePanel, this.reliabilityPanel, this.monteCarloPanel, this.optimizerPanel, this.reportPanel, this.trainingPanel]
+            .forEach(panel => panel.render());
+        this.setInfluentLabel('flowRate', this.state.flowRate);
+        this.setInfluentLabel('ppmF', this.state.ppmF);
+        this.setPhCorrectionLabel(this.chem.phCorrection);
+        this.setPurityLabel(this.chem.purityMix);
+        this.updateControllerControls();
+        this.updateInfluentStatus();
+        this.drawInfluentChart();
+        this.bedPanel.draw();
+        this.financePanel.draw();
+        this.baselinePanel.draw();
+        this.trendPanel.draw();
+        this.updateSystemStatus();
+        this.updateUI();
+    }
+
+    setScenarioStatus(message, isError = false, isWarning = false) {
+        const el = document.getElementById('scenarioStatus');
+        el.innerText = message;
+        el.style.color = isError ? 'var(--neon-red)' : (isWarning ? 'var(--neon-orange)' : 'var(--neon-green)');
     }
 
     reset() {
+        // Hands back any incident still held (influent overrides) before the plant forgets the session
+        if (this.plant.training) this.plant.training.finish(this.plant, this.state);
         this.state.running = false;
-        this.chem.reset();
-        this.phys.reset();
+        this.state.paused = false;
+        this.fastForward = null;
+        this.simClock = new FixedStepClock(CONFIG.CLOCK.STEP_MS);
+        if (this.rng.reseed) this.rng.reseed(CONFIG.CLOCK.SEED);
+        this.plant.reset();
+        this.plant.train.updateHydraulics(this.state.flowRate);
+        this.skidPhysics = this.plant.train.skids.map((s, i) => this.skidPhysics[i] || new PhysicsEngine(this.particleRandom(i)));
+        this.skidPhysics.forEach(p => p.reset());
+        this.updateControllerControls();
+        this.compliancePanel.syncLimits();
+        this.alarmPanel.syncLimits();
+        this.waterPanel.syncParams();
+        this.financePanel.syncParams();
+        this.skidPanel.syncParams();
+        this.qualityPanel.syncParams();
+        this.storagePanel.syncParams();
+        this.reagentPanel.syncParams();
+        this.baselinePanel.syncParams();
+        this.reliabilityPanel.syncParams();
+        this.trendPanel.syncParams();
+        this.monteCarloPanel.syncParams();
+        this.optimizerPanel.syncParams();
+        this.syncClockControls();
+        this.setClockStatus(t('controls.clockIdle'));
+        this.updateInfluentStatus();
+        this.drawInfluentChart();
+        this.bedPanel.draw();
+        this.financePanel.draw();
+        this.baselinePanel.draw();
+        this.trendPanel.draw();
         this.updateSystemStatus();
-        this.updateUI({ massCaCl2: 0 });
+        this.updateUI();
     }
 
     updateSystemStatus() {
         const btn = document.getElementById('toggleSystem');
         const status = document.getElementById('statusText');
-        btn.innerText = this.state.running ? 'PARAR PROCESSO' : 'INICIAR PROCESSO';
-        status.innerText = this.state.running ? 'SISTEMA ONLINE - AUTOMATIZADO' : 'SISTEMA EM ESPERA';
-        status.style.color = this.state.running ? 'var(--accent-green)' : 'var(--text-secondary)';
+        btn.innerText = t(this.state.running ? 'controls.stop' : 'controls.start');
+        if (!this.state.running) status.innerText = t('header.standby');
+        else if (this.fastForward) status.innerText = t('header.fastForward');
+        else if (this.state.paused) status.innerText = t('header.paused');
+        else status.innerText = t('header.online');
+        status.style.color = this.state.running && !this.state.paused ? 'var(--accent-green)' : 'var(--text-secondary)';
+        this.updateClockReadout();
     }
 
-    updateUI(results) {
+    updateUI() {
         const set = (id, val) => document.getElementById(id).innerText = val;
-        const formatBRL = (v) => v.toLocaleString('pt-BR', { minimumFractionDigits: 2 });
-
-        set('fInput', (this.chem.totalFInput / 1000000).toFixed(3) + ' t');
-        set('fluoriteOutput', (this.chem.totalFluoriteOutput / 1000000).toFixed(3) + ' t');
-        set('phLevel', this.chem.currentPH.toFixed(2));
-
-        // Show auto-calculated dosing
-        document.getElementById('dosingVal').innerText = `AUTO: ${results.massCaCl2.toFixed(2)} g/s`;
-
-        const totalCost = this.chem.totalVariableCost + (this.chem.totalFixedCost || 0);
-        const netProfit = (this.chem.totalRevenue - totalCost) + this.chem.totalSavings;
-
-        // Calculate 30-day rolling financials (Monthly Projections)
-        let rev30 = 0;
-        let pro30 = 0;
-        const totalDays = this.chem.simTimeMs / (1000 * 24 * 3600);
-
-        if (this.chem.history.length > 2) {
-            const now = this.chem.history[this.chem.history.length - 1];
-            const targetDay = now.day - 30;
-            const prev = this.chem.history.find(h => h.day >= targetDay) || this.chem.history[0];
-
-            // Delta over the window
-            const windowDays = now.day - prev.day;
-            if (windowDays > 0) {
-                // Normalize to exactly 30 days
-                rev30 = (now.revenue - prev.revenue) * (30 / windowDays);
-                pro30 = ((now.revenue - now.cost + now.savings) - (prev.revenue - prev.cost + prev.savings)) * (30 / windowDays);
-            }
-        } else if (totalDays > 0.01) {
-            // Extrapolate if we have at least some data
-            rev30 = (this.chem.totalRevenue / totalDays) * 30;
-            pro30 = (netProfit / totalDays) * 30;
-        }
 
-        // ROI Calculation (Cumulative growth based on actual accumulated profit)
-        const roi = (netProfit / CONFIG.FINANCIAL.CAPEX) * 100;
+        set('fInput', formatUnit(this.chem.totalFInput / 1000000, 't', 3));
+        set('fluoriteOutput', formatUnit(this.chem.totalFluoriteOutput / 1000000, 't', 3));
+        // Process gauges show what the instruments report, not the model's ground truth
+        const readings = this.plant.measure();
+        set('phLevel', formatReading(readings.ph, 2));
+        set('residualFVal', formatReading(readings.residualF, 1, 'mg/L'));
+        set('turbidityVal', formatReading(readings.turbidity, 1, 'NTU'));
+
+        // Controller output and loop performance
+        this.updateControllerReadout();
+
+        const { totalCost, netProfit, revenue30d, profit30d, roi } = this.chem.getFinancialSummary();
 
         // Time Formatting
         const totalSeconds = this.chem.simTimeMs / 1000;
@@ -351,56 +816,170 @@ class Simulation {
         const months = Math.floor(days / 30);
         const remainingDays = days % 30;
 
-        let timeStr = "";
-        if (months > 0) timeStr += `${months}m `;
-        timeStr += `${remainingDays}d`;
-        if (months === 0 && remainingDays === 0) {
-            const hours = Math.floor((totalSeconds / 3600) % 24);
-            timeStr = `${hours}h`;
+        let timeStr;
+        if (months > 0) {
+            timeStr = t('common.elapsedMonths', { months: formatNumber(months, 0), days: formatNumber(remainingDays, 0) });
+        } else if (remainingDays > 0) {
+            timeStr = t('common.elapsedDays', { days: formatNumber(remainingDays, 0) });
+        } else {
+            timeStr = t('common.elapsedHours', { hours: formatNumber(Math.floor((totalSeconds / 3600) % 24), 0) });
         }
 
-        set('revenueValue', 'R$ ' + formatBRL(this.chem.totalRevenue));
-        set('profitValue', 'R$ ' + formatBRL(netProfit));
-        set('savingsValue', 'R$ ' + formatBRL(this.chem.totalSavings));
-        set('opexValue', 'R$ ' + formatBRL(totalCost));
-        set('roiValue', roi.toFixed(2) + '%');
+        set('revenueValue', formatMoney(this.chem.totalRevenue));
+        set('profitValue', formatMoney(netProfit));
+        set('savingsValue', formatMoney(this.chem.totalSavings));
+        set('opexValue', formatMoney(totalCost));
+        set('roiValue', formatNumber(roi, 2) + '%');
+        set('capexDisplay', formatMoneyShort(plantCapex()));
         set('simTime', timeStr);
-
-        set('revenue30d', 'R$ ' + formatBRL(rev30));
-        set('profit30d', 'R$ ' + formatBRL(pro30));
-
-        set('cacl2Used', (this.chem.totalCaCl2Used / 1000000).toFixed(3) + ' t');
-
-        // Dynamic Efficiency based on pH stability (Target 8.2)
-        const phError = Math.abs(this.chem.currentPH - 8.2);
-        const efficiency = Math.max(0, 99.8 - (phError * 15));
-        set('efficiencyVal', efficiency.toFixed(1) + '%');
+        set('simDateVal', formatUIDate(this.chem.simTimeMs));
+
+        set('revenue30d', formatMoney(revenue30d));
+        set('profit30d', formatMoney(profit30d));
+
+        set('cacl2Used', formatUnit(this.chem.totalCaCl2Used / 1000000, 't', 3));
+        const storage = this.plant.storage;
+        const reagent = this.plant.reagent;
+        const autonomy = reagent.autonomyDays;
+        set('cacl2Stock', formatUnit(reagent.stockKg / 1000, 't', 1) + (autonomy === null ? '' : ` (${formatNumber(autonomy, 1)} d)`));
+        set('cacl2Forecast', formatMoney(reagent.forecast(30).cost));
+        const reliability = this.plant.reliability.metrics(this.chem);
+        set('availabilityValue', `${formatNumber(reliability.availability * 100, 1)}% / ${formatNumber(reliability.oee * 100, 1)}%`);
+        set('lostRevenueValue', formatMoney(reliability.lostRevenue));
+        set('stockOnHand', formatUnit(PRODUCT_GRADES.reduce((sum, g) => sum + storage.wetTons(storage.stock[g]), 0), 't', 1));
+
+        // Fluoride capture as seen by the inlet and outlet ISEs
+        const measuredCapture = readings.ppmF > 0 && readings.residualF !== null
+            ? Math.max(0, 1 - readings.residualF / readings.ppmF) * 100
+            : null;
+        set('efficiencyVal', formatReading(measuredCapture, 1) + (measuredCapture === null ? '' : '%'));
+        set('alkalinityVal', formatUnit(this.chem.ph.alkalinityMgL, 'mg/L'));
+        this.sensorPanel.update();
+        this.skidPanel.update();
+        this.bedPanel.update();
+        this.compliancePanel.update();
+        this.waterPanel.update();
+        this.qualityPanel.update();
+        this.updatePurityCheck();
+        this.storagePanel.update();
+        this.reagentPanel.update();
+        this.baselinePanel.update();
+        this.reliabilityPanel.update();
+        this.alarmPanel.update();
+        this.journalPanel.update();
+        this.reportPanel.update();
+        this.trainingPanel.update();
+        this.updateHydroStatus();
     }
 
     loop(time) {
-        const dt = time - this.lastTime;
+        // A long gap (background tab) resumes where it stopped instead of jumping the plant ahead
+        const dt = this.simClock.clampFrame(time - this.lastTime);
         this.lastTime = time;
 
         const centerX = this.canvas.width / 2;
         const centerY = this.canvas.height / 2;
 
-        if (this.state.running) {
-            const results = this.chem.calculateReaction(this.state.flowRate, this.state.ppmF, dt, this.state.speed);
-            this.phys.updateParticles(dt, this.state.speed, this.state.flowRate, centerX, centerY);
-            this.updateUI(results);
+        if (this.fastForward) {
+            this.runFastForward();
+        } else if (this.state.running && !this.state.paused) {
+            this.stepProcess(this.simClock.advance(dt, this.state.speed));
+            this.syncInfluentSliders();
+            // Every skid's particles run around the same virtual column; draw() places them
+            this.plant.train.skids.forEach((s, i) => {
+                this.skidPhysics[i].updateParticles(dt, this.state.speed, s.hydro, s.chem.bed, centerX, centerY);
+            });
+            this.updateUI();
+        } else {
+            this.journalPanel.update(); // Operator actions are journaled while paused too
         }
 
         this.draw(centerX, centerY);
+        if (time - this.lastChartDraw > 250) {
+            this.drawInfluentChart();
+            this.bedPanel.draw();
+            this.financePanel.draw();
+            this.baselinePanel.draw();
+            this.trendPanel.draw();
+            this.lastChartDraw = time;
+        }
         requestAnimationFrame((t) => this.loop(t));
     }
 
     draw(centerX, centerY) {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         this.drawScene(centerX, centerY);
-        this.phys.particles.forEach(p => p.draw(this.ctx));
+    }
+
+    /**
+     * Where each skid goes: one column at full size, or N scaled columns standing on the same floor,
+     * the last one at the centre so the harvest line keeps its place.
+     */
+    skidLayout(centerX) {
+        const skids = this.plant.train.skids;
+        const scale = skids.length === 1 ? 1 : Math.max(0.2, 1 / (1 + 0.55 * (skids.length - 1)));
+        return skids.map((skid, i) => ({
+            skid,
+            phys: this.skidPhysics[i],
+            x: centerX - (skids.length - 1 - i) * SKID_SPACING_PX * scale,
+            scale
+        }));
+    }
+
+    /**
+     * Runs `paint` with the canvas mapped so the virtual column at (centerX, centerY) lands on `slot`.
+     */
+    withSkid(slot, centerX, centerY, paint) {
+        const ctx = this.ctx;
+        const floorY = centerY + COLUMN_BOTTOM_PX;
+        ctx.save();
+        ctx.translate(slot.x, floorY);
+        ctx.scale(slot.scale, slot.scale);
+        ctx.translate(-centerX, -floorY);
+        if (!slot.skid.online) ctx.globalAlpha = 0.35;
+        paint();
+        ctx.restore();
     }
 
     drawScene(centerX, centerY) {
+        const layout = this.skidLayout(centerX);
+        this.drawFeed(layout, centerY);
+        layout.forEach((slot) => {
+            this.withSkid(slot, centerX, centerY, () => {
+                this.drawColumn(centerX, centerY);
+                this.drawBed(centerX, centerY, slot.skid.hydro, slot.phys, slot.scale === 1);
+                slot.phys.particles.forEach(p => p.draw(this.ctx));
+            });
+            if (layout.length > 1) this.drawSkidLabel(slot, centerY);
+        });
+        this.drawStorage(centerX, centerY, layout[layout.length - 1].scale);
+        this.drawOutages();
+    }
+
+    /**
+     * Preventive window and failed equipment, top left of the canvas.
+     */
+    drawOutages() {
+        const ctx = this.ctx;
+        const reliability = this.plant.reliability;
+        const lines = [];
+        if (reliability.pmActive) lines.push({ text: t('canvas.preventive'), color: '#ff9f1c' });
+        Object.values(reliability.items).filter(item => item.down).forEach((item) => {
+            const equipment = labelOf('equipment', item.key, RELIABILITY_EQUIPMENT[item.key].label).toUpperCase();
+            lines.push({ text: t('canvas.failure', { equipment }), color: '#ff4d4d' });
+        });
+        ctx.font = '12px Rajdhani, sans-serif';
+        ctx.textAlign = 'left';
+        lines.forEach((line, i) => {
+            ctx.fillStyle = line.color;
+            ctx.fillText(line.text, 16, 24 + i * 16);
+        });
+    }
+
+    /**
+     * One reactor column with its support and liquid, drawn at the virtual centre.
+     */
+    drawColumn(centerX, centerY) {
         const ctx = this.ctx;
 
         // Support
@@ -424,14 +1003,194 @@ class Simulation {
         grad.addColorStop(1, 'rgba(0, 242, 255, 0.15)');
         ctx.fillStyle = grad;
         ctx.fill();
+    }
+
+    /**
+     * Feed pipe into the column, or with several skids the splitter header under every column
+     * (parallel) or the overflow of each stage into the bottom of the next (series).
+     */
+    drawFeed(layout, centerY) {
+        const floorY = centerY + COLUMN_BOTTOM_PX;
+        const first = layout[0];
+        const s = first.scale;
+        const feedY = floorY - 20 * s;
+        const series = CONFIG.PLANT.LAYOUT === 'series' && layout.length > 1;
+        const feedEnd = series ? first.x - COLUMN_HALF_WIDTH_PX * s : layout[layout.length - 1].x - COLUMN_HALF_WIDTH_PX * s;
+        this.drawPipe(first.x - 250 * s, feedY, feedEnd, feedY, 15 * s);
+
+        if (series) {
+            const overflowY = floorY - (COLUMN_HEIGHT_PX - 10) * s;
+            layout.slice(1).forEach((slot, i) => {
+                const fromX = layout[i].x + COLUMN_HALF_WIDTH_PX * s;
+                const toX = slot.x - COLUMN_HALF_WIDTH_PX * s;
+                const midX = (fromX + toX) / 2;
+                this.drawPipe(fromX, overflowY, midX, overflowY, 8 * s);
+                this.drawPipe(midX, overflowY, midX, feedY, 8 * s);
+                this.drawPipe(midX, feedY, toX, feedY, 8 * s);
+            });
+        }
+
+        const bypass = this.plant.train.bypassFlow;
+        if (bypass > 0) {
+            const ctx = this.ctx;
+            ctx.fillStyle = '#ff9f1c';
+            ctx.font = '11px Rajdhani, sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillText(t('canvas.bypass', { flow: formatUnit(bypass, 'm³/h') }), first.x - 250 * s, feedY + 20);
+        }
+    }
+
+    /**
+     * Skid number, bed height and status over a scaled column.
+     */
+    drawSkidLabel(slot, centerY) {
+        const ctx = this.ctx;
+        const topY = centerY + COLUMN_BOTTOM_PX - (COLUMN_HEIGHT_PX + 2 * COLUMN_HALF_WIDTH_PX) * slot.scale;
+        const skid = slot.skid;
+        ctx.font = '11px Rajdhani, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = !skid.online ? '#ff9f1c' : skid.hydro.warnings.length > 0 ? '#ff4d4d' : 'rgba(0, 242, 255, 0.8)';
+        ctx.fillText(t('canvas.skid', { id: skid.id }), slot.x, topY - 18);
+        ctx.fillText(skid.online ? `${formatNumber(skid.hydro.bedHeight, 2)} m · ${formatUnit(skid.flowRate, 'm³/h')}` : t('canvas.maintenance'), slot.x, topY - 6);
+    }
+
+    /**
+     * Expanded bed height from the hydrodynamics model, with its level marked on the column
+     * (and labelled when the column is drawn at full size).
+     */
+    drawBed(centerX, centerY, hydro, phys, labelled) {
+        const ctx = this.ctx;
+        const bottom = centerY + COLUMN_BOTTOM_PX;
+        const top = phys.bedTopY(hydro, centerY);
+        const warn = hydro.warnings.length > 0;
 
-        // Pipe animation
-        this.drawPipe(centerX - 250, centerY + 180, centerX - 80, centerY + 180);
+        ctx.fillStyle = warn ? 'rgba(255, 159, 28, 0.08)' : 'rgba(0, 242, 255, 0.06)';
+        ctx.fillRect(centerX - COLUMN_HALF_WIDTH_PX + 2, top, COLUMN_HALF_WIDTH_PX * 2 - 4, bottom - top);
+
+        ctx.strokeStyle = warn ? '#ff9f1c' : 'rgba(0, 242, 255, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(centerX - COLUMN_HALF_WIDTH_PX - 10, top);
+        ctx.lineTo(centerX + COLUMN_HALF_WIDTH_PX + 10, top);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        if (!labelled) return;
+        ctx.font = '11px Rajdhani, sans-serif';
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.textAlign = 'left';
+        ctx.fillText(t('canvas.bed', { height: formatNumber(hydro.bedHeight, 2), expansion: formatNumber(hydro.expansion * 100, 0) }), centerX + COLUMN_HALF_WIDTH_PX + 14, top + 4);
+    }
+
+    /**
+     * Harvest line to the right of the (last) column: rotary valve, belt up to the vibrating screen,
+     * one silo per grade filled to its stock level, and the last truck while it is loading.
+     */
+    drawStorage(centerX, centerY, columnScale = 1) {
+        const ctx = this.ctx;
+        const storage = this.plant.storage;
+        const running = this.state.running && !storage.tripped;
+        const valveX = centerX + 110;
+        const valveY = centerY + 185;
+
+        // Cone discharge to the rotary valve
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = 6;
+        ctx.beginPath();
+        ctx.moveTo(centerX + COLUMN_HALF_WIDTH_PX * columnScale, valveY);
+        ctx.lineTo(valveX - 12, valveY);
+        ctx.stroke();
+
+        // Rotary valve: the rotor steps a quarter turn per pocket discharged
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = storage.blocked ? '#ff9f1c' : 'rgba(0, 242, 255, 0.6)';
+        ctx.beginPath();
+        ctx.arc(valveX, valveY, 12, 0, Math.PI * 2);
+        ctx.stroke();
+        const angle = storage.valveTurns * (Math.PI / 2);
+        ctx.beginPath();
+        for (let i = 0; i < 4; i++) {
+            const a = angle + (i * Math.PI) / 2;
+            ctx.moveTo(valveX, valveY);
+            ctx.lineTo(valveX + Math.cos(a) * 11, valveY + Math.sin(a) * 11);
+        }
+        ctx.stroke();
+
+        // Belt up to the screen
+        const screenX = centerX + 200;
+        const screenY = centerY + 95;
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = '#1a202c';
+        ctx.beginPath();
+        ctx.moveTo(valveX + 14, valveY);
+        ctx.lineTo(screenX, screenY);
+        ctx.stroke();
+        if (running) {
+            ctx.strokeStyle = 'rgba(57, 255, 20, 0.4)';
+            ctx.setLineDash([4, 8]);
+            ctx.lineDashOffset = -this.clock() * 0.05 * this.state.speed;
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Vibrating screen over the silos, shaking while it runs
+        const shake = running ? Math.sin(this.clock() * 0.08) * 1.5 : 0;
+        ctx.strokeStyle = 'rgba(0, 242, 255, 0.6)';
+        ctx.lineWidth = 3;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(screenX, screenY + shake);
+        ctx.lineTo(screenX + 100, screenY + 12 + shake);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Silos, one per grade
+        const siloTop = centerY + 120;
+        const siloHeight = 90;
+        ctx.font = '10px Rajdhani, sans-serif';
+        ctx.textAlign = 'center';
+        PRODUCT_GRADES.forEach((grade, i) => {
+            const x = screenX + 10 + i * 32;
+            const level = Math.min(1, storage.siloLevel(grade));
+            const color = ['#39ff14', '#ff9f1c', '#ff4d4d'][i];
+            ctx.fillStyle = color;
+            ctx.globalAlpha = 0.35;
+            ctx.fillRect(x, siloTop + siloHeight * (1 - level), 26, siloHeight * level);
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = level >= 0.9 ? '#ff4d4d' : 'rgba(255, 255, 255, 0.3)';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x, siloTop, 26, siloHeight);
+            ctx.fillStyle = color;
+            ctx.fillText(labelOf('grade', grade, GRADE_LABELS[grade].label).slice(0, 5), x + 13, siloTop + siloHeight + 12);
+            ctx.fillText(formatUnit(storage.wetTons(storage.stock[grade]), 't'), x + 13, siloTop - 4);
+        });
+
+        // Truck under the silos for a few hours after each dispatch
+        const last = storage.dispatches[storage.dispatches.length - 1];
+        if (last && this.chem.simTimeMs - last.timeMs < 4 * MS_PER_HOUR) {
+            const truckX = screenX + 110;
+            const truckY = siloTop + siloHeight - 18;
+            ctx.fillStyle = '#2d3748';
+            ctx.fillRect(truckX, truckY, 34, 14);
+            ctx.fillRect(truckX + 34, truckY + 4, 10, 10);
+            ctx.fillStyle = '#a0aec0';
+            ctx.beginPath();
+            ctx.arc(truckX + 8, truckY + 16, 3, 0, Math.PI * 2);
+            ctx.arc(truckX + 36, truckY + 16, 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        if (storage.tripped) {
+            ctx.fillStyle = '#ff4d4d';
+            ctx.font = '12px Rajdhani, sans-serif';
+            ctx.fillText(t('canvas.siloFull'), valveX + 40, valveY + 28);
+        }
     }
 
-    drawPipe(x1, y1, x2, y2) {
+    drawPipe(x1, y1, x2, y2, width = 15) {
         const ctx = this.ctx;
-        ctx.lineWidth = 15;
+        ctx.lineWidth = width;
         ctx.strokeStyle = '#1a202c';
         ctx.beginPath();
         ctx.moveTo(x1, y1);
@@ -441,7 +1200,7 @@ class Simulation {
         if (this.state.running) {
             ctx.strokeStyle = 'rgba(0, 242, 255, 0.4)';
             ctx.setLineDash([10, 20]);
-            ctx.lineDashOffset = -performance.now() * 0.1 * this.state.speed;
+            ctx.lineDashOffset = -this.clock() * 0.1 * this.state.speed;
             ctx.stroke();
             ctx.setLineDash([]);
         }
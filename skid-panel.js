@@ -0,0 +1,159 @@
+/**
+ * Cristal Minas - Reactor Train Panel
+ * Per-skid breakdown of flow, fluoride, bed and dose, maintenance toggles,
+ * the splitter weights and the train layout.
+ */
+
+const PLANT_FIELDS = [
+    { key: 'SKIDS', label: 'Skids instalados (ao reiniciar)', step: 1 },
+    { key: 'FEED_FLOW', label: 'Vazão para o reator', step: 50, unit: 'm³/h', optional: true },
+    { key: 'SKID_MAX_FLOW', label: 'Vazão máx. por skid', step: 50, unit: 'm³/h' },
+    { key: 'POLISH_RATIO', label: 'Excesso no polimento (×)', step: 0.1 },
+    { key: 'EXTRA_SKID_CAPEX', label: 'CAPEX por skid extra', step: 50000, unit: 'R$' }
+];
+
+class SkidPanel {
+    constructor(container, plant) {
+        this.container = container;
+        this.plant = plant;
+        this.render();
+    }
+
+    get train() {
+        return this.plant.train;
+    }
+
+    render() {
+        const stat = (field, label) => `<div class="bed-stat"><span class="sensor-name">${label}</span><span class="sensor-reading" data-field="${field}">---</span></div>`;
+        this.container.innerHTML = `
+            <div class="bed-stats">
+                ${stat('online', t('skid.online'))}
+                ${stat('treated', t('skid.treated'))}
+                ${stat('bypass', t('skid.bypass'))}
+                ${stat('capex', t('skid.capex'))}
+            </div>
+            <table class="event-log" style="margin-top: 0.5rem;">
+                <thead><tr><th>${t('skid.skid')}</th><th>${t('common.state')}</th><th>${t('skid.flow')}</th><th>${t('skid.ppm')}</th><th>${t('skid.bed')}</th><th>${t('skid.dose')}</th><th>${t('skid.removed')}</th><th>${t('skid.purity')}</th><th>${t('skid.weight')}</th><th></th></tr></thead>
+                <tbody></tbody>
+            </table>
+            <div class="tuning-grid" style="margin-top: 0.5rem;">
+                <label>${t('skid.layout')}<select data-plant-layout>
+                    <option value="parallel">${t('skid.parallel')}</option>
+                    <option value="series">${t('skid.series')}</option>
+                </select></label>${PLANT_FIELDS.map(f => `
+                <label>${fieldLabel('plant', f)}<input type="number" data-plant="${f.key}" step="${inputValue(f.step, f.unit)}"${f.optional ? ` placeholder="${t('skid.allInfluent')}"` : ''}></label>`).join('')}
+            </div>`;
+
+        this.container.querySelectorAll('[data-plant]').forEach((el) => {
+            el.onchange = () => {
+                const field = PLANT_FIELDS.find(f => f.key === el.dataset.plant);
+                let value;
+                if (el.value === '') value = null; // An empty optional field: all of the influent
+                else value = field.key === 'SKIDS' ? Math.round(parseFloat(el.value)) : fromUnit(parseFloat(el.value), field.unit);
+                const error = checkField(`PLANT.${field.key}`, value, SCENARIO_SCHEMA.config.PLANT[field.key]);
+                el.style.borderColor = error ? 'var(--neon-red)' : '';
+                el.title = error || '';
+                if (error) return;
+                CONFIG.PLANT[field.key] = value;
+                this.plant.logEvent('control', { key: 'setting', vars: { field: { label: 'plant', key: field.key, name: field.label }, value: { value, unit: field.unit } } });
+            };
+        });
+        this.container.querySelector('[data-plant-layout]').onchange = (e) => {
+            CONFIG.PLANT.LAYOUT = e.target.value;
+            this.plant.logEvent('control', { key: e.target.value === 'series' ? 'skidsSeries' : 'skidsParallel' });
+        };
+        this.syncParams();
+    }
+
+    /**
+     * Rebuilds one row per skid (after a reset changes the train) and reflects CONFIG.PLANT in the fields.
+     */
+    syncParams() {
+        const tbody = this.container.querySelector('tbody');
+        tbody.innerHTML = this.train.skids.map(s => `
+            <tr data-skid="${s.id}">
+                <td>${s.id}</td>
+                <td data-cell="status"></td>
+                <td data-cell="flow"></td>
+                <td data-cell="ppm"></td>
+                <td data-cell="bed"></td>
+                <td data-cell="dose"></td>
+                <td data-cell="removed"></td>
+                <td data-cell="purity"></td>
+                <td><input type="number" data-split="${s.id}" step="0.1" min="0" style="width: 3.5rem;"></td>
+                <td><button class="btn-primary" data-maintenance="${s.id}" style="padding: 0.3rem 0.6rem; font-size: 0.7rem;"></button></td>
+            </tr>`).join('');
+
+        tbody.querySelectorAll('[data-split]').forEach((el) => {
+            el.onchange = () => {
+                const value = parseFloat(el.value);
+                const valid = Number.isFinite(value) && value >= 0;
+                el.style.borderColor = valid ? '' : 'var(--neon-red)';
+                el.title = valid ? '' : t('skid.weightError');
+                if (!valid) return;
+                const id = parseInt(el.dataset.split, 10);
+                const split = this.train.skids.map(s => CONFIG.PLANT.SPLIT[s.id - 1] ?? 1);
+                split[id - 1] = value;
+                CONFIG.PLANT.SPLIT = split;
+                this.plant.logEvent('control', { key: 'splitWeight', vars: { id, weight: value } });
+            };
+        });
+        tbody.querySelectorAll('[data-maintenance]').forEach((el) => {
+            el.onclick = () => {
+                const id = parseInt(el.dataset.maintenance, 10);
+                const offline = CONFIG.PLANT.OFFLINE.includes(id);
+                CONFIG.PLANT.OFFLINE = offline ? CONFIG.PLANT.OFFLINE.filter(n => n !== id) : [...CONFIG.PLANT.OFFLINE, id];
+                this.plant.logEvent('control', { key: offline ? 'skidOnline' : 'skidOffline', vars: { id } });
+                this.update();
+            };
+        });
+
+        this.container.querySelector('[data-plant-layout]').value = CONFIG.PLANT.LAYOUT;
+        this.container.querySelectorAll('[data-plant]').forEach((el) => {
+            const field = PLANT_FIELDS.find(f => f.key === el.dataset.plant);
+            if (document.activeElement !== el) el.value = inputValue(CONFIG.PLANT[field.key], field.unit);
+        });
+        tbody.querySelectorAll('[data-split]').forEach((el) => {
+            if (document.activeElement !== el) el.value = CONFIG.PLANT.SPLIT[el.dataset.split - 1] ?? 1;
+        });
+        this.update();
+    }
+
+    update() {
+        const train = this.train;
+        const set = (field, text, color) => {
+            const el = this.container.querySelector(`[data-field="${field}"]`);
+            el.innerText = text;
+            el.style.color = color || '';
+        };
+        const online = train.online;
+        const series = CONFIG.PLANT.LAYOUT === 'series';
+        const treated = series ? (online[0]?.flowRate ?? 0) : online.reduce((sum, s) => sum + s.flowRate, 0);
+        set('online', `${online.length} / ${train.skids.length} (${t(series ? 'skid.seriesShort' : 'skid.parallelShort')})`, online.length < train.skids.length ? 'var(--neon-orange)' : 'var(--neon-green)');
+        set('treated', formatUnit(treated, 'm³/h'));
+        set('bypass', formatUnit(train.bypassFlow, 'm³/h'), train.bypassFlow > 0 ? 'var(--neon-orange)' : 'var(--neon-green)');
+        set('capex', formatMoneyShort(plantCapex()));
+
+        train.skids.forEach((s) => {
+            const row = this.container.querySelector(`[data-skid="${s.id}"]`);
+            if (!row) return; // Skid count changed; rows follow on the next reset
+            const cell = (name, text, color) => {
+                const el = row.querySelector(`[data-cell="${name}"]`);
+                el.innerText = text;
+                el.style.color = color || '';
+            };
+            const warn = s.online && s.hydro.warnings.length > 0;
+            cell('status', s.online ? t(warn ? 'skid.alert' : 'skid.running') : t('skid.maintenance'),
+                !s.online ? 'var(--neon-orange)' : warn ? 'var(--neon-red)' : 'var(--neon-green)');
+            row.title = warn ? s.hydro.warnings.map(w => w.message).join(' · ') : '';
+            cell('flow', formatUnit(s.flowRate, 'm³/h'));
+            cell('ppm', s.online ? `${formatNumber(s.inletPpm, 1)} → ${formatNumber(s.chem.residualF, 1)}` : '---');
+            cell('bed', formatNumber(s.hydro.bedHeight, 2) + ' m');
+            cell('dose', formatNumber(s.dosingRate, 1) + ' g/s');
+            cell('removed', formatUnit(s.fRemovedKg / 1000, 't', 2));
+            cell('purity', formatNumber(s.chem.quality.purity, 1) + '%', GRADE_LABELS[s.chem.quality.grade].color);
+            row.querySelector('[data-maintenance]').innerText = t(s.online ? 'skid.maintenance' : 'skid.return');
+            row.querySelector('[data-split]').disabled = series;
+        });
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Cristal Minas - Storage Panel
+ * Stock on hand per silo, hopper and screen bin levels, truck dispatches and
+ * the dispatch on/off switch.
+ */
+
+const STORAGE_FIELDS = [
+    { key: 'SILO_CAPACITY_T', label: 'Capacidade por silo', step: 5, unit: 't' },
+    { key: 'TRUCK_CAPACITY_T', label: 'Carga por caminhão', step: 1, unit: 't' },
+    { key: 'MAX_TRUCKS_PER_DAY', label: 'Caminhões por dia', step: 1 },
+    { key: 'VALVE_INTERVAL_MIN', label: 'Intervalo da válvula (min)', step: 5 }
+];
+const STORAGE_LOG_ROWS = 6;
+
+class StoragePanel {
+    constructor(container, plant) {
+        this.container = container;
+        this.plant = plant;
+        this.render();
+    }
+
+    get storage() {
+        return this.plant.storage;
+    }
+
+    render() {
+        const gauge = (key, label) => `
+            <div class="gauge-row" data-gauge="${key}">
+                <span class="sensor-name">${label}</span>
+                <div class="gauge"><div class="gauge-fill"></div></div>
+                <span class="sensor-offset">---</span>
+            </div>`;
+        this.container.innerHTML = `
+            ${PRODUCT_GRADES.map(g => gauge(g, t('storage.silo', { grade: labelOf('grade', g, GRADE_LABELS[g].label) }))).join('')}
+            ${gauge('hopper', t('storage.hopper'))}
+            ${gauge('bin', t('storage.bin'))}
+            <div class="bed-stats">
+                <div class="bed-stat"><span class="sensor-name">${t('common.status')}</span><span class="sensor-reading" data-field="status">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('storage.turns')}</span><span class="sensor-reading" data-field="turns">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('storage.water')}</span><span class="sensor-reading" data-field="water">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('storage.sold')}</span><span class="sensor-reading" data-field="sold">---</span></div>
+            </div>
+            <div class="tuning-grid" style="margin-top: 0.5rem;">${STORAGE_FIELDS.map(f => `
+                <label>${fieldLabel('storage', f)}<input type="number" data-storage="${f.key}" step="${inputValue(f.step, f.unit)}"></label>`).join('')}
+            </div>
+            <button class="btn-primary storage-dispatch" style="margin-top: 0.5rem; padding: 0.3rem 0.6rem; font-size: 0.7rem;"></button>
+            <table class="event-log">
+                <thead><tr><th>${t('storage.dispatch')}</th><th>${t('storage.grade')}</th><th>${t('storage.load')}</th><th>${t('storage.revenue')}</th></tr></thead>
+                <tbody></tbody>
+            </table>`;
+
+        this.container.querySelector('.storage-dispatch').onclick = () => {
+            CONFIG.STORAGE.DISPATCH_ENABLED = !CONFIG.STORAGE.DISPATCH_ENABLED;
+            this.plant.logEvent('control', { key: CONFIG.STORAGE.DISPATCH_ENABLED ? 'dispatchOn' : 'dispatchOff' });
+            this.update();
+        };
+        this.container.querySelectorAll('[data-storage]').forEach((el) => {
+            el.onchange = () => {
+                const field = STORAGE_FIELDS.find(f => f.key === el.dataset.storage);
+                const value = fromUnit(parseFloat(el.value), field.unit);
+                const error = checkField(`STORAGE.${field.key}`, value, SCENARIO_SCHEMA.config.STORAGE[field.key]);
+                el.style.borderColor = error ? 'var(--neon-red)' : '';
+                el.title = error || '';
+                if (error) return;
+                CONFIG.STORAGE[field.key] = value;
+                this.plant.logEvent('control', { key: 'setting', vars: { field: { label: 'storage', key: field.key, name: field.label }, value: { value, unit: field.unit } } });
+            };
+        });
+        this.syncParams();
+    }
+
+    /**
+     * Reflects CONFIG.STORAGE in the parameter fields (after a scenario load).
+     */
+    syncParams() {
+        this.container.querySelectorAll('[data-storage]').forEach((el) => {
+            const field = STORAGE_FIELDS.find(f => f.key === el.dataset.storage);
+            if (document.activeElement !== el) el.value = inputValue(CONFIG.STORAGE[field.key], field.unit);
+        });
+    }
+
+    setGauge(key, fraction, text, color) {
+        const row = this.container.querySelector(`[data-gauge="${key}"]`);
+        const fill = row.querySelector('.gauge-fill');
+        fill.style.width = Math.min(100, fraction * 100).toFixed(1) + '%';
+        fill.style.background = fraction >= 0.9 ? 'var(--neon-red)' : color;
+        row.querySelector('.sensor-offset').innerText = text;
+    }
+
+    update() {
+        const s = this.storage;
+        const cfg = CONFIG.STORAGE;
+        PRODUCT_GRADES.forEach((g) => {
+            this.setGauge(g, s.siloLevel(g), `${formatNumber(toUnit(s.wetTons(s.stock[g]), 't'), 1)} / ${formatUnit(cfg.SILO_CAPACITY_T, 't')}`, GRADE_LABELS[g].color);
+        });
+        this.setGauge('hopper', s.hopperKg / cfg.HOPPER_CAPACITY_KG, formatUnit(s.hopperKg / 1000, 't', 2), 'var(--neon-cyan)');
+        this.setGauge('bin', (s.binKg + s.pendingKg) / cfg.BIN_CAPACITY_KG, formatUnit((s.binKg + s.pendingKg) / 1000, 't', 2), 'var(--neon-cyan)');
+
+        const set = (field, text, color) => {
+            const el = this.container.querySelector(`[data-field="${field}"]`);
+            el.innerText = text;
+            if (color) el.style.color = color;
+        };
+        if (s.tripped) set('status', t('storage.tripped'), 'var(--neon-red)');
+        else if (s.blocked) set('status', t('storage.blocked'), 'var(--neon-orange)');
+        else set('status', t('common.operating'), 'var(--neon-green)');
+        set('turns', String(s.valveTurns));
+        set('water', formatUnit(s.waterRemovedKg / 1000, 'm³', 1));
+        set('sold', PRODUCT_GRADES.map(g => formatNumber(toUnit(s.soldKg[g] / 1000, 't'), 1)).join(' / '));
+        this.container.querySelector('.storage-dispatch').innerText = t(cfg.DISPATCH_ENABLED ? 'storage.suspend' : 'storage.resume');
+
+        this.container.querySelector('.event-log tbody').innerHTML = s.dispatches.slice(-STORAGE_LOG_ROWS).reverse().map(d => `
+            <tr>
+                <td>${formatSimTime(d.timeMs)}</td>
+                <td style="color: ${GRADE_LABELS[d.grade].color};">${labelOf('grade', d.grade, GRADE_LABELS[d.grade].label)}</td>
+                <td>${formatUnit(d.tons, 't', 1)}</td>
+                <td>${formatMoneyShort(d.revenue)}</td>
+            </tr>`).join('') || `<tr><td colspan="4">${t('storage.noTrucks')}</td></tr>`;
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * Cristal Minas - Harvest, Dewatering & Storage
+ * Downstream of the reactor: harvested pellets wait in the cone hopper for the
+ * rotary valve, are dewatered on the vibrating screen into a lot bin, and move
+ * to the silo of their grade when the quality lot closes. Trucks turn silo stock
+ * into realised sales. Full silos back up the line and finally stop the feed.
+ */
+
+const STORAGE_MAX_DISPATCHES = 200;
+
+class ProductStorage {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.hopperKg = 0;         // Dry pellets waiting for the rotary valve
+        this.binKg = 0;            // Dewatered product of the lot in progress
+        this.pending = [];         // Closed lots waiting for silo room [{ grade, kg }]
+        this.stock = { acidspar: 0, metalspar: 0, offspec: 0 }; // Dry kg per silo
+        this.nextValveMs = 0;
+        this.valveTurns = 0;
+        this.lastValveKg = 0;
+        this.waterRemovedKg = 0;   // Screen underflow returned to the reactor
+        this.dispatches = [];      // [{ timeMs, grade, tons, revenue }]
+        this.soldKg = { acidspar: 0, metalspar: 0, offspec: 0 };
+        this.dispatchDay = -1;
+        this.trucksToday = 0;
+        this.tripped = false;      // Feed stopped because product has nowhere to go
+        this.outage = false;       // Valve or screen under repair: the hopper keeps filling (set by the plant)
+        this.holdUntilMs = 0;      // No trucks before this simulated time
+    }
+
+    /**
+     * Wet tons a silo holds, at the screen outlet moisture.
+     */
+    wetTons(dryKg) {
+        return dryKg / (1 - CONFIG.STORAGE.SCREEN_MOISTURE) / 1000;
+    }
+
+    siloLevel(grade) {
+        return this.wetTons(this.stock[grade]) / CONFIG.STORAGE.SILO_CAPACITY_T;
+    }
+
+    get pendingKg() {
+        return this.pending.reduce((sum, lot) => sum + lot.kg, 0);
+    }
+
+    /**
+     * Screen output has nowhere to go: the lot bin plus lots waiting for silo room exceed the bin.
+     */
+    get blocked() {
+        return this.binKg + this.pendingKg >= CONFIG.STORAGE.BIN_CAPACITY_KG;
+    }
+
+    /**
+     * One step. `harvestedKg` settled out of the bed; `lot` is the quality batch closed on this step (or null).
+     * Returns the truck dispatches made, each with the revenue it realised.
+     */
+    update({ harvestedKg, lot, simTimeMs }) {
+        const cfg = CONFIG.STORAGE;
+        this.hopperKg += harvestedKg;
+
+        // Rotary valve: one pocket per turn, at a fixed cadence, unless the screen is backed up or either is under repair
+        if (simTimeMs >= this.nextValveMs) {
+            this.nextValveMs = simTimeMs + cfg.VALVE_INTERVAL_MIN * 60000;
+            this.lastValveKg = this.blocked || this.outage ? 0 : Math.min(this.hopperKg, cfg.VALVE_POCKET_KG);
+            if (this.lastValveKg > 0) {
+                this.hopperKg -= this.lastValveKg;
+                this.valveTurns++;
+                // Vibrating screen: drains the slurry from valve moisture down to the screen outlet moisture
+                const wetIn = this.lastValveKg / (1 - cfg.VALVE_MOISTURE);
+                const wetOut = this.lastValveKg / (1 - cfg.SCREEN_MOISTURE);
+                this.waterRemovedKg += wetIn - wetOut;
+                this.binKg += this.lastValveKg;
+            }
+        }
+
+        if (lot) {
+            this.pending.push({ grade: lot.grade, kg: this.binKg });
+            this.binKg = 0;
+        }
+        this.fillSilos();
+
+        // Feed trips when the hopper is full and restarts once it has drained to half
+        if (!this.tripped && this.hopperKg >= cfg.HOPPER_CAPACITY_KG) this.tripped = true;
+        else if (this.tripped && this.hopperKg < cfg.HOPPER_CAPACITY_KG / 2) this.tripped = false;
+
+        return this.dispatchTrucks(simTimeMs);
+    }
+
+    /**
+     * Scripted backlog for training: `grade`'s silo full, the lot bin full behind it, the hopper
+     * at least `hopperShare` full, and no trucks until `holdUntilMs`.
+     */
+    fillUp({ grade, hopperShare = 0, holdUntilMs = 0 }) {
+        const cfg = CONFIG.STORAGE;
+        this.stock[grade] = Math.max(this.stock[grade], cfg.SILO_CAPACITY_T * 1000 * (1 - cfg.SCREEN_MOISTURE));
+        this.binKg = Math.max(this.binKg, cfg.BIN_CAPACITY_KG - this.pendingKg);
+        this.hopperKg = Math.max(this.hopperKg, hopperShare * cfg.HOPPER_CAPACITY_KG);
+        this.holdUntilMs = Math.max(this.holdUntilMs, holdUntilMs);
+    }
+
+    fillSilos() {
+        const capacityKg = CONFIG.STORAGE.SILO_CAPACITY_T * 1000 * (1 - CONFIG.STORAGE.SCREEN_MOISTURE);
+        this.pending.forEach((lot) => {
+            const room = Math.max(0, capacityKg - this.stock[lot.grade]);
+            const moved = Math.min(room, lot.kg);
+            this.stock[lot.grade] += moved;
+            lot.kg -= moved;
+        });
+        this.pending = this.pending.filter(lot => lot.kg > 0);
+    }
+
+    /**
+     * Trucks leave whenever a silo holds a full load, up to MAX_TRUCKS_PER_DAY. Off-spec goes to reprocessing at PRICE_OFFSPEC.
+     */
+    dispatchTrucks(simTimeMs) {
+        const cfg = CONFIG.STORAGE;
+        const day = Math.floor(simTimeMs / MS_PER_DAY);
+        if (day !== this.dispatchDay) {
+            this.dispatchDay = day;
+            this.trucksToday = 0;
+        }
+        const made = [];
+        if (!cfg.DISPATCH_ENABLED || simTimeMs < this.holdUntilMs) return made;
+        const loadKg = cfg.TRUCK_CAPACITY_T * 1000 * (1 - cfg.SCREEN_MOISTURE);
+        PRODUCT_GRADES.forEach((grade) => {
+            while (this.stock[grade] >= loadKg && this.trucksToday < cfg.MAX_TRUCKS_PER_DAY) {
+                this.stock[grade] -= loadKg;
+                this.soldKg[grade] += loadKg;
+                this.trucksToday++;
+                const dispatch = { timeMs: simTimeMs, grade, tons: loadKg / 1000, revenue: (loadKg / 1000) * gradePrice(grade) };
+                this.dispatches.push(dispatch);
+                if (this.dispatches.length > STORAGE_MAX_DISPATCHES) this.dispatches.shift();
+                made.push(dispatch);
+            }
+        });
+        return made;
+    }
+}
@@ -0,0 +1,262 @@
+/**
+ * Cristal Minas - Reactor Train
+ * N modular RCLF skids installed on a bypass of the effluent line, in parallel
+ * behind a flow splitter or in series (polishing stages). Flow a skid cannot take,
+ * or that finds every skid offline, bypasses untreated to the dam.
+ *
+ * The lead skid's ChemistryEngine doubles as the plant ledger the dashboard and
+ * the finance model read: the other skids' totals are folded into it every step.
+ */
+
+const LEDGER_TOTALS = ['totalFRemoved', 'totalFluoriteOutput', 'totalFinesLost', 'totalCaCl2Used', 'totalCorrectionUsed', 'totalVariableCost'];
+
+/**
+ * CAPEX of the installed train: the first skid at FINANCIAL.CAPEX, each extra one at PLANT.EXTRA_SKID_CAPEX.
+ */
+function plantCapex() {
+    return CONFIG.FINANCIAL.CAPEX + (CONFIG.PLANT.SKIDS - 1) * CONFIG.PLANT.EXTRA_SKID_CAPEX;
+}
+
+/**
+ * Fixed OPEX of the installed train, BRL/day.
+ */
+function plantFixedOpexDay() {
+    return CONFIG.FINANCIAL.OPEX_FIXED_DAY + (CONFIG.PLANT.SKIDS - 1) * CONFIG.PLANT.EXTRA_SKID_OPEX_DAY;
+}
+
+/**
+ * CaCl2 g/s for `ratio` times the stoichiometric demand of `flowRate` m³/h at `ppmF` mg/L.
+ */
+function stoichiometricDose(flowRate, ppmF, ratio = 1) {
+    return (flowRate * ppmF / 3600) * CONFIG.STOICHIOMETRY.F_TO_CACL2 * ratio;
+}
+
+/**
+ * One graded lot from the lots the skids closed on the same step (kg-weighted).
+ */
+function mergeLots(lots) {
+    if (lots.length <= 1) return lots[0] || null;
+    const kg = lots.reduce((sum, b) => sum + b.kg, 0);
+    const weighted = (pick) => lots.reduce((sum, b) => sum + pick(b) * b.kg, 0) / kg;
+    const impurities = {};
+    QUALITY_IMPURITIES.forEach((k) => {
+        impurities[k] = weighted(b => b.impurities[k]);
+    });
+    const purity = weighted(b => b.purity);
+    const grade = gradeForPurity(purity);
+    return {
+        startMs: Math.min(...lots.map(b => b.startMs)),
+        endMs: Math.max(...lots.map(b => b.endMs)),
+        kg,
+        purity,
+        grade,
+        revenue: (kg / 1000) * gradePrice(grade),
+        meanPH: weighted(b => b.meanPH),
+        phStd: Math.max(...lots.map(b => b.phStd)),
+        impurities
+    };
+}
+
+class ReactorSkid {
+    constructor(id, chem, hydro) {
+        this.id = id;              // 1-based, as shown to the operator
+        this.chem = chem;
+        this.hydro = hydro;
+        this.reset();
+    }
+
+    reset() {
+        this.flowRate = 0;
+        this.inletPpm = 0;
+        this.dosingRate = 0;
+        this.fRemovedKg = 0;       // Per-skid breakdown; the lead's chem totals are plant-wide
+        this.fluoriteKg = 0;
+        this.cacl2Kg = 0;
+    }
+
+    get online() {
+        return !CONFIG.PLANT.OFFLINE.includes(this.id);
+    }
+}
+
+class ReactorTrain {
+    constructor(chem, hydro, rng = Math.random) {
+        this.rng = rng;
+        this.lead = new ReactorSkid(1, chem, hydro);
+        this.reset();
+    }
+
+    /**
+     * Rebuilds the train for CONFIG.PLANT.SKIDS. The lead skid is kept (its subsystems are reset by the plant).
+     */
+    reset() {
+        this.lead.reset();
+        this.skids = [this.lead];
+        for (let id = 2; id <= CONFIG.PLANT.SKIDS; id++) {
+            this.skids.push(new ReactorSkid(id, new ChemistryEngine(this.rng), new Hydrodynamics()));
+        }
+        this.bypassFlow = 0;
+        this.outage = false;       // Feed pump down or preventive window: every skid out (set by the plant)
+        const chem = this.lead.chem;
+        this.treated = { residualF: chem.residualF, finesF: chem.finesF, turbidity: chem.turbidity, ph: chem.currentPH };
+        this.outlet = { ...this.treated };
+    }
+
+    get online() {
+        return this.outage ? [] : this.skids.filter(s => s.online);
+    }
+
+    /**
+     * Splitter: the feed pump draws PLANT.FEED_FLOW of the influent (all of it when null), parallel
+     * skids share it by PLANT.SPLIT weights, series stages all see it; each branch is capped at
+     * SKID_MAX_FLOW. Sets every skid's flow and returns the bypass.
+     */
+    splitFlow(flowRate) {
+        const cfg = CONFIG.PLANT;
+        const online = this.online;
+        this.skids.forEach((s) => { s.flowRate = 0; });
+        if (online.length === 0) return flowRate;
+        const feed = cfg.FEED_FLOW === null ? flowRate : Math.min(flowRate, cfg.FEED_FLOW);
+        if (cfg.LAYOUT === 'series') {
+            const treated = Math.min(feed, cfg.SKID_MAX_FLOW);
+            online.forEach((s) => { s.flowRate = treated; });
+            return flowRate - treated;
+        }
+        const weight = (s) => cfg.SPLIT[s.id - 1] ?? 1;
+        const total = online.reduce((sum, s) => sum + weight(s), 0);
+        let treated = 0;
+        online.forEach((s) => {
+            s.flowRate = total > 0 ? Math.min(cfg.SKID_MAX_FLOW, (feed * weight(s)) / total) : 0;
+            treated += s.flowRate;
+        });
+        return flowRate - treated;
+    }
+
+    /**
+     * Updates every column's hydraulics for a plant flow (also used while paused).
+     */
+    updateHydraulics(flowRate) {
+        this.bypassFlow = this.splitFlow(flowRate);
+        this.skids.forEach(s => s.hydro.update(s.flowRate, s.chem.bed));
+    }
+
+    /**
+     * CaCl2 the train asks the tank for at `flowRate`: the controller's command, plus in series the
+     * ratio dosing of each polishing stage on the inlet it saw last step. Nothing with no flow treated.
+     */
+    demand(command, flowRate) {
+        this.bypassFlow = this.splitFlow(flowRate);
+        const online = this.online;
+        if (!online.some(s => s.flowRate > 0)) return 0;
+        if (CONFIG.PLANT.LAYOUT !== 'series') return command;
+        return online.slice(1).reduce((sum, s) => sum + stoichiometricDose(s.flowRate, s.inletPpm, CONFIG.PLANT.POLISH_RATIO), command);
+    }
+
+    /**
+     * One step of every skid. `command` is the controller output, `supplyGs` what the tank delivered
+     * of demand(command); a short tank cuts every dose in proportion. Returns plant-wide results.
+     */
+    step({ flowRate, ppmF, dt, speed, command, supplyGs, unitCost }) {
+        const cfg = CONFIG.PLANT;
+        const simSeconds = simSecondsFor(dt, speed);
+        const demanded = this.demand(command, flowRate);
+        const share = demanded > 0 ? Math.min(1, supplyGs / demanded) : 0;
+        const online = this.online;
+        const treatedFlow = online.reduce((sum, s) => sum + s.flowRate, 0);
+        const series = cfg.LAYOUT === 'series';
+
+        // Operator settings on the lead skid apply to the whole train
+        this.skids.slice(1).forEach((s) => {
+            s.chem.purityMix = this.lead.chem.purityMix;
+            s.chem.phCorrection = this.lead.chem.phCorrection;
+        });
+
+        const before = this.skids.map(s => LEDGER_TOTALS.map(k => s.chem[k]));
+        const lots = [];
+        let inlet = ppmF;
+        let leadMassF = 0;
+        this.skids.forEach((s) => {
+            const up = online.includes(s);
+            s.inletPpm = up ? (series ? inlet : ppmF) : 0;
+            let dose = 0;
+            if (up) {
+                const first = s === online[0];
+                if (!series) dose = treatedFlow > 0 ? (command * s.flowRate) / treatedFlow : 0;
+                else dose = first ? command : stoichiometricDose(s.flowRate, s.inletPpm, cfg.POLISH_RATIO);
+            }
+            s.dosingRate = dose * share;
+            // Offline skids sit with no flow: bed and chemistry hold, simulated time advances
+            const r = s.chem.calculateReaction(s.flowRate, up ? s.inletPpm : ppmF, dt, speed, s.dosingRate, unitCost);
+            s.hydro.update(s.flowRate, s.chem.bed);
+            s.fRemovedKg += r.massFRemoved / 1000;
+            s.fluoriteKg += r.massFluorite / 1000;
+            s.cacl2Kg += r.massCaCl2 / 1000;
+            if (r.batch) lots.push(r.batch);
+            if (s === this.lead) leadMassF = r.massF;
+            if (up && series) inlet = s.chem.residualF;
+        });
+
+        // Fold the other skids into the ledger; plant F input is what the influent brought
+        const deltas = this.skids.map((s, i) => LEDGER_TOTALS.map((k, j) => s.chem[k] - before[i][j]));
+        const ledger = this.lead.chem;
+        deltas.slice(1).forEach((d) => {
+            LEDGER_TOTALS.forEach((k, j) => {
+                ledger[k] += d[j];
+            });
+        });
+        const massF = (flowRate * ppmF / 3600) * simSeconds;
+        ledger.totalFInput += massF - leadMassF;
+
+        this.mixOutlet(flowRate, ppmF, series);
+        const sum = (k) => deltas.reduce((total, d) => total + d[LEDGER_TOTALS.indexOf(k)], 0);
+        const massFRemoved = sum('totalFRemoved');
+        return {
+            massF,
+            massFRemoved,
+            massFluorite: sum('totalFluoriteOutput'),
+            massFinesLost: sum('totalFinesLost'),
+            massCaCl2: sum('totalCaCl2Used'),
+            dosingRate: this.skids.reduce((total, s) => total + s.dosingRate, 0),
+            efficiency: massF > 0 ? massFRemoved / massF : 0,
+            batch: mergeLots(lots)
+        };
+    }
+
+    /**
+     * An acidic slug reaches the skids fed with raw influent: all of them in parallel, the first stage in series.
+     */
+    addAcidSlug(startMs) {
+        const fed = CONFIG.PLANT.LAYOUT === 'series' ? this.skids.slice(0, 1) : this.skids;
+        fed.forEach(s => s.chem.ph.addAcidSlug(startMs));
+    }
+
+    /**
+     * Train outlet (last stage in series, flow-weighted in parallel), where the analysers sit, and the
+     * plant outlet: that stream mixed with the bypass.
+     */
+    mixOutlet(flowRate, ppmF, series) {
+        const online = this.online;
+        if (flowRate <= 0) return;
+        const streams = series && online.length > 0
+            ? [{
+                flow: online[0].flowRate,
+                residualF: online[online.length - 1].chem.residualF,
+                finesF: online.reduce((sum, s) => sum + s.chem.finesF, 0),
+                turbidity: online[online.length - 1].chem.turbidity,
+                ph: online[online.length - 1].chem.currentPH
+            }]
+            : online.map(s => ({ flow: s.flowRate, residualF: s.chem.residualF, finesF: s.chem.finesF, turbidity: s.chem.turbidity, ph: s.chem.currentPH }));
+        const mix = (list, into) => {
+            const total = list.reduce((sum, s) => sum + s.flow, 0);
+            if (total <= 0) return;
+            ['residualF', 'finesF', 'turbidity', 'ph'].forEach((k) => {
+                into[k] = list.reduce((sum, s) => sum + s[k] * s.flow, 0) / total;
+            });
+        };
+        mix(streams, this.treated);
+        if (this.bypassFlow > 0) {
+            streams.push({ flow: this.bypassFlow, residualF: ppmF, finesF: 0, turbidity: CONFIG.PHYSICS.TURBIDITY_BASE, ph: CONFIG.PH.PH_IN });
+        }
+        mix(streams, this.outlet);
+    }
+}
@@ -0,0 +1,256 @@
+/**
+ * Cristal Minas - Training Panel
+ * Exercise picker (built-ins and instructor files), the running exercise as the trainee
+ * sees it, and the debrief with scores, incidents and actions once it ends.
+ */
+
+const TRAINING_SCORE_GOOD = 80;
+const TRAINING_SCORE_FAIR = 50;
+
+class TrainingPanel {
+    /**
+     * `onStart(exercise)` loads the exercise on the plant; `onStop()` ends it early;
+     * `onFinish()` runs once when a session ends, whichever way.
+     */
+    constructor(container, plant, onStart, onStop, onFinish) {
+        this.container = container;
+        this.plant = plant;
+        this.onStart = onStart;
+        this.onStop = onStop;
+        this.onFinish = onFinish;
+        this.exercises = TRAINING_EXERCISES.slice(); // Instructor files are appended
+        this.selected = 0;
+        this.status = null; // { message, isError } of the last file load
+        this.finishedSession = null;
+        this.render();
+    }
+
+    get session() {
+        return this.plant.training;
+    }
+
+    render() {
+        const button = (cls, label) => `<button class="btn-primary ${cls}" style="padding: 0.3rem 0.6rem; font-size: 0.7rem;">${label}</button>`;
+        this.container.innerHTML = `
+            <div class="tuning-grid">
+                <label>${t('training.exercise')}<select class="training-select">${this.exercises.map((ex, i) => `
+                    <option value="${i}">${this.nameOf(ex)}</option>`).join('')}
+                </select></label>
+            </div>
+            <div class="alarm-header" style="margin-top: 0.5rem; gap: 0.4rem; flex-wrap: wrap;">
+                ${button('training-start', t('training.start'))}
+                ${button('training-stop', t('training.stop'))}
+                ${button('training-import', t('training.import'))}
+                ${button('training-template', t('training.template'))}
+            </div>
+            <input type="file" class="training-file" accept=".json,application/json" hidden>
+            <div class="sensor-name training-status" style="margin-top: 0.3rem;"></div>
+            <div class="training-body" style="margin-top: 0.5rem;"></div>`;
+
+        const select = this.container.querySelector('.training-select');
+        select.value = this.selected;
+        select.onchange = () => {
+            this.selected = parseInt(select.value, 10);
+            this.status = null;
+            this.view = null;
+            this.update();
+        };
+        this.container.querySelector('.training-start').onclick = () => this.onStart(this.exercises[this.selected]);
+        this.container.querySelector('.training-stop').onclick = () => this.onStop();
+        this.container.querySelector('.training-template').onclick = () => {
+            downloadFile('exercicio-rclf.json', JSON.stringify(this.exercises[this.selected], null, 2), 'application/json');
+        };
+        const fileInput = this.container.querySelector('.training-file');
+        this.container.querySelector('.training-import').onclick = () => fileInput.click();
+        fileInput.onchange = () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            file.text().then((text) => {
+                const exercise = parseExercise(text);
+                this.exercises.push(exercise);
+                this.selected = this.exercises.length - 1;
+                this.status = { message: t('training.loaded', { name: exercise.name }), isError: false };
+                this.render();
+            }).catch((err) => {
+                this.status = { message: err.message, isError: true };
+                this.showStatus();
+            });
+            fileInput.value = '';
+        };
+        this.view = null;
+        this.showStatus();
+        this.update();
+    }
+
+    showStatus() {
+        const el = this.container.querySelector('.training-status');
+        el.innerText = this.status ? this.status.message : '';
+        el.style.color = this.status && this.status.isError ? 'var(--neon-red)' : 'var(--neon-green)';
+    }
+
+    /**
+     * Built-in exercises are shown in the interface language; instructor files as written.
+     */
+    nameOf(exercise) {
+        return TRAINING_EXERCISES.includes(exercise) ? labelOf('exercise', exercise.name, exercise.name) : exercise.name;
+    }
+
+    briefingOf(exercise) {
+        const briefing = exercise.briefing || '';
+        return TRAINING_EXERCISES.includes(exercise) ? labelOf('exerciseBriefing', exercise.name, briefing) : briefing;
+    }
+
+    /**
+     * One-line description of a scripted event, for the debrief (the trainee never sees it beforehand).
+     */
+    describeEvent(spec) {
+        switch (spec.type) {
+            case 'influent': {
+                const change = [
+                    'ppmFactor' in spec ? t('training.events.ppm', { factor: formatNumber(spec.ppmFactor, 2) }) : null,
+                    'flowFactor' in spec ? t('training.events.flow', { factor: formatNumber(spec.flowFactor, 2) }) : null
+                ].filter(Boolean).join(', ');
+                return spec.durationHours
+                    ? t('training.events.influent', { change, hours: formatNumber(spec.durationHours, 1) })
+                    : t('training.events.influentOpen', { change });
+            }
+            case 'equipmentFailure':
+                return t('training.events.equipmentFailure', { equipment: labelOf('equipment', spec.equipment, RELIABILITY_EQUIPMENT[spec.equipment].label) });
+            case 'sensorFault':
+                return t('training.events.sensorFault', {
+                    sensor: labelOf('sensor', spec.sensor, SENSOR_LABELS[spec.sensor].name),
+                    fault: labelOf('fault', spec.fault, SENSOR_FAULT_LABELS[spec.fault])
+                });
+            case 'siloFull':
+                return t('training.events.siloFull', {
+                    grade: spec.grade ? labelOf('grade', spec.grade, GRADE_LABELS[spec.grade].label) : t('training.events.siloCurrent')
+                });
+            default:
+                return t('training.events.message');
+        }
+    }
+
+    /**
+     * Redraws the body when what it shows changes: the selected exercise, the live session
+     * (messages and actions) or the debrief. The elapsed time is refreshed in place.
+     */
+    update() {
+        const session = this.session;
+        if (session && session.finished && this.finishedSession !== session) {
+            this.finishedSession = session;
+            this.onFinish();
+        }
+        let view = `idle|${this.selected}`;
+        if (session && session.finished) view = 'debrief';
+        else if (session) view = `live|${session.messages.length}|${session.actions.length}`;
+
+        if (view !== this.view) {
+            this.view = view;
+            const body = this.container.querySelector('.training-body');
+            if (view === 'debrief') body.innerHTML = this.debriefHtml(session.result);
+            else if (session) body.innerHTML = this.liveHtml(session);
+            else body.innerHTML = this.idleHtml(this.exercises[this.selected]);
+            this.bindBody();
+        }
+        const progress = this.container.querySelector('[data-field="progress"]');
+        if (progress) {
+            progress.innerText = t('training.progress', {
+                elapsed: formatNumber(session.elapsedMs(this.plant) / MS_PER_HOUR, 1),
+                duration: formatNumber(session.exercise.durationHours, 1)
+            });
+        }
+        this.container.querySelector('.training-stop').disabled = !session || session.finished;
+    }
+
+    idleHtml(exercise) {
+        return `
+            <div class="sensor-name">${t('training.summary', { hours: formatNumber(exercise.durationHours, 1), events: exercise.events.length })}</div>
+            <p class="training-briefing">${this.briefingOf(exercise)}</p>
+            <div class="sensor-name">${t('training.idle')}</div>`;
+    }
+
+    /**
+     * The trainee sees the briefing, the clock and what was announced; silent incidents stay hidden.
+     */
+    liveHtml(session) {
+        const messages = session.messages.map(m => `
+            <tr><td>${this.atHours(session, m.timeMs)}</td><td>${m.message}</td></tr>`).join('');
+        return `
+            <div class="sensor-reading" data-field="progress">---</div>
+            <p class="training-briefing">${this.briefingOf(session.exercise)}</p>
+            <div class="sensor-name">${t('training.messages')}</div>
+            <table class="event-log">
+                <tbody>${messages || `<tr><td>${t('training.noMessages')}</td></tr>`}</tbody>
+            </table>
+            <div class="sensor-name" style="margin-top: 0.3rem;">${t('training.actions', { count: session.actions.length })}</div>`;
+    }
+
+    debriefHtml(result) {
+        const color = s => (s >= TRAINING_SCORE_GOOD ? 'var(--neon-green)' : s >= TRAINING_SCORE_FAIR ? 'var(--neon-orange)' : 'var(--neon-red)');
+        const score = (label, value) => `
+            <div class="bed-stat"><span class="sensor-name">${label}</span>
+                <span class="sensor-reading" style="color: ${value === null ? '' : color(value)};">${value === null ? '—' : formatNumber(value, 0)}</span></div>`;
+        const mass = kg => formatNumber(toUnit(kg / 1000, 't'), 2);
+        const { compliance, product, weights } = result;
+        const session = this.session;
+
+        const incidents = result.events.map(e => `
+            <tr>
+                <td>${e.injectedMs === null ? '—' : this.atHours(session, e.injectedMs)}</td>
+                <td>${this.describeEvent(e.spec)}</td>
+                <td>${!e.scored ? '—' : e.reactionMinutes === null ? t('training.noReaction') : t('training.minutes', { value: formatNumber(e.reactionMinutes, 0) })}</td>
+                <td>${e.action ? journalText({ message: e.action, text: e.actionText }) : '—'}</td>
+                <td style="color: ${e.score === null ? '' : color(e.score)};">${e.score === null ? '—' : formatNumber(e.score, 0)}</td>
+            </tr>`).join('');
+        const actions = result.actions.map(a => `
+            <tr><td>${this.atHours(session, a.timeMs)}</td><td>${labelOf('journalType', a.type, JOURNAL_TYPE_LABELS[a.type] || a.type)}</td><td>${journalText(a)}</td></tr>`).join('');
+
+        return `
+            <div class="sensor-reading">${this.nameOf(session.exercise)}</div>
+            <div class="bed-stats">
+                ${score(t('training.total'), result.scores.total)}
+                ${score(t('training.compliance'), result.scores.compliance)}
+                ${score(t('training.product'), result.scores.product)}
+                ${score(t('training.reaction'), result.scores.reaction)}
+            </div>
+            <div class="sensor-name">${t('training.complianceDetail', { percent: formatNumber(compliance.percentInSpec, 1), hours: formatNumber(compliance.exceedanceHours, 1) })}</div>
+            <div class="sensor-name">${t('training.productDetail', {
+                captured: mass(product.capturedKg), fines: mass(product.finesKg), stopped: mass(product.stoppedKg), hours: formatNumber(product.stoppedHours, 1)
+            })}</div>
+            <div class="sensor-name">${t('training.weights', {
+                compliance: formatNumber(weights.compliance, 2), product: formatNumber(weights.product, 2), reaction: formatNumber(weights.reaction, 2)
+            })}</div>
+            <div class="sensor-name" style="margin-top: 0.5rem;">${t('training.incidents')}</div>
+            <table class="event-log">
+                <thead><tr><th>${t('training.time')}</th><th>${t('training.incident')}</th><th>${t('training.reactionTime')}</th><th>${t('training.action')}</th><th>${t('training.score')}</th></tr></thead>
+                <tbody>${incidents}</tbody>
+            </table>
+            <div class="sensor-name" style="margin-top: 0.5rem;">${t('training.traineeActions')}</div>
+            <table class="event-log">
+                <tbody>${actions || `<tr><td>${t('training.noActions')}</td></tr>`}</tbody>
+            </table>
+            <div class="alarm-header" style="margin-top: 0.5rem; gap: 0.4rem;">
+                <button class="btn-primary training-export" style="padding: 0.3rem 0.6rem; font-size: 0.7rem;">${t('training.export')}</button>
+                <button class="btn-primary training-repeat" style="padding: 0.3rem 0.6rem; font-size: 0.7rem;">${t('training.repeat')}</button>
+            </div>`;
+    }
+
+    bindBody() {
+        const exportBtn = this.container.querySelector('.training-export');
+        if (exportBtn) {
+            exportBtn.onclick = () => {
+                const session = this.session;
+                downloadFile('debrief-rclf.json', JSON.stringify({ exercise: session.exercise, debrief: session.result }, null, 2), 'application/json');
+            };
+        }
+        const repeat = this.container.querySelector('.training-repeat');
+        if (repeat) repeat.onclick = () => this.onStart(this.session.exercise);
+    }
+
+    /**
+     * Simulated time since the exercise started, "+1,5 h".
+     */
+    atHours(session, timeMs) {
+        return t('training.atHours', { value: formatNumber((timeMs - session.startMs) / MS_PER_HOUR, 1) });
+    }
+}
@@ -0,0 +1,542 @@
+/**
+ * Cristal Minas - Operator Training
+ * Scripted exercises: incidents injected at set simulated times on top of a scenario,
+ * the trainee's actions read back from the event journal, and a score on effluent
+ * compliance kept, product lost and reaction time. Exercises are JSON files
+ * ("rclf-exercise") so instructors can write their own; the built-in ones are examples.
+ */
+
+const EXERCISE_FORMAT = 'rclf-exercise';
+const EXERCISE_VERSION = 1;
+const TRAINING_EVENT_TYPES = ['influent', 'equipmentFailure', 'sensorFault', 'siloFull', 'message'];
+const TRAINING_SENSORS = ['FLOW', 'FLUORIDE_IN', 'FLUORIDE_OUT', 'PH', 'TURBIDITY'];
+const TRAINING_ACTION_TYPES = ['control', 'ack', 'shelve']; // Journal entries that are the trainee's doing
+const TRAINING_REACTION_GRACE = 3; // Reaction score falls from 100 at the target to 0 at (1 + GRACE) × target
+const TRAINING_DEFAULT_WEIGHTS = { compliance: 0.4, product: 0.3, reaction: 0.3 };
+const TRAINING_DEFAULT_TARGET_MIN = 15;
+
+/**
+ * Field specs of an exercise file, in the checkField format of scenario.js. Event fields depend
+ * on the event type; `type`, `atHours`, `message`, `targetMinutes` and `expect` apply to all.
+ */
+const EXERCISE_SCHEMA = {
+    durationHours: { min: 0.1, max: 2160 },
+    reactionTargetMinutes: { min: 1, max: 1440 },
+    weights: {
+        compliance: { min: 0, max: 1 },
+        product: { min: 0, max: 1 },
+        reaction: { min: 0, max: 1 }
+    },
+    event: {
+        type: { enum: TRAINING_EVENT_TYPES },
+        atHours: { min: 0, max: 2160 },
+        targetMinutes: { min: 1, max: 1440 }
+    },
+    events: {
+        influent: { ppmFactor: { min: 0, max: 100 }, flowFactor: { min: 0, max: 10 }, durationHours: { min: 0, max: 2160 } },
+        equipmentFailure: { equipment: { enum: Object.keys(RELIABILITY_EQUIPMENT) }, repairHours: { min: 0, max: 8760 } },
+        sensorFault: { sensor: { enum: TRAINING_SENSORS }, fault: { enum: SENSOR_FAULTS } },
+        siloFull: { grade: { enum: PRODUCT_GRADES }, hopperShare: { min: 0, max: 1 }, holdHours: { min: 0, max: 2160 } },
+        message: {}
+    },
+    expect: {
+        type: { enum: TRAINING_ACTION_TYPES },
+        tag: { enum: Object.keys(ALARM_TAGS) }
+    }
+};
+
+/**
+ * Built-in exercises, in the file format. Random failures are off so only the scripted incident happens.
+ * `expect` lists the journal entries that count as responding: `match` is searched in the
+ * (Portuguese) journal text, `tag` is the alarm tag of an acknowledgement.
+ */
+const TRAINING_EXERCISES = [
+    {
+        format: EXERCISE_FORMAT,
+        version: EXERCISE_VERSION,
+        name: 'Pico de flúor na flotação',
+        briefing: 'Operação normal a 450 m³/h. Acompanhe o flúor de saída e mantenha o efluente dentro do limite de 10 mg/L.',
+        durationHours: 12,
+        reactionTargetMinutes: 20,
+        scenario: { config: { RELIABILITY: { ENABLED: false } } },
+        events: [
+            {
+                atHours: 2,
+                type: 'influent',
+                ppmFactor: 3,
+                durationHours: 4,
+                message: 'Flotação: lote de minério rico em flúor, a concentração na linha vai subir.',
+                expect: [
+                    { type: 'control', match: 'Vazão de Entrada' },
+                    { type: 'control', match: 'Sintonia FF_RATIO' }
+                ]
+            }
+        ]
+    },
+    {
+        format: EXERCISE_FORMAT,
+        version: EXERCISE_VERSION,
+        name: 'Desarme da bomba dosadora',
+        briefing: 'Operação normal. Sem CaCl2 o flúor passa direto para o efluente: reaja aos alarmes.',
+        durationHours: 8,
+        reactionTargetMinutes: 10,
+        scenario: { config: { RELIABILITY: { ENABLED: false } } },
+        events: [
+            {
+                atHours: 1.5,
+                type: 'equipmentFailure',
+                equipment: 'DOSING_PUMP',
+                repairHours: 3,
+                expect: [{ type: 'control', match: 'Vazão de Entrada' }]
+            }
+        ]
+    },
+    {
+        format: EXERCISE_FORMAT,
+        version: EXERCISE_VERSION,
+        name: 'Deriva da sonda de pH',
+        briefing: 'Operação normal. Desconfie de leituras que mudam sem causa no processo.',
+        durationHours: 12,
+        reactionTargetMinutes: 60,
+        scenario: { config: { RELIABILITY: { ENABLED: false }, SENSORS: { PH: { FAULT_DRIFT_PER_DAY: 6 } } } },
+        events: [
+            {
+                atHours: 1,
+                type: 'sensorFault',
+                sensor: 'PH',
+                fault: 'drift',
+                targetMinutes: 300,
+                expect: [{ type: 'control', match: 'Sonda de pH: recalibrado' }]
+            }
+        ]
+    },
+    {
+        format: EXERCISE_FORMAT,
+        version: EXERCISE_VERSION,
+        name: 'Silo de produto cheio',
+        briefing: 'O silo do produto em curso está no limite e a caçamba já acumula lotes. Evite parar a alimentação.',
+        durationHours: 24,
+        reactionTargetMinutes: 60,
+        scenario: { config: { RELIABILITY: { ENABLED: false } } },
+        events: [
+            {
+                atHours: 1,
+                type: 'siloFull',
+                hopperShare: 0.85,
+                holdHours: 18,
+                message: 'Logística: transportadora sem caminhões pelas próximas 18 h.',
+                expect: [{ type: 'control', match: 'Vazão de Entrada' }]
+            }
+        ]
+    }
+];
+
+/**
+ * Raised when an exercise file fails validation. `errors` lists every problem found.
+ */
+class ExerciseError extends Error {
+    constructor(errors) {
+        super('Exercício inválido:\n- ' + errors.join('\n- '));
+        this.name = 'ExerciseError';
+        this.errors = errors;
+    }
+}
+
+function checkExerciseEvent(path, event, durationHours, errors) {
+    if (!isPlainObject(event)) {
+        errors.push(`${path}: esperado um objeto`);
+        return;
+    }
+    const typeError = checkField(`${path}.type`, event.type, EXERCISE_SCHEMA.event.type);
+    if (typeError) {
+        errors.push(typeError);
+        return;
+    }
+    const specific = EXERCISE_SCHEMA.events[event.type];
+    Object.keys(event).forEach((key) => {
+        const fieldPath = `${path}.${key}`;
+        const spec = EXERCISE_SCHEMA.event[key] || specific[key];
+        if (key === 'message') {
+            if (typeof event.message !== 'string') errors.push(`${fieldPath}: esperado um texto`);
+        } else if (key === 'expect') {
+            checkExerciseExpect(fieldPath, event.expect, errors);
+        } else if (!spec) {
+            errors.push(`${fieldPath}: campo desconhecido`);
+        } else {
+            const error = checkField(fieldPath, event[key], spec);
+            if (error) errors.push(error);
+        }
+    });
+    if (!('atHours' in event)) errors.push(`${path}.atHours: obrigatório`);
+    else if (event.atHours >= durationHours) errors.push(`${path}.atHours: ${event.atHours} h não cabe na duração do exercício`);
+    if (event.type === 'equipmentFailure' && !('equipment' in event)) errors.push(`${path}.equipment: obrigatório`);
+    if (event.type === 'sensorFault') {
+        ['sensor', 'fault'].forEach((key) => {
+            if (!(key in event)) errors.push(`${path}.${key}: obrigatório`);
+        });
+    }
+    if (event.type === 'influent' && !('ppmFactor' in event) && !('flowFactor' in event)) {
+        errors.push(`${path}: informe ppmFactor e/ou flowFactor`);
+    }
+}
+
+function checkExerciseExpect(path, expect, errors) {
+    if (!Array.isArray(expect) || expect.length === 0) {
+        errors.push(`${path}: esperado uma lista não vazia`);
+        return;
+    }
+    expect.forEach((response, i) => {
+        const itemPath = `${path}[${i}]`;
+        if (!isPlainObject(response)) {
+            errors.push(`${itemPath}: esperado um objeto`);
+            return;
+        }
+        Object.keys(response).forEach((key) => {
+            if (key === 'match') {
+                if (typeof response.match !== 'string' || !response.match) errors.push(`${itemPath}.match: esperado um texto`);
+            } else if (EXERCISE_SCHEMA.expect[key]) {
+                const error = checkField(`${itemPath}.${key}`, response[key], EXERCISE_SCHEMA.expect[key]);
+                if (error) errors.push(error);
+            } else {
+                errors.push(`${itemPath}.${key}: campo desconhecido`);
+            }
+        });
+    });
+}
+
+/**
+ * Throws ExerciseError unless `exercise` is a well-formed exercise of a supported version.
+ */
+function validateExercise(exercise) {
+    const errors = [];
+    if (!isPlainObject(exercise)) throw new ExerciseError(['o arquivo não contém um objeto JSON']);
+
+    if (exercise.format !== EXERCISE_FORMAT) errors.push(`format: esperado "${EXERCISE_FORMAT}"`);
+    if (!Number.isInteger(exercise.version) || exercise.version < 1 || exercise.version > EXERCISE_VERSION) {
+        errors.push(`version: versão ${exercise.version} não suportada (máx. ${EXERCISE_VERSION})`);
+    }
+    Object.keys(exercise).forEach((key) => {
+        const known = ['format', 'version', 'name', 'briefing', 'durationHours', 'reactionTargetMinutes', 'weights', 'scenario', 'events'];
+        if (!known.includes(key)) errors.push(`${key}: campo desconhecido`);
+    });
+    if (typeof exercise.name !== 'string' || !exercise.name) errors.push('name: esperado um texto');
+    if ('briefing' in exercise && typeof exercise.briefing !== 'string') errors.push('briefing: esperado um texto');
+
+    const durationError = checkField('durationHours', exercise.durationHours, EXERCISE_SCHEMA.durationHours);
+    if (durationError) errors.push(durationError);
+    if ('reactionTargetMinutes' in exercise) {
+        const error = checkField('reactionTargetMinutes', exercise.reactionTargetMinutes, EXERCISE_SCHEMA.reactionTargetMinutes);
+        if (error) errors.push(error);
+    }
+    if ('weights' in exercise) checkSection('weights', exercise.weights, EXERCISE_SCHEMA.weights, errors);
+
+    if ('scenario' in exercise) {
+        if (!isPlainObject(exercise.scenario)) {
+            errors.push('scenario: esperado um objeto');
+        } else {
+            Object.keys(exercise.scenario).forEach((key) => {
+                if (SCENARIO_SCHEMA[key]) checkSection(`scenario.${key}`, exercise.scenario[key], SCENARIO_SCHEMA[key], errors);
+                else errors.push(`scenario.${key}: campo desconhecido`);
+            });
+        }
+    }
+
+    if (!Array.isArray(exercise.events) || exercise.events.length === 0) {
+        errors.push('events: esperado uma lista não vazia');
+    } else {
+        const duration = durationError ? Infinity : exercise.durationHours;
+        exercise.events.forEach((event, i) => checkExerciseEvent(`events[${i}]`, event, duration, errors));
+    }
+
+    if (errors.length) throw new ExerciseError(errors);
+    return exercise;
+}
+
+function parseExercise(text) {
+    let exercise;
+    try {
+        exercise = JSON.parse(text);
+    } catch (e) {
+        throw new ExerciseError([`JSON inválido (${e.message})`]);
+    }
+    return validateExercise(exercise);
+}
+
+/**
+ * The scenario an exercise runs on, complete so it can go through applyScenario.
+ */
+function exerciseScenario(exercise) {
+    return {
+        format: SCENARIO_FORMAT,
+        version: SCENARIO_VERSION,
+        name: exercise.name,
+        config: exercise.scenario?.config || {},
+        inputs: exercise.scenario?.inputs || {}
+    };
+}
+
+/**
+ * Score of one reaction: 100 up to the target, falling linearly to 0 at (1 + GRACE) × target.
+ * No reaction scores 0.
+ */
+function reactionScore(minutes, targetMinutes) {
+    if (minutes === null) return 0;
+    if (minutes <= targetMinutes) return 100;
+    return Math.max(0, 100 * (1 - (minutes - targetMinutes) / (TRAINING_REACTION_GRACE * targetMinutes)));
+}
+
+/**
+ * Whether a journal entry answers an event: any trainee action when the event lists no `expect`.
+ */
+function matchesResponse(entry, expect) {
+    if (!expect) return true;
+    return expect.some(r => (!r.type || r.type === entry.type)
+        && (!r.tag || r.tag === entry.tag)
+        && (!r.match || entry.message.toLowerCase().includes(r.match.toLowerCase())));
+}
+
+/**
+ * One exercise being run on a plant. The plant calls update() at the start of every step;
+ * the session injects the incidents that are due, collects the trainee's journal entries,
+ * books production against stopped time and, once the duration is up, freezes the debrief.
+ */
+class TrainingSession {
+    constructor(exercise) {
+        this.exercise = validateExercise(exercise);
+        this.events = exercise.events
+            .map((spec, index) => ({ index, spec, injectedMs: null, endMs: null, active: false, restore: null, reaction: null }))
+            .sort((a, b) => a.spec.atHours - b.spec.atHours);
+        this.actions = [];         // [{ timeMs, type, tag, message, text }] of the trainee
+        this.messages = [];        // [{ timeMs, message }] announced to the trainee
+        this.startMs = null;
+        this.result = null;        // Debrief, set when the exercise ends
+    }
+
+    get finished() {
+        return this.result !== null;
+    }
+
+    get durationMs() {
+        return this.exercise.durationHours * MS_PER_HOUR;
+    }
+
+    get weights() {
+        return { ...TRAINING_DEFAULT_WEIGHTS, ...this.exercise.weights };
+    }
+
+    elapsedMs(plant) {
+        return this.startMs === null ? 0 : Math.min(this.durationMs, plant.chem.simTimeMs - this.startMs);
+    }
+
+    /**
+     * Snapshot of the plant totals the scores are measured from.
+     */
+    begin(plant) {
+        const now = plant.chem.simTimeMs;
+        this.startMs = now;
+        this.run = plant.journal.run;
+        this.lastEntry = plant.journal.entries[plant.journal.entries.length - 1] || null;
+        this.start = {
+            dischargeMs: plant.effluent.dischargeMs,
+            inSpecMs: plant.effluent.inSpecMs,
+            fRemovedG: plant.chem.totalFRemoved,
+            finesG: plant.chem.totalFinesLost,
+            offspecKg: plant.chem.quality.gradeKg.offspec
+        };
+        this.lastMs = now;
+        this.lastFRemovedG = plant.chem.totalFRemoved;
+        this.stopped = false;
+        this.stoppedMs = 0;
+        this.producingMs = 0;
+        this.producingFRemovedG = 0;
+        plant.logEvent('training', { key: 'exerciseStarted', vars: { name: { label: 'exercise', key: this.exercise.name, name: this.exercise.name } } });
+    }
+
+    update(plant, state) {
+        if (this.finished) return;
+        if (this.startMs === null) this.begin(plant);
+        const now = plant.chem.simTimeMs;
+        this.trackProduction(plant, state, now);
+        this.readActions(plant.journal);
+
+        this.events.forEach((event) => {
+            if (event.injectedMs === null && now >= this.startMs + event.spec.atHours * MS_PER_HOUR) {
+                this.inject(plant, state, event, now);
+            } else if (event.active && event.endMs !== null && now >= event.endMs) {
+                this.release(plant, state, event);
+            }
+        });
+        if (now >= this.startMs + this.durationMs) this.finish(plant, state);
+    }
+
+    /**
+     * Production is "stopped" while the feed is tripped, production equipment is down or the
+     * trainee has cut the flow; what that time cost is valued at the producing capture rate.
+     * Capture (fluoride into the bed) is used rather than harvest, which comes in lumps.
+     */
+    trackProduction(plant, state, now) {
+        const dtMs = now - this.lastMs;
+        const removedG = plant.chem.totalFRemoved - this.lastFRemovedG;
+        if (this.stopped) {
+            this.stoppedMs += dtMs;
+        } else {
+            this.producingMs += dtMs;
+            this.producingFRemovedG += removedG;
+        }
+        this.lastMs = now;
+        this.lastFRemovedG = plant.chem.totalFRemoved;
+        this.stopped = plant.storage.tripped || plant.reliability.stopped || state.flowRate <= 0;
+    }
+
+    /**
+     * Copies the trainee's journal entries written since the last step and times the reactions.
+     */
+    readActions(journal) {
+        const fresh = [];
+        for (let i = journal.entries.length - 1; i >= 0; i--) {
+            const entry = journal.entries[i];
+            if (entry === this.lastEntry || entry.run !== this.run) break;
+            fresh.push(entry);
+        }
+        if (journal.entries.length) this.lastEntry = journal.entries[journal.entries.length - 1];
+
+        fresh.reverse().filter(e => TRAINING_ACTION_TYPES.includes(e.type)).forEach((entry) => {
+            const action = { timeMs: entry.timeMs, type: entry.type, tag: entry.tag, message: entry.message, text: entry.text };
+            this.actions.push(action);
+            this.events.forEach((event) => {
+                if (event.injectedMs === null || event.reaction || action.timeMs < event.injectedMs) return;
+                if (!matchesResponse(action, event.spec.expect)) return;
+                event.reaction = { timeMs: action.timeMs, minutes: (action.timeMs - event.injectedMs) / 60000, message: action.message, text: action.text };
+            });
+        });
+    }
+
+    inject(plant, state, event, now) {
+        const spec = event.spec;
+        event.injectedMs = now;
+        switch (spec.type) {
+            case 'influent':
+                // Held as an influent override; manual mode reads the sliders back from state, so those are restored on release
+                event.restore = { flowRate: state.flowRate, ppmF: state.ppmF };
+                if ('ppmFactor' in spec) plant.influent.setOverride('ppmF', state.ppmF * spec.ppmFactor);
+                if ('flowFactor' in spec) plant.influent.setOverride('flowRate', state.flowRate * spec.flowFactor);
+                event.active = true;
+                event.endMs = spec.durationHours ? now + spec.durationHours * MS_PER_HOUR : null;
+                break;
+            case 'equipmentFailure':
+                plant.applyReliabilityEvents([plant.reliability.fail(spec.equipment, now, spec.repairHours ?? null)].filter(Boolean));
+                break;
+            case 'sensorFault':
+                plant.sensors.get(spec.sensor).injectFault(spec.fault, now);
+                break;
+            case 'siloFull':
+                plant.storage.fillUp({
+                    grade: spec.grade || plant.chem.quality.grade,
+                    hopperShare: spec.hopperShare ?? 0,
+                    holdUntilMs: now + (spec.holdHours ?? this.exercise.durationHours) * MS_PER_HOUR
+                });
+                break;
+            default:
+                break;
+        }
+        if (spec.message) {
+            this.messages.push({ timeMs: now, message: spec.message });
+            plant.logEvent('training', spec.message);
+        }
+    }
+
+    release(plant, state, event) {
+        event.active = false;
+        if (event.spec.type !== 'influent') return;
+        ['flowRate', 'ppmF'].forEach((prop) => {
+            if (!(prop in plant.influent.override)) return;
+            plant.influent.clearOverride(prop);
+            if (CONFIG.INFLUENT.MODE === 'manual') state[prop] = event.restore[prop];
+        });
+    }
+
+    /**
+     * Ends the exercise now (its duration is up, or the instructor stops it) and freezes the debrief.
+     */
+    finish(plant, state) {
+        if (this.finished) return this.result;
+        if (this.startMs === null) this.begin(plant);
+        this.readActions(plant.journal);
+        this.events.filter(e => e.active).forEach(e => this.release(plant, state, e));
+        this.result = this.debrief(plant);
+        plant.logEvent('training', { key: 'exerciseFinished', vars: {
+            name: { label: 'exercise', key: this.exercise.name, name: this.exercise.name }, score: { value: this.result.scores.total, digits: 0 }
+        } });
+        return this.result;
+    }
+
+    /**
+     * Scores (0-100) and what they were measured on. Reaction is the mean over the incidents that
+     * call for one (every event but a plain message, unless it lists `expect`); without any, the
+     * other weights are rescaled.
+     */
+    debrief(plant) {
+        const elapsedMs = this.elapsedMs(plant);
+        const dischargeMs = plant.effluent.dischargeMs - this.start.dischargeMs;
+        const inSpecMs = plant.effluent.inSpecMs - this.start.inSpecMs;
+        const percentInSpec = dischargeMs > 0 ? (inSpecMs / dischargeMs) * 100 : 100;
+
+        // CaF2 kept in the bed (fines are already netted out of the removed fluoride) against what washed out or was never made
+        const toCaF2Kg = g => (g * CONFIG.STOICHIOMETRY.F_TO_CAF2) / 1000;
+        const capturedKg = toCaF2Kg(plant.chem.totalFRemoved - this.start.fRemovedG);
+        const finesKg = (plant.chem.totalFinesLost - this.start.finesG) / 1000;
+        const rateKgH = this.producingMs > 0 ? toCaF2Kg(this.producingFRemovedG) / (this.producingMs / MS_PER_HOUR) : 0;
+        const stoppedKg = rateKgH * (this.stoppedMs / MS_PER_HOUR);
+        const lostKg = finesKg + stoppedKg;
+
+        const defaultTarget = this.exercise.reactionTargetMinutes ?? TRAINING_DEFAULT_TARGET_MIN;
+        const events = this.events.map((event) => {
+            const { spec } = event;
+            const scored = spec.type !== 'message' || Boolean(spec.expect);
+            const targetMinutes = spec.targetMinutes ?? defaultTarget;
+            const minutes = event.reaction ? event.reaction.minutes : null;
+            return {
+                index: event.index,
+                spec,
+                injectedMs: event.injectedMs,
+                scored,
+                targetMinutes,
+                reactionMinutes: minutes,
+                action: event.reaction ? event.reaction.message : null,
+                actionText: event.reaction ? event.reaction.text : null,
+                score: scored && event.injectedMs !== null ? reactionScore(minutes, targetMinutes) : null
+            };
+        });
+        const reactionScores = events.filter(e => e.score !== null).map(e => e.score);
+
+        const scores = {
+            compliance: percentInSpec,
+            product: capturedKg + lostKg > 0 ? (capturedKg / (capturedKg + lostKg)) * 100 : 100,
+            reaction: reactionScores.length ? reactionScores.reduce((sum, s) => sum + s, 0) / reactionScores.length : null
+        };
+        const weights = this.weights;
+        const parts = Object.keys(scores).filter(k => scores[k] !== null && weights[k] > 0);
+        const weightSum = parts.reduce((sum, k) => sum + weights[k], 0);
+        scores.total = weightSum > 0 ? parts.reduce((sum, k) => sum + scores[k] * weights[k], 0) / weightSum : 0;
+
+        return {
+            name: this.exercise.name,
+            startMs: this.startMs,
+            elapsedHours: elapsedMs / MS_PER_HOUR,
+            weights,
+            scores,
+            compliance: { percentInSpec, dischargeHours: dischargeMs / MS_PER_HOUR, exceedanceHours: (dischargeMs - inSpecMs) / MS_PER_HOUR },
+            product: {
+                capturedKg,
+                lostKg,
+                finesKg,
+                stoppedKg,
+                stoppedHours: this.stoppedMs / MS_PER_HOUR,
+                offspecKg: plant.chem.quality.gradeKg.offspec - this.start.offspecKg
+            },
+            events,
+            actions: this.actions.map(a => ({ ...a })),
+            messages: this.messages.map(m => ({ ...m }))
+        };
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Cristal Minas - Trend Panel
+ * Zoomable multi-axis history of the recorded variables: preset views for the
+ * process, production and economics, plus the variables pinned from the stat cards.
+ */
+
+const TREND_VIEWS = {
+    process: { label: 'Processo: pH, vazão e flúor', keys: ['ph', 'flowRate', 'ppmF', 'residualF'] },
+    production: { label: 'Produção e estoques', keys: ['fluoriteOutput', 'stockOnHand', 'cacl2Stock'] },
+    economics: { label: 'Caixa acumulado e ROI', keys: ['cash', 'roi'] },
+    pinned: { label: 'Variáveis fixadas', keys: [] }
+};
+const TREND_COLORS = ['#00f2ff', '#39ff14', '#ff9f1c', '#ff4d4d', '#b794f4', '#f6e05e', '#63b3ed', '#f687b3'];
+
+/**
+ * trendLabel() in the dashboard language and units.
+ */
+function trendDisplayLabel(key) {
+    const v = TREND_VARIABLES[key];
+    const label = labelOf('trend', key, v.label);
+    return v.unit === v.label ? label : `${label} (${unitOf(v.unit)})`;
+}
+
+class TrendPanel {
+    constructor(container, trends) {
+        this.container = container;
+        this.trends = trends;
+        this.viewKey = 'process';
+        this.pinned = [];
+        this.onPinsChange = () => {};
+        this.render();
+    }
+
+    get keys() {
+        return this.viewKey === 'pinned' ? this.pinned : TREND_VIEWS[this.viewKey].keys;
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="alarm-header">
+                <select class="trend-view">${Object.keys(TREND_VIEWS).map(k => `<option value="${k}">${labelOf('trendView', k, TREND_VIEWS[k].label)}</option>`).join('')}</select>
+                <select class="trend-add">
+                    <option value="">${t('trend.pin')}</option>${Object.keys(TREND_VARIABLES).map(k => `
+                    <option value="${k}">${trendDisplayLabel(k)}</option>`).join('')}
+                </select>
+            </div>
+            <canvas class="trend-chart" style="width: 100%; height: 180px; cursor: ew-resize;"></canvas>
+            <div class="trend-legend" style="display: flex; flex-wrap: wrap; gap: 0.3rem 0.8rem; font-size: 0.75rem;"></div>
+            <div class="sensor-name trend-info" style="margin-top: 0.3rem;"></div>
+            <div class="tuning-grid" style="margin-top: 0.5rem;">
+                <label>${t('trend.resolution')}<input type="number" data-trends="RESOLUTION_MIN" step="1"></label>
+                <label>${t('trend.maxPoints')}<input type="number" data-trends="MAX_POINTS" step="100"></label>
+            </div>`;
+        this.chart = new TrendChart(this.container.querySelector('.trend-chart'));
+        this.chart.onViewChange = () => this.draw();
+        this.container.querySelector('.trend-view').value = this.viewKey;
+
+        this.container.querySelector('.trend-view').onchange = (e) => {
+            this.viewKey = e.target.value;
+            this.draw();
+        };
+        this.container.querySelector('.trend-add').onchange = (e) => {
+            if (e.target.value && !this.pinned.includes(e.target.value)) this.togglePin(e.target.value);
+            e.target.value = '';
+        };
+        this.container.querySelectorAll('[data-trends]').forEach((el) => {
+            el.onchange = () => {
+                const key = el.dataset.trends;
+                const value = parseFloat(el.value);
+                const error = checkField(`TRENDS.${key}`, value, SCENARIO_SCHEMA.config.TRENDS[key]);
+                el.style.borderColor = error ? 'var(--neon-red)' : '';
+                el.title = error || '';
+                if (!error) CONFIG.TRENDS[key] = value;
+            };
+        });
+        this.syncParams();
+    }
+
+    /**
+     * Reflects CONFIG.TRENDS in the parameter fields (after a scenario load).
+     */
+    syncParams() {
+        this.container.querySelectorAll('[data-trends]').forEach((el) => {
+            if (document.activeElement !== el) el.value = CONFIG.TRENDS[el.dataset.trends];
+        });
+    }
+
+    /**
+     * Pins or unpins a variable and shows the pinned view.
+     */
+    togglePin(key) {
+        this.pinned = this.pinned.includes(key) ? this.pinned.filter(k => k !== key) : [...this.pinned, key];
+        this.viewKey = 'pinned';
+        this.container.querySelector('.trend-view').value = 'pinned';
+        this.onPinsChange(this.pinned);
+        this.draw();
+    }
+
+    draw() {
+        const trends = this.trends;
+        const keys = this.keys;
+        const legend = this.container.querySelector('.trend-legend');
+        legend.innerHTML = keys.map((k, i) => `
+            <span data-legend="${k}" style="color: ${TREND_COLORS[i % TREND_COLORS.length]}; cursor: ${this.viewKey === 'pinned' ? 'pointer' : 'default'};"
+                title="${this.viewKey === 'pinned' ? t('trend.unpin') : ''}">■ ${trendDisplayLabel(k)}</span>`).join('')
+            || `<span class="sensor-name">${t('trend.empty')}</span>`;
+        if (this.viewKey === 'pinned') {
+            legend.querySelectorAll('[data-legend]').forEach((el) => {
+                el.onclick = () => this.togglePin(el.dataset.legend);
+            });
+        }
+
+        const span = trends.times.length > 1 ? (trends.times[trends.times.length - 1] - trends.times[0]) / MS_PER_DAY : 0;
+        this.container.querySelector('.trend-info').innerText =
+            t('common.samples', { count: trends.times.length, min: (trends.intervalMs / 60000).toFixed(0) })
+            + t(this.chart.view ? 'trend.zoomed' : 'trend.hint');
+        if (trends.times.length < 2) {
+            this.chart.draw({ series: [], xRange: [0, 1] });
+            return;
+        }
+        this.chart.draw({
+            series: keys.map((k, i) => {
+                const unit = TREND_VARIABLES[k].unit;
+                const points = trends.points(k).map(p => ({ x: p.x, y: toUnit(p.y, unit) }));
+                return { points, color: TREND_COLORS[i % TREND_COLORS.length], unit: unitOf(unit) };
+            }),
+            xRange: [trends.times[0] / MS_PER_DAY, trends.times[trends.times.length - 1] / MS_PER_DAY],
+            xLabel: span < 2 ? (d) => (d * 24).toFixed(0) + ' h' : (d) => d.toFixed(1) + ' d'
+        });
+    }
+}
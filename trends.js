@@ -0,0 +1,114 @@
+/**
+ * Cristal Minas - Trend History
+ * Samples every process and economic variable at CONFIG.TRENDS.RESOLUTION_MIN of
+ * simulated time. When the buffer is full, neighbouring samples are averaged in
+ * pairs and the interval doubles, so a long run keeps its whole history at a
+ * coarser resolution instead of dropping the start.
+ */
+
+/**
+ * What can be plotted. `card` is the dashboard stat-card the variable can be pinned from;
+ * `read(plant, state)` returns the value in `unit`.
+ */
+const TREND_VARIABLES = {
+    ph: { label: 'pH', unit: 'pH', card: 'phLevel', read: p => p.train.treated.ph },
+    alkalinity: { label: 'Alcalinidade', unit: 'mg/L CaCO3', card: 'alkalinityVal', read: p => p.chem.ph.alkalinityMgL },
+    flowRate: { label: 'Vazão de entrada', unit: 'm³/h', read: (p, s) => s.flowRate },
+    ppmF: { label: 'F na entrada', unit: 'mg/L', read: (p, s) => s.ppmF },
+    residualF: { label: 'F na saída do trem', unit: 'mg/L', card: 'residualFVal', read: p => p.train.treated.residualF },
+    effluentF: { label: 'F no efluente', unit: 'mg/L', read: p => p.effluent.totalF },
+    chloride: { label: 'Cloreto na água tratada', unit: 'mg/L', read: p => p.ions.water.Cl },
+    tds: { label: 'SDT na água tratada', unit: 'mg/L', read: p => p.ions.water.tds },
+    turbidity: { label: 'Turbidez', unit: 'NTU', card: 'turbidityVal', read: p => p.train.treated.turbidity },
+    capture: { label: 'Captura de F', unit: '%', card: 'efficiencyVal', read: (p, s) => (s.ppmF > 0 ? Math.max(0, 1 - p.train.outlet.residualF / s.ppmF) * 100 : 0) },
+    dosingRate: { label: 'Dosagem de CaCl2', unit: 'g/s', read: p => p.train.skids.reduce((sum, k) => sum + k.dosingRate, 0) },
+    bedHeight: { label: 'Altura do leito', unit: 'm', read: p => p.hydro.bedHeight },
+    fInput: { label: 'Flúor processado', unit: 't', card: 'fInput', read: p => p.chem.totalFInput / 1e6 },
+    fluoriteOutput: { label: 'Fluorita produzida', unit: 't', card: 'fluoriteOutput', read: p => p.chem.totalFluoriteOutput / 1e6 },
+    cacl2Used: { label: 'CaCl2 consumido', unit: 't', card: 'cacl2Used', read: p => p.chem.totalCaCl2Used / 1e6 },
+    stockOnHand: { label: 'Estoque em silos', unit: 't', card: 'stockOnHand', read: p => PRODUCT_GRADES.reduce((sum, g) => sum + p.storage.wetTons(p.storage.stock[g]), 0) },
+    cacl2Stock: { label: 'Estoque de CaCl2', unit: 't', card: 'cacl2Stock', read: p => p.reagent.stockKg / 1000 },
+    revenue: { label: 'Faturamento acumulado', unit: 'R$', card: 'revenueValue', read: p => p.chem.totalRevenue },
+    opex: { label: 'OPEX acumulado', unit: 'R$', card: 'opexValue', read: p => p.chem.totalVariableCost + p.chem.totalFixedCost },
+    cash: { label: 'EBITDA acumulado', unit: 'R$', card: 'profitValue', read: p => p.chem.getFinancialSummary().netProfit },
+    revenue30d: { label: 'Faturamento (30d)', unit: 'R$', card: 'revenue30d', read: p => p.chem.getFinancialSummary().revenue30d },
+    profit30d: { label: 'EBITDA (30d)', unit: 'R$', card: 'profit30d', read: p => p.chem.getFinancialSummary().profit30d },
+    savings: { label: 'Custos evitados (ESG)', unit: 'R$', card: 'savingsValue', read: p => p.chem.totalSavings },
+    roi: { label: 'ROI', unit: '%', card: 'roiValue', read: p => p.chem.getFinancialSummary().roi },
+    availability: { label: 'Disponibilidade', unit: '%', card: 'availabilityValue', read: p => p.reliability.metrics(p.chem).availability * 100 },
+    lostRevenue: { label: 'Receita perdida', unit: 'R$', card: 'lostRevenueValue', read: p => p.reliability.metrics(p.chem).lostRevenue },
+    cacl2Forecast: { label: 'Compra de CaCl2 prevista (30d)', unit: 'R$', card: 'cacl2Forecast', read: p => p.reagent.forecast(30).cost }
+};
+
+/**
+ * "Label (unit)", without repeating a unit that is the label itself (pH).
+ */
+function trendLabel(key) {
+    const v = TREND_VARIABLES[key];
+    return v.unit === v.label ? v.label : `${v.label} (${v.unit})`;
+}
+
+class TrendRecorder {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.intervalMs = CONFIG.TRENDS.RESOLUTION_MIN * 60000;
+        this.nextSampleMs = 0;
+        this.times = [];           // Simulated ms of each sample
+        this.series = {};          // key -> values, parallel to times
+        Object.keys(TREND_VARIABLES).forEach((key) => {
+            this.series[key] = [];
+        });
+    }
+
+    /**
+     * Samples every variable once per interval of simulated time.
+     */
+    update(plant, state) {
+        const simTimeMs = plant.chem.simTimeMs;
+        if (simTimeMs < this.nextSampleMs) return;
+        this.times.push(simTimeMs);
+        Object.keys(TREND_VARIABLES).forEach((key) => {
+            this.series[key].push(TREND_VARIABLES[key].read(plant, state));
+        });
+        if (this.times.length > CONFIG.TRENDS.MAX_POINTS) this.downsample();
+        this.nextSampleMs = simTimeMs + this.intervalMs;
+    }
+
+    /**
+     * Halves the buffer: each pair of samples becomes their mean, at the first one's time.
+     */
+    downsample() {
+        const halve = (values, merge) => {
+            const out = [];
+            for (let i = 0; i < values.length; i += 2) {
+                out.push(i + 1 < values.length ? merge(values[i], values[i + 1]) : values[i]);
+            }
+            return out;
+        };
+        this.times = halve(this.times, a => a);
+        Object.keys(this.series).forEach((key) => {
+            this.series[key] = halve(this.series[key], (a, b) => (a + b) / 2);
+        });
+        this.intervalMs *= 2;
+    }
+
+    /**
+     * [{ x: simulated days, y }] of one variable.
+     */
+    points(key) {
+        return this.times.map((t, i) => ({ x: t / MS_PER_DAY, y: this.series[key][i] }));
+    }
+
+    /**
+     * Semicolon-separated export of every sample (opens directly in pt-BR spreadsheets).
+     */
+    toCsv() {
+        const keys = Object.keys(TREND_VARIABLES);
+        const header = ['hora_sim', ...keys.map(trendLabel)].map(v => `"${v}"`).join(';');
+        const rows = this.times.map((t, i) => [(t / MS_PER_HOUR).toFixed(3), ...keys.map(k => +this.series[k][i].toPrecision(6))].join(';'));
+        return [header, ...rows].join('\n');
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Cristal Minas - Treated Water Panel
+ * Chloride, hardness and TDS of the treated water against the reuse and discharge
+ * criteria, and the ion mass balance of the run (in = out + accumulated).
+ */
+
+const WATER_INFLUENT_FIELDS = [
+    { key: 'CA_IN', label: 'Ca²⁺ afluente (mg/L)' },
+    { key: 'MG_IN', label: 'Mg²⁺ afluente (mg/L)' },
+    { key: 'NA_IN', label: 'Na⁺ afluente (mg/L)' },
+    { key: 'CL_IN', label: 'Cl⁻ afluente (mg/L)' },
+    { key: 'SO4_IN', label: 'SO4²⁻ afluente (mg/L)' },
+    { key: 'PO4_IN', label: 'PO4³⁻ afluente (mg/L)' }
+];
+
+class WaterPanel {
+    constructor(container, plant) {
+        this.container = container;
+        this.plant = plant;
+        this.render();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="bed-stats">
+                <div class="bed-stat"><span class="sensor-name">${t('water.chloride')}</span><span class="sensor-reading" data-field="Cl">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('water.hardness')}</span><span class="sensor-reading" data-field="hardness">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('water.tds')}</span><span class="sensor-reading" data-field="tds">---</span></div>
+                <div class="bed-stat"><span class="sensor-name">${t('water.cations')}</span><span class="sensor-reading" data-field="cations">---</span></div>
+            </div>
+            <table class="event-log" style="margin-top: 0.5rem;">
+                <thead><tr><th>${t('common.parameter')}</th><th>${t('water.treated')}</th><th>${t('water.reuse')}</th><th>${t('water.discharge')}</th></tr></thead>
+                <tbody class="water-criteria"></tbody>
+            </table>
+            <details style="margin-top: 0.5rem;">
+                <summary class="sensor-name">${t('water.settings')}</summary>
+                <div class="tuning-grid" style="margin-top: 0.5rem;">${WATER_INFLUENT_FIELDS.map(f => `
+                    <label>${labelOf('waterInfluent', f.key, f.label)}<input type="number" data-ions="${f.key}" step="1"></label>`).join('')}
+                    <label>${t('water.tolerance')}<input type="number" data-ions="BALANCE_TOLERANCE" step="0.005"></label>
+                </div>
+                <table class="event-log alarm-limits" style="margin-top: 0.5rem;">
+                    <thead><tr><th>${t('common.parameter')}</th><th>${t('water.reuse')}</th><th>${t('water.discharge')}</th></tr></thead>
+                    <tbody>${Object.keys(WATER_CRITERIA).map(key => `
+                        <tr>
+                            <td>${labelOf('criteria', key, WATER_CRITERIA[key].label)} (${WATER_CRITERIA[key].unit})</td>
+                            <td><input type="number" data-ions="REUSE.${key}"></td>
+                            <td><input type="number" data-ions="DISCHARGE.${key}"></td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </details>
+            <div class="sensor-name" style="margin-top: 0.5rem;">${t('water.balance')}</div>
+            <table class="event-log">
+                <thead><tr><th>${t('water.ion')}</th><th>${t('water.input')}</th><th>${t('water.product')}</th><th>${t('water.fines')}</th><th>${t('water.effluent')}</th><th>${t('water.stock')}</th><th>${t('water.deviation')}</th></tr></thead>
+                <tbody class="water-balance"></tbody>
+            </table>
+            <div class="sensor-name" data-field="balanceStatus" style="margin-top: 0.3rem;">---</div>`;
+
+        // Influent background and criteria write straight into CONFIG.IONS, validated with the scenario ranges
+        this.container.querySelectorAll('[data-ions]').forEach((el) => {
+            el.onchange = () => {
+                const path = el.dataset.ions.split('.');
+                const spec = path.reduce((s, k) => s[k], SCENARIO_SCHEMA.config.IONS);
+                const value = el.value === '' && spec.nullable ? null : parseFloat(el.value);
+                const error = checkField(`IONS.${el.dataset.ions}`, value, spec);
+                el.style.borderColor = error ? 'var(--neon-red)' : '';
+                el.title = error || '';
+                if (error) return;
+                const section = path.length > 1 ? CONFIG.IONS[path[0]] : CONFIG.IONS;
+                section[path[path.length - 1]] = value;
+            };
+        });
+        this.syncParams();
+    }
+
+    /**
+     * Reflects CONFIG.IONS in the fields (after a scenario load).
+     */
+    syncParams() {
+        this.container.querySelectorAll('[data-ions]').forEach((el) => {
+            if (document.activeElement === el) return;
+            const value = el.dataset.ions.split('.').reduce((s, k) => s[k], CONFIG.IONS);
+            el.value = value ?? '';
+        });
+    }
+
+    update() {
+        const ions = this.plant.ions;
+        const w = ions.water;
+        const set = (field, text, color) => {
+            const el = this.container.querySelector(`[data-field="${field}"]`);
+            el.innerText = text;
+            el.style.color = color || '';
+        };
+        const criteria = ions.criteria();
+        const colorOf = (key) => {
+            const c = criteria.find(x => x.key === key);
+            return c.reuseOk === false || c.dischargeOk === false ? 'var(--neon-red)' : 'var(--neon-green)';
+        };
+        set('Cl', `${formatNumber(w.Cl)} mg/L`, colorOf('CL'));
+        set('hardness', `${formatNumber(w.hardness)} mg/L CaCO3`, colorOf('HARDNESS'));
+        set('tds', `${formatNumber(w.tds)} mg/L`, colorOf('TDS'));
+        set('cations', `${formatNumber(w.Ca)} / ${formatNumber(w.Na)} mg/L`);
+
+        const verdict = (ok, limit) => {
+            if (ok === null) return '<td>—</td>';
+            return `<td style="color: ${ok ? 'var(--neon-green)' : 'var(--neon-red)'};">${t(ok ? 'water.ok' : 'water.above')} (≤ ${formatNumber(limit)})</td>`;
+        };
+        this.container.querySelector('.water-criteria').innerHTML = criteria.map(c => `
+            <tr><td>${labelOf('criteria', c.key, c.label)}</td><td>${formatNumber(c.value)} ${c.unit}</td>${verdict(c.reuseOk, c.reuseLimit)}${verdict(c.dischargeOk, c.dischargeLimit)}</tr>`).join('');
+
+        const rows = ions.table(this.plant.train);
+        const kg = v => formatNumber(v, Math.abs(v) < 10 ? 2 : 0);
+        const ionLabel = r => `${labelOf('ion', r.key, ION_SPECIES[r.key].label)} (${r.symbol})`;
+        this.container.querySelector('.water-balance').innerHTML = rows.map(r => `
+            <tr${r.flagged ? ' style="color: var(--neon-red);"' : ''}>
+                <td>${ionLabel(r)}</td><td>${kg(r.inKg)}</td><td>${kg(r.productKg)}</td><td>${kg(r.finesKg)}</td>
+                <td>${kg(r.effluentKg)}</td><td>${kg(r.accumulatedKg)}</td><td>${formatNumber((r.imbalanceKg / r.inKg) * 100, 2)}%</td>
+            </tr>`).join('') || `<tr><td colspan="7">${t('water.noFlow')}</td></tr>`;
+
+        const flagged = rows.filter(r => r.flagged);
+        if (flagged.length) {
+            set('balanceStatus', t('water.unbalanced', { tolerance: formatNumber(CONFIG.IONS.BALANCE_TOLERANCE * 100, 1), ions: flagged.map(ionLabel).join(', ') }), 'var(--neon-red)');
+        } else if (rows.length) {
+            const worst = Math.max(...rows.map(r => Math.abs(r.imbalanceKg / r.inKg)));
+            set('balanceStatus', t('water.closed', { worst: formatNumber(worst * 100, 3) }), 'var(--neon-green)');
+        } else {
+            set('balanceStatus', '---');
+        }
+    }
+}